@@ -39,6 +39,20 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Request errors that name themselves (e.g. a rejected media upload) are safe to show the client,
+  // along with any details they carry about the request (e.g. which HealthKit lines were invalid)
+  if (err.expose && err.code && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({
+      error: {
+        code: err.code,
+        message: err.message,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString(),
+        details: err.details
+      }
+    });
+  }
+
   if (err.status === 429) {
     return res.status(429).json({
       error: {
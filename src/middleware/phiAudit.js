@@ -0,0 +1,117 @@
+import { getAuditService } from '../services/auditService.js';
+import { logger } from '../utils/logger.js';
+
+const READ_METHODS = new Set(['GET', 'HEAD']);
+
+/**
+ * Let a handler refine the audit event for the current request (e.g. resourceType, patientId or
+ * recordCount when they cannot be inferred from the route and response body).
+ */
+export function setAuditContext(req, fields = {}) {
+  req.auditContext = { ...(req.auditContext || {}), ...fields };
+}
+
+function countRecords(body) {
+  if (Array.isArray(body)) {
+    return body.length;
+  }
+  if (!body || typeof body !== 'object' || body.error) {
+    return 0;
+  }
+  if (body.resourceType === 'Bundle') {
+    return Array.isArray(body.entry) ? body.entry.length : 0;
+  }
+  if (Array.isArray(body.data)) {
+    return body.data.length;
+  }
+  return body.data !== undefined && body.data !== null ? 1 : 0;
+}
+
+function resolveResourceType(req) {
+  if (req.params?.resourceType) {
+    return req.params.resourceType;
+  }
+
+  const segments = typeof req.route?.path === 'string'
+    ? req.route.path.split('/').filter((segment) => segment && !segment.startsWith(':'))
+    : [];
+  // OSDK-style paths (/v2/ontologies/:ontologyId/objects/<ObjectType>) name the object type
+  const objectsIndex = segments.indexOf('objects');
+  if (objectsIndex !== -1 && segments[objectsIndex + 1]) {
+    return segments[objectsIndex + 1];
+  }
+  if (segments.length > 0) {
+    return segments[0];
+  }
+
+  const baseSegments = String(req.baseUrl || '').split('/').filter(Boolean);
+  return baseSegments[baseSegments.length - 1] || 'unknown';
+}
+
+function resolveOutcome(statusCode) {
+  if (statusCode === 401 || statusCode === 403) {
+    return 'denied';
+  }
+  return statusCode < 400 ? 'success' : 'failure';
+}
+
+/**
+ * Record one append-only audit event per authenticated request: who (`sub`), which patient, what
+ * resource type, how many records, through which endpoint and with what outcome. Route identity is
+ * captured while the handler responds; the event is written once the response has finished.
+ */
+export const phiAudit = (req, res, next) => {
+  if (req.phiAuditAttached) {
+    return next();
+  }
+  req.phiAuditAttached = true;
+
+  let captured = null;
+  const capture = (body) => {
+    if (!captured) {
+      captured = {
+        resourceType: resolveResourceType(req),
+        endpoint: `${req.baseUrl || ''}${typeof req.route?.path === 'string' ? req.route.path : req.path}`,
+        // Streamed and non-JSON responses leave the count unknown
+        recordCount: body === undefined ? null : countRecords(body)
+      };
+    }
+  };
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    capture(body);
+    return originalJson(body);
+  };
+
+  res.on('finish', () => {
+    if (!req.user?.sub) {
+      return;
+    }
+
+    capture();
+    const context = req.auditContext || {};
+    const event = {
+      actor: req.user.sub,
+      actorUsername: req.context?.username,
+      patientId: context.patientId || req.context?.foundryPatientContext?.patientId || req.user.sub,
+      resourceType: context.resourceType || captured.resourceType,
+      action: context.action || (READ_METHODS.has(req.method) ? 'read' : 'write'),
+      method: req.method,
+      endpoint: captured.endpoint,
+      recordCount: context.recordCount ?? captured.recordCount,
+      status: res.statusCode,
+      outcome: resolveOutcome(res.statusCode),
+      correlationId: req.correlationId
+    };
+
+    getAuditService().record(event).catch((error) => {
+      logger.error('PHI audit middleware error', {
+        error: error.message,
+        correlationId: req.correlationId
+      });
+    });
+  });
+
+  next();
+};
@@ -2,6 +2,7 @@ import express from 'express';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { AiChatHistoryService } from '../services/aiChatHistoryService.js';
 import { logger } from '../utils/logger.js';
+import { setAuditContext } from '../middleware/phiAudit.js';
 
 const router = express.Router();
 
@@ -274,6 +275,7 @@ router.get('/user/:userId/chat-history',
   async (req, res, next) => {
     try {
       const { userId } = req.params;
+      setAuditContext(req, { resourceType: 'chat-history', patientId: userId });
       const { 
         pageSize = 30,
         select,
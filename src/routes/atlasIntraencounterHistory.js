@@ -2,6 +2,7 @@ import express from 'express';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { AtlasIntraencounterService } from '../services/atlasIntraencounterService.js';
 import { logger } from '../utils/logger.js';
+import { setAuditContext } from '../middleware/phiAudit.js';
 
 const router = express.Router();
 const atlasService = new AtlasIntraencounterService();
@@ -131,6 +132,7 @@ router.get('/user/:userId/intraencounter-history',
   async (req, res, next) => {
     try {
       const { userId } = req.params;
+      setAuditContext(req, { resourceType: 'intraencounter-history', patientId: userId });
       const {
         pageSize = 30,
         select,
@@ -0,0 +1,91 @@
+import express from 'express';
+import { validateTokenWithScopes } from '../middleware/auth0.js';
+import { FoundryService } from '../services/foundryService.js';
+import { getAuditService } from '../services/auditService.js';
+import { resolvePatientContext, respondMissingPatientId } from '../utils/patientContext.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const foundryService = new FoundryService({
+  host: process.env.FOUNDRY_HOST,
+  clientId: process.env.FOUNDRY_CLIENT_ID,
+  clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+  tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+  ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+});
+
+// Fields a patient may see about each access to their record
+const toPatientView = (event) => ({
+  id: event.id,
+  timestamp: event.timestamp,
+  actor: event.actor,
+  resourceType: event.resourceType,
+  action: event.action,
+  endpoint: event.endpoint,
+  recordCount: event.recordCount,
+  outcome: event.outcome,
+  correlationId: event.correlationId
+});
+
+/**
+ * Who accessed the caller's record: most recent PHI audit events, newest first.
+ * Query: limit (1-500, default 50), since (ISO timestamp).
+ */
+router.get('/me', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let patientContext;
+  try {
+    patientContext = await resolvePatientContext(req, {
+      foundryService,
+      routeName: 'audit',
+      allowQueryOverride: false
+    });
+    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+    if (!patientId) {
+      return respondMissingPatientId(req, res, 'audit');
+    }
+
+    const since = typeof req.query.since === 'string' && req.query.since.trim().length > 0
+      ? req.query.since.trim()
+      : undefined;
+    if (since && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'since must be an ISO 8601 timestamp',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // phiAudit records requests that resolved no patient under the caller's sub
+    const events = await getAuditService().queryByPatient([patientId, req.user.sub], { limit: req.query.limit, since });
+    if (!events) {
+      return res.status(503).json({
+        error: {
+          code: 'AUDIT_UNAVAILABLE',
+          message: 'No queryable audit store is configured',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: events.map(toPatientView),
+      fetchedAt: new Date().toISOString(),
+      correlationId: req.correlationId
+    });
+  } catch (error) {
+    logger.error('Failed to fetch audit events', {
+      patientId: patientContext?.patientId,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+export { router as auditRouter };
@@ -0,0 +1,180 @@
+import express from 'express';
+import { validateTokenWithScopes } from '../middleware/auth0.js';
+import { FoundryService } from '../services/foundryService.js';
+import { getErasureService, hashErasureSubject, toErasureJobView } from '../services/erasureService.js';
+import { resolvePatientContext } from '../utils/patientContext.js';
+import { setAuditContext } from '../middleware/phiAudit.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const foundryService = new FoundryService({
+  host: process.env.FOUNDRY_HOST,
+  clientId: process.env.FOUNDRY_CLIENT_ID,
+  clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+  tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+  ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+});
+
+// Every erasure endpoint needs the service, which is disabled when it cannot be configured
+router.use((req, res, next) => {
+  if (getErasureService()) {
+    return next();
+  }
+  return res.status(503).json({
+    error: {
+      code: 'ERASURE_UNAVAILABLE',
+      message: 'Account erasure is not available right now',
+      correlationId: req.correlationId,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Erasure jobs are only visible to the user they erase
+async function findOwnedJob(req, res) {
+  const job = await getErasureService().getJob(req.params.jobId);
+  if (!job || job.subjectHash !== hashErasureSubject(req.user?.sub)) {
+    res.status(404).json({
+      error: {
+        code: 'ERASURE_NOT_FOUND',
+        message: 'Erasure request not found',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Erase the caller's account data. Requires `{ "confirm": true }`. Responds 202 with the job, or
+ * 200 when an unfinished job for the caller was resumed instead.
+ */
+router.post('/', validateTokenWithScopes(['execute:actions']), async (req, res, next) => {
+  try {
+    if (req.body?.confirm !== true) {
+      return res.status(400).json({
+        error: {
+          code: 'CONFIRMATION_REQUIRED',
+          message: 'Set confirm to true to erase all account data',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // The patient id only widens cache cleanup; erasure proceeds without it. Only the caller's own
+    // profile counts: a ?patientId query must not point the cleanup at someone else
+    let patientId = null;
+    try {
+      const patientContext = await resolvePatientContext(req, { foundryService, routeName: 'erasure', allowQueryOverride: false });
+      patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() || null : null;
+    } catch (error) {
+      logger.warn('Erasure could not resolve patient id', { error: error.message, correlationId: req.correlationId });
+    }
+
+    setAuditContext(req, { resourceType: 'erasure', patientId: patientId || req.user.sub });
+
+    const { job, created } = await getErasureService().startErasure({
+      userId: req.user.sub,
+      // From the token's claims, not the client-set X-Auth0-Username header
+      username: req.user.preferred_username || req.user.nickname || req.user.email || null,
+      patientId,
+      correlationId: req.correlationId
+    });
+
+    res.status(created ? 202 : 200)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({
+        success: true,
+        data: toErasureJobView(job),
+        correlationId: req.correlationId
+      });
+  } catch (error) {
+    logger.error('Failed to start erasure', {
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+router.get('/:jobId', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: toErasureJobView(job),
+      correlationId: req.correlationId
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Re-run the unfinished steps of a failed erasure.
+ */
+router.post('/:jobId/resume', validateTokenWithScopes(['execute:actions']), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    setAuditContext(req, { resourceType: 'erasure', patientId: req.user.sub });
+    const resumed = await getErasureService().resumeErasure(job.id, { correlationId: req.correlationId });
+
+    res.status(resumed.status === 'completed' ? 200 : 202).json({
+      success: true,
+      data: toErasureJobView(resumed),
+      correlationId: req.correlationId
+    });
+  } catch (error) {
+    logger.error('Failed to resume erasure', {
+      jobId: req.params.jobId,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+/**
+ * Signed completion receipt: step outcomes and deletion counts, identifying the user only by hash.
+ */
+router.get('/:jobId/receipt', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  try {
+    const job = await findOwnedJob(req, res);
+    if (!job) {
+      return;
+    }
+
+    if (!job.receipt) {
+      return res.status(409).json({
+        error: {
+          code: 'ERASURE_NOT_COMPLETE',
+          message: `Erasure is ${job.status}`,
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job.receipt,
+      correlationId: req.correlationId
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export { router as erasureRouter };
@@ -1,10 +1,21 @@
 import express from 'express';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { logger } from '../utils/logger.js';
+import { getCacheInvalidationBus, resolveRequestCacheSubjects } from '../services/cacheInvalidation.js';
+import { FoundryService } from '../services/foundryService.js';
 import fetch from 'node-fetch';
 
 const router = express.Router();
 
+// Only used to resolve the uploader's patient id for cache invalidation
+const foundryService = new FoundryService({
+  host: process.env.FOUNDRY_HOST,
+  clientId: process.env.FOUNDRY_CLIENT_ID,
+  clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+  tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+  ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+});
+
 // Target dataset RID for Fasten FHIR data
 const FASTEN_FHIR_DATASET_RID = 'ri.foundry.main.dataset.94686469-301b-462e-96e9-4a8572611178';
 
@@ -165,6 +176,11 @@ router.post('/upload', validateTokenWithScopes(['execute:actions']), async (req,
       user: auth0id,
       correlationId: req.correlationId
     });
+
+    await getCacheInvalidationBus().publish('fasten.ingested', {
+      identifiers: await resolveRequestCacheSubjects(req, { foundryService, routeName: 'fasten-datasets' }),
+      correlationId: req.correlationId
+    });
     
     res.json({
       success: true,
@@ -1,12 +1,11 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
+import { getCacheInvalidationBus } from '../services/cacheInvalidation.js';
 import fetch from 'node-fetch';
+import { FASTEN_FHIR_DATASET_RID, fastenFhirUserPrefix } from '../services/datasetFileService.js';
 
 const router = express.Router();
 
-// Target dataset RID for Fasten FHIR data
-const FASTEN_FHIR_DATASET_RID = 'ri.foundry.main.dataset.94686469-301b-462e-96e9-4a8572611178';
-
 // Helper functions to extract data from FHIR resources
 function extractPatientId(record) {
   const resource = record.fhir_resource || record;
@@ -171,7 +170,7 @@ router.post('/ingest', validateServiceAuth, async (req, res, next) => {
     
     // Generate filename with timestamp
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fileName = `fasten-fhir/${auth0_user_id}/${timestamp}.jsonl`;
+    const fileName = `${fastenFhirUserPrefix(auth0_user_id)}${timestamp}.jsonl`;
     
     // Upload file directly to Foundry dataset using Datasets API v2
     const uploadUrl = `${process.env.FOUNDRY_HOST}/api/v2/datasets/${FASTEN_FHIR_DATASET_RID}/files/${encodeURIComponent(fileName)}/upload?transactionType=APPEND`;
@@ -207,6 +206,16 @@ router.post('/ingest', validateServiceAuth, async (req, res, next) => {
       serviceAuth: req.serviceAuth,
       correlationId: req.correlationId
     });
+
+    // Clinical entries are cached by Auth0 id or by the FHIR patient id the records belong to
+    await getCacheInvalidationBus().publish('fasten.ingested', {
+      identifiers: [
+        auth0_user_id,
+        ...records.map((record) => record.auth0_user_id),
+        ...records.map(extractPatientId)
+      ],
+      correlationId: req.correlationId
+    });
     
     res.json({
       success: true,
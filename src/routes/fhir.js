@@ -0,0 +1,376 @@
+import express from 'express';
+import { validateTokenWithScopes } from '../middleware/auth0.js';
+import { FoundryService } from '../services/foundryService.js';
+import { EncountersService } from '../services/encountersService.js';
+import { ClinicalResourceService } from '../services/clinicalResourceService.js';
+import { PATIENT_RESOURCE } from '../services/clinicalResources.js';
+import { getTieredCache, getCacheStatus, withCacheStatus } from '../services/tieredCache.js';
+import { applyCacheStatus } from '../utils/cacheHeaders.js';
+import { resolvePatientContext } from '../utils/patientContext.js';
+import { logger } from '../utils/logger.js';
+import {
+  FHIR_CONTENT_TYPE,
+  buildCapabilityStatement,
+  buildOperationOutcome,
+  buildSearchsetBundle,
+  getQueryValues,
+  matchesDateParams,
+  matchesTokenParam,
+  parseDateParams,
+  toFhirAllergyIntolerance,
+  toFhirCondition,
+  toFhirDocumentReference,
+  toFhirEncounter,
+  toFhirImmunization,
+  toFhirObservation,
+  toFhirPatient,
+  toFhirProcedure
+} from '../utils/fhirResources.js';
+
+const router = express.Router();
+
+const PAGE_TOKEN_PARAM = '_page_token';
+// Largest _count Foundry serves in one page
+const MAX_PAGE_COUNT = 100;
+
+const foundryService = new FoundryService({
+  host: process.env.FOUNDRY_HOST,
+  clientId: process.env.FOUNDRY_CLIENT_ID,
+  clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+  tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+  ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+});
+
+const clinicalResourceService = new ClinicalResourceService({ foundryService, cache: getTieredCache() });
+const encountersService = new EncountersService({ foundryService, cache: getTieredCache() });
+
+const concepts = (...values) => values.flat().filter(Boolean);
+
+/**
+ * FHIR resource type -> Fasten source. `dateOf`, `codesOf` and `categoriesOf` read the mapped FHIR
+ * resource and back the `date`, `code` and `category` search parameters and `_sort`.
+ */
+const FHIR_SEARCH_TYPES = {
+  Observation: {
+    resource: 'observations',
+    toFhir: toFhirObservation,
+    dateOf: (resource) => resource.effectiveDateTime,
+    codesOf: (resource) => concepts(resource.code),
+    categoriesOf: (resource) => concepts(resource.category)
+  },
+  Condition: {
+    resource: 'conditions',
+    toFhir: toFhirCondition,
+    dateOf: (resource) => resource.onsetDateTime || resource.recordedDate,
+    codesOf: (resource) => concepts(resource.code),
+    categoriesOf: (resource) => concepts(resource.category)
+  },
+  Procedure: {
+    resource: 'procedures',
+    toFhir: toFhirProcedure,
+    dateOf: (resource) => resource.performedDateTime || resource.performedPeriod?.start,
+    codesOf: (resource) => concepts(resource.code),
+    categoriesOf: (resource) => concepts(resource.category)
+  },
+  Immunization: {
+    resource: 'immunizations',
+    toFhir: toFhirImmunization,
+    dateOf: (resource) => resource.occurrenceDateTime,
+    codesOf: (resource) => concepts(resource.vaccineCode),
+    categoriesOf: () => []
+  },
+  AllergyIntolerance: {
+    resource: 'allergies',
+    toFhir: toFhirAllergyIntolerance,
+    dateOf: (resource) => resource.onsetDateTime || resource.recordedDate,
+    codesOf: (resource) => concepts(resource.code),
+    categoriesOf: (resource) => (resource.category || []).map((code) => ({ coding: [{ code }] }))
+  },
+  Encounter: {
+    toFhir: toFhirEncounter,
+    dateOf: (resource) => resource.period?.start,
+    codesOf: (resource) => concepts(resource.type),
+    categoriesOf: (resource) => concepts(resource.class ? { coding: [resource.class] } : null)
+  },
+  DocumentReference: {
+    resource: 'clinical-notes',
+    toFhir: toFhirDocumentReference,
+    dateOf: (resource) => resource.date,
+    codesOf: (resource) => concepts(resource.type),
+    categoriesOf: (resource) => concepts(resource.category)
+  }
+};
+
+const SEARCH_PARAM_DOCS = {
+  date: 'Clinically relevant date; supports eq, ne, gt, lt, ge and le prefixes. Applied to each Foundry page.',
+  code: 'Token [system]|code, matched against coding code or concept text. Applied to each Foundry page.',
+  category: 'Token matched against category coding or text'
+};
+
+function getBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+function sendFhir(res, status, body) {
+  res.status(status).type(FHIR_CONTENT_TYPE);
+  return res.json(body);
+}
+
+function sendOutcome(req, res, status, code, message) {
+  return sendFhir(res, status, buildOperationOutcome({
+    code,
+    details: message,
+    diagnostics: `correlationId=${req.correlationId}`
+  }));
+}
+
+function respondWithFhirError(req, res, error) {
+  if (error.status === 429) {
+    return sendOutcome(req, res, 503, 'throttled', 'Foundry returned throttling response');
+  }
+
+  if (error.status === 400) {
+    return sendOutcome(req, res, 400, 'invalid', error.foundryError?.message || 'Invalid Foundry request parameters');
+  }
+
+  if (error.message === 'Foundry service temporarily unavailable') {
+    return sendOutcome(req, res, 503, 'transient', 'Foundry service temporarily unavailable');
+  }
+
+  if (typeof error.message === 'string' && error.message.endsWith('ontology RID is not configured')) {
+    return sendOutcome(req, res, 500, 'exception', error.message);
+  }
+
+  return sendOutcome(req, res, 500, 'exception', 'Internal server error');
+}
+
+function sortResources(resources, sortParam, searchType) {
+  const [firstKey] = getQueryValues(sortParam).flatMap((item) => item.split(','));
+  if (!firstKey) {
+    return resources;
+  }
+
+  const descending = firstKey.startsWith('-');
+  const key = descending ? firstKey.substring(1) : firstKey;
+  const valueOf = key === 'date'
+    ? (resource) => searchType.dateOf(resource) || ''
+    : key === 'code'
+      ? (resource) => searchType.codesOf(resource)[0]?.text || ''
+      : null;
+
+  if (!valueOf) {
+    return resources;
+  }
+
+  return [...resources].sort((left, right) => {
+    const comparison = String(valueOf(left)).localeCompare(String(valueOf(right)));
+    return descending ? -comparison : comparison;
+  });
+}
+
+function buildNextUrl(req, baseUrl, resourceType, nextPageToken) {
+  if (!nextPageToken) {
+    return null;
+  }
+
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key === PAGE_TOKEN_PARAM) {
+      continue;
+    }
+    for (const item of getQueryValues(value)) {
+      params.append(key, item);
+    }
+  }
+  params.set(PAGE_TOKEN_PARAM, nextPageToken);
+  return `${baseUrl}/${resourceType}?${params.toString()}`;
+}
+
+async function resolveFhirPatientId(req, res) {
+  const patientContext = await resolvePatientContext(req, {
+    foundryService,
+    routeName: 'fhir',
+    allowQueryOverride: false
+  });
+  const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+  if (!patientId) {
+    sendOutcome(req, res, 400, 'security', 'Unable to resolve patient identity for this account');
+    return null;
+  }
+  return patientId;
+}
+
+async function fetchFhirPatient(patientId, correlationId) {
+  const payload = await clinicalResourceService.fetchResource(PATIENT_RESOURCE, {
+    patientId,
+    pageSize: 1,
+    correlationId
+  });
+  return withCacheStatus(toFhirPatient(payload.data[0] || {}, patientId), getCacheStatus(payload));
+}
+
+router.get('/metadata', (req, res) => {
+  const resources = [
+    {
+      type: 'Patient',
+      interactions: ['read', 'search-type'],
+      searchParams: []
+    },
+    ...Object.keys(FHIR_SEARCH_TYPES).map((type) => ({
+      type,
+      interactions: ['search-type'],
+      searchParams: Object.entries(SEARCH_PARAM_DOCS).map(([name, documentation]) => ({
+        name,
+        type: name === 'date' ? 'date' : 'token',
+        documentation
+      }))
+    }))
+  ];
+
+  return sendFhir(res, 200, buildCapabilityStatement({ baseUrl: getBaseUrl(req), resources }));
+});
+
+router.get('/Patient', validateTokenWithScopes(['read:patient']), async (req, res) => {
+  try {
+    const patientId = await resolveFhirPatientId(req, res);
+    if (!patientId) {
+      return;
+    }
+
+    const patient = await fetchFhirPatient(patientId, req.correlationId);
+    const baseUrl = getBaseUrl(req);
+    applyCacheStatus(res, patient);
+    return sendFhir(res, 200, buildSearchsetBundle({
+      entries: [patient],
+      selfUrl: `${baseUrl}${req.url}`,
+      nextUrl: null,
+      baseUrl
+    }));
+  } catch (error) {
+    logger.error('Failed to serve FHIR Patient search', {
+      error: error.message,
+      status: error.status,
+      correlationId: req.correlationId
+    });
+    return respondWithFhirError(req, res, error);
+  }
+});
+
+router.get('/Patient/:id', validateTokenWithScopes(['read:patient']), async (req, res) => {
+  try {
+    const patientId = await resolveFhirPatientId(req, res);
+    if (!patientId) {
+      return;
+    }
+
+    const patient = await fetchFhirPatient(patientId, req.correlationId);
+    if (req.params.id !== patient.id) {
+      return sendOutcome(req, res, 404, 'not-found', `Patient/${req.params.id} is not available to this account`);
+    }
+
+    applyCacheStatus(res, patient);
+    return sendFhir(res, 200, patient);
+  } catch (error) {
+    logger.error('Failed to serve FHIR Patient read', {
+      error: error.message,
+      status: error.status,
+      correlationId: req.correlationId
+    });
+    return respondWithFhirError(req, res, error);
+  }
+});
+
+router.get('/:resourceType', validateTokenWithScopes(['read:patient']), async (req, res) => {
+  const { resourceType } = req.params;
+  const searchType = FHIR_SEARCH_TYPES[resourceType];
+  if (!searchType) {
+    return sendOutcome(req, res, 404, 'not-supported', `Resource type ${resourceType} is not supported`);
+  }
+
+  let patientId;
+  try {
+    patientId = await resolveFhirPatientId(req, res);
+    if (!patientId) {
+      return;
+    }
+
+    const dateParams = parseDateParams(req.query.date);
+    const pageToken = getQueryValues(req.query[PAGE_TOKEN_PARAM])[0];
+    const categoryValues = getQueryValues(req.query.category);
+    const [categoryFilter] = categoryValues;
+    const categoryPushedDown = categoryValues.length === 1 && !categoryFilter.includes(',');
+
+    // date, code and category filter each Foundry page, and the next link carries them on. Foundry
+    // cannot sort, and sorting one page at a time would misorder the results across pages, so
+    // _sort is only served when a single page holds every result
+    const sorted = getQueryValues(req.query._sort).length > 0;
+    if (pageToken && sorted) {
+      return sendOutcome(req, res, 400, 'not-supported', '_sort cannot be combined with paging');
+    }
+    const searchOptions = {
+      patientId,
+      pageSize: getQueryValues(req.query._count)[0],
+      pageToken,
+      correlationId: req.correlationId
+    };
+
+    const payload = searchType.resource
+      ? await clinicalResourceService.fetchResource(searchType.resource, {
+        ...searchOptions,
+        // A single category can be pushed down to Foundry (and selects FastenVitals for vital-signs)
+        filters: categoryPushedDown ? { category: categoryFilter } : {}
+      })
+      : await encountersService.fetchEncounters(searchOptions);
+
+    if (payload.nextPageToken && sorted) {
+      return sendOutcome(
+        req,
+        res,
+        400,
+        'too-costly',
+        `_sort can only be used when the results fit in one page; raise _count (up to ${MAX_PAGE_COUNT}) or remove it`
+      );
+    }
+
+    const resources = payload.data
+      .map((entry) => searchType.toFhir(entry, patientId))
+      .filter((resource) => matchesDateParams(searchType.dateOf(resource), dateParams))
+      .filter((resource) => matchesTokenParam(searchType.codesOf(resource), req.query.code))
+      .filter((resource) => matchesTokenParam(searchType.categoriesOf(resource), req.query.category));
+
+    const baseUrl = getBaseUrl(req);
+    const bundle = buildSearchsetBundle({
+      entries: sortResources(resources, req.query._sort, searchType),
+      selfUrl: `${baseUrl}${req.url}`,
+      nextUrl: buildNextUrl(req, baseUrl, resourceType, payload.nextPageToken),
+      baseUrl
+    });
+
+    logger.info('FHIR search completed', {
+      resourceType,
+      patientId,
+      fetched: payload.data.length,
+      matched: resources.length,
+      hasNext: Boolean(payload.nextPageToken),
+      correlationId: req.correlationId
+    });
+
+    applyCacheStatus(res, payload);
+    return sendFhir(res, 200, bundle);
+  } catch (error) {
+    if (error.code === 'INVALID_SEARCH_PARAMETER') {
+      return sendOutcome(req, res, 400, 'invalid', error.message);
+    }
+
+    logger.error('Failed to serve FHIR search', {
+      resourceType,
+      patientId,
+      error: error.message,
+      status: error.status,
+      correlationId: req.correlationId
+    });
+    return respondWithFhirError(req, res, error);
+  }
+});
+
+export { router as fhirRouter };
@@ -1,395 +1,43 @@
 import express from 'express';
-import fetch from 'node-fetch';
-import crypto from 'crypto';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { FoundryService } from '../services/foundryService.js';
 import { MediaUploadService } from '../services/mediaUploadService.js';
 import { osdkHost, osdkOntologyRid } from '../osdk/client.js';
 import { logger } from '../utils/logger.js';
-import { EncountersService, DEFAULT_ENCOUNTERS_CACHE_TTL_MS } from '../services/encountersService.js';
+import { EncountersService } from '../services/encountersService.js';
+import { ClinicalResourceService, buildPatientFilter } from '../services/clinicalResourceService.js';
+import { CLINICAL_RESOURCES } from '../services/clinicalResources.js';
+import { TimelineService } from '../services/timelineService.js';
+import { EncounterDetailService } from '../services/encounterDetailService.js';
+import { ObservationSeriesService } from '../services/observationSeriesService.js';
+import { ObservationInterpretationService } from '../services/observationInterpretationService.js';
+import { AtlasIntraencounterService } from '../services/atlasIntraencounterService.js';
+import { MediaOwnershipService, getMediaCallerIdentities } from '../services/mediaOwnershipService.js';
+import { getMediaContentService } from '../services/mediaContentService.js';
+import { getMediaUrlSigner } from '../services/mediaUrlSigner.js';
+import { resolvePatientContext, respondMissingPatientId } from '../utils/patientContext.js';
 import { getCacheService } from '../services/cacheService.js';
-import { mediaCoalescer } from '../utils/requestCoalescer.js';
+import { getTieredCache } from '../services/tieredCache.js';
+import { getCacheInvalidationBus, getRequestCacheSubjects } from '../services/cacheInvalidation.js';
+import { applyCacheStatus } from '../utils/cacheHeaders.js';
 import { resolveLlmSummary } from '../utils/transcriptionSummary.js';
+import { readMediaUpload } from '../utils/mediaUpload.js';
 import arcExplainsRouter from './arcExplains.js';
 
 const router = express.Router();
 const cacheService = getCacheService();
+const mediaContentService = getMediaContentService();
+// Upper bound on items signed per request
+const MAX_SIGNED_MEDIA_ITEMS = 50;
+// Media items never change once uploaded
+const MEDIA_CACHE_CONTROL = 'private, max-age=86400, immutable';
 
 // Surface the Arc Explains endpoint via the consolidated Foundry router to avoid 404s if the
 // dedicated registration is missing in certain environments (e.g. legacy deployments).
 router.use('/arc-explains', arcExplainsRouter);
 
-const CLINICAL_NOTES_CACHE_TTL_MS = 30 * 1000;
-const CONDITIONS_CACHE_TTL_MS = 30 * 1000;
-const OBSERVATIONS_CACHE_TTL_MS = 30 * 1000;
-const PROCEDURES_CACHE_TTL_MS = 30 * 1000;
-const IMMUNIZATIONS_CACHE_TTL_MS = 30 * 1000;
-const ALLERGIES_CACHE_TTL_MS = 30 * 1000;
-const ENCOUNTERS_CACHE_TTL_MS = DEFAULT_ENCOUNTERS_CACHE_TTL_MS;
-const clinicalNotesCache = new Map();
-const conditionsCache = new Map();
-const observationsCache = new Map();
-const proceduresCache = new Map();
-const immunizationsCache = new Map();
-const allergiesCache = new Map();
-const encountersCache = new Map();
-// Use object types as specified in the API documentation
-const clinicalNotesObjectType = process.env.FOUNDRY_CLINICAL_NOTES_OBJECT_TYPE || 'FastenClinicalNotes';
-const conditionsObjectType = process.env.FOUNDRY_CONDITIONS_OBJECT_TYPE || 'FastenConditions';
-const observationsObjectType = process.env.FOUNDRY_OBSERVATIONS_OBJECT_TYPE || 'FastenObservations';
-const vitalsObjectType = process.env.FOUNDRY_VITALS_OBJECT_TYPE || 'FastenVitals';
-const proceduresObjectType = process.env.FOUNDRY_PROCEDURES_OBJECT_TYPE || 'FastenProcedures';
-const immunizationsObjectType = process.env.FOUNDRY_IMMUNIZATIONS_OBJECT_TYPE || 'FastenImmunizations';
-const allergiesObjectType = process.env.FOUNDRY_ALLERGIES_OBJECT_TYPE || 'FastenAllergies';
-
-function normalizeClinicalNoteEntry(entry) {
-  const base = entry && typeof entry === 'object' ? entry : {};
-  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
-
-  const resolvedNoteId = properties.noteId
-    || properties.note_id
-    || properties.documentId
-    || properties.document_id
-    || base.noteId
-    || base.note_id
-    || properties.$primaryKey
-    || base.$primaryKey
-    || properties.$rid
-    || base.$rid
-    || properties.id
-    || base.id
-    || properties.rid
-    || base.rid;
-
-  const resolvedTitle = properties.title
-    || properties.noteTitle
-    || properties.documentTitle
-    || properties.name
-    || properties.subject
-    || base.title
-    || base.noteTitle;
-
-  const resolvedDocumentType = properties.documentType
-    || properties.document_type
-    || properties.type
-    || properties.noteCategory
-    || properties.category
-    || base.documentType
-    || base.type;
-
-  const resolvedDocumentDate = properties.documentDate
-    || properties.document_date
-    || properties.date
-    || properties.noteDate
-    || properties.serviceDate
-    || properties.encounterDate
-    || base.documentDate
-    || base.date;
-
-  const resolvedAuthor = properties.author
-    || properties.signedBy
-    || properties.provider
-    || properties.clinician
-    || properties.authorName
-    || base.author
-    || base.provider;
-
-  const resolvedStatus = properties.status
-    || properties.state
-    || base.status
-    || base.state;
-
-  const resolvedNoteText = properties.noteText
-    || properties.rawContent
-    || properties.text
-    || properties.content
-    || properties.body
-    || properties.cleanText
-    || base.noteText
-    || base.rawContent
-    || base.text
-    || base.content
-    || base.body;
-
-  const resolvedEncounterId = properties.encounterId
-    || properties.encounter_id
-    || properties.encounter
-    || base.encounterId
-    || base.encounter_id;
-
-  // IMPORTANT: Start with ALL properties from Foundry to preserve rich FHIR data
-  // (procedures, diagnoses, medications, allergies, labs, etc.)
-  const normalized = { ...properties };
-
-  // Then add/override normalized fields
-  if (resolvedNoteId) {
-    normalized.noteId = resolvedNoteId;
-    if (!normalized.id) {
-      normalized.id = resolvedNoteId;
-    }
-  }
-
-  if (resolvedTitle && !normalized.title) {
-    normalized.title = resolvedTitle;
-  }
-
-  if (resolvedDocumentType && !normalized.documentType) {
-    normalized.documentType = resolvedDocumentType;
-  }
-
-  if (resolvedDocumentDate && !normalized.documentDate) {
-    normalized.documentDate = resolvedDocumentDate;
-  }
-
-  if (resolvedAuthor && !normalized.author) {
-    normalized.author = resolvedAuthor;
-  }
-
-  if (resolvedStatus && !normalized.status) {
-    normalized.status = resolvedStatus;
-  }
-
-  if (resolvedNoteText && !normalized.noteText) {
-    normalized.noteText = resolvedNoteText;
-  }
-
-  if (resolvedEncounterId && !normalized.encounterId) {
-    normalized.encounterId = resolvedEncounterId;
-  }
-
-  if (!normalized.patientId && base.patientId) {
-    normalized.patientId = base.patientId;
-  }
-
-  return normalized;
-}
-
-function normalizeProcedureEntry(entry) {
-  const base = entry && typeof entry === 'object' ? entry : {};
-  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
-
-  const rawProcedureId = properties.procedureId
-    || base.procedureId
-    || properties.id
-    || base.id
-    || properties.$primaryKey
-    || base.$primaryKey
-    || properties.rid
-    || base.rid;
-
-  const resolvedPerformedDate = properties.performedDate
-    || base.performedDate
-    || properties.performed_period_start
-    || properties.performedPeriodStart;
-
-  const normalized = {
-    ...properties,
-    procedureId: rawProcedureId || properties.procedureId
-  };
-
-  if (!normalized.id && rawProcedureId) {
-    normalized.id = rawProcedureId;
-  }
-
-  if (resolvedPerformedDate && !normalized.performedDate) {
-    normalized.performedDate = resolvedPerformedDate;
-  }
-
-  if (!normalized.patientId && base.patientId) {
-    normalized.patientId = base.patientId;
-  }
-
-  if (!normalized.procedureName && base.procedureName) {
-    normalized.procedureName = base.procedureName;
-  }
-
-  return normalized;
-}
-
-function normalizeObservationEntry(entry) {
-  const base = entry && typeof entry === 'object' ? entry : {};
-  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
-
-  const rawObservationId = properties.observationId
-    || properties.observation_id
-    || properties.vitalId
-    || properties.vital_id
-    || base.observationId
-    || base.observation_id
-    || properties.id
-    || base.id
-    || properties.$primaryKey
-    || base.$primaryKey
-    || base.rid
-    || properties.rid;
-
-  const rawEffectiveDatetime = properties.effectiveDatetime
-    || properties.effectiveDateTime
-    || properties.observationDate
-    || properties.date
-    || base.effectiveDatetime
-    || base.effectiveDateTime
-    || base.observationDate;
-
-  const resolvedCategoryDisplay = properties.categoryDisplay
-    || properties.category
-    || properties.vitalType
-    || base.categoryDisplay
-    || base.category;
-
-  const resolvedCodeDisplay = properties.codeDisplay
-    || properties.vitalType
-    || properties.display
-    || base.codeDisplay
-    || base.display;
-
-  const resolvedValueQuantity = properties.valueQuantity
-    ?? properties.valueNumeric
-    ?? base.valueQuantity
-    ?? base.valueNumeric;
-
-  const resolvedValueNumeric = properties.valueNumeric
-    ?? properties.valueQuantity
-    ?? base.valueNumeric
-    ?? base.valueQuantity;
-
-  const resolvedUnit = properties.valueUnit
-    || properties.unit
-    || base.valueUnit
-    || base.unit;
-
-  const normalized = {
-    ...properties,
-    observationId: rawObservationId || properties.observationId
-  };
-
-  if (!normalized.id && rawObservationId) {
-    normalized.id = rawObservationId;
-  }
-
-  if (rawEffectiveDatetime) {
-    normalized.effectiveDatetime = rawEffectiveDatetime;
-    if (!normalized.observationDate) {
-      normalized.observationDate = rawEffectiveDatetime;
-    }
-  }
-
-  if (!normalized.observationDate && base.observationDate) {
-    normalized.observationDate = base.observationDate;
-  }
-
-  if (resolvedCategoryDisplay) {
-    normalized.categoryDisplay = resolvedCategoryDisplay;
-    if (!normalized.category) {
-      normalized.category = resolvedCategoryDisplay;
-    }
-  }
-
-  if (resolvedCodeDisplay) {
-    normalized.codeDisplay = resolvedCodeDisplay;
-    if (!normalized.display) {
-      normalized.display = resolvedCodeDisplay;
-    }
-  }
-
-  if (resolvedValueQuantity !== undefined && resolvedValueQuantity !== null) {
-    normalized.valueQuantity = resolvedValueQuantity;
-  }
-
-  if (resolvedValueNumeric !== undefined && resolvedValueNumeric !== null) {
-    normalized.valueNumeric = resolvedValueNumeric;
-  }
-
-  if (!normalized.valueUnit && resolvedUnit) {
-    normalized.valueUnit = resolvedUnit;
-  }
-
-  if (!normalized.patientId && base.patientId) {
-    normalized.patientId = base.patientId;
-  }
-
-  if (properties.vitalType && !normalized.vitalType) {
-    normalized.vitalType = properties.vitalType;
-  }
-
-  return normalized;
-}
-
-function normalizeImmunizationEntry(entry) {
-  const base = entry && typeof entry === 'object' ? entry : {};
-  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
-
-  const resolvedId = properties.immunizationId
-    || properties.immunization_id
-    || base.immunizationId
-    || base.immunization_id
-    || properties.id
-    || base.id
-    || properties.$primaryKey
-    || base.$primaryKey
-    || base.rid
-    || properties.rid;
-
-  const normalized = { ...properties };
-
-  if (resolvedId && !normalized.immunizationId) {
-    normalized.immunizationId = resolvedId;
-  }
-
-  if (resolvedId && !normalized.id) {
-    normalized.id = resolvedId;
-  }
-
-  const snakeCaseMappings = {
-    vaccine_name: 'vaccineName',
-    occurrence_date: 'occurrenceDate',
-    expiration_date: 'expirationDate',
-    lot_number: 'lotNumber',
-    dose_quantity: 'doseQuantity',
-    dose_unit: 'doseUnit',
-    performer_name: 'performerName',
-    performer_function: 'performerFunction',
-    performer_id: 'performerId',
-    primary_source: 'primarySource',
-    reason_code: 'reasonCode',
-    reason_reference: 'reasonReference',
-    source_file: 'sourceFile',
-    run_id: 'runId'
-  };
-
-  Object.entries(snakeCaseMappings).forEach(([sourceKey, targetKey]) => {
-    if (normalized[targetKey] === undefined && properties[sourceKey] !== undefined) {
-      normalized[targetKey] = properties[sourceKey];
-    }
-  });
-
-  if (!normalized.occurrenceDate && base.occurrenceDate) {
-    normalized.occurrenceDate = base.occurrenceDate;
-  }
-
-  if (!normalized.expirationDate && base.expirationDate) {
-    normalized.expirationDate = base.expirationDate;
-  }
-
-  if (!normalized.patientId && base.patientId) {
-    normalized.patientId = base.patientId;
-  }
-
-  if (!normalized.encounterId && base.encounterId) {
-    normalized.encounterId = base.encounterId;
-  }
-
-  if (typeof normalized.primarySource === 'string') {
-    const value = normalized.primarySource.trim().toLowerCase();
-    if (['true', '1', 'yes'].includes(value)) {
-      normalized.primarySource = true;
-    } else if (['false', '0', 'no'].includes(value)) {
-      normalized.primarySource = false;
-    }
-  }
-
-  return normalized;
-}
+// One bounded L1 + Redis cache shared by every clinical service
+const clinicalCache = getTieredCache();
 
 // Initialize Foundry service
 const foundryService = new FoundryService({
@@ -404,192 +52,76 @@ const foundryService = new FoundryService({
 
 const encountersService = new EncountersService({
   foundryService,
-  cacheTtlMs: ENCOUNTERS_CACHE_TTL_MS,
-  cache: encountersCache
+  cache: clinicalCache
 });
 
-function collectIdentityCandidates(req, allowQueryOverride = true) {
-  const candidates = [];
-
-  // Primary: Always prioritize Auth0 user ID (auth0|xxx format)
-  const auth0Sub = typeof req.user?.sub === 'string' ? req.user.sub.trim() : '';
-  if (auth0Sub) {
-    candidates.push(auth0Sub);
-  }
-
-  // Secondary: Allow query override only if no Auth0 user ID or explicitly allowed
-  if (allowQueryOverride) {
-    const queryValue = typeof req.query.patientId === 'string' ? req.query.patientId.trim() : '';
-    if (queryValue) {
-      candidates.push(queryValue);
-    }
-  }
-
-  // Fallback: Username-like candidates (only if Auth0 user ID not available)
-  if (!auth0Sub) {
-    const usernameLikeCandidates = [
-      typeof req.context?.username === 'string' ? req.context.username.trim() : '',
-      typeof req.user?.preferred_username === 'string' ? req.user.preferred_username.trim() : '',
-      typeof req.user?.nickname === 'string' ? req.user.nickname.trim() : '',
-      typeof req.user?.email === 'string' ? req.user.email.trim() : ''
-    ];
+const clinicalResourceService = new ClinicalResourceService({
+  foundryService,
+  cache: clinicalCache
+});
 
-    for (const candidate of usernameLikeCandidates) {
-      if (candidate) {
-        candidates.push(candidate);
-      }
-    }
-  }
+const timelineService = new TimelineService({
+  clinicalResourceService,
+  encountersService,
+  cache: clinicalCache
+});
 
-  const unique = Array.from(new Set(candidates.filter(Boolean)));
-  return unique;
-}
+const encounterDetailService = new EncounterDetailService({
+  encountersService,
+  clinicalResourceService,
+  intraencounterService: new AtlasIntraencounterService()
+});
 
-async function resolvePatientContext(
-  req,
-  { routeName, allowQueryOverride = true } = {}
-) {
-  req.context = req.context || {};
+const observationInterpretationService = new ObservationInterpretationService({
+  foundryService,
+  clinicalResourceService,
+  cache: clinicalCache
+});
 
-  if (req.context.foundryPatientContext) {
-    return req.context.foundryPatientContext;
-  }
+const observationSeriesService = new ObservationSeriesService({
+  clinicalResourceService,
+  cache: clinicalCache
+});
 
-  const identityCandidates = collectIdentityCandidates(req, allowQueryOverride);
-  const queryOverride = allowQueryOverride && typeof req.query.patientId === 'string'
-    ? req.query.patientId.trim()
-    : '';
-  const auth0Sub = typeof req.user?.sub === 'string' ? req.user.sub.trim() : '';
+const mediaOwnershipService = new MediaOwnershipService({
+  foundryService,
+  intraencounterService: new AtlasIntraencounterService(),
+  cache: clinicalCache
+});
 
-  let resolvedPatientId = '';
-  let matchedIdentifier = '';
-  let source = '';
-  let lookedUpViaFoundry = false;
+// Media routes serve an item only to the user whose profile, medications upload or intra-encounter
+// references it. Runs before the media cache so cached content is covered too.
+async function requireMediaOwnership(req, res, next) {
+  try {
+    const { mediaItemRid } = req.params;
+    const { allowed, owner } = await mediaOwnershipService.authorize(
+      mediaItemRid,
+      await getMediaCallerIdentities(req, { foundryService }),
+      { correlationId: req.correlationId }
+    );
 
-  for (const identifier of identityCandidates) {
-    try {
-      const profile = await foundryService.getPatientProfile(identifier);
-      if (profile) {
-        const properties = profile.properties && typeof profile.properties === 'object'
-          ? profile.properties
-          : profile;
-        const candidatePatientId = properties.user_id
-          || properties.userId
-          || properties.patientId
-          || properties.patient_id
-          || properties.atlasId
-          || properties.$primaryKey
-          || properties.$rid
-          || identifier;
-
-        if (candidatePatientId) {
-          resolvedPatientId = String(candidatePatientId).trim();
-          matchedIdentifier = identifier;
-          source = 'foundry-profile';
-          lookedUpViaFoundry = true;
-          break;
-        }
-      }
-    } catch (error) {
-      logger.warn('Foundry patient profile lookup failed', {
-        routeName,
-        identifier,
-        error: error.message,
+    if (!allowed) {
+      logger.warn('Media access denied', {
+        mediaItemRid,
+        user: req.user?.sub,
+        ownerSource: owner?.source,
         correlationId: req.correlationId
       });
+      return res.status(403).json({
+        error: {
+          code: 'MEDIA_ACCESS_DENIED',
+          message: 'This media item does not belong to the authenticated user',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
     }
-  }
-
-  if (!resolvedPatientId && auth0Sub) {
-    resolvedPatientId = auth0Sub;
-    matchedIdentifier = auth0Sub;
-    source = 'auth0-sub';
-  }
-
-  if (!resolvedPatientId && queryOverride) {
-    resolvedPatientId = queryOverride;
-    matchedIdentifier = queryOverride;
-    source = 'query-param';
-  }
-
-  if (!resolvedPatientId) {
-    const fallbackCandidate = identityCandidates.find(Boolean);
-    if (fallbackCandidate) {
-      resolvedPatientId = fallbackCandidate;
-      matchedIdentifier = fallbackCandidate;
-      source = fallbackCandidate === queryOverride ? 'query-param' : 'username-claim';
-    }
-  }
-
-  const context = {
-    patientId: resolvedPatientId,
-    matchedIdentifier: matchedIdentifier || null,
-    source: source || null,
-    queryOverride: queryOverride && queryOverride !== resolvedPatientId ? queryOverride : undefined,
-    lookedUpViaFoundry,
-    identityCandidates
-  };
-
-  req.context.foundryPatientContext = context;
-
-  if (resolvedPatientId) {
-    logger.debug('Resolved patient context for Foundry route', {
-      routeName,
-      patientId: resolvedPatientId,
-      source: context.source,
-      matchedIdentifier: context.matchedIdentifier,
-      queryOverride: context.queryOverride,
-      correlationId: req.correlationId
-    });
-  }
-
-  return context;
-}
-
-function respondMissingPatientId(req, res, routeName) {
-  return res.status(400).json({
-    error: {
-      code: 'MISSING_PATIENT_ID',
-      message: 'Unable to resolve patient identity for this account',
-      route: routeName,
-      correlationId: req.correlationId,
-      timestamp: new Date().toISOString()
-    }
-  });
-}
-
-function buildPatientFilter(patientId) {
-  const normalized = typeof patientId === 'string' ? patientId.trim() : patientId;
-  
-  if (!normalized) {
-    return null;
-  }
 
-  // For Auth0 user IDs (auth0|xxx format), use auth0id field directly
-  if (normalized.startsWith('auth0|')) {
-    return {
-      type: 'eq',
-      field: 'auth0id',
-      value: normalized
-    };
-  }
-
-  // For non-Auth0 IDs, fall back to multiple field search
-  const targetFields = ['patientId', 'userId', 'patient_id', 'user_id'];
-  const filters = [];
-  
-  for (const field of targetFields) {
-    filters.push({
-      type: 'eq',
-      field,
-      value: normalized
-    });
+    req.mediaOwner = owner;
+    next();
+  } catch (error) {
+    next(error);
   }
-
-  return {
-    type: 'or',
-    value: filters
-  };
 }
 
 // Generic action invocation endpoint
@@ -661,1092 +193,128 @@ router.post('/actions/:actionId/invoke', validateTokenWithScopes(['execute:actio
   }
 });
 
-router.get('/clinical-notes', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
-  let patientContext;
-  try {
-    patientContext = await resolvePatientContext(req, { routeName: 'clinical-notes' });
-    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
-    if (!patientId) {
-      return respondMissingPatientId(req, res, 'clinical-notes');
+/**
+ * Map Foundry failures onto the API error contract shared by the clinical resource routes.
+ * Returns the sent response, or null when the error should fall through to the error handler.
+ */
+function respondWithFoundryError(req, res, error) {
+  const sendError = (status, code, message) => res.status(status).json({
+    error: {
+      code,
+      message,
+      correlationId: req.correlationId,
+      timestamp: new Date().toISOString()
     }
+  });
 
-    const parsedPageSize = Number.parseInt(req.query.pageSize, 10);
-    const pageSize = Math.max(Math.min(Number.isFinite(parsedPageSize) ? parsedPageSize : 25, 100), 1);
-    const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
-      ? req.query.pageToken.trim()
-      : undefined;
+  if (error.status === 429) {
+    return sendError(503, 'FOUNDRY_THROTTLED', 'Foundry returned throttling response');
+  }
 
-    const allowedSortFields = new Set(['date', 'encounterId']);
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : '';
-    let sortField = 'date';
-    let sortDirection = 'DESC';
-
-    if (sortParam) {
-      let requestedField = sortParam;
-      let requestedDirection = sortDirection;
-
-      if (sortParam.includes(':')) {
-        const [fieldPart, directionPart] = sortParam.split(':');
-        requestedField = fieldPart.trim();
-        const trimmedDirection = directionPart?.trim().toUpperCase();
-        if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
-          requestedDirection = trimmedDirection;
-        }
-      } else if (sortParam.startsWith('-')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'DESC';
-      } else if (sortParam.startsWith('+')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'ASC';
-      } else {
-        requestedField = sortParam;
-        requestedDirection = 'DESC';
-      }
+  if (error.status === 400) {
+    return sendError(400, 'INVALID_REQUEST', error.foundryError?.message || 'Invalid Foundry request parameters');
+  }
 
-      if (allowedSortFields.has(requestedField)) {
-        sortField = requestedField;
-        sortDirection = requestedDirection;
+  if (error.message === 'Foundry service temporarily unavailable') {
+    return sendError(503, 'FOUNDRY_UNAVAILABLE', 'Foundry service temporarily unavailable');
+  }
+
+  if (typeof error.message === 'string' && error.message.endsWith('ontology RID is not configured')) {
+    return sendError(500, 'CONFIGURATION_ERROR', error.message);
+  }
+
+  return null;
+}
+
+function createClinicalResourceHandler(resource) {
+  return async (req, res, next) => {
+    let patientContext;
+    try {
+      patientContext = await resolvePatientContext(req, { foundryService, routeName: resource.name });
+      const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+      if (!patientId) {
+        return respondMissingPatientId(req, res, resource.name);
       }
-    }
 
-    const cacheKey = JSON.stringify({ patientId, pageSize, pageToken: pageToken ?? null, sortField, sortDirection });
-    const now = Date.now();
-    const cached = clinicalNotesCache.get(cacheKey);
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving clinical notes from cache', {
+      let payload = await clinicalResourceService.fetchResource(resource, {
         patientId,
-        pageSize,
-        sortField,
-        sortDirection,
-        pageToken,
+        pageSize: req.query.pageSize,
+        pageToken: req.query.pageToken,
+        sort: req.query.sort,
+        filters: req.query,
         correlationId: req.correlationId
       });
-      return res.json(cached.payload);
-    }
-
-    const ontologyId = foundryService.getApiOntologyRid();
-    if (!ontologyId) {
-      throw new Error('Foundry clinical notes ontology RID is not configured');
-    }
-
-    const payload = {
-      where: buildPatientFilter(patientId)
-    };
-
-    // Add optional fields only if they're supported
-    if (pageSize && pageSize > 0) {
-      payload.pageSize = pageSize;
-    }
-    
-    // Remove orderBy for now - it's causing InvalidFieldType errors
-    // The FastenClinicalNotes object type might not support ordering
-    // if (sortField && sortDirection) {
-    //   payload.orderBy = [{ field: sortField, direction: sortDirection }];
-    // }
-
-    if (pageToken) {
-      payload.pageToken = pageToken;
-    }
-
-    logger.info('Fetching clinical notes from Foundry', {
-      requestedPatientId: patientId,
-      pageSize,
-      sortField,
-      sortDirection,
-      pageToken,
-      payload: JSON.stringify(payload),
-      ontologyObjectType: clinicalNotesObjectType,
-      correlationId: req.correlationId
-    });
 
-    // Use the same method as the working patient profile
-    let result;
-    try {
-      result = await foundryService.searchOntologyObjects(ontologyId, clinicalNotesObjectType, payload);
-    } catch (error) {
-      if (error.status === 429) {
-        return res.status(503).json({
-          error: {
-            code: 'FOUNDRY_THROTTLED',
-            message: 'Foundry returned throttling response',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
+      if (resource.interpretValues) {
+        payload = await observationInterpretationService.interpretPayload(payload, {
+          userId: req.user?.sub,
+          patientId,
+          abnormalOnly: req.query.abnormalOnly === 'true',
+          correlationId: req.correlationId
         });
       }
 
-      if (error.status === 400) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_REQUEST',
-            message: error.foundryError?.message || 'Invalid Foundry request parameters',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
+      applyCacheStatus(res, payload);
+      res.json(payload);
+    } catch (error) {
+      if (respondWithFoundryError(req, res, error)) {
+        return;
       }
 
-      throw error;
-    }
-
-    const rawEntries = [];
-    if (Array.isArray(result?.data)) {
-      rawEntries.push(...result.data);
-    }
-    if (Array.isArray(result?.objects)) {
-      rawEntries.push(...result.objects);
-    }
-    if (Array.isArray(result?.results)) {
-      rawEntries.push(...result.results);
-    }
-    if (Array.isArray(result?.entries)) {
-      rawEntries.push(...result.entries);
-    }
-
-    const notes = rawEntries
-      .map((entry) => normalizeClinicalNoteEntry(entry))
-      .filter((note) => note && typeof note === 'object' && (note.noteId || note.id));
-
-    const responsePayload = {
-      success: true,
-      data: notes,
-      nextPageToken: result?.nextPageToken || result?.next_page_token || result?.pageToken || null,
-      fetchedAt: new Date().toISOString(),
-      correlationId: req.correlationId
-    };
-
-    logger.info('Foundry clinical notes response', {
-      patientId,
-      count: notes.length,
-      nextPageToken: responsePayload.nextPageToken,
-      correlationId: req.correlationId
-    });
-
-    clinicalNotesCache.set(cacheKey, {
-      expiresAt: now + CLINICAL_NOTES_CACHE_TTL_MS,
-      payload: responsePayload
-    });
-
-    res.json(responsePayload);
-  } catch (error) {
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    logger.error('Failed to fetch clinical notes', {
-      patientId: patientContext?.patientId,
-      error: error.message,
-      status: error.status,
-      correlationId: req.correlationId
-    });
-
-    next(error);
-  }
-});
-
-router.get('/procedures', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
-  let patientContext;
-  try {
-    patientContext = await resolvePatientContext(req, { routeName: 'procedures' });
-    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
-
-    if (!patientId) {
-      return respondMissingPatientId(req, res, 'procedures');
-    }
-
-    const parsedPageSize = Number.parseInt(req.query.pageSize, 10);
-    const pageSize = Math.max(Math.min(Number.isFinite(parsedPageSize) ? parsedPageSize : 25, 100), 1);
-    const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
-      ? req.query.pageToken.trim()
-      : undefined;
-
-    const allowedSortFields = new Set(['performedDate', 'procedureName', 'status']);
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : '';
-    let sortField = 'performedDate';
-    let sortDirection = 'DESC';
-
-    if (sortParam) {
-      let requestedField = sortParam;
-      let requestedDirection = sortDirection;
-
-      if (sortParam.includes(':')) {
-        const [fieldPart, directionPart] = sortParam.split(':');
-        requestedField = fieldPart.trim();
-        const trimmedDirection = directionPart?.trim().toUpperCase();
-        if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
-          requestedDirection = trimmedDirection;
-        }
-      } else if (sortParam.startsWith('-')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'DESC';
-      } else if (sortParam.startsWith('+')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'ASC';
-      } else {
-        requestedField = sortParam;
-        requestedDirection = 'DESC';
-      }
-
-      if (allowedSortFields.has(requestedField)) {
-        sortField = requestedField;
-        sortDirection = requestedDirection;
-      }
-    }
-
-    const cacheKey = JSON.stringify({ patientId, pageSize, pageToken: pageToken ?? null, sortField, sortDirection });
-    const now = Date.now();
-    const cached = proceduresCache.get(cacheKey);
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving procedures from cache', {
-        patientId,
-        pageSize,
-        sortField,
-        sortDirection,
-        pageToken,
-        correlationId: req.correlationId
-      });
-      return res.json(cached.payload);
-    }
-
-    const ontologyId = foundryService.getApiOntologyRid();
-    if (!ontologyId) {
-      throw new Error('Foundry procedures ontology RID is not configured');
-    }
-
-    const payload = {
-      where: buildPatientFilter(patientId),
-      pageSize
-    };
-
-    // Omit orderBy until schema is confirmed to support sorting fields to avoid InvalidFieldType errors
-
-    if (pageToken) {
-      payload.pageToken = pageToken;
-    }
-
-    logger.info('Fetching procedures from Foundry', {
-      requestedPatientId: patientId,
-      pageSize,
-      sortField,
-      sortDirection,
-      pageToken,
-      payload: JSON.stringify(payload),
-      ontologyObjectType: proceduresObjectType,
-      correlationId: req.correlationId
-    });
-
-    let result;
-    try {
-      result = await foundryService.searchOntologyObjects(ontologyId, proceduresObjectType, payload);
-    } catch (error) {
-      if (error.status === 429) {
-        return res.status(503).json({
-          error: {
-            code: 'FOUNDRY_THROTTLED',
-            message: 'Foundry returned throttling response',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      if (error.status === 400) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_REQUEST',
-            message: error.foundryError?.message || 'Invalid Foundry request parameters',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      throw error;
-    }
-
-    const rawEntries = [];
-    if (Array.isArray(result?.data)) {
-      rawEntries.push(...result.data);
-    }
-    if (Array.isArray(result?.objects)) {
-      rawEntries.push(...result.objects);
-    }
-    if (Array.isArray(result?.results)) {
-      rawEntries.push(...result.results);
-    }
-    if (Array.isArray(result?.entries)) {
-      rawEntries.push(...result.entries);
-    }
-
-    const procedures = rawEntries.map((entry) => normalizeProcedureEntry(entry));
-
-    const responsePayload = {
-      success: true,
-      data: procedures,
-      nextPageToken: result?.nextPageToken || result?.next_page_token || result?.pageToken || null,
-      fetchedAt: new Date().toISOString(),
-      correlationId: req.correlationId
-    };
-
-    proceduresCache.set(cacheKey, {
-      expiresAt: now + PROCEDURES_CACHE_TTL_MS,
-      payload: responsePayload
-    });
-
-    res.json(responsePayload);
-  } catch (error) {
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    if (error.message === 'Foundry procedures ontology RID is not configured') {
-      return res.status(500).json({
-        error: {
-          code: 'CONFIGURATION_ERROR',
-          message: error.message,
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    logger.error('Failed to fetch procedures', {
-      patientId: patientContext?.patientId,
-      error: error.message,
-      status: error.status,
-      correlationId: req.correlationId
-    });
-
-    next(error);
-  }
-});
-
-router.get('/encounters', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
-  let patientContext;
-  try {
-    patientContext = await resolvePatientContext(req, { routeName: 'encounters' });
-    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
-    if (!patientId) {
-      return respondMissingPatientId(req, res, 'encounters');
-    }
-
-    const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
-      ? req.query.pageToken.trim()
-      : undefined;
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : undefined;
-
-    const payload = await encountersService.fetchEncounters({
-      patientId,
-      pageSize: req.query.pageSize,
-      pageToken,
-      sort: sortParam,
-      correlationId: req.correlationId
-    });
-
-    res.json(payload);
-  } catch (error) {
-    if (error.status === 429) {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_THROTTLED',
-          message: 'Foundry returned throttling response',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    if (error.status === 400) {
-      return res.status(400).json({
-        error: {
-          code: 'INVALID_REQUEST',
-          message: error.foundryError?.message || 'Invalid Foundry request parameters',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    if (error.message === 'Foundry encounters ontology RID is not configured') {
-      return res.status(500).json({
-        error: {
-          code: 'CONFIGURATION_ERROR',
-          message: error.message,
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    logger.error('Failed to fetch encounters', {
-      patientId: patientContext?.patientId,
-      error: error.message,
-      status: error.status,
-      correlationId: req.correlationId
-    });
-
-    next(error);
-  }
-});
-
-router.get('/immunizations', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
-  let patientContext;
-  try {
-    patientContext = await resolvePatientContext(req, { routeName: 'immunizations' });
-    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
-
-    if (!patientId) {
-      return respondMissingPatientId(req, res, 'immunizations');
-    }
-
-    const parsedPageSize = Number.parseInt(req.query.pageSize, 10);
-    const pageSize = Math.max(Math.min(Number.isFinite(parsedPageSize) ? parsedPageSize : 25, 100), 1);
-    const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
-      ? req.query.pageToken.trim()
-      : undefined;
-
-    const allowedSortFields = new Set(['occurrenceDate', 'vaccineName', 'status']);
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : '';
-    let sortField = 'occurrenceDate';
-    let sortDirection = 'DESC';
-
-    if (sortParam) {
-      let requestedField = sortParam;
-      let requestedDirection = sortDirection;
-
-      if (sortParam.includes(':')) {
-        const [fieldPart, directionPart] = sortParam.split(':');
-        requestedField = fieldPart.trim();
-        const trimmedDirection = directionPart?.trim().toUpperCase();
-        if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
-          requestedDirection = trimmedDirection;
-        }
-      } else if (sortParam.startsWith('-')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'DESC';
-      } else if (sortParam.startsWith('+')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'ASC';
-      } else {
-        requestedField = sortParam;
-        requestedDirection = 'DESC';
-      }
-
-      if (allowedSortFields.has(requestedField)) {
-        sortField = requestedField;
-        sortDirection = requestedDirection;
-      }
-    }
-
-    const cacheKey = JSON.stringify({
-      patientId,
-      pageSize,
-      pageToken: pageToken ?? null,
-      sortField,
-      sortDirection
-    });
-    const now = Date.now();
-    const cached = immunizationsCache.get(cacheKey);
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving immunizations from cache', {
-        patientId,
-        pageSize,
-        sortField,
-        sortDirection,
-        pageToken,
-        correlationId: req.correlationId
-      });
-      return res.json(cached.payload);
-    }
-
-    const ontologyId = foundryService.getApiOntologyRid();
-    if (!ontologyId) {
-      throw new Error('Foundry immunizations ontology RID is not configured');
-    }
-
-    const queryPatientId = patientId;
-
-    const filters = [];
-    const patientFilter = buildPatientFilter(patientId);
-    if (patientFilter) {
-      filters.push(patientFilter);
-    }
-
-    const payload = {
-      where: filters.length === 1 ? filters[0] : { type: 'and', value: filters }
-    };
-
-    if (pageSize && pageSize > 0) {
-      payload.pageSize = pageSize;
-    }
-
-    // Sorting has historically produced InvalidFieldType errors on similar ontologies.
-    // Keep parity with other record fetches by omitting orderBy until confirmed otherwise.
-
-    if (pageToken) {
-      payload.pageToken = pageToken;
-    }
-
-    logger.info('Fetching immunizations from Foundry', {
-      patientId,
-      queryPatientId,
-      pageSize,
-      sortField,
-      sortDirection,
-      pageToken,
-      payload: JSON.stringify(payload),
-      correlationId: req.correlationId
-    });
-
-    let result;
-    try {
-      result = await foundryService.searchOntologyObjects(ontologyId, immunizationsObjectType, payload);
-    } catch (error) {
-      if (error.status === 429) {
-        return res.status(503).json({
-          error: {
-            code: 'FOUNDRY_THROTTLED',
-            message: 'Foundry returned throttling response',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      if (error.status === 400) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_REQUEST',
-            message: error.foundryError?.message || 'Invalid Foundry request parameters',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      throw error;
-    }
-
-    const rawEntries = [];
-    if (Array.isArray(result?.data)) {
-      rawEntries.push(...result.data);
-    }
-    if (Array.isArray(result?.objects)) {
-      rawEntries.push(...result.objects);
-    }
-    if (Array.isArray(result?.results)) {
-      rawEntries.push(...result.results);
-    }
-    if (Array.isArray(result?.entries)) {
-      rawEntries.push(...result.entries);
-    }
-
-    const immunizations = rawEntries.map((entry) => normalizeImmunizationEntry(entry));
-
-    const responsePayload = {
-      success: true,
-      data: immunizations,
-      nextPageToken: result?.nextPageToken || result?.next_page_token || result?.pageToken || null,
-      fetchedAt: new Date().toISOString(),
-      correlationId: req.correlationId
-    };
-
-    immunizationsCache.set(cacheKey, {
-      expiresAt: now + IMMUNIZATIONS_CACHE_TTL_MS,
-      payload: responsePayload
-    });
-
-    res.json(responsePayload);
-  } catch (error) {
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    logger.error('Failed to fetch immunizations', {
-      patientId: patientContext?.patientId,
-      error: error.message,
-      status: error.status,
-      correlationId: req.correlationId
-    });
-
-    next(error);
-  }
-});
-
-router.get('/observations', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
-  let patientContext;
-  try {
-    patientContext = await resolvePatientContext(req, { routeName: 'observations' });
-    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
-
-    if (!patientId) {
-      return respondMissingPatientId(req, res, 'observations');
-    }
-
-    const categoryParam = typeof req.query.category === 'string' ? req.query.category.trim() : '';
-    const useFastenVitals = categoryParam === 'vital-signs';
-
-    const parsedPageSize = Number.parseInt(req.query.pageSize, 10);
-    const pageSize = Math.max(Math.min(Number.isFinite(parsedPageSize) ? parsedPageSize : 25, 100), 1);
-    const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
-      ? req.query.pageToken.trim()
-      : undefined;
-
-    const allowedSortFields = new Set(['observationDate', 'codeDisplay', 'category']);
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : '';
-    let sortField = 'observationDate';
-    let sortDirection = 'DESC';
-
-    if (sortParam) {
-      let requestedField = sortParam;
-      let requestedDirection = sortDirection;
-
-      if (sortParam.includes(':')) {
-        const [fieldPart, directionPart] = sortParam.split(':');
-        requestedField = fieldPart.trim();
-        const trimmedDirection = directionPart?.trim().toUpperCase();
-        if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
-          requestedDirection = trimmedDirection;
-        }
-      } else if (sortParam.startsWith('-')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'DESC';
-      } else if (sortParam.startsWith('+')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'ASC';
-      } else {
-        requestedField = sortParam;
-        requestedDirection = 'DESC';
-      }
-
-      if (allowedSortFields.has(requestedField)) {
-        sortField = requestedField;
-        sortDirection = requestedDirection;
-      }
-    }
-
-    const cacheKey = JSON.stringify({
-      patientId,
-      category: categoryParam || null,
-      pageSize,
-      pageToken: pageToken ?? null,
-      sortField,
-      sortDirection
-    });
-    const now = Date.now();
-    const cached = observationsCache.get(cacheKey);
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving observations from cache', {
-        patientId,
-        category: categoryParam || null,
-        pageSize,
-        sortField,
-        sortDirection,
-        pageToken,
-        correlationId: req.correlationId
-      });
-      return res.json(cached.payload);
-    }
-
-    const ontologyId = foundryService.getApiOntologyRid();
-    if (!ontologyId) {
-      throw new Error('Foundry observations ontology RID is not configured');
-    }
-
-    // Map iOS category values to ontology fields when using the general observations object type
-    const categoryMapping = {
-      'vital-signs': {
-        code: 'vital-signs',
-        display: 'Vital Signs'
-      },
-      'laboratory': {
-        code: 'laboratory',
-        display: 'Laboratory'
-      },
-      'survey': {
-        code: 'survey',
-        display: 'Survey'
-      },
-      'exam': {
-        code: 'exam',
-        display: 'Exam'
-      }
-    };
-
-    const mappedCategory = (!useFastenVitals && categoryParam)
-      ? categoryMapping[categoryParam] || { code: categoryParam }
-      : null;
-
-    const filters = [];
-    const patientFilter = buildPatientFilter(patientId);
-    if (patientFilter) {
-      filters.push(patientFilter);
-    }
-
-    if (mappedCategory) {
-      const categoryFilters = [];
-
-      if (mappedCategory.code) {
-        categoryFilters.push({
-          type: 'eq',
-          field: 'categoryCode',
-          value: mappedCategory.code
-        });
-      }
-
-      if (mappedCategory.display) {
-        categoryFilters.push({
-          type: 'eq',
-          field: 'categoryDisplay',
-          value: mappedCategory.display
-        });
-      }
-
-      // Avoid legacy 'category' field which is not present on FastenObservations in some environments
-
-      if (categoryFilters.length === 1) {
-        filters.push(categoryFilters[0]);
-      } else if (categoryFilters.length > 1) {
-        filters.push({
-          type: 'or',
-          value: categoryFilters
-        });
-      }
-    }
-
-    const payload = {
-      where: filters.length === 1 ? filters[0] : { type: 'and', value: filters }
-    };
-
-    if (pageSize && pageSize > 0) {
-      payload.pageSize = pageSize;
-    }
-
-    // Sorting has historically produced InvalidFieldType errors on this ontology.
-    // Keep query parity with Clinical Notes by omitting orderBy until confirmed otherwise.
-
-    if (pageToken) {
-      payload.pageToken = pageToken;
-    }
-
-    // Log the request with category mapping for debugging
-    const objectType = useFastenVitals ? vitalsObjectType : observationsObjectType;
-
-    logger.info('Fetching observations from Foundry', {
-      patientId,
-      category: categoryParam || null,
-      mappedCategory: mappedCategory || null,
-      mappedCategoryCode: mappedCategory?.code || null,
-      mappedCategoryDisplay: mappedCategory?.display || null,
-      pageSize,
-      sortField,
-      sortDirection,
-      pageToken,
-      payload: JSON.stringify(payload),
-      ontologyObjectType: objectType,
-      correlationId: req.correlationId
-    });
-
-    let result;
-    try {
-      result = await foundryService.searchOntologyObjects(ontologyId, objectType, payload);
-    } catch (error) {
-      if (error.status === 429) {
-        return res.status(503).json({
-          error: {
-            code: 'FOUNDRY_THROTTLED',
-            message: 'Foundry returned throttling response',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      if (error.status === 400) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_REQUEST',
-            message: error.foundryError?.message || 'Invalid Foundry request parameters',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      throw error;
-    }
-
-    const rawEntries = [];
-    if (Array.isArray(result?.data)) {
-      rawEntries.push(...result.data);
-    }
-    if (Array.isArray(result?.objects)) {
-      rawEntries.push(...result.objects);
-    }
-    if (Array.isArray(result?.results)) {
-      rawEntries.push(...result.results);
-    }
-    if (Array.isArray(result?.entries)) {
-      rawEntries.push(...result.entries);
-    }
-
-    const observations = rawEntries.map((entry) => normalizeObservationEntry(entry));
-
-    const responsePayload = {
-      success: true,
-      data: observations,
-      nextPageToken: result?.nextPageToken || result?.next_page_token || result?.pageToken || null,
-      fetchedAt: new Date().toISOString(),
-      correlationId: req.correlationId
-    };
-
-    observationsCache.set(cacheKey, {
-      expiresAt: now + OBSERVATIONS_CACHE_TTL_MS,
-      payload: responsePayload
-    });
-
-    res.json(responsePayload);
-  } catch (error) {
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    logger.error('Failed to fetch observations', {
-      patientId: patientContext?.patientId,
-      error: error.message,
-      status: error.status,
-      correlationId: req.correlationId
-    });
-
-    next(error);
-  }
-});
-
-router.get('/allergies', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
-  let patientContext;
-  try {
-    patientContext = await resolvePatientContext(req, { routeName: 'allergies' });
-    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
-
-    if (!patientId) {
-      return respondMissingPatientId(req, res, 'allergies');
-    }
-
-    const parsedPageSize = Number.parseInt(req.query.pageSize, 10);
-    const pageSize = Math.max(Math.min(Number.isFinite(parsedPageSize) ? parsedPageSize : 25, 100), 1);
-    const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
-      ? req.query.pageToken.trim()
-      : undefined;
-
-    const allowedSortFields = new Set(['recordedDate', 'allergyDisplay', 'clinicalStatus', 'verificationStatus']);
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : '';
-    let sortField = 'recordedDate';
-    let sortDirection = 'DESC';
-
-    if (sortParam) {
-      let requestedField = sortParam;
-      let requestedDirection = sortDirection;
-
-      if (sortParam.includes(':')) {
-        const [fieldPart, directionPart] = sortParam.split(':');
-        requestedField = fieldPart.trim();
-        const trimmedDirection = directionPart?.trim().toUpperCase();
-        if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
-          requestedDirection = trimmedDirection;
-        }
-      } else if (sortParam.startsWith('-')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'DESC';
-      } else if (sortParam.startsWith('+')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'ASC';
-      } else {
-        requestedField = sortParam;
-        requestedDirection = 'DESC';
-      }
-
-      if (allowedSortFields.has(requestedField)) {
-        sortField = requestedField;
-        sortDirection = requestedDirection;
-      }
-    }
-
-    const cacheKey = JSON.stringify({
-      patientId,
-      pageSize,
-      pageToken: pageToken ?? null,
-      sortField,
-      sortDirection
-    });
-    const now = Date.now();
-    const cached = allergiesCache.get(cacheKey);
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving allergies from cache', {
-        patientId,
-        pageSize,
-        sortField,
-        sortDirection,
-        pageToken,
+      logger.error(`Failed to fetch ${resource.label}`, {
+        patientId: patientContext?.patientId,
+        error: error.message,
+        status: error.status,
         correlationId: req.correlationId
-      });
-      return res.json(cached.payload);
-    }
-
-    const ontologyId = foundryService.getApiOntologyRid();
-    if (!ontologyId) {
-      throw new Error('Foundry allergies ontology RID is not configured');
-    }
-
-    const filters = [];
-    const patientFilter = buildPatientFilter(patientId);
-    if (patientFilter) {
-      filters.push(patientFilter);
-    }
-
-    const payload = {
-      where: filters.length === 1 ? filters[0] : { type: 'and', value: filters }
-    };
-
-    if (pageSize && pageSize > 0) {
-      payload.pageSize = pageSize;
-    }
-
-    // Keep parity with other Foundry queries by omitting orderBy until schema validation is complete.
-
-    if (pageToken) {
-      payload.pageToken = pageToken;
-    }
-
-    logger.info('Fetching allergies from Foundry', {
-      patientId,
-      pageSize,
-      sortField,
-      sortDirection,
-      pageToken,
-      payload: JSON.stringify(payload),
-      correlationId: req.correlationId
-    });
-
-    let result;
-    try {
-      result = await foundryService.searchOntologyObjects(ontologyId, allergiesObjectType, payload);
-    } catch (error) {
-      if (error.status === 429) {
-        return res.status(503).json({
-          error: {
-            code: 'FOUNDRY_THROTTLED',
-            message: 'Foundry returned throttling response',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      if (error.status === 400) {
-        return res.status(400).json({
-          error: {
-            code: 'INVALID_REQUEST',
-            message: error.foundryError?.message || 'Invalid Foundry request parameters',
-            correlationId: req.correlationId,
-            timestamp: new Date().toISOString()
-          }
-        });
-      }
-
-      throw error;
-    }
-
-    const rawEntries = [];
-    if (Array.isArray(result?.data)) {
-      rawEntries.push(...result.data);
-    }
-    if (Array.isArray(result?.objects)) {
-      rawEntries.push(...result.objects);
-    }
-    if (Array.isArray(result?.results)) {
-      rawEntries.push(...result.results);
-    }
-    if (Array.isArray(result?.entries)) {
-      rawEntries.push(...result.entries);
+      });
+
+      next(error);
     }
+  };
+}
 
-    const allergies = rawEntries.map((entry) => {
-      if (entry && typeof entry === 'object') {
-        if (entry.properties && typeof entry.properties === 'object') {
-          return entry.properties;
-        }
-        return entry;
-      }
-      return {};
-    });
+// Observation time series; registered ahead of the generated /observations route
+router.get('/observations/series', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let patientContext;
+  try {
+    patientContext = await resolvePatientContext(req, { foundryService, routeName: 'observation-series' });
+    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+    if (!patientId) {
+      return respondMissingPatientId(req, res, 'observation-series');
+    }
 
-    const responsePayload = {
-      success: true,
-      data: allergies,
-      nextPageToken: result?.nextPageToken || result?.next_page_token || result?.pageToken || null,
-      fetchedAt: new Date().toISOString(),
+    const { code, interval, from, to, unit } = req.query;
+    const payload = await observationSeriesService.fetchSeries({
+      patientId,
+      code,
+      interval,
+      from,
+      to,
+      unit,
       correlationId: req.correlationId
-    };
-
-    allergiesCache.set(cacheKey, {
-      expiresAt: now + ALLERGIES_CACHE_TTL_MS,
-      payload: responsePayload
     });
 
-    res.json(responsePayload);
+    applyCacheStatus(res, payload);
+    res.json(payload);
   } catch (error) {
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
+    if (error.code === 'INVALID_SERIES_PARAMETER') {
+      return res.status(400).json({
         error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
+          code: 'INVALID_REQUEST',
+          message: error.message,
           correlationId: req.correlationId,
           timestamp: new Date().toISOString()
         }
       });
     }
 
-    logger.error('Failed to fetch allergies', {
+    if (respondWithFoundryError(req, res, error)) {
+      return;
+    }
+
+    logger.error('Failed to build observation series', {
       patientId: patientContext?.patientId,
+      code: req.query.code,
       error: error.message,
       status: error.status,
       correlationId: req.correlationId
@@ -1756,173 +324,145 @@ router.get('/allergies', validateTokenWithScopes(['read:patient']), async (req,
   }
 });
 
-router.get('/conditions', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+// Fasten clinical resources (clinical notes, procedures, observations, ...) are generated from
+// the registry in services/clinicalResources.js. Encounters keep their dedicated service below.
+for (const resource of CLINICAL_RESOURCES) {
+  router.get(resource.path, validateTokenWithScopes(['read:patient']), createClinicalResourceHandler(resource));
+}
+
+router.get('/encounters', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
   let patientContext;
   try {
-    patientContext = await resolvePatientContext(req, { routeName: 'conditions' });
+    patientContext = await resolvePatientContext(req, { foundryService, routeName: 'encounters' });
     const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
     if (!patientId) {
-      return respondMissingPatientId(req, res, 'conditions');
+      return respondMissingPatientId(req, res, 'encounters');
     }
 
-    const parsedPageSize = Number.parseInt(req.query.pageSize, 10);
-    const pageSize = Math.max(Math.min(Number.isFinite(parsedPageSize) ? parsedPageSize : 25, 100), 1);
     const pageToken = typeof req.query.pageToken === 'string' && req.query.pageToken.trim().length > 0
       ? req.query.pageToken.trim()
       : undefined;
+    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : undefined;
 
-    const allowedSortFields = new Set(['recordedDate', 'onsetDate', 'onsetDatetime', 'conditionName']);
-    const sortParam = typeof req.query.sort === 'string' ? req.query.sort.trim() : '';
-    let sortField = 'recordedDate';
-    let sortDirection = 'DESC';
-
-    if (sortParam) {
-      let requestedField = sortParam;
-      let requestedDirection = sortDirection;
-
-      if (sortParam.includes(':')) {
-        const [fieldPart, directionPart] = sortParam.split(':');
-        requestedField = fieldPart.trim();
-        const trimmedDirection = directionPart?.trim().toUpperCase();
-        if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
-          requestedDirection = trimmedDirection;
-        }
-      } else if (sortParam.startsWith('-')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'DESC';
-      } else if (sortParam.startsWith('+')) {
-        requestedField = sortParam.substring(1).trim();
-        requestedDirection = 'ASC';
-      }
+    const payload = await encountersService.fetchEncounters({
+      patientId,
+      pageSize: req.query.pageSize,
+      pageToken,
+      sort: sortParam,
+      correlationId: req.correlationId
+    });
 
-      if (allowedSortFields.has(requestedField)) {
-        sortField = requestedField;
-        sortDirection = requestedDirection;
-      }
+    applyCacheStatus(res, payload);
+    res.json(payload);
+  } catch (error) {
+    if (respondWithFoundryError(req, res, error)) {
+      return;
     }
 
-    const cacheKey = JSON.stringify({ patientId, pageSize, pageToken: pageToken ?? null, sortField, sortDirection });
-    const now = Date.now();
-    const cached = conditionsCache.get(cacheKey);
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving conditions from cache', {
-        patientId,
-        pageSize,
-        sortField,
-        sortDirection,
-        pageToken,
-        correlationId: req.correlationId
-      });
-      return res.json(cached.payload);
-    }
+    logger.error('Failed to fetch encounters', {
+      patientId: patientContext?.patientId,
+      error: error.message,
+      status: error.status,
+      correlationId: req.correlationId
+    });
 
-    const ontologyId = foundryService.getApiOntologyRid();
-    if (!ontologyId) {
-      throw new Error('Foundry conditions ontology RID is not configured');
+    next(error);
+  }
+});
+
+router.get('/encounters/:encounterId', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let patientContext;
+  const encounterId = typeof req.params.encounterId === 'string' ? req.params.encounterId.trim() : '';
+  try {
+    patientContext = await resolvePatientContext(req, { foundryService, routeName: 'encounter-detail' });
+    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+    if (!patientId) {
+      return respondMissingPatientId(req, res, 'encounter-detail');
     }
 
-    const payload = {
-      where: buildPatientFilter(patientId)
-    };
+    const detail = await encounterDetailService.fetchEncounterDetail({
+      patientId,
+      encounterId,
+      recordingUserId: typeof req.user?.sub === 'string' ? req.user.sub.trim() : undefined,
+      correlationId: req.correlationId
+    });
 
-    if (pageSize && pageSize > 0) {
-      payload.pageSize = pageSize;
+    if (!detail) {
+      return res.status(404).json({
+        error: {
+          code: 'ENCOUNTER_NOT_FOUND',
+          message: `Encounter ${encounterId} was not found for this patient`,
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
     }
 
-    // The Conditions object type may not support ordering yet; retain manual default ordering until validated.
-    // if (sortField && sortDirection) {
-    //   payload.orderBy = [{ field: sortField, direction: sortDirection }];
-    // }
-
-    if (pageToken) {
-      payload.pageToken = pageToken;
+    const { sources, ...data } = detail;
+    applyCacheStatus(res, detail.encounter);
+    res.json({
+      success: true,
+      data,
+      sources,
+      fetchedAt: new Date().toISOString(),
+      correlationId: req.correlationId
+    });
+  } catch (error) {
+    if (respondWithFoundryError(req, res, error)) {
+      return;
     }
 
-    logger.info('Fetching conditions from Foundry', {
-      patientId,
-      pageSize,
-      sortField,
-      sortDirection,
-      pageToken,
-      payload: JSON.stringify(payload),
+    logger.error('Failed to fetch encounter detail', {
+      patientId: patientContext?.patientId,
+      encounterId,
+      error: error.message,
+      status: error.status,
       correlationId: req.correlationId
     });
 
-    const result = await foundryService.searchOntologyObjects(ontologyId, conditionsObjectType, payload);
+    next(error);
+  }
+});
 
-    const rawEntries = [];
-    if (Array.isArray(result?.data)) {
-      rawEntries.push(...result.data);
-    }
-    if (Array.isArray(result?.objects)) {
-      rawEntries.push(...result.objects);
-    }
-    if (Array.isArray(result?.results)) {
-      rawEntries.push(...result.results);
-    }
-    if (Array.isArray(result?.entries)) {
-      rawEntries.push(...result.entries);
+router.get('/timeline', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let patientContext;
+  try {
+    patientContext = await resolvePatientContext(req, { foundryService, routeName: 'timeline' });
+    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+    if (!patientId) {
+      return respondMissingPatientId(req, res, 'timeline');
     }
 
-    const conditions = rawEntries.map((entry) => {
-      if (entry && typeof entry === 'object') {
-        if (entry.properties && typeof entry.properties === 'object') {
-          return entry.properties;
-        }
-        return entry;
-      }
-      return {};
-    });
+    const cursor = typeof req.query.cursor === 'string' && req.query.cursor.trim().length > 0
+      ? req.query.cursor.trim()
+      : undefined;
 
-    const responsePayload = {
-      success: true,
-      data: conditions,
-      nextPageToken: result?.nextPageToken || result?.next_page_token || result?.pageToken || null,
-      fetchedAt: new Date().toISOString(),
+    const payload = await timelineService.fetchTimeline({
+      patientId,
+      pageSize: req.query.pageSize,
+      cursor,
       correlationId: req.correlationId
-    };
-
-    conditionsCache.set(cacheKey, {
-      expiresAt: now + CONDITIONS_CACHE_TTL_MS,
-      payload: responsePayload
     });
 
-    res.json(responsePayload);
+    applyCacheStatus(res, payload);
+    res.json(payload);
   } catch (error) {
-    if (error.status === 429) {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_THROTTLED',
-          message: 'Foundry returned throttling response',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    if (error.status === 400) {
-      return res.status(400).json({
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(error.status || 400).json({
         error: {
-          code: 'INVALID_REQUEST',
-          message: error.foundryError?.message || 'Invalid Foundry request parameters',
+          code: 'INVALID_CURSOR',
+          message: error.message,
           correlationId: req.correlationId,
           timestamp: new Date().toISOString()
         }
       });
     }
 
-    if (error.message === 'Foundry service temporarily unavailable') {
-      return res.status(503).json({
-        error: {
-          code: 'FOUNDRY_UNAVAILABLE',
-          message: 'Foundry service temporarily unavailable',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
+    if (respondWithFoundryError(req, res, error)) {
+      return;
     }
 
-    logger.error('Failed to fetch conditions', {
+    logger.error('Failed to fetch timeline', {
       patientId: patientContext?.patientId,
       error: error.message,
       status: error.status,
@@ -2118,7 +658,7 @@ router.post('/patient-chat', validateTokenWithScopes(['execute:queries']), async
 });
 
 // Get media reference for profile photos and other media
-router.get('/media/:mediaSetRid/items/:mediaItemRid/reference', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+router.get('/media/:mediaSetRid/items/:mediaItemRid/reference', validateTokenWithScopes(['read:patient']), requireMediaOwnership, async (req, res, next) => {
   try {
     const { mediaSetRid, mediaItemRid } = req.params;
 
@@ -2149,10 +689,9 @@ router.get('/media/:mediaSetRid/items/:mediaItemRid/reference', validateTokenWit
 });
 
 // Get media content (actual image data) - WITH CACHING
-router.get('/media/:mediaSetRid/items/:mediaItemRid/content', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+router.get('/media/:mediaSetRid/items/:mediaItemRid/content', validateTokenWithScopes(['read:patient']), requireMediaOwnership, async (req, res, next) => {
   try {
     const { mediaSetRid, mediaItemRid } = req.params;
-    const cacheKey = `${mediaSetRid}:${mediaItemRid}`;
     const startTime = Date.now();
 
     logger.info('Fetching media content', {
@@ -2162,68 +701,21 @@ router.get('/media/:mediaSetRid/items/:mediaItemRid/content', validateTokenWithS
       correlationId: req.correlationId
     });
 
-    // Use request coalescer to prevent duplicate concurrent requests
-    const mediaContent = await mediaCoalescer.coalesce(cacheKey, async () => {
-      // Check cache first
-      const cached = await cacheService.getMedia(mediaSetRid, mediaItemRid);
-      if (cached) {
-        logger.info('Media cache hit', {
-          mediaSetRid,
-          mediaItemRid,
-          responseTime: Date.now() - startTime,
-          correlationId: req.correlationId
-        });
-        return cached;
-      }
-
-      // Cache miss - fetch from Foundry
-      logger.info('Media cache miss, fetching from Foundry', {
-        mediaSetRid,
-        mediaItemRid,
-        correlationId: req.correlationId
-      });
-
-      const freshContent = await foundryService.getMediaContent(mediaSetRid, mediaItemRid);
-
-      // Cache the content
-      await cacheService.setMedia(
-        mediaSetRid, 
-        mediaItemRid, 
-        freshContent, 
-        freshContent.contentType || 'application/octet-stream'
-      );
-
-      return freshContent;
-    });
-
-    // Generate ETag for conditional requests
-    const etag = crypto.createHash('md5')
-      .update(Buffer.isBuffer(mediaContent.content) ? mediaContent.content : Buffer.from(mediaContent.content))
-      .digest('hex');
-
-    // Set cache headers
-    res.set({
-      'Content-Type': mediaContent.contentType || 'application/octet-stream',
-      'Cache-Control': 'private, max-age=86400, immutable',
-      'ETag': `"${etag}"`,
-      'X-Content-Type-Options': 'nosniff'
-    });
-
-    // Check if client has cached version
-    if (req.headers['if-none-match'] === `"${etag}"`) {
-      return res.status(304).end();
-    }
+    const served = await mediaContentService.sendSetItem(
+      req,
+      res,
+      { mediaSetRid, mediaItemRid },
+      { cacheControl: MEDIA_CACHE_CONTROL }
+    );
 
-    logger.info('Media content served', {
+    logger.info(served.cached ? 'Media cache hit' : 'Media content served', {
       mediaSetRid,
       mediaItemRid,
+      size: served.size,
       responseTime: Date.now() - startTime,
-      size: mediaContent.content?.length || 0,
       correlationId: req.correlationId
     });
 
-    res.send(mediaContent.content || mediaContent);
-
   } catch (error) {
     logger.error('Failed to fetch media content:', {
       error: error.message,
@@ -2244,8 +736,15 @@ router.get('/patient/profile', validateTokenWithScopes(['read:patient']), async
       correlationId: req.correlationId
     });
 
-    // Use the foundryService to get the patient profile
-    const profile = await foundryService.getPatientProfile(userId);
+    // Use the foundryService to get the patient profile; a missing profile is not cached so a newly
+    // created one shows up right away
+    const profile = await clinicalCache.getOrLoad(
+      'profile',
+      userId,
+      {},
+      () => foundryService.getPatientProfile(userId),
+      { ttlMs: cacheService.ttls.profile * 1000, cacheNull: false }
+    );
 
     if (!profile) {
       return res.status(404).json({
@@ -2260,6 +759,7 @@ router.get('/patient/profile', validateTokenWithScopes(['read:patient']), async
 
     const properties = profile.properties || profile;
     const rid = properties.$primaryKey ?? properties.$rid ?? properties.rid ?? properties.id ?? null;
+    applyCacheStatus(res, profile);
 
     // Check if the patient has a profile photo
     let photoUrl = null;
@@ -2478,7 +978,7 @@ router.post('/ontologies/:ontologyId/actions/:actionId/apply', validateTokenWith
 });
 
 // Media content retrieval endpoint for media item RIDs
-router.get('/media/items/:mediaItemRid/content', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+router.get('/media/items/:mediaItemRid/content', validateTokenWithScopes(['read:patient']), requireMediaOwnership, async (req, res, next) => {
   try {
     const { mediaItemRid } = req.params;
 
@@ -2488,68 +988,21 @@ router.get('/media/items/:mediaItemRid/content', validateTokenWithScopes(['read:
       correlationId: req.correlationId
     });
 
-    // Prepare Foundry auth
-    const foundryService = new FoundryService({
-      host: process.env.FOUNDRY_HOST,
-      clientId: process.env.FOUNDRY_CLIENT_ID,
-      clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
-      tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
-      ontologyRid: osdkOntologyRid
-    });
-    const token = await foundryService.getToken();
-
-    const host = process.env.FOUNDRY_HOST;
-    const audioMediaSetRid = process.env.FOUNDRY_AUDIO_MEDIA_SET_RID;
-    const medicationsMediaSetRid = process.env.FOUNDRY_MEDICATIONS_MEDIA_SET_RID;
-
-    const candidates = [];
-    if (audioMediaSetRid) {
-      candidates.push(`${host}/api/v2/mediasets/${audioMediaSetRid}/items/${encodeURIComponent(mediaItemRid)}/content?preview=true`);
-    }
-    if (medicationsMediaSetRid) {
-      candidates.push(`${host}/api/v2/mediasets/${medicationsMediaSetRid}/items/${encodeURIComponent(mediaItemRid)}/content?preview=true`);
-    }
-    // Fallback to generic media endpoint
-    candidates.push(`${host}/api/v2/media/${encodeURIComponent(mediaItemRid)}/content`);
-
-    let lastStatus = 0;
-    for (const url of candidates) {
-      try {
-        const upstream = await fetch(url, {
-          method: 'GET',
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        lastStatus = upstream.status;
-        if (upstream.ok) {
-          const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
-          const arrayBuffer = await upstream.arrayBuffer();
-          const buffer = Buffer.from(arrayBuffer);
-          res.set({
-            'Content-Type': contentType,
-            'Cache-Control': 'private, max-age=3600'
-          });
-          return res.send(buffer);
-        }
-        // Try next candidate on 404; surface other statuses
-        if (upstream.status !== 404) {
-          const text = await upstream.text();
-          const err = new Error(`Upstream failed: ${upstream.status} - ${text}`);
-          err.status = upstream.status;
-          throw err;
-        }
-      } catch (inner) {
-        // Non-404 errors should bubble up
-        if (inner.status && inner.status !== 404) {
-          throw inner;
-        }
-      }
+    const media = await mediaContentService.sendItem(
+      req,
+      res,
+      { mediaItemRid },
+      { cacheControl: 'private, max-age=3600' }
+    );
+    if (media.found) {
+      return;
     }
 
-    // If we got here, all candidates failed with 404
+    // Every candidate returned 404
     return res.status(404).json({
       error: 'Media item not found',
       message: `The media item '${mediaItemRid}' was not found in configured mediasets`,
-      lastStatus,
+      lastStatus: media.lastStatus,
       correlationId: req.correlationId
     });
 
@@ -2565,15 +1018,106 @@ router.get('/media/items/:mediaItemRid/content', validateTokenWithScopes(['read:
   }
 });
 
+// Sign short-lived /m/:token URLs for clients that cannot send an Authorization header (image
+// views, share sheets). Body: `{ items: [{ mediaItemRid, mediaSetRid? }], expiresIn? }` or a single
+// `{ mediaItemRid, mediaSetRid? }`; every item must belong to the caller.
+router.post('/media/sign', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  try {
+    const mediaUrlSigner = getMediaUrlSigner();
+    if (!mediaUrlSigner) {
+      return res.status(503).json({
+        error: {
+          code: 'SIGNED_MEDIA_UNAVAILABLE',
+          message: 'Signed media URLs are not configured on this server',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { expiresIn } = req.body || {};
+    const items = Array.isArray(req.body?.items) ? req.body.items : [req.body || {}];
+
+    if (items.length === 0 || items.length > MAX_SIGNED_MEDIA_ITEMS
+      || items.some((item) => typeof item?.mediaItemRid !== 'string' || !item.mediaItemRid.trim())) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_MEDIA_ITEMS',
+          message: `Provide between 1 and ${MAX_SIGNED_MEDIA_ITEMS} items, each with a mediaItemRid`,
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const identities = await getMediaCallerIdentities(req, { foundryService });
+    for (const { mediaItemRid } of items) {
+      const { allowed } = await mediaOwnershipService.authorize(mediaItemRid.trim(), identities, {
+        correlationId: req.correlationId
+      });
+      if (!allowed) {
+        logger.warn('Media signing denied', {
+          mediaItemRid,
+          user: req.user?.sub,
+          correlationId: req.correlationId
+        });
+        return res.status(403).json({
+          error: {
+            code: 'MEDIA_ACCESS_DENIED',
+            message: 'This media item does not belong to the authenticated user',
+            correlationId: req.correlationId,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+
+    const baseUrl = process.env.MEDIA_URL_BASE || `${req.protocol}://${req.get('host')}`;
+    const urls = items.map(({ mediaItemRid, mediaSetRid }) => {
+      const item = {
+        mediaSetRid: typeof mediaSetRid === 'string' && mediaSetRid.trim() ? mediaSetRid.trim() : null,
+        mediaItemRid: mediaItemRid.trim()
+      };
+      const { token, expiresAt } = mediaUrlSigner.sign({ ...item, userId: req.user.sub }, { expiresIn });
+      return { ...item, url: `${baseUrl}/m/${token}`, expiresAt };
+    });
+
+    logger.info('Signed media URLs', {
+      count: urls.length,
+      user: req.user.sub,
+      correlationId: req.correlationId
+    });
+
+    res.json({
+      success: true,
+      data: urls,
+      timestamp: new Date().toISOString(),
+      correlationId: req.correlationId
+    });
+
+  } catch (error) {
+    logger.error('Failed to sign media URLs:', {
+      error: error.message,
+      user: req.user?.sub,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
 // Generic media upload endpoint for various media types
 router.post('/media/upload', validateTokenWithScopes(['execute:actions']), async (req, res, next) => {
   try {
-    const { filename, contentType, data, mediaType = 'general' } = req.body;
-    
-    if (!filename || !data) {
+    // JSON with base64 `data`, multipart/form-data with a `file` part, or a raw media body
+    const upload = await readMediaUpload(req);
+    const { mediaType = 'general' } = upload.fields;
+    const filename = upload.fields.filename || upload.file?.filename;
+    const contentType = upload.fields.contentType || upload.file?.contentType;
+
+    if (!filename || !upload.file) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['filename', 'data']
+        required: ['filename', upload.mode === 'json' ? 'data' : 'file']
       });
     }
 
@@ -2582,7 +1126,8 @@ router.post('/media/upload', validateTokenWithScopes(['execute:actions']), async
       filename,
       contentType,
       mediaType,
-      dataSize: data.length
+      uploadMode: upload.mode,
+      dataSize: upload.file.size ?? upload.file.body.length
     });
 
     // Create dedicated media upload service with direct REST API configuration
@@ -2595,7 +1140,7 @@ router.post('/media/upload', validateTokenWithScopes(['execute:actions']), async
     });
 
     // Validate base64 data
-    if (!MediaUploadService.isValidBase64(data)) {
+    if (upload.mode === 'json' && !MediaUploadService.isValidBase64(req.body.data)) {
       return res.status(400).json({
         error: 'Invalid base64 data',
         message: 'The provided data is not valid base64 encoded content'
@@ -2606,14 +1151,14 @@ router.post('/media/upload', validateTokenWithScopes(['execute:actions']), async
     let result;
     if (mediaType === 'audio') {
       result = await mediaUploadService.uploadAudioFile(
-        data,
+        upload.file.body,
         filename,
         contentType,
         req.user?.sub
       );
     } else {
       result = await mediaUploadService.uploadImageFile(
-        data,
+        upload.file.body,
         filename,
         contentType,
         req.user?.sub
@@ -2654,22 +1199,24 @@ router.post('/media/upload', validateTokenWithScopes(['execute:actions']), async
 // Combined endpoint: Upload audio and create intraencounter in one call
 router.post('/intraencounter/upload-and-create', validateTokenWithScopes(['execute:actions']), async (req, res, next) => {
   try {
+    // JSON with base64 `data`, or multipart/form-data with the fields ahead of the `file` part
+    const upload = await readMediaUpload(req);
+    const fields = upload.fields;
     const {
-      filename,
-      contentType = 'audio/wav',
-      data, // base64 audio data
       timestamp,
       transcript,
       location,
       provider_name,
       speciality,
       hospital
-    } = req.body || {};
+    } = fields;
+    const filename = fields.filename || upload.file?.filename;
+    const contentType = fields.contentType || upload.file?.contentType || 'audio/wav';
 
-    if (!filename || !data || !transcript) {
+    if (!filename || !upload.file || !transcript) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['filename', 'data', 'transcript']
+        required: ['filename', upload.mode === 'json' ? 'data' : 'file', 'transcript']
       });
     }
 
@@ -2684,7 +1231,8 @@ router.post('/intraencounter/upload-and-create', validateTokenWithScopes(['execu
       userId,
       filename,
       contentType,
-      dataSize: data.length,
+      uploadMode: upload.mode,
+      dataSize: upload.file.size ?? upload.file.body.length,
       hasTranscript: !!transcript
     });
 
@@ -2699,7 +1247,7 @@ router.post('/intraencounter/upload-and-create', validateTokenWithScopes(['execu
 
     // Step 1: Upload audio file to media set
     const uploadResult = await mediaUploadService.uploadAudioFile(
-      data,
+      upload.file.body,
       filename,
       contentType,
       userId
@@ -2713,11 +1261,11 @@ router.post('/intraencounter/upload-and-create', validateTokenWithScopes(['execu
 
     // Step 2: Create intraencounter with media reference
     const llmSummary = await resolveLlmSummary({
-      existingSummary: req.body?.llm_summary
-        || req.body?.summary
-        || req.body?.aiSummary,
+      existingSummary: fields.llm_summary
+        || fields.summary
+        || fields.aiSummary,
       transcript,
-      auth0Id: req.body?.auth0Id || userId,
+      auth0Id: fields.auth0Id || userId,
       foundryService,
       correlationId: req.correlationId
     });
@@ -2734,6 +1282,11 @@ router.post('/intraencounter/upload-and-create', validateTokenWithScopes(['execu
       llm_summary: llmSummary
     });
 
+    await getCacheInvalidationBus().publish('intraencounter.created', {
+      identifiers: getRequestCacheSubjects(req),
+      correlationId: req.correlationId
+    });
+
     res.status(201).json({
       success: true,
       uploadResult,
@@ -2756,7 +1309,7 @@ router.post('/intraencounter/upload-and-create', validateTokenWithScopes(['execu
 router.get('/medications', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
   let patientContext;
   try {
-    patientContext = await resolvePatientContext(req, { routeName: 'medications' });
+    patientContext = await resolvePatientContext(req, { foundryService, routeName: 'medications' });
     const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
     
     if (!patientId) {
@@ -1,6 +1,9 @@
 import express from 'express';
 import { logger } from '../utils/logger.js';
 import axios from 'axios';
+import { getTieredCache } from '../services/tieredCache.js';
+import { getAllCoalescerStats } from '../utils/requestCoalescer.js';
+import { getMediaCache } from '../services/mediaCache.js';
 
 const router = express.Router();
 
@@ -89,6 +92,18 @@ router.get('/ready', async (req, res) => {
   }
 });
 
+// Clinical data cache hit/miss counters, L1 memory use, media disk use and request coalescing for this instance
+router.get('/cache', (req, res) => {
+  res.json({
+    status: 'ok',
+    cache: getTieredCache().getMetrics(),
+    media: getMediaCache().getStats(),
+    coalescing: getAllCoalescerStats(),
+    timestamp: new Date().toISOString(),
+    correlationId: req.correlationId
+  });
+});
+
 // Liveness probe
 router.get('/live', (req, res) => {
   res.json({
@@ -1,7 +1,23 @@
 import express from 'express';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { FoundryService } from '../services/foundryService.js';
+import { getCacheInvalidationBus, resolveRequestCacheSubjects } from '../services/cacheInvalidation.js';
 import { logger } from '../utils/logger.js';
+import {
+  HEALTHKIT_DATASET_RID,
+  buildHealthkitDatasetFile,
+  healthkitUserPrefix,
+  readHealthkitUpload
+} from '../services/healthkitDatasetService.js';
+import { getHealthkitDedupeService } from '../services/healthkitDedupeService.js';
+import { FASTEN_FHIR_DATASET_RID, fastenFhirUserPrefix } from '../services/datasetFileService.js';
+import { convertHealthkitToFhir } from '../utils/healthkitFhir.js';
+import { getHealthkitDailyService } from '../services/healthkitDailyService.js';
+import {
+  MAX_SESSION_CHUNK_BYTES,
+  getHealthkitUploadSessionService,
+  toUploadSessionView
+} from '../services/healthkitUploadSessionService.js';
 import fetch from 'node-fetch';
 
 const router = express.Router();
@@ -18,157 +34,209 @@ const foundryService = new FoundryService({
 // Use the same hardcoded ontology RID as other working routes
 const ONTOLOGY_ID = 'ontology-151e0d3d-719c-464d-be5c-a6dc9f53d194';
 
-// Target dataset RID for HealthKit raw data uploads (single JSON file per request)
-const HEALTHKIT_DATASET_RID = 'ri.foundry.main.dataset.19102749-23e6-4fa8-827e-70eae2b94730';
+/**
+ * Write converted HealthKit Observations to the Fasten FHIR dataset, in the same JSONL layout as
+ * Fasten ingestion, so they are read and erased together with the clinical records.
+ */
+async function uploadHealthkitObservations(auth0id, observations, accessToken, correlationId) {
+  const ingestedAt = new Date().toISOString();
+  const jsonlContent = observations
+    .map((observation) => JSON.stringify({
+      auth0_user_id: auth0id,
+      org_connection_id: 'healthkit',
+      ingested_at: ingestedAt,
+      fhir_resource: JSON.stringify(observation)
+    }))
+    .join('\n');
+
+  const fileName = `${fastenFhirUserPrefix(auth0id)}healthkit-${ingestedAt.replace(/[:.]/g, '-')}.jsonl`;
+  const uploadUrl = `${process.env.FOUNDRY_HOST}/api/v2/datasets/${FASTEN_FHIR_DATASET_RID}/files/${encodeURIComponent(fileName)}/upload?transactionType=APPEND`;
+
+  const uploadResponse = await fetch(uploadUrl, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/x-ndjson'
+    },
+    body: jsonlContent
+  });
+
+  if (!uploadResponse.ok) {
+    const errorText = await uploadResponse.text();
+    logger.error('Failed to upload HealthKit Observations to Fasten FHIR dataset', {
+      status: uploadResponse.status,
+      error: errorText,
+      correlationId
+    });
+    throw new Error(`Foundry upload failed: ${uploadResponse.status} - ${errorText}`);
+  }
+
+  logger.info('Uploaded HealthKit Observations to Fasten FHIR dataset', {
+    datasetRid: FASTEN_FHIR_DATASET_RID,
+    filePath: fileName,
+    observationCount: observations.length,
+    correlationId
+  });
+  return fileName;
+}
 
 /**
  * Helper function to upload HealthKit data to Foundry dataset
  * Shared by /export, /export/batch, and /ingest endpoints
+ * Records that do not match their sampleClass schema are rejected (in `strict` mode, the whole
+ * upload is), and records already ingested for this user (same uuid, or same line when there is
+ * none) are skipped; when nothing new remains no file is written. With `fhir`, the new records are
+ * also converted to FHIR Observations and written to the Fasten FHIR dataset.
  */
-async function uploadHealthKitToDataset(auth0id, rawhealthkit, device, timestamp, correlationId) {
-  // Parse NDJSON into array of JSON objects
-  const decodedBuffer = Buffer.from(rawhealthkit, 'base64');
-  const ndjson = decodedBuffer.toString('utf-8');
-  const lines = ndjson.split(/\r?\n/).filter(l => l.trim().length > 0);
-  const records = [];
-  
-  try {
-    for (const line of lines) {
-      records.push(JSON.parse(line));
-    }
-  } catch (parseError) {
-    const error = new Error('rawhealthkit must be base64-encoded NDJSON');
-    error.code = 'INVALID_NDJSON';
-    error.status = 400;
-    throw error;
+async function uploadHealthKitToDataset(auth0id, rawhealthkit, device, timestamp, correlationId, { fhir = false, strict = false } = {}) {
+  const { records, rejected } = readHealthkitUpload(Buffer.from(rawhealthkit, 'base64'), { strict });
+  const { fresh, duplicates, release } = await getHealthkitDedupeService().claim(auth0id, records, { correlationId });
+  const counts = {
+    records_new: fresh.length,
+    records_duplicate: duplicates,
+    records_rejected: rejected.length
+  };
+
+  if (fresh.length === 0) {
+    logger.info('Skipping HealthKit upload with no new records', {
+      ...counts,
+      user: auth0id,
+      correlationId
+    });
+
+    return {
+      success: true,
+      dataset_rid: HEALTHKIT_DATASET_RID,
+      records_ingested: 0,
+      dataset_records_created: 0,
+      ...counts,
+      rejected_records: rejected.length > 0 ? rejected : undefined,
+      file_path: null,
+      file_format: 'json',
+      transaction_rid: null,
+      ingestion_timestamp: new Date().toISOString(),
+      correlationId
+    };
   }
 
-  // Build NDJSON content (one JSON object per line) for Foundry dataset compatibility
-  const exportTimestamp = typeof timestamp === 'string' && timestamp.length > 0
-    ? timestamp
-    : new Date().toISOString();
-  const exportDevice = typeof device === 'string' && device.length > 0
-    ? device
-    : 'unknown';
-
-  // Flatten each HealthKit record with metadata for dataset storage
-  const datasetRecords = records.map(record => ({
-    // User and device metadata
-    auth0_user_id: auth0id,
-    device: exportDevice,
-    ingested_at: new Date().toISOString(),
-    export_timestamp: exportTimestamp,
-    
-    // HealthKit record data (flattened)
-    sample_type: record.sampleType || record.type || '',
-    source_name: record.sourceName || record.source || '',
-    sample_class: record.sampleClass || '',
-    quantity_type: record.quantityType || '',
-    source_version: record.sourceVersion || '',
-    data_type: record.dataType || '',
-    uuid: record.uuid || '',
-    start_date: record.startDate || record.start || '',
-    end_date: record.endDate || record.end || '',
-    value_double: record.valueDouble || record.value || null,
-    unit: record.unit || '',
-    
-    // Device information (flattened)
-    device_hardware_version: record.device?.hardwareVersion || '',
-    device_model: record.device?.model || '',
-    device_name: record.device?.name || '',
-    device_manufacturer: record.device?.manufacturer || '',
-    device_software_version: record.device?.softwareVersion || '',
-    
-    // Store original record as JSON string for reference
-    raw_healthkit_record: JSON.stringify(record)
-  }));
-
-  // Create single JSON file with auth0_user_id prominently included
-  const singleJsonContent = JSON.stringify({
-    auth0_user_id: auth0id,
-    device: exportDevice,
-    ingested_at: new Date().toISOString(),
-    export_timestamp: exportTimestamp,
-    record_count: records.length,
-    data: datasetRecords
-  }, null, 2);
+  const { content: singleJsonContent, recordCount } = buildHealthkitDatasetFile(auth0id, fresh, { device, timestamp });
 
   logger.info('Uploading HealthKit data to dataset', {
     datasetRid: HEALTHKIT_DATASET_RID,
-    recordCount: records.length,
+    recordCount,
+    duplicateCount: duplicates,
+    rejectedCount: rejected.length,
     user: auth0id,
     correlationId
   });
 
-  // Get OAuth token for Foundry
-  const tokenResponse = await fetch(process.env.FOUNDRY_OAUTH_TOKEN_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: new URLSearchParams({
-      grant_type: 'client_credentials',
-      client_id: process.env.FOUNDRY_CLIENT_ID,
-      client_secret: process.env.FOUNDRY_CLIENT_SECRET,
-      scope: 'api:datasets-read api:datasets-write'
-    })
-  });
+  try {
+    // Get OAuth token for Foundry
+    const tokenResponse = await fetch(process.env.FOUNDRY_OAUTH_TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: process.env.FOUNDRY_CLIENT_ID,
+        client_secret: process.env.FOUNDRY_CLIENT_SECRET,
+        scope: 'api:datasets-read api:datasets-write'
+      })
+    });
 
-  if (!tokenResponse.ok) {
-    throw new Error(`Failed to get Foundry token: ${tokenResponse.status}`);
-  }
+    if (!tokenResponse.ok) {
+      throw new Error(`Failed to get Foundry token: ${tokenResponse.status}`);
+    }
 
-  const { access_token } = await tokenResponse.json();
+    const { access_token } = await tokenResponse.json();
+
+    // Observations go first: if the raw upload then fails the claims are released and a retry
+    // rewrites them under the same ids, rather than the raw file landing without them
+    let fhirResult;
+    if (fhir) {
+      const { observations, skipped } = convertHealthkitToFhir(fresh, { patientId: auth0id });
+      fhirResult = {
+        fhir_observations_created: observations.length,
+        fhir_records_skipped: skipped.length,
+        fhir_file_path: observations.length > 0
+          ? await uploadHealthkitObservations(auth0id, observations, access_token, correlationId)
+          : null
+      };
+    }
 
-  // Generate filename with timestamp (.json extension for single JSON file)
-  const safeTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const fileName = `healthkit/raw/${auth0id}/${safeTimestamp}.json`;
+    // Generate filename with timestamp (.json extension for single JSON file)
+    const safeTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `${healthkitUserPrefix(auth0id)}${safeTimestamp}.json`;
 
-  // Upload file directly to Foundry dataset using Datasets API v2
-  const uploadUrl = `${process.env.FOUNDRY_HOST}/api/v2/datasets/${HEALTHKIT_DATASET_RID}/files/${encodeURIComponent(fileName)}/upload?transactionType=APPEND`;
+    // Upload file directly to Foundry dataset using Datasets API v2
+    const uploadUrl = `${process.env.FOUNDRY_HOST}/api/v2/datasets/${HEALTHKIT_DATASET_RID}/files/${encodeURIComponent(fileName)}/upload?transactionType=APPEND`;
 
-  const uploadResponse = await fetch(uploadUrl, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${access_token}`,
-      'Content-Type': 'application/json'
-    },
-    body: singleJsonContent
-  });
+    const uploadResponse = await fetch(uploadUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${access_token}`,
+        'Content-Type': 'application/json'
+      },
+      body: singleJsonContent
+    });
 
-  if (!uploadResponse.ok) {
-    const errorText = await uploadResponse.text();
-    logger.error('Failed to upload HealthKit JSON to Foundry dataset', {
-      status: uploadResponse.status,
-      error: errorText,
+    if (!uploadResponse.ok) {
+      const errorText = await uploadResponse.text();
+      logger.error('Failed to upload HealthKit JSON to Foundry dataset', {
+        status: uploadResponse.status,
+        error: errorText,
+        correlationId
+      });
+      throw new Error(`Foundry upload failed: ${uploadResponse.status} - ${errorText}`);
+    }
+
+    const uploadResult = await uploadResponse.json();
+    const transactionRid = uploadResult.transactionRid;
+
+    logger.info('Successfully uploaded HealthKit JSON to Foundry dataset', {
+      datasetRid: HEALTHKIT_DATASET_RID,
+      transactionRid,
+      filePath: fileName,
+      recordCount,
+      auth0UserId: auth0id,
       correlationId
     });
-    throw new Error(`Foundry upload failed: ${uploadResponse.status} - ${errorText}`);
-  }
 
-  const uploadResult = await uploadResponse.json();
-  const transactionRid = uploadResult.transactionRid;
+    return {
+      success: true,
+      dataset_rid: HEALTHKIT_DATASET_RID,
+      records_ingested: recordCount,
+      dataset_records_created: recordCount,
+      ...counts,
+      rejected_records: rejected.length > 0 ? rejected : undefined,
+      ...fhirResult,
+      file_path: fileName,
+      file_format: 'json',
+      transaction_rid: transactionRid,
+      ingestion_timestamp: new Date().toISOString(),
+      correlationId
+    };
+  } catch (error) {
+    // Nothing was written, so a retry must not see these records as duplicates
+    await release();
+    throw error;
+  }
+}
 
-  logger.info('Successfully uploaded HealthKit JSON to Foundry dataset', {
-    datasetRid: HEALTHKIT_DATASET_RID,
-    transactionRid,
-    filePath: fileName,
-    recordCount: records.length,
-    auth0UserId: auth0id,
-    correlationId
+// Observations written to the Fasten FHIR dataset also change the clinical views
+async function publishHealthkitIngested(req, results) {
+  const identifiers = await resolveRequestCacheSubjects(req, { foundryService, routeName: 'healthkit' });
+  await getCacheInvalidationBus().publish('healthkit.ingested', {
+    identifiers,
+    correlationId: req.correlationId
   });
-
-  return {
-    success: true,
-    dataset_rid: HEALTHKIT_DATASET_RID,
-    records_ingested: records.length,
-    dataset_records_created: datasetRecords.length,
-    file_path: fileName,
-    file_format: 'json',
-    transaction_rid: transactionRid,
-    ingestion_timestamp: new Date().toISOString(),
-    correlationId
-  };
+  if (results.some((result) => result.fhir_observations_created > 0)) {
+    await getCacheInvalidationBus().publish('fasten.ingested', {
+      identifiers,
+      correlationId: req.correlationId
+    });
+  }
 }
 
 // Batch export endpoint for multiple chunks
@@ -201,6 +269,7 @@ router.post('/export/batch', async (req, res, next) => {
 
     // Validate each chunk
     const requests = [];
+    const strictRejected = [];
     let totalRecords = 0;
     const MAX_CHUNK_SIZE = 2 * 1024 * 1024; // 2MB per chunk (raw data before base64)
     const MAX_CHUNKS = 7; // Maximum 7 chunks per batch (~14MB raw, ~19MB base64)
@@ -216,7 +285,7 @@ router.post('/export/batch', async (req, res, next) => {
       });
     }
 
-    for (const chunk of chunks) {
+    for (const [chunkIndex, chunk] of chunks.entries()) {
       const { rawhealthkit, timestamp, device, recordCount } = chunk;
       
       if (typeof rawhealthkit !== 'string' || rawhealthkit.length === 0) {
@@ -255,6 +324,12 @@ router.post('/export/batch', async (req, res, next) => {
         });
       }
 
+      // In strict mode every chunk is checked before any is written, so one bad line fails the batch
+      if (options?.strict === true) {
+        const { rejected } = readHealthkitUpload(decoded);
+        strictRejected.push(...rejected.map((entry) => ({ chunkIndex, ...entry })));
+      }
+
       requests.push({
         parameters: {
           auth0id,
@@ -267,6 +342,18 @@ router.post('/export/batch', async (req, res, next) => {
       totalRecords += recordCount || 0;
     }
 
+    if (strictRejected.length > 0) {
+      return res.status(422).json({
+        error: {
+          code: 'INVALID_HEALTHKIT_RECORDS',
+          message: `${strictRejected.length} HealthKit record${strictRejected.length === 1 ? '' : 's'} failed validation; nothing was ingested`,
+          details: { rejected_records: strictRejected },
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
     logger.info('Processing HealthKit batch export to dataset', {
       auth0id,
       correlationId: req.correlationId,
@@ -286,7 +373,8 @@ router.post('/export/batch', async (req, res, next) => {
           chunk.rawhealthkit,
           chunk.device || 'iPhone',
           chunk.timestamp || new Date().toISOString(),
-          req.correlationId
+          req.correlationId,
+          { fhir: options?.fhir === true }
         );
         uploadResults.push({
           chunkIndex: i,
@@ -318,6 +406,8 @@ router.post('/export/batch', async (req, res, next) => {
       });
     }
 
+    await publishHealthkitIngested(req, uploadResults);
+
     res.status(200).json({
       success: true,
       dataset_rid: HEALTHKIT_DATASET_RID,
@@ -325,6 +415,9 @@ router.post('/export/batch', async (req, res, next) => {
       chunks_successful: uploadResults.length,
       chunks_failed: errors.length,
       total_records: totalRecords,
+      records_new: uploadResults.reduce((sum, result) => sum + result.records_new, 0),
+      records_duplicate: uploadResults.reduce((sum, result) => sum + result.records_duplicate, 0),
+      records_rejected: uploadResults.reduce((sum, result) => sum + result.records_rejected, 0),
       upload_results: uploadResults,
       errors: errors.length > 0 ? errors : undefined,
       timestamp: new Date().toISOString(),
@@ -434,9 +527,12 @@ router.post('/export', async (req, res, next) => {
       rawhealthkit,
       exportDevice,
       exportTimestamp,
-      req.correlationId
+      req.correlationId,
+      { fhir: options?.fhir === true, strict: options?.strict === true }
     );
 
+    await publishHealthkitIngested(req, [result]);
+
     res.status(200).json({
       ...result,
       manifest: manifest || null
@@ -469,7 +565,7 @@ router.post('/ingest', async (req, res, next) => {
       });
     }
 
-    const { rawhealthkit, timestamp, device } = req.body || {};
+    const { rawhealthkit, timestamp, device, options } = req.body || {};
     if (typeof rawhealthkit !== 'string' || rawhealthkit.length === 0) {
       return res.status(400).json({
         error: {
@@ -535,9 +631,12 @@ router.post('/ingest', async (req, res, next) => {
       rawhealthkit,
       device,
       timestamp,
-      req.correlationId
+      req.correlationId,
+      { fhir: options?.fhir === true, strict: options?.strict === true }
     );
 
+    await publishHealthkitIngested(req, [result]);
+
     res.json(result);
   } catch (error) {
     logger.error('Failed to ingest HealthKit data to dataset', {
@@ -550,4 +649,273 @@ router.post('/ingest', async (req, res, next) => {
   }
 });
 
+/**
+ * Preview the FHIR Observations a HealthKit export converts to, without writing anything
+ * (the same conversion `options.fhir` applies on ingestion)
+ */
+router.post('/fhir', async (req, res, next) => {
+  try {
+    const auth0id = req.user?.sub;
+    if (!auth0id) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_IDENTITY',
+          message: 'Unable to resolve Auth0 identifier for HealthKit conversion',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { rawhealthkit } = req.body || {};
+    const decoded = typeof rawhealthkit === 'string' ? Buffer.from(rawhealthkit, 'base64') : null;
+    if (!decoded || decoded.length === 0) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_PAYLOAD',
+          message: 'rawhealthkit (base64 NDJSON) is required',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const MAX_PAYLOAD_BYTES = 5 * 1024 * 1024; // Same limit as /export
+    if (decoded.length > MAX_PAYLOAD_BYTES) {
+      return res.status(413).json({
+        error: {
+          code: 'PAYLOAD_TOO_LARGE',
+          message: 'HealthKit export exceeds supported payload size',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { records, rejected } = readHealthkitUpload(decoded);
+    const { observations, skipped } = convertHealthkitToFhir(records, { patientId: auth0id });
+
+    res.json({
+      bundle: {
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        total: observations.length,
+        entry: observations.map((resource) => ({ resource }))
+      },
+      observations_created: observations.length,
+      records_skipped: skipped,
+      rejected_records: rejected,
+      correlationId: req.correlationId
+    });
+  } catch (error) {
+    logger.error('HealthKit FHIR preview failed', {
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+/**
+ * Daily steps, sleep, heart rate and active energy from the user's uploaded HealthKit files
+ * Query: from, to (YYYY-MM-DD), metrics (comma-separated), tz (IANA time zone, default UTC)
+ */
+router.get('/daily', async (req, res, next) => {
+  try {
+    const auth0id = req.user?.sub;
+    if (!auth0id) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_IDENTITY',
+          message: 'Unable to resolve Auth0 identifier for HealthKit daily totals',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { from, to, metrics, tz } = req.query;
+    const payload = await getHealthkitDailyService().fetchDaily({
+      userId: auth0id,
+      from,
+      to,
+      metrics,
+      timeZone: tz,
+      correlationId: req.correlationId
+    });
+
+    res.json(payload);
+  } catch (error) {
+    logger.error('Failed to build HealthKit daily totals', {
+      error: error.message,
+      status: error.status,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+// Upload sessions are only visible to the user who opened them
+async function findOwnedSession(req, res) {
+  const session = req.user?.sub
+    ? await getHealthkitUploadSessionService().getSession(req.params.sessionId, req.user.sub)
+    : null;
+  if (!session) {
+    res.status(404).json({
+      error: {
+        code: 'UPLOAD_SESSION_NOT_FOUND',
+        message: 'Upload session not found or expired',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Open a resumable upload session: `{ device, timestamp, totalChunks?, options? }`. Chunks are
+ * then PUT to /sessions/:sessionId/chunks/:sequence and written together by
+ * /sessions/:sessionId/commit. With `options.strict`, chunks with invalid records are refused.
+ */
+router.post('/sessions', async (req, res, next) => {
+  try {
+    const auth0id = req.user?.sub;
+    if (!auth0id) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_IDENTITY',
+          message: 'Unable to resolve Auth0 identifier for HealthKit upload',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { device, timestamp, totalChunks, options } = req.body || {};
+    const uploadSessions = getHealthkitUploadSessionService();
+    const session = await uploadSessions.createSession({
+      userId: auth0id,
+      device,
+      timestamp,
+      totalChunks,
+      strict: options?.strict === true,
+      correlationId: req.correlationId
+    });
+
+    res.status(201).json({
+      ...toUploadSessionView(session),
+      maxChunks: session.totalChunks ?? uploadSessions.maxChunks,
+      maxChunkBytes: MAX_SESSION_CHUNK_BYTES
+    });
+  } catch (error) {
+    logger.error('Failed to open HealthKit upload session', {
+      error: error.message,
+      correlationId: req.correlationId,
+      user: req.user?.sub
+    });
+    next(error);
+  }
+});
+
+// Which chunks have arrived (and which are missing, when totalChunks is known)
+router.get('/sessions/:sessionId', async (req, res, next) => {
+  try {
+    const session = await findOwnedSession(req, res);
+    if (!session) {
+      return;
+    }
+    const chunks = await getHealthkitUploadSessionService().listChunks(session);
+    res.json(toUploadSessionView(session, chunks));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Stage one chunk: `{ rawhealthkit (base64 NDJSON), sha256 (hex of the decoded bytes) }`.
+ * Responds 201, or 200 when the same chunk had already been received.
+ */
+router.put('/sessions/:sessionId/chunks/:sequence', async (req, res, next) => {
+  try {
+    if (!/^\d+$/.test(req.params.sequence)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_CHUNK_SEQUENCE',
+          message: 'Chunk sequence must be a non-negative integer',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const session = await findOwnedSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const { chunk, duplicate, rejected } = await getHealthkitUploadSessionService().putChunk(
+      session,
+      Number.parseInt(req.params.sequence, 10),
+      req.body || {},
+      { correlationId: req.correlationId }
+    );
+
+    res.status(duplicate ? 200 : 201).json({
+      sessionId: session.id,
+      sequence: chunk.sequence,
+      sha256: chunk.sha256,
+      bytes: chunk.bytes,
+      recordCount: chunk.recordCount,
+      rejectedCount: chunk.rejectedCount,
+      rejectedRecords: rejected,
+      duplicate
+    });
+  } catch (error) {
+    logger.error('Failed to stage HealthKit upload chunk', {
+      sessionId: req.params.sessionId,
+      sequence: req.params.sequence,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+/**
+ * Write all chunks to the HealthKit dataset in one Foundry transaction. `{ totalChunks }` is
+ * required unless it was given when the session was opened. Safe to retry.
+ */
+router.post('/sessions/:sessionId/commit', async (req, res, next) => {
+  try {
+    const session = await findOwnedSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    const { session: committed, committed: newlyCommitted } = await getHealthkitUploadSessionService().commit(session, {
+      totalChunks: req.body?.totalChunks,
+      correlationId: req.correlationId
+    });
+
+    if (newlyCommitted) {
+      await getCacheInvalidationBus().publish('healthkit.ingested', {
+        identifiers: await resolveRequestCacheSubjects(req, { foundryService, routeName: 'healthkit' }),
+        correlationId: req.correlationId
+      });
+    }
+
+    res.json(toUploadSessionView(committed));
+  } catch (error) {
+    logger.error('Failed to commit HealthKit upload session', {
+      sessionId: req.params.sessionId,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
 export { router as healthkitRouter };
@@ -2,6 +2,7 @@ import express from 'express';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { FoundryService } from '../services/foundryService.js';
 import { AiChatHistoryService } from '../services/aiChatHistoryService.js';
+import { getCacheInvalidationBus, getRequestCacheSubjects } from '../services/cacheInvalidation.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -109,6 +110,11 @@ router.post('/chat', validateTokenWithScopes(['execute:actions']), async (req, r
       timestamp: timestampIso
     });
 
+    await getCacheInvalidationBus().publish('chat-history.appended', {
+      identifiers: getRequestCacheSubjects(req, finalUserId),
+      correlationId: req.correlationId
+    });
+
     res.status(201).json({
       success: true,
       data: result,
@@ -2,6 +2,7 @@ import express from 'express';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { MediaUploadService } from '../services/mediaUploadService.js';
 import { FoundryService } from '../services/foundryService.js';
+import { getCacheInvalidationBus, getRequestCacheSubjects } from '../services/cacheInvalidation.js';
 import { logger } from '../utils/logger.js';
 import { resolveLlmSummary } from '../utils/transcriptionSummary.js';
 
@@ -111,6 +112,11 @@ router.post('/', validateTokenWithScopes(['execute:actions']), async (req, res,
       llm_summary: llmSummary
     });
 
+    await getCacheInvalidationBus().publish('intraencounter.created', {
+      identifiers: getRequestCacheSubjects(req, userId),
+      correlationId: req.correlationId
+    });
+
     res.status(201).json({
       success: true,
       data: result,
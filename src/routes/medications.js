@@ -2,7 +2,10 @@ import express from 'express';
 import fetch from 'node-fetch';
 import { validateTokenWithScopes } from '../middleware/auth0.js';
 import { FoundryService } from '../services/foundryService.js';
+import { getCacheInvalidationBus, getRequestCacheSubjects } from '../services/cacheInvalidation.js';
 import { logger } from '../utils/logger.js';
+import { readMediaUpload } from '../utils/mediaUpload.js';
+import { inspectMediaUpload } from '../utils/mediaInspection.js';
 
 const router = express.Router();
 
@@ -125,6 +128,11 @@ router.post('/uploads', validateTokenWithScopes(['execute:actions']), async (req
       options
     });
 
+    await getCacheInvalidationBus().publish('medications.uploaded', {
+      identifiers: getRequestCacheSubjects(req, primaryUser),
+      correlationId: req.correlationId
+    });
+
     res.status(201).json({
       success: true,
       data: result,
@@ -158,8 +166,8 @@ router.post('/upload-photo', validateTokenWithScopes(['execute:actions']), async
     const identifiers = resolveUserIdentifiers(req);
     if (identifiers.length === 0) {
       logger.error('Failed to resolve user identity', {
-        context: req.context,
-        user: req.user,
+        contextKeys: Object.keys(req.context || {}),
+        userClaims: Object.keys(req.user || {}),
         correlationId: req.correlationId
       });
       return res.status(400).json({
@@ -173,44 +181,41 @@ router.post('/upload-photo', validateTokenWithScopes(['execute:actions']), async
     }
 
     const primaryUser = identifiers[0];
-    const { photoBase64, filename, mimeType = 'image/jpeg' } = req.body || {};
+    // JSON with base64 `photoBase64`, multipart/form-data with a `file` part, or a raw image body
+    const upload = await readMediaUpload(req, { base64Field: 'photoBase64' });
+    const filename = upload.fields.filename || upload.file?.filename;
 
-    if (!photoBase64) {
+    if (!upload.file) {
       return res.status(400).json({
         error: {
           code: 'INVALID_REQUEST',
-          message: 'photoBase64 is required',
+          message: upload.mode === 'json' ? 'photoBase64 is required' : 'A file is required',
           correlationId: req.correlationId,
           timestamp: new Date().toISOString()
         }
       });
     }
 
-    // Decode base64 photo
-    let photoBuffer;
-    try {
-      photoBuffer = Buffer.from(photoBase64, 'base64');
-    } catch (error) {
-      return res.status(400).json({
-        error: {
-          code: 'INVALID_BASE64',
-          message: 'photoBase64 must be valid base64 encoded data',
-          correlationId: req.correlationId,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
+    // Checks the declared type against the photo's bytes and strips EXIF/XMP (GPS, device) from it
+    const photo = await inspectMediaUpload(upload.file.body, {
+      expectedKind: 'image',
+      contentType: upload.fields.mimeType || upload.file.contentType,
+      filename
+    });
+    const photoBody = photo.body;
+    const mimeType = photo.mimeType;
 
     // Generate filename if not provided
     const safeTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const fileExtension = mimeType === 'image/png' ? 'png' : 'jpg';
-    const finalFilename = filename || `medication-${primaryUser}-${safeTimestamp}.${fileExtension}`;
+    const finalFilename = filename || `medication-${primaryUser}-${safeTimestamp}.${photo.extension}`;
 
     logger.info('Uploading medication photo to media set', {
       userId: primaryUser,
       filename: finalFilename,
       mimeType,
-      photoSize: photoBuffer.length,
+      uploadMode: upload.mode,
+      photoSize: photo.size,
+      strippedMetadata: photo.strippedMetadata,
       correlationId: req.correlationId
     });
 
@@ -259,7 +264,7 @@ router.post('/upload-photo', validateTokenWithScopes(['execute:actions']), async
         'Authorization': `Bearer ${access_token.substring(0, 20)}...`,
         'Content-Type': 'application/octet-stream'
       },
-      bodySize: photoBuffer.length,
+      bodySize: photo.size,
       mediaSetRid,
       filename: finalFilename,
       correlationId: req.correlationId
@@ -271,7 +276,7 @@ router.post('/upload-photo', validateTokenWithScopes(['execute:actions']), async
         'Authorization': `Bearer ${access_token}`,
         'Content-Type': 'application/octet-stream'
       },
-      body: photoBuffer
+      body: photoBody
     });
 
     logger.info('Media set upload response received', {
@@ -450,6 +455,11 @@ router.post('/create-with-photo', validateTokenWithScopes(['execute:actions']),
       correlationId: req.correlationId
     });
 
+    await getCacheInvalidationBus().publish('medications.uploaded', {
+      identifiers: getRequestCacheSubjects(req, resolvedUser),
+      correlationId: req.correlationId
+    });
+
     res.status(201).json({
       success: true,
       result: actionResult,
@@ -6,6 +6,7 @@
 import express from 'express';
 import PatientProfileService from '../services/patient-profile-service.js';
 import { FoundryService } from '../services/foundryService.js';
+import { getCacheInvalidationBus, getRequestCacheSubjects } from '../services/cacheInvalidation.js';
 import { logger } from '../utils/logger.js';
 import crypto from 'crypto';
 
@@ -105,6 +106,11 @@ router.post('/update', async (req, res) => {
             resultType: result.type 
         });
 
+        await getCacheInvalidationBus().publish('profile.updated', {
+            identifiers: getRequestCacheSubjects(req),
+            correlationId
+        });
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -223,6 +229,11 @@ router.patch('/partial', async (req, res) => {
             correlationId 
         });
 
+        await getCacheInvalidationBus().publish('profile.updated', {
+            identifiers: getRequestCacheSubjects(req),
+            correlationId
+        });
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -296,6 +307,12 @@ router.post('/batch-update', async (req, res) => {
             correlationId 
         });
 
+        // Invalidate the updated users' entries, not the admin's
+        await getCacheInvalidationBus().publish('profile.updated', {
+            identifiers: req.body.updates.map(update => update.userId),
+            correlationId
+        });
+
         res.json({
             success: true,
             message: `Successfully updated ${req.body.updates.length} profiles`,
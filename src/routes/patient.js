@@ -5,6 +5,11 @@ import { client as osdkClient, A, osdkHost, osdkOntologyRid } from '../osdk/clie
 import { logger } from '../utils/logger.js';
 import { createConfidentialOauthClient } from '@osdk/oauth';
 import { getCacheService } from '../services/cacheService.js';
+import { getPatientExportService, toJobView } from '../services/patientExportService.js';
+import { resolvePatientContext, respondMissingPatientId } from '../utils/patientContext.js';
+import { setAuditContext } from '../middleware/phiAudit.js';
+import { setStaleHeaders } from '../utils/cacheHeaders.js';
+import { dashboardCoalescer } from '../utils/requestCoalescer.js';
 
 const router = express.Router();
 const cacheService = getCacheService();
@@ -42,6 +47,7 @@ async function searchPatientProfileViaREST(value, fieldCandidates, limit, correl
     const searchUrl = `${osdkHost}/api/v2/ontologies/${restOntologyRid}/objects/${objectTypeApiName}/search`;
     
     // Try each field candidate
+    let failedAttempts = 0;
     for (const field of fieldCandidates) {
       const searchPayload = {
         where: {
@@ -78,6 +84,9 @@ async function searchPatientProfileViaREST(value, fieldCandidates, limit, correl
           statusText: response.statusText,
           correlationId
         });
+        if (response.status >= 500 || response.status === 429) {
+          failedAttempts += 1;
+        }
         continue;
       }
       
@@ -119,7 +128,9 @@ async function searchPatientProfileViaREST(value, fieldCandidates, limit, correl
       objects: [],
       source: 'REST_API',
       requestUrl: searchUrl,
-      ontologyId: restOntologyRid
+      ontologyId: restOntologyRid,
+      // Every field search failed upstream, so "no results" says nothing about the profile
+      upstreamFailed: fieldCandidates.length > 0 && failedAttempts === fieldCandidates.length
     };
     
   } catch (error) {
@@ -131,6 +142,268 @@ async function searchPatientProfileViaREST(value, fieldCandidates, limit, correl
   }
 }
 
+/**
+ * Dashboard payload for a resolved patient id: the profile from OSDK, then the REST search, then
+ * Auth0 claims. `profileLookupFailed` is set when the claims fallback was used because Foundry could
+ * not be reached rather than because no profile exists.
+ */
+async function buildDashboardResponse(req, effectivePatientId) {
+  // Try to get patient profile data from OSDK first, fall back to basic info
+  let dashboardData = {
+    patientId: effectivePatientId,
+    resolved: true,
+    source: 'backend-proxy',
+    availableEndpoints: [
+      '/api/v1/foundry/conditions',
+      '/api/v1/foundry/encounters', 
+      '/api/v1/foundry/observations',
+      '/api/v1/foundry/procedures',
+      '/api/v1/foundry/clinical-notes',
+      '/api/v1/foundry/medications'
+    ]
+  };
+
+  // Try to get patient profile data - OSDK first, then REST API fallback
+  let profileFound = false;
+  let lookupSucceeded = false;
+  let lookupFailed = false;
+  
+  if (osdkClient && typeof osdkClient === 'function' && A) {  // Check if SDK type is available
+    try {
+      const patientObjects = osdkClient(A);  // Use typed import
+      const page = await patientObjects.where({ user_id: { $eq: effectivePatientId } }).fetchPage({ $pageSize: 1 });
+      lookupSucceeded = true;
+      
+      if (page.data.length > 0) {
+        const patientProfile = JSON.parse(JSON.stringify(page.data[0]));
+        
+        // Enrich profile with media fields (photo processing)
+        const enrichedProfile = foundryService.enrichProfileWithMediaFields({
+          rid: patientProfile.$primaryKey || patientProfile.$rid,
+          properties: patientProfile
+        }, {
+          userId: effectivePatientId,
+          ontologyRid: 'ontology-151e0d3d-719c-464d-be5c-a6dc9f53d194',
+          objectType: 'A',
+          matchedField: 'user_id'
+        });
+        
+        const enrichedProperties = enrichedProfile.properties || enrichedProfile;
+        
+        // Check if the patient has a profile photo and construct URL
+        let profilePhotoUrl = null;
+        if (enrichedProperties.profilePhotoMediaSetRid && enrichedProperties.profilePhotoMediaItemRid) {
+          profilePhotoUrl = `/api/v1/foundry/media/${enrichedProperties.profilePhotoMediaSetRid}/items/${enrichedProperties.profilePhotoMediaItemRid}/content`;
+          logger.info('Patient has profile photo', {
+            mediaSetRid: enrichedProperties.profilePhotoMediaSetRid,
+            mediaItemRid: enrichedProperties.profilePhotoMediaItemRid,
+            correlationId: req.correlationId
+          });
+        }
+        
+        // Merge patient profile data into dashboard response
+        dashboardData = {
+          ...dashboardData,
+          rid: patientProfile.$primaryKey || patientProfile.$rid,
+          properties: {
+            firstName: patientProfile.firstName,
+            lastName: patientProfile.lastName,
+            email: patientProfile.email,
+            phonenumber: patientProfile.phonenumber,
+            address: patientProfile.address,
+            user_id: patientProfile.user_id,
+            patientId: patientProfile.patientId || effectivePatientId,
+            profilePhotoUrl: profilePhotoUrl,
+            ...enrichedProperties
+          }
+        };
+        
+        profileFound = true;
+        logger.info('Enhanced dashboard with patient profile data (OSDK)', {
+          patientId: effectivePatientId,
+          hasFirstName: !!patientProfile.firstName,
+          hasLastName: !!patientProfile.lastName,
+          hasPhoto: !!profilePhotoUrl,
+          correlationId: req.correlationId
+        });
+      }
+    } catch (profileError) {
+      lookupFailed = true;
+      logger.warn('OSDK failed for dashboard profile, trying REST API fallback', {
+        patientId: effectivePatientId,
+        error: profileError.message,
+        correlationId: req.correlationId
+      });
+    }
+  }
+  
+  // If OSDK didn't work, try REST API fallback
+  if (!profileFound) {
+    try {
+      const restResult = await searchPatientProfileViaREST(
+        effectivePatientId, 
+        ['user_id', 'patientId', 'patient_id'], 
+        1, 
+        req.correlationId
+      );
+      if (restResult.upstreamFailed) {
+        lookupFailed = true;
+      } else {
+        lookupSucceeded = true;
+      }
+      
+      if (restResult.objects && restResult.objects.length > 0) {
+        const patientProfile = restResult.objects[0].properties;
+        
+        // Enrich profile with media fields (photo processing)
+        const enrichedProfile = foundryService.enrichProfileWithMediaFields(restResult.objects[0], {
+          userId: effectivePatientId,
+          ontologyRid: 'ontology-151e0d3d-719c-464d-be5c-a6dc9f53d194',
+          objectType: 'A',
+          matchedField: 'user_id'
+        });
+        
+        const enrichedProperties = enrichedProfile.properties || enrichedProfile;
+        
+        // Check if the patient has a profile photo and construct URL
+        let profilePhotoUrl = null;
+        if (enrichedProperties.profilePhotoMediaSetRid && enrichedProperties.profilePhotoMediaItemRid) {
+          profilePhotoUrl = `/api/v1/foundry/media/${enrichedProperties.profilePhotoMediaSetRid}/items/${enrichedProperties.profilePhotoMediaItemRid}/content`;
+          logger.info('Patient has profile photo', {
+            mediaSetRid: enrichedProperties.profilePhotoMediaSetRid,
+            mediaItemRid: enrichedProperties.profilePhotoMediaItemRid,
+            correlationId: req.correlationId
+          });
+        }
+        
+        // Merge patient profile data into dashboard response
+        dashboardData = {
+          ...dashboardData,
+          rid: restResult.objects[0].rid,
+          properties: {
+            firstName: patientProfile.firstName,
+            lastName: patientProfile.lastName,
+            email: patientProfile.email,
+            phonenumber: patientProfile.phonenumber,
+            address: patientProfile.address,
+            user_id: patientProfile.user_id,
+            patientId: patientProfile.patientId || effectivePatientId,
+            profilePhotoUrl: profilePhotoUrl,
+            ...enrichedProperties
+          }
+        };
+        
+        profileFound = true;
+        logger.info('Enhanced dashboard with patient profile data (REST API)', {
+          patientId: effectivePatientId,
+          hasFirstName: !!patientProfile.firstName,
+          hasLastName: !!patientProfile.lastName,
+          hasPhoto: !!profilePhotoUrl,
+          profilePhotoUrl: profilePhotoUrl,
+          mediaSetRid: enrichedProperties.profilePhotoMediaSetRid,
+          mediaItemRid: enrichedProperties.profilePhotoMediaItemRid,
+          correlationId: req.correlationId
+        });
+      }
+    } catch (restError) {
+      lookupFailed = true;
+      logger.warn('REST API also failed for dashboard profile', {
+        patientId: effectivePatientId,
+        error: restError.message,
+        correlationId: req.correlationId
+      });
+    }
+  }
+  
+  // If neither OSDK nor REST API worked, use fallback
+  if (!profileFound) {
+    // Create a fallback patient profile populated from Auth0 token claims when available
+    const userIdParts = effectivePatientId.split('|');
+    const userIdentifier = userIdParts.length > 1 ? userIdParts[1] : effectivePatientId;
+    const claims = req.user || {};
+    const preferredName = claims.name || claims.preferred_username || req.context?.username || userIdentifier;
+    let firstName = claims.given_name;
+    let lastName = claims.family_name;
+
+    if (!firstName || !lastName) {
+      if (preferredName) {
+        const parts = String(preferredName).trim().split(/\s+/);
+        if (!firstName) firstName = parts[0] || 'Atlas';
+        if (!lastName) lastName = parts.slice(1).join(' ') || 'Patient';
+      } else {
+        firstName = firstName || 'Atlas';
+        lastName = lastName || 'Patient';
+      }
+    }
+
+    const email = claims.email || `${userIdentifier}@example.com`;
+    
+    dashboardData = {
+      ...dashboardData,
+      rid: `patient-${userIdentifier}`,
+      properties: {
+        firstName,
+        lastName,
+        email,
+        user_id: effectivePatientId,
+        patientId: effectivePatientId,
+        source: 'fallback-profile-claims'
+      }
+    };
+    
+    logger.info('Using fallback patient profile (claims-derived)', {
+      patientId: effectivePatientId,
+      hasGivenName: !!claims.given_name,
+      hasFamilyName: !!claims.family_name,
+      correlationId: req.correlationId
+    });
+  }
+
+  // Log the actual profilePhotoUrl being sent in the response
+  logger.info('Sending dashboard response', {
+    profilePhotoUrl: dashboardData?.properties?.profilePhotoUrl,
+    hasProfilePhotoUrl: !!dashboardData?.properties?.profilePhotoUrl,
+    correlationId: req.correlationId
+  });
+
+  const response = {
+    success: true,
+    data: dashboardData,
+    timestamp: new Date().toISOString(),
+    correlationId: req.correlationId
+  };
+
+  return { response, profileLookupFailed: !profileFound && lookupFailed && !lookupSucceeded };
+}
+
+const dashboardRefreshes = new Set();
+
+// Rebuild an expired dashboard after the stale copy has been sent; a failed profile lookup keeps
+// the stale copy rather than caching the claims fallback
+function refreshDashboardInBackground(req, effectivePatientId) {
+  if (dashboardRefreshes.has(effectivePatientId)) {
+    return;
+  }
+  dashboardRefreshes.add(effectivePatientId);
+
+  buildDashboardResponse(req, effectivePatientId)
+    .then(async ({ response, profileLookupFailed }) => {
+      if (!profileLookupFailed) {
+        await cacheService.setDashboard(effectivePatientId, response);
+      }
+    })
+    .catch((error) => {
+      logger.warn('Background dashboard refresh failed', {
+        patientId: effectivePatientId,
+        error: error.message,
+        correlationId: req.correlationId
+      });
+    })
+    .finally(() => {
+      dashboardRefreshes.delete(effectivePatientId);
+    });
+}
+
 // Get patient dashboard - WITH CACHING
 router.post('/dashboard', validateTokenWithScopes(['read:patient', 'read:dashboard']), async (req, res, next) => {
   try {
@@ -213,15 +486,21 @@ router.post('/dashboard', validateTokenWithScopes(['read:patient', 'read:dashboa
       });
     }
 
-    // Check cache first
-    const cached = await cacheService.getDashboard(effectivePatientId);
-    if (cached) {
+    // Fresh cache entries are served as is; recently expired ones right away while a refresh runs
+    const cached = await cacheService.getDashboardEntry(effectivePatientId);
+    if (cached?.state === 'fresh') {
       logger.info('Dashboard cache hit', {
         patientId: effectivePatientId,
         responseTime: Date.now() - startTime,
         correlationId: req.correlationId
       });
-      return res.json(cached);
+      return res.json(cached.data);
+    }
+
+    if (cached?.state === 'stale-while-revalidate') {
+      refreshDashboardInBackground(req, effectivePatientId);
+      setStaleHeaders(res, { reason: 'revalidating', ageSeconds: cached.ageSeconds });
+      return res.json(cached.data);
     }
 
     logger.info('Dashboard cache miss, fetching from Foundry', {
@@ -231,228 +510,30 @@ router.post('/dashboard', validateTokenWithScopes(['read:patient', 'read:dashboa
       correlationId: req.correlationId
     });
 
-    // Try to get patient profile data from OSDK first, fall back to basic info
-    let dashboardData = {
-      patientId: effectivePatientId,
-      resolved: true,
-      source: 'backend-proxy',
-      availableEndpoints: [
-        '/api/v1/foundry/conditions',
-        '/api/v1/foundry/encounters', 
-        '/api/v1/foundry/observations',
-        '/api/v1/foundry/procedures',
-        '/api/v1/foundry/clinical-notes',
-        '/api/v1/foundry/medications'
-      ]
-    };
-
-    // Try to get patient profile data - OSDK first, then REST API fallback
-    let profileFound = false;
-    
-    if (osdkClient && typeof osdkClient === 'function' && A) {  // Check if SDK type is available
-      try {
-        const patientObjects = osdkClient(A);  // Use typed import
-        const page = await patientObjects.where({ user_id: { $eq: effectivePatientId } }).fetchPage({ $pageSize: 1 });
-        
-        if (page.data.length > 0) {
-          const patientProfile = JSON.parse(JSON.stringify(page.data[0]));
-          
-          // Enrich profile with media fields (photo processing)
-          const enrichedProfile = foundryService.enrichProfileWithMediaFields({
-            rid: patientProfile.$primaryKey || patientProfile.$rid,
-            properties: patientProfile
-          }, {
-            userId: effectivePatientId,
-            ontologyRid: 'ontology-151e0d3d-719c-464d-be5c-a6dc9f53d194',
-            objectType: 'A',
-            matchedField: 'user_id'
-          });
-          
-          const enrichedProperties = enrichedProfile.properties || enrichedProfile;
-          
-          // Check if the patient has a profile photo and construct URL
-          let profilePhotoUrl = null;
-          if (enrichedProperties.profilePhotoMediaSetRid && enrichedProperties.profilePhotoMediaItemRid) {
-            profilePhotoUrl = `/api/v1/foundry/media/${enrichedProperties.profilePhotoMediaSetRid}/items/${enrichedProperties.profilePhotoMediaItemRid}/content`;
-            logger.info('Patient has profile photo', {
-              mediaSetRid: enrichedProperties.profilePhotoMediaSetRid,
-              mediaItemRid: enrichedProperties.profilePhotoMediaItemRid,
-              correlationId: req.correlationId
-            });
-          }
-          
-          // Merge patient profile data into dashboard response
-          dashboardData = {
-            ...dashboardData,
-            rid: patientProfile.$primaryKey || patientProfile.$rid,
-            properties: {
-              firstName: patientProfile.firstName,
-              lastName: patientProfile.lastName,
-              email: patientProfile.email,
-              phonenumber: patientProfile.phonenumber,
-              address: patientProfile.address,
-              user_id: patientProfile.user_id,
-              patientId: patientProfile.patientId || effectivePatientId,
-              profilePhotoUrl: profilePhotoUrl,
-              ...enrichedProperties
-            }
-          };
-          
-          profileFound = true;
-          logger.info('Enhanced dashboard with patient profile data (OSDK)', {
-            patientId: effectivePatientId,
-            hasFirstName: !!patientProfile.firstName,
-            hasLastName: !!patientProfile.lastName,
-            hasPhoto: !!profilePhotoUrl,
-            correlationId: req.correlationId
-          });
-        }
-      } catch (profileError) {
-        logger.warn('OSDK failed for dashboard profile, trying REST API fallback', {
-          patientId: effectivePatientId,
-          error: profileError.message,
-          correlationId: req.correlationId
-        });
-      }
-    }
-    
-    // If OSDK didn't work, try REST API fallback
-    if (!profileFound) {
-      try {
-        const restResult = await searchPatientProfileViaREST(
-          effectivePatientId, 
-          ['user_id', 'patientId', 'patient_id'], 
-          1, 
-          req.correlationId
-        );
-        
-        if (restResult.objects && restResult.objects.length > 0) {
-          const patientProfile = restResult.objects[0].properties;
-          
-          // Enrich profile with media fields (photo processing)
-          const enrichedProfile = foundryService.enrichProfileWithMediaFields(restResult.objects[0], {
-            userId: effectivePatientId,
-            ontologyRid: 'ontology-151e0d3d-719c-464d-be5c-a6dc9f53d194',
-            objectType: 'A',
-            matchedField: 'user_id'
-          });
-          
-          const enrichedProperties = enrichedProfile.properties || enrichedProfile;
-          
-          // Check if the patient has a profile photo and construct URL
-          let profilePhotoUrl = null;
-          if (enrichedProperties.profilePhotoMediaSetRid && enrichedProperties.profilePhotoMediaItemRid) {
-            profilePhotoUrl = `/api/v1/foundry/media/${enrichedProperties.profilePhotoMediaSetRid}/items/${enrichedProperties.profilePhotoMediaItemRid}/content`;
-            logger.info('Patient has profile photo', {
-              mediaSetRid: enrichedProperties.profilePhotoMediaSetRid,
-              mediaItemRid: enrichedProperties.profilePhotoMediaItemRid,
-              correlationId: req.correlationId
-            });
-          }
-          
-          // Merge patient profile data into dashboard response
-          dashboardData = {
-            ...dashboardData,
-            rid: restResult.objects[0].rid,
-            properties: {
-              firstName: patientProfile.firstName,
-              lastName: patientProfile.lastName,
-              email: patientProfile.email,
-              phonenumber: patientProfile.phonenumber,
-              address: patientProfile.address,
-              user_id: patientProfile.user_id,
-              patientId: patientProfile.patientId || effectivePatientId,
-              profilePhotoUrl: profilePhotoUrl,
-              ...enrichedProperties
-            }
-          };
-          
-          profileFound = true;
-          logger.info('Enhanced dashboard with patient profile data (REST API)', {
-            patientId: effectivePatientId,
-            hasFirstName: !!patientProfile.firstName,
-            hasLastName: !!patientProfile.lastName,
-            hasPhoto: !!profilePhotoUrl,
-            profilePhotoUrl: profilePhotoUrl,
-            mediaSetRid: enrichedProperties.profilePhotoMediaSetRid,
-            mediaItemRid: enrichedProperties.profilePhotoMediaItemRid,
-            correlationId: req.correlationId
-          });
-        }
-      } catch (restError) {
-        logger.warn('REST API also failed for dashboard profile', {
-          patientId: effectivePatientId,
-          error: restError.message,
-          correlationId: req.correlationId
-        });
-      }
-    }
-    
-    // If neither OSDK nor REST API worked, use fallback
-    if (!profileFound) {
-      // Create a fallback patient profile populated from Auth0 token claims when available
-      const userIdParts = effectivePatientId.split('|');
-      const userIdentifier = userIdParts.length > 1 ? userIdParts[1] : effectivePatientId;
-      const claims = req.user || {};
-      const preferredName = claims.name || claims.preferred_username || req.context?.username || userIdentifier;
-      let firstName = claims.given_name;
-      let lastName = claims.family_name;
-
-      if (!firstName || !lastName) {
-        if (preferredName) {
-          const parts = String(preferredName).trim().split(/\s+/);
-          if (!firstName) firstName = parts[0] || 'Atlas';
-          if (!lastName) lastName = parts.slice(1).join(' ') || 'Patient';
-        } else {
-          firstName = firstName || 'Atlas';
-          lastName = lastName || 'Patient';
-        }
-      }
+    // Concurrent misses, on this or (with distributed coalescing) other instances, share one build
+    const { response, profileLookupFailed } = await dashboardCoalescer.coalesce(
+      effectivePatientId,
+      () => buildDashboardResponse(req, effectivePatientId)
+    );
 
-      const email = claims.email || `${userIdentifier}@example.com`;
-      
-      dashboardData = {
-        ...dashboardData,
-        rid: `patient-${userIdentifier}`,
-        properties: {
-          firstName,
-          lastName,
-          email,
-          user_id: effectivePatientId,
-          patientId: effectivePatientId,
-          source: 'fallback-profile-claims'
-        }
-      };
-      
-      logger.info('Using fallback patient profile (claims-derived)', {
+    // Prefer the last good dashboard over a claims-only fallback while Foundry is unreachable
+    if (profileLookupFailed && cached) {
+      logger.warn('Serving stale dashboard after profile lookup failure', {
         patientId: effectivePatientId,
-        hasGivenName: !!claims.given_name,
-        hasFamilyName: !!claims.family_name,
+        ageSeconds: cached.ageSeconds,
         correlationId: req.correlationId
       });
+      setStaleHeaders(res, { reason: 'revalidation-failed', ageSeconds: cached.ageSeconds });
+      return res.json(cached.data);
     }
 
-    // Log the actual profilePhotoUrl being sent in the response
-    logger.info('Sending dashboard response', {
-      profilePhotoUrl: dashboardData?.properties?.profilePhotoUrl,
-      hasProfilePhotoUrl: !!dashboardData?.properties?.profilePhotoUrl,
-      correlationId: req.correlationId
-    });
-
-    const response = {
-      success: true,
-      data: dashboardData,
-      timestamp: new Date().toISOString(),
-      correlationId: req.correlationId
-    };
-
     // Cache the response
     await cacheService.setDashboard(effectivePatientId, response);
 
     logger.info('Dashboard fetched and cached', {
       patientId: effectivePatientId,
       responseTime: Date.now() - startTime,
-      hasPhoto: !!dashboardData.properties?.profilePhotoUrl,
+      hasPhoto: !!response.data.properties?.profilePhotoUrl,
       correlationId: req.correlationId
     });
 
@@ -739,6 +820,137 @@ router.get('/health-records', validateTokenWithScopes(['read:health_records']),
   }
 });
 
+// Export jobs are only visible to the user who requested them
+async function findOwnedExport(req, res) {
+  const job = await getPatientExportService().getJob(req.params.jobId);
+  if (!job || job.userId !== req.user?.sub) {
+    res.status(404).json({
+      error: {
+        code: 'EXPORT_NOT_FOUND',
+        message: 'Export not found',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+    return null;
+  }
+
+  setAuditContext(req, { resourceType: 'export', patientId: job.patientId });
+  return job;
+}
+
+/**
+ * Start a right-of-access export of the caller's full record. Responds 202 with the job; poll the
+ * Location URL until it completes, then download the archive before it expires.
+ */
+router.post('/export', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let patientContext;
+  try {
+    patientContext = await resolvePatientContext(req, {
+      foundryService,
+      routeName: 'patient-export',
+      allowQueryOverride: false
+    });
+    const patientId = typeof patientContext.patientId === 'string' ? patientContext.patientId.trim() : '';
+    if (!patientId) {
+      return respondMissingPatientId(req, res, 'patient-export');
+    }
+
+    setAuditContext(req, { resourceType: 'export', patientId });
+
+    const { job, created } = await getPatientExportService().startExport({
+      userId: req.user.sub,
+      username: req.user.preferred_username || req.user.nickname || req.user.email || null,
+      patientId,
+      baseUrl: `${req.protocol}://${req.get('host')}/api/v1/fhir/r4`,
+      correlationId: req.correlationId
+    });
+
+    res.status(created ? 202 : 200)
+      .location(`${req.baseUrl}/export/${job.id}`)
+      .json({
+        success: true,
+        data: toJobView(job),
+        correlationId: req.correlationId
+      });
+  } catch (error) {
+    logger.error('Failed to start patient export', {
+      patientId: patientContext?.patientId,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+router.get('/export/:jobId', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let job;
+  try {
+    job = await findOwnedExport(req, res);
+  } catch (error) {
+    return next(error);
+  }
+  if (!job) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...toJobView(job),
+      downloadUrl: job.status === 'completed' ? `${req.baseUrl}/export/${job.id}/download` : null
+    },
+    correlationId: req.correlationId
+  });
+});
+
+router.get('/export/:jobId/download', validateTokenWithScopes(['read:patient']), async (req, res, next) => {
+  let job;
+  try {
+    job = await findOwnedExport(req, res);
+  } catch (error) {
+    return next(error);
+  }
+  if (!job) {
+    return;
+  }
+
+  if (job.status === 'expired') {
+    return res.status(410).json({
+      error: {
+        code: 'EXPORT_EXPIRED',
+        message: 'This export has expired; start a new one',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (job.status !== 'completed' || !job.filePath) {
+    return res.status(409).json({
+      error: {
+        code: 'EXPORT_NOT_READY',
+        message: `Export is ${job.status}`,
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.attachment(`health-record-export-${job.completedAt.slice(0, 10)}.zip`);
+  res.sendFile(job.filePath, (error) => {
+    if (error && !res.headersSent) {
+      logger.error('Failed to send patient export', {
+        jobId: job.id,
+        error: error.message,
+        correlationId: req.correlationId
+      });
+      next(error);
+    }
+  });
+});
+
 // Upload patient document
 router.post('/:patientId/documents', validateTokenWithScopes(['write:documents']), async (req, res, next) => {
   try {
@@ -0,0 +1,86 @@
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { setAuditContext } from '../middleware/phiAudit.js';
+import { getMediaContentService } from '../services/mediaContentService.js';
+import { getMediaUrlSigner } from '../services/mediaUrlSigner.js';
+
+// Public media URLs signed by POST /api/v1/foundry/media/sign. The token is the credential, so
+// there is no Auth0 validation here; ownership was checked when the URL was signed.
+const router = express.Router();
+const mediaContentService = getMediaContentService();
+
+router.get('/:token', async (req, res, next) => {
+  const mediaUrlSigner = getMediaUrlSigner();
+  if (!mediaUrlSigner) {
+    return res.status(503).json({
+      error: {
+        code: 'SIGNED_MEDIA_UNAVAILABLE',
+        message: 'Signed media URLs are not configured on this server',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const claims = mediaUrlSigner.verify(req.params.token);
+  if (!claims.valid) {
+    logger.warn('Rejected signed media URL', {
+      reason: claims.reason,
+      correlationId: req.correlationId
+    });
+    return res.status(403).json({
+      error: {
+        code: claims.reason === 'expired' ? 'MEDIA_URL_EXPIRED' : 'INVALID_MEDIA_SIGNATURE',
+        message: claims.reason === 'expired'
+          ? 'This media URL has expired; request a new one'
+          : 'This media URL is not valid',
+        correlationId: req.correlationId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const { mediaSetRid, mediaItemRid, userId, expiresAt } = claims;
+  // The user the URL was signed for is the audited actor
+  req.user = { sub: userId };
+  setAuditContext(req, { resourceType: 'media' });
+
+  try {
+    logger.info('Serving signed media URL', {
+      mediaSetRid,
+      mediaItemRid,
+      userId,
+      correlationId: req.correlationId
+    });
+
+    // Clients must not keep using the content past the URL's expiry
+    const maxAge = Math.max(0, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000));
+    const options = { cacheControl: `private, max-age=${maxAge}` };
+
+    if (mediaSetRid) {
+      await mediaContentService.sendSetItem(req, res, { mediaSetRid, mediaItemRid }, options);
+      return;
+    }
+
+    const media = await mediaContentService.sendItem(req, res, { mediaItemRid }, options);
+    if (!media.found) {
+      return res.status(404).json({
+        error: {
+          code: 'MEDIA_NOT_FOUND',
+          message: 'The media item was not found',
+          correlationId: req.correlationId,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  } catch (error) {
+    logger.error('Failed to serve signed media URL', {
+      mediaItemRid,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    next(error);
+  }
+});
+
+export { router as signedMediaRouter };
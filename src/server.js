@@ -13,8 +13,17 @@ import { validateAuth0Token, jwtErrorHandler } from './middleware/auth0.js';
 import { createRateLimiter } from './middleware/rateLimiter.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { correlationId } from './middleware/correlationId.js';
+import { phiAudit } from './middleware/phiAudit.js';
 import { FoundryService } from './services/foundryService.js';
 import { initializeCacheService } from './services/cacheService.js';
+import { initializeCacheInvalidationBus } from './services/cacheInvalidation.js';
+import { initializeDistributedCoalescing, stopDistributedCoalescing } from './utils/requestCoalescer.js';
+import { initializeAuditService } from './services/auditService.js';
+import { initializeHealthkitDedupeService } from './services/healthkitDedupeService.js';
+import { initializeErasureService } from './services/erasureService.js';
+import { initializeHealthkitUploadSessionService } from './services/healthkitUploadSessionService.js';
+import { initializeHealthkitDailyService } from './services/healthkitDailyService.js';
+import { initializePatientExportService } from './services/patientExportService.js';
 import { healthRouter } from './routes/health.js';
 import { publicDebugRouter } from './routes/publicDebug.js';
 import { patientRouter } from './routes/patient.js';
@@ -25,11 +34,15 @@ import { medicationsRouter } from './routes/medications.js';
 import { historyRouter } from './routes/history.js';
 import { intraencounterRouter } from './routes/intraencounter.js';
 import { healthkitRouter } from './routes/healthkit.js';
+import { fhirRouter } from './routes/fhir.js';
+import { auditRouter } from './routes/audit.js';
+import { erasureRouter } from './routes/erasure.js';
 import datasetsRouter from './routes/datasets.js';
 import fastenDatasetsRouter from './routes/fastenDatasets.js';
 import fastenIngestionRouter from './routes/fastenIngestion.js';
 import { transcriptionSummaryRouter } from './routes/transcriptionSummary.js';
 import { usernamePropagation } from './middleware/usernamePropagation.js';
+import { signedMediaRouter } from './routes/signedMedia.js';
 import patientProfileRouter from './routes/patient-profile.js';
 import aiChatHistoryRouter from './routes/aiChatHistory.js';
 import atlasIntraencounterHistoryRouter from './routes/atlasIntraencounterHistory.js';
@@ -57,6 +70,12 @@ try {
 // Initialize cache service
 const cacheService = initializeCacheService(redisClient);
 
+// Write endpoints publish cache invalidations here; peers hear about them over Redis pub/sub
+const cacheInvalidationBus = await initializeCacheInvalidationBus({ redisClient, cacheService });
+
+// Share media and dashboard fetches across instances when REQUEST_COALESCING_MODE=distributed
+await initializeDistributedCoalescing({ redisClient });
+
 // Initialize Foundry service
 const foundryService = new FoundryService({
   host: process.env.FOUNDRY_HOST,
@@ -65,6 +84,25 @@ const foundryService = new FoundryService({
   tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL
 });
 
+// Initialize PHI audit trail (sinks configured through AUDIT_SINKS)
+initializeAuditService({ redisClient, foundryService });
+
+// HealthKit record dedupe (needed by erasure and upload sessions, so initialized first)
+initializeHealthkitDedupeService({ redisClient });
+
+// Resumable HealthKit upload sessions (staged in Redis when available so uploads survive restarts)
+initializeHealthkitUploadSessionService({ redisClient, foundryService });
+
+// Daily HealthKit totals, cached per day in the shared tiered cache
+initializeHealthkitDailyService({ foundryService });
+
+// Right-of-access export jobs (tracked in Redis when available so any instance can report on them)
+initializePatientExportService({ redisClient, foundryService });
+
+// Account erasure jobs (persisted in Redis when available so they can be resumed); initialized
+// after the stores it erases so it shares their instances
+initializeErasureService({ redisClient, foundryService, cacheService });
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -110,9 +148,28 @@ app.use('/health', healthRouter);
 // Public debug (no auth required) — safe metadata only
 app.use('/debug/public', publicDebugRouter);
 
+// Signed media URLs (no auth required; the token in the path is the credential)
+app.use('/m', createRateLimiter(300, redisClient), phiAudit, signedMediaRouter);
+
 // Auth0 validation for protected routes
 app.use('/api', validateAuth0Token, usernamePropagation);
 
+// PHI access audit trail for every route that reads or writes patient data
+app.use([
+  '/api/v1/patient',
+  '/api/v1/patient-profile',
+  '/api/v1/foundry',
+  '/api/v1/medications',
+  '/api/v1/history',
+  '/api/v1/intraencounter',
+  '/api/v1/healthkit',
+  '/api/v1/fasten',
+  '/api/v1/fhir',
+  '/api/v1/erasure',
+  '/v2/ontologies',
+  '/user'
+], phiAudit);
+
 // AI Chat History routes (OSDK-style paths at root level)
 // Must come before the /api routes to match /v2/ontologies/... paths
 app.use('/', validateAuth0Token, usernamePropagation, createRateLimiter(50, redisClient), aiChatHistoryRouter);
@@ -148,6 +205,15 @@ app.use('/api/v1/healthkit', createRateLimiter(100, redisClient), healthkitRoute
 app.use('/api/v1/fasten/datasets', createRateLimiter(100, redisClient), fastenDatasetsRouter);
 app.use('/api/v1/fasten/fhir', createRateLimiter(100, redisClient), fastenIngestionRouter);
 
+// FHIR R4 facade over the Fasten ontology objects
+app.use('/api/v1/fhir/r4', createRateLimiter(100, redisClient), fhirRouter);
+
+// Patient-facing PHI access log
+app.use('/api/v1/audit', createRateLimiter(60, redisClient), auditRouter);
+
+// Account erasure (right to deletion)
+app.use('/api/v1/erasure', createRateLimiter(10, redisClient), erasureRouter);
+
 // JWT-specific error handling (must come before general error handler)
 app.use(jwtErrorHandler);
 
@@ -156,9 +222,10 @@ app.use(errorHandler);
 
 // 404 handler
 app.use('*', (req, res) => {
-  // Redirect bare media item RID requests to the proper media content route
+  // Redirect bare media item RID requests to the proper media content route, which authenticates the
+  // caller and checks they own the item
   const path = String(req.originalUrl || req.url || '');
-  const mediaRidMatch = path.match(/^\/ri\.mio\.main\.media-item\.[A-Za-z0-9.-_]+$/);
+  const mediaRidMatch = path.match(/^\/ri\.mio\.main\.media-item\.[A-Za-z0-9._-]+$/);
   if (mediaRidMatch) {
     const rid = path.replace(/^\//, '');
     return res.redirect(302, `/api/v1/foundry/media/items/${encodeURIComponent(rid)}/content`);
@@ -202,6 +269,8 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
+  await cacheInvalidationBus.stop();
+  await stopDistributedCoalescing();
   if (redisClient) {
     await redisClient.quit();
   }
@@ -212,6 +281,8 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   
+  await cacheInvalidationBus.stop();
+  await stopDistributedCoalescing();
   if (redisClient) {
     await redisClient.quit();
   }
@@ -105,12 +105,26 @@ export class AtlasIntraencounterService {
    * @param {Object} options
    */
   async searchByUserId(userId, options = {}) {
+    const { data } = await this.searchPageByUserId(userId, options);
+    return data;
+  }
+
+  /**
+   * One page of a user's productions, newest first, with the token for the next page (null on the
+   * last one).
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} [options.nextPageToken]
+   * @returns {Promise<{ data: Object[], nextPageToken: string|null }>}
+   */
+  async searchPageByUserId(userId, options = {}) {
     if (!userId) {
       throw new Error('userId is required');
     }
 
     const {
       pageSize = 30,
+      nextPageToken,
       select,
       includeRid = false
     } = options;
@@ -168,10 +182,11 @@ export class AtlasIntraencounterService {
           $pageSize: pageSize,
           $select: targetSelect,
           $includeRid: includeRid,
-          $orderBy: { timestamp: 'desc' }
+          $orderBy: { timestamp: 'desc' },
+          ...(nextPageToken ? { $nextPageToken: nextPageToken } : {})
         });
 
-      return this._normalize(result.data || []);
+      return { data: this._normalize(result.data || []), nextPageToken: result.nextPageToken || null };
     } catch (error) {
       logger.error('OSDK search failed for intra-encounter, falling back to REST API', {
         userId,
@@ -182,6 +197,7 @@ export class AtlasIntraencounterService {
       try {
         return await this.searchByUserIdViaREST(userId, {
           pageSize,
+          nextPageToken,
           select: targetSelect,
           includeRid
         });
@@ -229,6 +245,7 @@ export class AtlasIntraencounterService {
   async searchByUserIdViaREST(userId, options = {}) {
     const {
       pageSize = 30,
+      nextPageToken,
       select,
       includeRid = false
     } = options;
@@ -261,6 +278,7 @@ export class AtlasIntraencounterService {
         value: userId
       },
       pageSize,
+      ...(nextPageToken ? { pageToken: nextPageToken } : {}),
       select: select || [
         'audiofileId', 'audiofile', 'hospital',
         'llmSummary', 'location', 'providerName',
@@ -298,7 +316,7 @@ export class AtlasIntraencounterService {
       hasNextPage: !!result.nextPageToken
     });
 
-    return result.data || [];
+    return { data: result.data || [], nextPageToken: result.nextPageToken || null };
   }
 }
 
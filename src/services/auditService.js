@@ -0,0 +1,290 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+/**
+ * Redis stream sink. Each event is appended to the global stream and to a per-patient stream so
+ * `queryByPatient` does not have to scan every event. Streams are trimmed approximately to
+ * `maxLen` entries; long-term retention belongs to the file or Foundry sink.
+ */
+export class RedisStreamAuditSink {
+  constructor({ redis, prefix = process.env.AUDIT_STREAM_PREFIX || 'atlas:audit:', maxLen } = {}) {
+    if (!redis) {
+      throw new Error('RedisStreamAuditSink requires a Redis client');
+    }
+
+    this.name = 'redis';
+    this.redis = redis;
+    this.prefix = prefix;
+    this.maxLen = maxLen || parseInt(process.env.AUDIT_STREAM_MAX_LEN) || 100000;
+  }
+
+  patientStreamKey(patientId) {
+    return `${this.prefix}patient:${patientId}`;
+  }
+
+  async append(event) {
+    const fields = { event: JSON.stringify(event) };
+    const options = { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxLen } };
+
+    await this.redis.xAdd(`${this.prefix}events`, '*', fields, options);
+    if (event.patientId) {
+      await this.redis.xAdd(this.patientStreamKey(event.patientId), '*', fields, options);
+    }
+  }
+
+  async queryByPatient(patientId, { limit = DEFAULT_QUERY_LIMIT, since } = {}) {
+    const start = since ? String(Date.parse(since)) : '-';
+    const entries = await this.redis.xRevRange(this.patientStreamKey(patientId), '+', start, { COUNT: limit });
+    return entries.map((entry) => parseEvent(entry.message?.event)).filter(Boolean);
+  }
+}
+
+/**
+ * Local JSON Lines sink for single-instance deployments and development. Queries read the whole
+ * file, so it is not meant to back `/audit/me` at scale.
+ */
+export class JsonlFileAuditSink {
+  constructor({ filePath = process.env.AUDIT_LOG_PATH || 'logs/phi-audit.jsonl' } = {}) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.ready = null;
+  }
+
+  async append(event) {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    }
+    await this.ready;
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(event)}\n`, 'utf8');
+  }
+
+  async queryByPatient(patientId, { limit = DEFAULT_QUERY_LIMIT, since } = {}) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const sinceTime = since ? Date.parse(since) : null;
+    const events = [];
+    const lines = contents.split('\n');
+    for (let index = lines.length - 1; index >= 0 && events.length < limit; index -= 1) {
+      const event = parseEvent(lines[index]);
+      if (!event || event.patientId !== patientId) {
+        continue;
+      }
+      if (sinceTime !== null && Date.parse(event.timestamp) < sinceTime) {
+        break;
+      }
+      events.push(event);
+    }
+    return events;
+  }
+}
+
+/**
+ * Foundry dataset sink. Events are buffered and appended to the dataset's default table in batches
+ * through the same rows API used by routes/datasets.js. Write-only: it cannot answer queries.
+ */
+export class FoundryDatasetAuditSink {
+  constructor({
+    foundryService,
+    datasetRid = process.env.AUDIT_DATASET_RID,
+    branch = process.env.AUDIT_DATASET_BRANCH || 'master',
+    batchSize = 50,
+    flushIntervalMs = 5000
+  } = {}) {
+    if (!foundryService || !datasetRid) {
+      throw new Error('FoundryDatasetAuditSink requires a FoundryService instance and a dataset RID');
+    }
+
+    this.name = 'foundry';
+    this.foundryService = foundryService;
+    this.datasetRid = datasetRid;
+    this.branch = branch;
+    this.batchSize = batchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.buffer = [];
+    this.flushTimer = null;
+  }
+
+  async append(event) {
+    this.buffer.push(event);
+    if (this.buffer.length >= this.batchSize) {
+      await this.flush();
+      return;
+    }
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flush().catch((error) => {
+          logger.error('Failed to flush audit events to Foundry', {
+            datasetRid: this.datasetRid,
+            error: error.message,
+            status: error.status
+          });
+        });
+      }, this.flushIntervalMs);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.buffer.length === 0) {
+      return;
+    }
+
+    const batch = this.buffer.splice(0, this.buffer.length);
+    try {
+      await this.foundryService.makeApiRequest(
+        'POST',
+        `/datasets/${this.datasetRid}/branches/${this.branch}/tables/default/rows`,
+        {
+          transactionType: 'APPEND',
+          rows: batch.map((event) => ({ values: event }))
+        }
+      );
+    } catch (error) {
+      // Keep the events for the next flush rather than dropping audit records
+      this.buffer.unshift(...batch);
+      throw error;
+    }
+  }
+}
+
+function parseEvent(raw) {
+  if (typeof raw !== 'string' || raw.trim().length === 0) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * AuditService - append-only record of PHI reads and writes fanned out to the configured sinks.
+ * Recording never throws: a failing sink is logged so audit problems do not break patient requests.
+ */
+export class AuditService {
+  constructor({ sinks = [] } = {}) {
+    this.sinks = sinks;
+  }
+
+  get queryable() {
+    return this.sinks.some((sink) => typeof sink.queryByPatient === 'function');
+  }
+
+  async record(event) {
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      ...event
+    };
+
+    await Promise.all(this.sinks.map(async (sink) => {
+      try {
+        await sink.append(entry);
+      } catch (error) {
+        logger.error('Failed to write PHI audit event', {
+          sink: sink.name,
+          auditEventId: entry.id,
+          error: error.message,
+          correlationId: entry.correlationId
+        });
+      }
+    }));
+
+    return entry;
+  }
+
+  /**
+   * Most recent audit events for a patient, newest first, from the first queryable sink. Pass
+   * several ids when events about one person are recorded under more than one (e.g. their profile's
+   * patient id and, for requests that resolved no patient, their Auth0 `sub`).
+   */
+  async queryByPatient(patientIds, { limit, since } = {}) {
+    const sink = this.sinks.find((candidate) => typeof candidate.queryByPatient === 'function');
+    if (!sink) {
+      return null;
+    }
+
+    const parsedLimit = Number.parseInt(limit, 10);
+    const normalizedLimit = Number.isFinite(parsedLimit)
+      ? Math.max(1, Math.min(parsedLimit, MAX_QUERY_LIMIT))
+      : DEFAULT_QUERY_LIMIT;
+
+    const ids = [...new Set([patientIds].flat().filter(Boolean))];
+    if (ids.length === 1) {
+      return sink.queryByPatient(ids[0], { limit: normalizedLimit, since });
+    }
+
+    const results = await Promise.all(ids.map((id) => sink.queryByPatient(id, { limit: normalizedLimit, since })));
+    return results
+      .flat()
+      .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+      .slice(0, normalizedLimit);
+  }
+}
+
+/**
+ * Build sinks from AUDIT_SINKS (comma separated: redis, file, foundry). Defaults to Redis when a
+ * client is available and the JSONL file otherwise.
+ */
+export function createAuditSinks({ redisClient, foundryService, sinkNames = process.env.AUDIT_SINKS } = {}) {
+  const requested = typeof sinkNames === 'string' && sinkNames.trim().length > 0
+    ? sinkNames.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+    : [redisClient ? 'redis' : 'file'];
+
+  const sinks = [];
+  for (const name of new Set(requested)) {
+    try {
+      if (name === 'redis') {
+        sinks.push(new RedisStreamAuditSink({ redis: redisClient }));
+      } else if (name === 'file') {
+        sinks.push(new JsonlFileAuditSink());
+      } else if (name === 'foundry') {
+        sinks.push(new FoundryDatasetAuditSink({ foundryService }));
+      } else {
+        logger.warn('Ignoring unknown audit sink', { sink: name });
+      }
+    } catch (error) {
+      logger.error('Failed to configure audit sink', { sink: name, error: error.message });
+    }
+  }
+
+  return sinks;
+}
+
+// Export singleton instance
+let auditServiceInstance = null;
+
+export function initializeAuditService({ redisClient, foundryService } = {}) {
+  auditServiceInstance = new AuditService({ sinks: createAuditSinks({ redisClient, foundryService }) });
+  logger.info('Audit service initialized', {
+    sinks: auditServiceInstance.sinks.map((sink) => sink.name)
+  });
+  return auditServiceInstance;
+}
+
+export function getAuditService() {
+  if (!auditServiceInstance) {
+    auditServiceInstance = new AuditService({ sinks: createAuditSinks() });
+  }
+  return auditServiceInstance;
+}
@@ -0,0 +1,228 @@
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+import { logger } from '../utils/logger.js';
+import { resolvePatientContext } from '../utils/patientContext.js';
+import { getCacheService } from './cacheService.js';
+import { CLINICAL_RESOURCES, PATIENT_RESOURCE } from './clinicalResources.js';
+import { getTieredCache } from './tieredCache.js';
+
+/**
+ * Cache types affected by each write, by event name. Entries are tagged by subject (Auth0 sub,
+ * username or patient id) and type, so an event removes only the affected user's entries of
+ * these types.
+ */
+export const CACHE_INVALIDATION_EVENTS = {
+  'profile.updated': ['profile', 'dashboard', 'demographics', PATIENT_RESOURCE.name],
+  'medications.uploaded': ['medication-uploads', 'medication-requests'],
+  'intraencounter.created': ['intraencounter'],
+  'chat-history.appended': ['chat-history'],
+  'healthkit.ingested': ['healthkit', 'healthkit-daily', 'healthkit-files'],
+  'fasten.ingested': [
+    ...CLINICAL_RESOURCES.map((definition) => definition.name),
+    PATIENT_RESOURCE.name,
+    'encounters',
+    'encounter',
+    'timeline',
+    'observation-series',
+    'demographics'
+  ]
+};
+
+/**
+ * Subjects a request's cached entries may be keyed by: the Auth0 sub, the propagated username and
+ * the resolved Foundry patient id, plus any `extra` identifiers.
+ */
+export function getRequestCacheSubjects(req, ...extra) {
+  return [
+    req.user?.sub,
+    req.context?.username,
+    req.context?.foundryPatientContext?.patientId,
+    ...extra
+  ];
+}
+
+/**
+ * getRequestCacheSubjects for write endpoints that do not otherwise resolve the caller's patient
+ * (ingest routes): the patient id is looked up from the verified identity, never a `?patientId`
+ * override, so entries keyed by it are invalidated too. A failed lookup is logged and the subjects
+ * already known are returned, since the write itself has succeeded.
+ */
+export async function resolveRequestCacheSubjects(req, { foundryService, routeName }, ...extra) {
+  try {
+    await resolvePatientContext(req, { foundryService, routeName, allowQueryOverride: false });
+  } catch (error) {
+    logger.warn('Could not resolve the patient for cache invalidation', {
+      routeName,
+      error: error.message,
+      correlationId: req.correlationId
+    });
+  }
+  return getRequestCacheSubjects(req, ...extra);
+}
+
+/**
+ * Invalidation bus for write endpoints. `publish` drops the affected in-process entries, deletes
+ * the tagged Redis entries, and broadcasts the event on a Redis channel so other instances drop
+ * their in-process copies too. Emits `invalidated` for every event applied, local or remote.
+ */
+export class CacheInvalidationBus extends EventEmitter {
+  constructor({ cacheService, tieredCache, redisClient = null, channel } = {}) {
+    super();
+
+    if (!cacheService) {
+      throw new Error('CacheInvalidationBus requires a CacheService instance');
+    }
+    if (!tieredCache) {
+      throw new Error('CacheInvalidationBus requires a TieredCache instance');
+    }
+
+    this.cacheService = cacheService;
+    this.tieredCache = tieredCache;
+    this.redisClient = redisClient;
+    this.channel = channel || `${cacheService.prefix}invalidation`;
+    this.instanceId = randomUUID();
+    this.subscriber = null;
+  }
+
+  /**
+   * Apply and broadcast `event` for `identifiers`. Cache failures are logged rather than thrown so a
+   * completed write never fails on invalidation; the entries then expire on their TTL.
+   * @returns {Promise<{ event: string, types: string[], subjects: string[], keysDeleted: number }>}
+   */
+  async publish(event, { identifiers = [], correlationId } = {}) {
+    const types = CACHE_INVALIDATION_EVENTS[event];
+    if (!types) {
+      throw new Error(`Unknown cache invalidation event: ${event}`);
+    }
+
+    const subjects = Array.from(new Set(identifiers.filter((id) => typeof id === 'string' && id.length > 0)));
+    if (subjects.length === 0) {
+      return { event, types, subjects, keysDeleted: 0 };
+    }
+
+    const localDropped = this.tieredCache.dropLocal(subjects, types);
+    let keysDeleted = 0;
+
+    try {
+      keysDeleted = await this.cacheService.invalidateTags(subjects, types);
+    } catch (error) {
+      logger.error('Cache invalidation failed', {
+        event,
+        error: error.message,
+        correlationId
+      });
+    }
+
+    const redis = this.cacheService.redis;
+    if (redis) {
+      try {
+        await redis.publish(this.channel, JSON.stringify({ origin: this.instanceId, event, subjects, types }));
+      } catch (error) {
+        logger.warn('Cache invalidation broadcast failed', {
+          event,
+          error: error.message,
+          correlationId
+        });
+      }
+    }
+
+    logger.info('Cache invalidation applied', {
+      event,
+      types,
+      keysDeleted,
+      localDropped,
+      correlationId
+    });
+
+    const result = { event, types, subjects, keysDeleted };
+    this.emit('invalidated', { ...result, remote: false });
+    return result;
+  }
+
+  /**
+   * Subscribe to invalidations published by other instances. Pub/sub needs its own connection, so
+   * the client is duplicated.
+   */
+  async start() {
+    if (!this.redisClient || this.subscriber) {
+      return;
+    }
+
+    const subscriber = this.redisClient.duplicate();
+    await subscriber.connect();
+    await subscriber.subscribe(this.channel, (message) => this.handleMessage(message));
+    this.subscriber = subscriber;
+
+    logger.info('Cache invalidation bus subscribed', { channel: this.channel });
+  }
+
+  async stop() {
+    if (!this.subscriber) {
+      return;
+    }
+
+    const subscriber = this.subscriber;
+    this.subscriber = null;
+    await subscriber.quit();
+  }
+
+  handleMessage(message) {
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch (error) {
+      logger.warn('Ignoring malformed cache invalidation message', { error: error.message });
+      return;
+    }
+
+    if (!payload || payload.origin === this.instanceId || !Array.isArray(payload.subjects) || !Array.isArray(payload.types)) {
+      return;
+    }
+
+    const localDropped = this.tieredCache.dropLocal(payload.subjects, payload.types);
+    logger.debug('Cache invalidation received', { event: payload.event, localDropped });
+    this.emit('invalidated', {
+      event: payload.event,
+      types: payload.types,
+      subjects: payload.subjects,
+      keysDeleted: 0,
+      remote: true
+    });
+  }
+}
+
+// Export singleton instance
+let cacheInvalidationBusInstance = null;
+
+export async function initializeCacheInvalidationBus({ redisClient, cacheService, tieredCache } = {}) {
+  await cacheInvalidationBusInstance?.stop();
+  cacheInvalidationBusInstance = new CacheInvalidationBus({
+    redisClient,
+    cacheService: cacheService || getCacheService(),
+    tieredCache: tieredCache || getTieredCache()
+  });
+
+  try {
+    await cacheInvalidationBusInstance.start();
+  } catch (error) {
+    // Invalidation still applies on this instance; peers fall back to their L1 re-check interval
+    logger.error('Cache invalidation subscription failed', { error: error.message });
+  }
+
+  logger.info('Cache invalidation bus initialized', {
+    channel: cacheInvalidationBusInstance.channel,
+    subscribed: Boolean(cacheInvalidationBusInstance.subscriber)
+  });
+  return cacheInvalidationBusInstance;
+}
+
+export function getCacheInvalidationBus() {
+  if (!cacheInvalidationBusInstance) {
+    cacheInvalidationBusInstance = new CacheInvalidationBus({
+      cacheService: getCacheService(),
+      tieredCache: getTieredCache()
+    });
+  }
+  return cacheInvalidationBusInstance;
+}
@@ -1,15 +1,46 @@
 import { logger } from '../utils/logger.js';
 
+// Escape Redis glob metacharacters so identifiers match literally in SCAN patterns
+export const escapeGlob = (value) => String(value).replace(/[*?[\]\\]/g, '\\$&');
+
+// How long past its TTL an entry may still be served: immediately while a background refresh runs,
+// or only when the upstream refresh fails. Entries are kept in Redis for the longer window.
+export const STALE_WHILE_REVALIDATE_MS = Number.parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE_MS, 10) || 60 * 1000;
+export const STALE_IF_ERROR_MS = Number.parseInt(process.env.CACHE_STALE_IF_ERROR_MS, 10) || 60 * 60 * 1000;
+
+// Tag sets list the keys cached for one subject and type; they must outlive every key they list
+export const CACHE_TAG_TTL_SECONDS = Number.parseInt(process.env.CACHE_TAG_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+/**
+ * Freshness of an entry cached `ageMs` ago with a `ttlMs` lifetime: fresh, stale-while-revalidate,
+ * stale-if-error, or null once it is past both stale windows.
+ */
+export function classifyCacheAge(ageMs, ttlMs, {
+  staleWhileRevalidateMs = STALE_WHILE_REVALIDATE_MS,
+  staleIfErrorMs = STALE_IF_ERROR_MS
+} = {}) {
+  if (ageMs < ttlMs) {
+    return 'fresh';
+  }
+  if (ageMs < ttlMs + staleWhileRevalidateMs) {
+    return 'stale-while-revalidate';
+  }
+  if (ageMs < ttlMs + staleIfErrorMs) {
+    return 'stale-if-error';
+  }
+  return null;
+}
+
 /**
- * CacheService - Handles caching for patient dashboard and media content
- * to minimize API calls and prevent rate limiting
+ * CacheService - Handles caching for patient dashboard and media metadata
+ * to minimize API calls and prevent rate limiting (media content lives on disk, see MediaCache)
  */
 export class CacheService {
   constructor(redisClient) {
     this.redis = redisClient;
     this.ttls = {
       dashboard: parseInt(process.env.DASHBOARD_CACHE_TTL) || 300, // 5 minutes
-      media: parseInt(process.env.MEDIA_CACHE_TTL) || 86400, // 24 hours
+      media: parseInt(process.env.MEDIA_CACHE_TTL) || 86400, // 24 hours (metadata; blobs are evicted by size)
       profile: parseInt(process.env.PROFILE_CACHE_TTL) || 600, // 10 minutes
       transcriptionSummary: parseInt(process.env.TRANSCRIPTION_CACHE_TTL) || 3600 // 1 hour
     };
@@ -24,9 +55,46 @@ export class CacheService {
   }
 
   /**
-   * Get cached dashboard data
+   * Key of the Redis set listing the `type` entries cached for `subject`. It stays inside the
+   * `<prefix>*:<identifier>` pattern so invalidateIdentifiers removes it along with the entries.
+   */
+  getTagKey(type, subject) {
+    return this.getCacheKey(`tag:${type}`, subject);
+  }
+
+  /**
+   * Record `key` under the tag for the subject's `type` entries so writes can invalidate them
+   * precisely (see invalidateTags). Tagging failures are logged and otherwise ignored.
+   */
+  async tag(type, subject, key) {
+    if (!this.redis || !subject) return;
+
+    try {
+      const tagKey = this.getTagKey(type, subject);
+      await this.redis.multi()
+        .sAdd(tagKey, key)
+        .expire(tagKey, CACHE_TAG_TTL_SECONDS)
+        .exec();
+    } catch (error) {
+      logger.warn('Cache tag error', {
+        type,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get cached dashboard data while it is fresh
    */
   async getDashboard(userId) {
+    const entry = await this.getDashboardEntry(userId);
+    return entry?.state === 'fresh' ? entry.data : null;
+  }
+
+  /**
+   * Cached dashboard with its age and freshness (see classifyCacheAge), including stale copies
+   */
+  async getDashboardEntry(userId) {
     if (!this.redis) return null;
     
     try {
@@ -34,8 +102,13 @@ export class CacheService {
       const cached = await this.redis.get(key);
       
       if (cached) {
-        logger.debug('Dashboard cache hit', { userId, key });
-        return JSON.parse(cached);
+        const data = JSON.parse(cached);
+        const ageMs = Math.max(0, Date.now() - (Date.parse(data.cachedAt) || 0));
+        const state = classifyCacheAge(ageMs, this.ttls.dashboard * 1000);
+        if (state) {
+          logger.debug('Dashboard cache hit', { userId, key, state });
+          return { data, state, ageSeconds: Math.floor(ageMs / 1000) };
+        }
       }
       
       logger.debug('Dashboard cache miss', { userId, key });
@@ -59,15 +132,18 @@ export class CacheService {
       const key = this.getCacheKey('dashboard', userId);
       const ttl = this.ttls.dashboard;
       
-      await this.redis.setex(
+      // Kept past the TTL so a stale copy can stand in while Foundry is unavailable
+      await this.redis.setEx(
         key, 
-        ttl, 
+        ttl + Math.ceil(STALE_IF_ERROR_MS / 1000), 
         JSON.stringify({
           ...data,
           cachedAt: new Date().toISOString()
         })
       );
       
+      await this.tag('dashboard', userId, key);
+
       logger.debug('Dashboard cached', { userId, key, ttl });
     } catch (error) {
       logger.error('Dashboard cache set error', { 
@@ -77,75 +153,6 @@ export class CacheService {
     }
   }
 
-  /**
-   * Get cached media content
-   */
-  async getMedia(mediaSetRid, mediaItemRid) {
-    if (!this.redis) return null;
-    
-    try {
-      const key = this.getCacheKey('media', `${mediaSetRid}:${mediaItemRid}`);
-      const cached = await this.redis.get(key);
-      
-      if (cached) {
-        logger.debug('Media cache hit', { mediaSetRid, mediaItemRid, key });
-        const data = JSON.parse(cached);
-        
-        // Return buffer from base64
-        if (data.content) {
-          data.content = Buffer.from(data.content, 'base64');
-        }
-        
-        return data;
-      }
-      
-      logger.debug('Media cache miss', { mediaSetRid, mediaItemRid, key });
-      return null;
-    } catch (error) {
-      logger.error('Media cache get error', { 
-        mediaSetRid, 
-        mediaItemRid, 
-        error: error.message 
-      });
-      return null;
-    }
-  }
-
-  /**
-   * Cache media content
-   */
-  async setMedia(mediaSetRid, mediaItemRid, content, contentType) {
-    if (!this.redis) return;
-    
-    try {
-      const key = this.getCacheKey('media', `${mediaSetRid}:${mediaItemRid}`);
-      const ttl = this.ttls.media;
-      
-      // Convert buffer to base64 for Redis storage
-      const data = {
-        content: content.toString('base64'),
-        contentType,
-        cachedAt: new Date().toISOString()
-      };
-      
-      await this.redis.setex(key, ttl, JSON.stringify(data));
-      
-      logger.debug('Media cached', { 
-        mediaSetRid, 
-        mediaItemRid, 
-        key, 
-        ttl,
-        size: content.length 
-      });
-    } catch (error) {
-      logger.error('Media cache set error', { 
-        mediaSetRid, 
-        mediaItemRid, 
-        error: error.message 
-      });
-    }
-  }
-
   /**
    * Get cached profile data
    */
@@ -182,7 +189,7 @@ export class CacheService {
       const key = this.getCacheKey('profile', userId);
       const ttl = this.ttls.profile;
       
-      await this.redis.setex(
+      await this.redis.setEx(
         key, 
         ttl, 
         JSON.stringify({
@@ -191,6 +198,8 @@ export class CacheService {
         })
       );
       
+      await this.tag('profile', userId, key);
+
       logger.debug('Profile cached', { userId, key, ttl });
     } catch (error) {
       logger.error('Profile cache set error', { 
@@ -235,7 +244,7 @@ export class CacheService {
       const key = this.getCacheKey('transcription', `${auth0Id}:${transcriptHash}`);
       const ttl = this.ttls.transcriptionSummary;
       
-      await this.redis.setex(
+      await this.redis.setEx(
         key, 
         ttl, 
         JSON.stringify({
@@ -277,34 +286,83 @@ export class CacheService {
    * Invalidate all cache entries for a user
    */
   async invalidateUser(userId) {
-    if (!this.redis) return;
-    
     try {
-      const patterns = [
-        this.getCacheKey('dashboard', userId),
-        this.getCacheKey('profile', userId),
-        this.getCacheKey('transcription', `${userId}:*`)
-      ];
-      
-      for (const pattern of patterns) {
-        const keys = await this.redis.keys(pattern);
-        if (keys.length > 0) {
-          await this.redis.del(...keys);
-          logger.info('User cache invalidated', { 
-            userId, 
-            pattern, 
-            keysDeleted: keys.length 
-          });
-        }
-      }
+      return await this.invalidateIdentifiers([userId]);
     } catch (error) {
       logger.error('User cache invalidation error', { 
         userId, 
         error: error.message 
       });
+      return 0;
     }
   }
 
+  /**
+   * Delete every cache entry keyed by any of the identifiers (Auth0 sub, username, patient id)
+   * whatever its type: `<prefix><type>:<identifier>` and `<prefix><type>:<identifier>:...`.
+   * Uses SCAN rather than KEYS so a large keyspace is not blocked. Errors propagate.
+   * @returns {Promise<number>} number of keys deleted
+   */
+  async invalidateIdentifiers(identifiers = []) {
+    if (!this.redis) return 0;
+
+    const unique = Array.from(new Set(identifiers.filter((id) => typeof id === 'string' && id.length > 0)));
+    const prefix = escapeGlob(this.prefix);
+    let deleted = 0;
+
+    for (const identifier of unique) {
+      const escaped = escapeGlob(identifier);
+      for (const pattern of [`${prefix}*:${escaped}`, `${prefix}*:${escaped}:*`]) {
+        const keys = [];
+        for await (const key of this.redis.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+          keys.push(key);
+        }
+        if (keys.length > 0) {
+          deleted += await this.redis.del(keys);
+          logger.info('User cache invalidated', {
+            userId: identifier,
+            pattern,
+            keysDeleted: keys.length
+          });
+        }
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Delete the entries tagged for any of `subjects` under any of `types`, together with the tag sets.
+   * Unlike invalidateIdentifiers this touches only the listed keys. Errors propagate.
+   * @returns {Promise<number>} number of cached entries deleted
+   */
+  async invalidateTags(subjects = [], types = []) {
+    if (!this.redis) return 0;
+
+    const unique = Array.from(new Set(subjects.filter((id) => typeof id === 'string' && id.length > 0)));
+    let deleted = 0;
+
+    for (const subject of unique) {
+      for (const type of types) {
+        const tagKey = this.getTagKey(type, subject);
+        const keys = await this.redis.sMembers(tagKey);
+        if (keys.length === 0) {
+          continue;
+        }
+
+        // The tag set is deleted too, so it does not count towards the entries removed
+        deleted += (await this.redis.del([...keys, tagKey])) - 1;
+        logger.info('Tagged cache entries invalidated', {
+          userId: subject,
+          type,
+          keysTagged: keys.length
+        });
+      }
+    }
+
+    return deleted;
+  }
+
   /**
    * Get cached clinical data (conditions, encounters, etc.)
    */
@@ -349,12 +407,13 @@ export class CacheService {
         'clinical-notes': 600, // 10 min
         'medications': 900, // 15 min
         'allergies': 900, // 15 min
-        'immunizations': 900 // 15 min
+        'immunizations': 900, // 15 min
+        'observation-series': 300 // 5 min
       };
       
       const ttl = ttlMap[type] || 600;
       
-      await this.redis.setex(
+      await this.redis.setEx(
         key, 
         ttl, 
         JSON.stringify({
@@ -363,6 +422,8 @@ export class CacheService {
         })
       );
       
+      await this.tag(type, userId, key);
+
       logger.debug(`${type} cached`, { userId, key, ttl });
     } catch (error) {
       logger.error(`${type} cache set error`, { 
@@ -407,11 +468,13 @@ export class CacheService {
       const key = this.getCacheKey('chat-history', `${userId}:${pageSize}`);
       const ttl = 120; // 2 minutes for real-time feel
       
-      await this.redis.setex(key, ttl, JSON.stringify({
+      await this.redis.setEx(key, ttl, JSON.stringify({
         ...data,
         cachedAt: new Date().toISOString()
       }));
       
+      await this.tag('chat-history', userId, key);
+
       logger.debug('Chat history cached', { userId, key, ttl });
     } catch (error) {
       logger.error('Chat history cache set error', { 
@@ -436,7 +499,7 @@ export class CacheService {
         redisStats: info,
         keysByType: {
           dashboard: keys.filter(k => k.includes(':dashboard:')).length,
-          media: keys.filter(k => k.includes(':media:')).length,
+          media: keys.filter(k => k.includes(':media-meta:')).length,
           profile: keys.filter(k => k.includes(':profile:')).length,
           transcription: keys.filter(k => k.includes(':transcription:')).length,
           'clinical-data': keys.filter(k => 
@@ -467,6 +530,13 @@ export function initializeCacheService(redisClient) {
       ttls: cacheServiceInstance.ttls,
       prefix: cacheServiceInstance.prefix
     });
+  } else if (!cacheServiceInstance.redis && redisClient) {
+    // Routers call getCacheService() at import time, before server.js has connected Redis
+    cacheServiceInstance.redis = redisClient;
+    logger.info('Cache service attached to Redis', {
+      ttls: cacheServiceInstance.ttls,
+      prefix: cacheServiceInstance.prefix
+    });
   }
   return cacheServiceInstance;
 }
@@ -0,0 +1,283 @@
+import { logger } from '../utils/logger.js';
+import { getClinicalResource } from './clinicalResources.js';
+import { TieredCache } from './tieredCache.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MIN_PAGE_SIZE = 1;
+
+export class ClinicalResourceService {
+  constructor({ foundryService, cache } = {}) {
+    if (!foundryService) {
+      throw new Error('ClinicalResourceService requires a FoundryService instance');
+    }
+
+    this.foundryService = foundryService;
+    this.cache = cache || new TieredCache();
+  }
+
+  /**
+   * Fetch one page of a registered clinical resource for a patient.
+   * `resource` may be a definition from clinicalResources.js or its name.
+   */
+  async fetchResource(resource, options) {
+    const { definition, cacheParams, search } = resolveResourceRequest(resource, options);
+    return this.cache.getOrLoad(
+      definition.name,
+      search.patientId,
+      cacheParams,
+      () => this.searchResource(definition, search),
+      { ttlMs: definition.cacheTtlMs }
+    );
+  }
+
+  /**
+   * The page fetchResource would return, read from Foundry without reading or filling the cache
+   * (for bulk reads such as exports that would otherwise flood it).
+   */
+  async fetchResourceDirect(resource, options) {
+    const { definition, search } = resolveResourceRequest(resource, options);
+    return this.searchResource(definition, search);
+  }
+
+  async searchResource(definition, {
+    patientId,
+    objectType,
+    appliedFilters,
+    pageSize: normalizedPageSize,
+    pageToken: normalizedPageToken,
+    sortField,
+    sortDirection,
+    correlationId
+  }) {
+    const ontologyId = this.foundryService.getApiOntologyRid();
+    if (!ontologyId) {
+      throw new Error(`Foundry ${definition.label} ontology RID is not configured`);
+    }
+
+    const where = buildResourceFilter(definition, patientId, appliedFilters);
+    const payload = {
+      where,
+      pageSize: normalizedPageSize
+    };
+
+    // Sorting has historically produced InvalidFieldType errors on the Fasten object types.
+    // The requested sort is validated and logged but orderBy is omitted until the schemas support it.
+
+    if (normalizedPageToken) {
+      payload.pageToken = normalizedPageToken;
+    }
+
+    logger.info(`Fetching ${definition.label} from Foundry`, {
+      patientId,
+      filters: appliedFilters,
+      pageSize: normalizedPageSize,
+      sortField,
+      sortDirection,
+      pageToken: normalizedPageToken,
+      payload: JSON.stringify(payload),
+      ontologyObjectType: objectType,
+      correlationId
+    });
+
+    const result = await this.foundryService.searchOntologyObjects(ontologyId, objectType, payload);
+
+    let data = extractRawEntries(result).map((entry) => definition.normalize(entry));
+    if (typeof definition.includeEntry === 'function') {
+      data = data.filter((entry) => definition.includeEntry(entry));
+    }
+
+    const responsePayload = {
+      success: true,
+      data,
+      nextPageToken: extractNextPageToken(result),
+      fetchedAt: new Date().toISOString(),
+      correlationId
+    };
+
+    logger.info(`Foundry ${definition.label} response`, {
+      patientId,
+      count: data.length,
+      nextPageToken: responsePayload.nextPageToken,
+      correlationId
+    });
+
+    return responsePayload;
+  }
+}
+
+export function buildPatientFilter(patientId) {
+  const normalized = typeof patientId === 'string' ? patientId.trim() : patientId;
+
+  if (!normalized) {
+    return null;
+  }
+
+  // For Auth0 user IDs (auth0|xxx format), use auth0id field directly
+  if (normalized.startsWith('auth0|')) {
+    return {
+      type: 'eq',
+      field: 'auth0id',
+      value: normalized
+    };
+  }
+
+  // For non-Auth0 IDs, fall back to multiple field search
+  const targetFields = ['patientId', 'userId', 'patient_id', 'user_id'];
+
+  return {
+    type: 'or',
+    value: targetFields.map((field) => ({
+      type: 'eq',
+      field,
+      value: normalized
+    }))
+  };
+}
+
+/**
+ * Parse the `sort` query mini-grammar (`field:ASC|DESC`, `-field`, `+field` or bare `field`).
+ * Unknown fields fall back to the first allowed field, descending.
+ */
+export function parseSortParam(sortParam, allowedFields = []) {
+  const fallback = { field: allowedFields[0] || null, direction: 'DESC' };
+  const trimmed = typeof sortParam === 'string' ? sortParam.trim() : '';
+  if (!trimmed) {
+    return fallback;
+  }
+
+  let requestedField = trimmed;
+  let requestedDirection = fallback.direction;
+
+  if (trimmed.includes(':')) {
+    const [fieldPart, directionPart] = trimmed.split(':');
+    requestedField = fieldPart.trim();
+    const trimmedDirection = directionPart?.trim().toUpperCase();
+    if (trimmedDirection === 'ASC' || trimmedDirection === 'DESC') {
+      requestedDirection = trimmedDirection;
+    }
+  } else if (trimmed.startsWith('-')) {
+    requestedField = trimmed.substring(1).trim();
+    requestedDirection = 'DESC';
+  } else if (trimmed.startsWith('+')) {
+    requestedField = trimmed.substring(1).trim();
+    requestedDirection = 'ASC';
+  }
+
+  if (!allowedFields.includes(requestedField)) {
+    return fallback;
+  }
+
+  return { field: requestedField, direction: requestedDirection };
+}
+
+export function extractRawEntries(result) {
+  const rawEntries = [];
+  if (Array.isArray(result?.data)) {
+    rawEntries.push(...result.data);
+  }
+  if (Array.isArray(result?.objects)) {
+    rawEntries.push(...result.objects);
+  }
+  if (Array.isArray(result?.results)) {
+    rawEntries.push(...result.results);
+  }
+  if (Array.isArray(result?.entries)) {
+    rawEntries.push(...result.entries);
+  }
+  return rawEntries;
+}
+
+export function extractNextPageToken(result) {
+  return result?.nextPageToken || result?.next_page_token || result?.pageToken || null;
+}
+
+function resolveResourceRequest(resource, {
+  patientId,
+  pageSize,
+  pageToken,
+  sort,
+  filters = {},
+  correlationId
+}) {
+  const definition = typeof resource === 'string' ? getClinicalResource(resource) : resource;
+  if (!definition) {
+    throw new Error(`Unknown clinical resource: ${resource}`);
+  }
+
+  if (!patientId) {
+    throw new Error(`patientId is required to fetch ${definition.label}`);
+  }
+
+  const normalizedPageSize = normalizePageSize(pageSize);
+  const normalizedPageToken = typeof pageToken === 'string' && pageToken.trim().length > 0
+    ? pageToken.trim()
+    : undefined;
+  const { field: sortField, direction: sortDirection } = parseSortParam(sort, definition.sortFields);
+  const appliedFilters = pickFilters(definition, filters);
+  const objectType = typeof definition.resolveObjectType === 'function'
+    ? definition.resolveObjectType(appliedFilters)
+    : definition.objectType;
+
+  return {
+    definition,
+    cacheParams: {
+      filters: appliedFilters,
+      pageSize: normalizedPageSize,
+      pageToken: normalizedPageToken ?? null,
+      sortField,
+      sortDirection
+    },
+    search: {
+      patientId,
+      objectType,
+      appliedFilters,
+      pageSize: normalizedPageSize,
+      pageToken: normalizedPageToken,
+      sortField,
+      sortDirection,
+      correlationId
+    }
+  };
+}
+
+function normalizePageSize(pageSize) {
+  const parsed = Number.parseInt(pageSize, 10);
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  return Math.max(MIN_PAGE_SIZE, Math.min(parsed, MAX_PAGE_SIZE));
+}
+
+function pickFilters(definition, filters) {
+  const applied = {};
+  for (const param of Object.keys(definition.filterFields || {})) {
+    const value = filters?.[param];
+    if (typeof value === 'string' && value.trim().length > 0) {
+      applied[param] = value.trim();
+    }
+  }
+  return applied;
+}
+
+function buildResourceFilter(definition, patientId, appliedFilters) {
+  const clauses = [];
+  const patientFilter = buildPatientFilter(patientId);
+  if (patientFilter) {
+    clauses.push(patientFilter);
+  }
+
+  for (const [param, value] of Object.entries(appliedFilters)) {
+    const field = definition.filterFields[param];
+    if (field) {
+      clauses.push({ type: 'eq', field, value });
+    }
+  }
+
+  if (typeof definition.buildFilters === 'function') {
+    clauses.push(...definition.buildFilters(appliedFilters));
+  }
+
+  return clauses.length === 1 ? clauses[0] : { type: 'and', value: clauses };
+}
@@ -0,0 +1,574 @@
+// Declarative definitions for the Fasten-backed clinical resources served under /api/v1/foundry.
+// Each entry drives a generated GET route: adding a new Fasten object type only requires a new
+// definition here (object type, sort fields, filter fields, normalizer and cache TTL).
+
+const DEFAULT_RESOURCE_CACHE_TTL_MS = 30 * 1000;
+
+// Map iOS category values to ontology fields when using the general observations object type
+const OBSERVATION_CATEGORY_MAPPING = {
+  'vital-signs': {
+    code: 'vital-signs',
+    display: 'Vital Signs'
+  },
+  'laboratory': {
+    code: 'laboratory',
+    display: 'Laboratory'
+  },
+  'survey': {
+    code: 'survey',
+    display: 'Survey'
+  },
+  'exam': {
+    code: 'exam',
+    display: 'Exam'
+  }
+};
+
+/**
+ * Resource definition shape:
+ * - name: route name used for logging, identity resolution and cache keys
+ * - path: router path the GET handler is mounted on
+ * - label: human readable name used in log and error messages
+ * - objectType: Foundry object type API name (or resolveObjectType(filters) for conditional types)
+ * - sortFields: accepted values for the `sort` query parameter; the first entry is the default
+ * - dateField: normalized field holding the clinically relevant date (timeline ordering, date filters)
+ * - filterFields: query parameter name -> ontology field, applied as `eq` filters
+ *   (null accepts the parameter but leaves the clause to buildFilters)
+ * - buildFilters(filters): optional hook returning extra ontology filter clauses
+ * - normalize(entry): maps a raw Foundry object to the response shape
+ * - includeEntry(entry): optional predicate applied after normalization
+ * - interpretValues: route enriches numeric values with a reference-range interpretation and
+ *   accepts `abnormalOnly=true` (see services/observationInterpretationService.js)
+ * - cacheTtlMs: response cache lifetime in the tiered (in-process + Redis) cache
+ */
+export const CLINICAL_RESOURCES = [
+  {
+    name: 'clinical-notes',
+    path: '/clinical-notes',
+    label: 'clinical notes',
+    objectType: process.env.FOUNDRY_CLINICAL_NOTES_OBJECT_TYPE || 'FastenClinicalNotes',
+    sortFields: ['date', 'encounterId'],
+    dateField: 'documentDate',
+    filterFields: { encounterId: 'encounterId' },
+    normalize: normalizeClinicalNoteEntry,
+    includeEntry: (note) => note && typeof note === 'object' && Boolean(note.noteId || note.id),
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'procedures',
+    path: '/procedures',
+    label: 'procedures',
+    objectType: process.env.FOUNDRY_PROCEDURES_OBJECT_TYPE || 'FastenProcedures',
+    sortFields: ['performedDate', 'procedureName', 'status'],
+    dateField: 'performedDate',
+    filterFields: { status: 'status', encounterId: 'encounterId' },
+    normalize: normalizeProcedureEntry,
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'immunizations',
+    path: '/immunizations',
+    label: 'immunizations',
+    objectType: process.env.FOUNDRY_IMMUNIZATIONS_OBJECT_TYPE || 'FastenImmunizations',
+    sortFields: ['occurrenceDate', 'vaccineName', 'status'],
+    dateField: 'occurrenceDate',
+    filterFields: { status: 'status' },
+    normalize: normalizeImmunizationEntry,
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'observations',
+    path: '/observations',
+    label: 'observations',
+    objectType: process.env.FOUNDRY_OBSERVATIONS_OBJECT_TYPE || 'FastenObservations',
+    vitalsObjectType: process.env.FOUNDRY_VITALS_OBJECT_TYPE || 'FastenVitals',
+    resolveObjectType(filters) {
+      // Vital signs live in their own object type rather than a category of FastenObservations
+      return filters.category === 'vital-signs' ? this.vitalsObjectType : this.objectType;
+    },
+    sortFields: ['observationDate', 'codeDisplay', 'category'],
+    dateField: 'observationDate',
+    filterFields: { category: null, code: 'code', encounterId: 'encounterId' },
+    buildFilters: buildObservationCategoryFilters,
+    normalize: normalizeObservationEntry,
+    interpretValues: true,
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'allergies',
+    path: '/allergies',
+    label: 'allergies',
+    objectType: process.env.FOUNDRY_ALLERGIES_OBJECT_TYPE || 'FastenAllergies',
+    sortFields: ['recordedDate', 'allergyDisplay', 'clinicalStatus', 'verificationStatus'],
+    dateField: 'recordedDate',
+    filterFields: { clinicalStatus: 'clinicalStatus', verificationStatus: 'verificationStatus' },
+    normalize: unwrapProperties,
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'conditions',
+    path: '/conditions',
+    label: 'conditions',
+    objectType: process.env.FOUNDRY_CONDITIONS_OBJECT_TYPE || 'FastenConditions',
+    sortFields: ['recordedDate', 'onsetDate', 'onsetDatetime', 'conditionName'],
+    dateField: 'recordedDate',
+    filterFields: { encounterId: 'encounterId' },
+    normalize: unwrapProperties,
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'medication-requests',
+    path: '/medication-requests',
+    label: 'medication requests',
+    objectType: process.env.FOUNDRY_MEDICATION_REQUESTS_OBJECT_TYPE || 'FastenMedicationRequests',
+    sortFields: ['authoredOn', 'medicationName', 'status'],
+    dateField: 'authoredOn',
+    filterFields: { status: 'status' },
+    normalize: (entry) => normalizeWithIdentifier(entry, ['medicationRequestId', 'medication_request_id']),
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  },
+  {
+    name: 'diagnostic-reports',
+    path: '/diagnostic-reports',
+    label: 'diagnostic reports',
+    objectType: process.env.FOUNDRY_DIAGNOSTIC_REPORTS_OBJECT_TYPE || 'FastenDiagnosticReports',
+    sortFields: ['effectiveDate', 'issuedDate', 'codeDisplay', 'status'],
+    dateField: 'effectiveDate',
+    filterFields: { status: 'status', encounterId: 'encounterId' },
+    normalize: (entry) => normalizeWithIdentifier(entry, ['diagnosticReportId', 'diagnostic_report_id']),
+    cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+  }
+];
+
+// FastenPatients has no generated route; it backs the FHIR Patient resource and demographic lookups
+export const PATIENT_RESOURCE = {
+  name: 'patients',
+  label: 'patients',
+  objectType: process.env.FOUNDRY_PATIENTS_OBJECT_TYPE || 'FastenPatients',
+  sortFields: [],
+  filterFields: {},
+  normalize: unwrapProperties,
+  cacheTtlMs: DEFAULT_RESOURCE_CACHE_TTL_MS
+};
+
+const resourcesByName = new Map(CLINICAL_RESOURCES.map((resource) => [resource.name, resource]));
+
+export function getClinicalResource(name) {
+  return resourcesByName.get(name) || null;
+}
+
+function buildObservationCategoryFilters({ category }) {
+  if (!category || category === 'vital-signs') {
+    return [];
+  }
+
+  const mappedCategory = OBSERVATION_CATEGORY_MAPPING[category] || { code: category };
+  const categoryFilters = [];
+
+  if (mappedCategory.code) {
+    categoryFilters.push({
+      type: 'eq',
+      field: 'categoryCode',
+      value: mappedCategory.code
+    });
+  }
+
+  if (mappedCategory.display) {
+    categoryFilters.push({
+      type: 'eq',
+      field: 'categoryDisplay',
+      value: mappedCategory.display
+    });
+  }
+
+  // Avoid legacy 'category' field which is not present on FastenObservations in some environments
+
+  if (categoryFilters.length > 1) {
+    return [{ type: 'or', value: categoryFilters }];
+  }
+
+  return categoryFilters;
+}
+
+function unwrapProperties(entry) {
+  if (entry && typeof entry === 'object') {
+    if (entry.properties && typeof entry.properties === 'object') {
+      return entry.properties;
+    }
+    return entry;
+  }
+  return {};
+}
+
+function normalizeWithIdentifier(entry, idFields) {
+  const base = entry && typeof entry === 'object' ? entry : {};
+  const properties = unwrapProperties(base);
+  const normalized = { ...properties };
+
+  const resolvedId = idFields.map((field) => properties[field] ?? base[field]).find(Boolean)
+    || properties.id
+    || base.id
+    || properties.$primaryKey
+    || base.$primaryKey
+    || properties.rid
+    || base.rid;
+
+  if (resolvedId && !normalized[idFields[0]]) {
+    normalized[idFields[0]] = resolvedId;
+  }
+
+  if (resolvedId && !normalized.id) {
+    normalized.id = resolvedId;
+  }
+
+  return normalized;
+}
+
+export function normalizeClinicalNoteEntry(entry) {
+  const base = entry && typeof entry === 'object' ? entry : {};
+  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
+
+  const resolvedNoteId = properties.noteId
+    || properties.note_id
+    || properties.documentId
+    || properties.document_id
+    || base.noteId
+    || base.note_id
+    || properties.$primaryKey
+    || base.$primaryKey
+    || properties.$rid
+    || base.$rid
+    || properties.id
+    || base.id
+    || properties.rid
+    || base.rid;
+
+  const resolvedTitle = properties.title
+    || properties.noteTitle
+    || properties.documentTitle
+    || properties.name
+    || properties.subject
+    || base.title
+    || base.noteTitle;
+
+  const resolvedDocumentType = properties.documentType
+    || properties.document_type
+    || properties.type
+    || properties.noteCategory
+    || properties.category
+    || base.documentType
+    || base.type;
+
+  const resolvedDocumentDate = properties.documentDate
+    || properties.document_date
+    || properties.date
+    || properties.noteDate
+    || properties.serviceDate
+    || properties.encounterDate
+    || base.documentDate
+    || base.date;
+
+  const resolvedAuthor = properties.author
+    || properties.signedBy
+    || properties.provider
+    || properties.clinician
+    || properties.authorName
+    || base.author
+    || base.provider;
+
+  const resolvedStatus = properties.status
+    || properties.state
+    || base.status
+    || base.state;
+
+  const resolvedNoteText = properties.noteText
+    || properties.rawContent
+    || properties.text
+    || properties.content
+    || properties.body
+    || properties.cleanText
+    || base.noteText
+    || base.rawContent
+    || base.text
+    || base.content
+    || base.body;
+
+  const resolvedEncounterId = properties.encounterId
+    || properties.encounter_id
+    || properties.encounter
+    || base.encounterId
+    || base.encounter_id;
+
+  // IMPORTANT: Start with ALL properties from Foundry to preserve rich FHIR data
+  // (procedures, diagnoses, medications, allergies, labs, etc.)
+  const normalized = { ...properties };
+
+  // Then add/override normalized fields
+  if (resolvedNoteId) {
+    normalized.noteId = resolvedNoteId;
+    if (!normalized.id) {
+      normalized.id = resolvedNoteId;
+    }
+  }
+
+  if (resolvedTitle && !normalized.title) {
+    normalized.title = resolvedTitle;
+  }
+
+  if (resolvedDocumentType && !normalized.documentType) {
+    normalized.documentType = resolvedDocumentType;
+  }
+
+  if (resolvedDocumentDate && !normalized.documentDate) {
+    normalized.documentDate = resolvedDocumentDate;
+  }
+
+  if (resolvedAuthor && !normalized.author) {
+    normalized.author = resolvedAuthor;
+  }
+
+  if (resolvedStatus && !normalized.status) {
+    normalized.status = resolvedStatus;
+  }
+
+  if (resolvedNoteText && !normalized.noteText) {
+    normalized.noteText = resolvedNoteText;
+  }
+
+  if (resolvedEncounterId && !normalized.encounterId) {
+    normalized.encounterId = resolvedEncounterId;
+  }
+
+  if (!normalized.patientId && base.patientId) {
+    normalized.patientId = base.patientId;
+  }
+
+  return normalized;
+}
+
+export function normalizeProcedureEntry(entry) {
+  const base = entry && typeof entry === 'object' ? entry : {};
+  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
+
+  const rawProcedureId = properties.procedureId
+    || base.procedureId
+    || properties.id
+    || base.id
+    || properties.$primaryKey
+    || base.$primaryKey
+    || properties.rid
+    || base.rid;
+
+  const resolvedPerformedDate = properties.performedDate
+    || base.performedDate
+    || properties.performed_period_start
+    || properties.performedPeriodStart;
+
+  const normalized = {
+    ...properties,
+    procedureId: rawProcedureId || properties.procedureId
+  };
+
+  if (!normalized.id && rawProcedureId) {
+    normalized.id = rawProcedureId;
+  }
+
+  if (resolvedPerformedDate && !normalized.performedDate) {
+    normalized.performedDate = resolvedPerformedDate;
+  }
+
+  if (!normalized.patientId && base.patientId) {
+    normalized.patientId = base.patientId;
+  }
+
+  if (!normalized.procedureName && base.procedureName) {
+    normalized.procedureName = base.procedureName;
+  }
+
+  return normalized;
+}
+
+export function normalizeObservationEntry(entry) {
+  const base = entry && typeof entry === 'object' ? entry : {};
+  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
+
+  const rawObservationId = properties.observationId
+    || properties.observation_id
+    || properties.vitalId
+    || properties.vital_id
+    || base.observationId
+    || base.observation_id
+    || properties.id
+    || base.id
+    || properties.$primaryKey
+    || base.$primaryKey
+    || base.rid
+    || properties.rid;
+
+  const rawEffectiveDatetime = properties.effectiveDatetime
+    || properties.effectiveDateTime
+    || properties.observationDate
+    || properties.date
+    || base.effectiveDatetime
+    || base.effectiveDateTime
+    || base.observationDate;
+
+  const resolvedCategoryDisplay = properties.categoryDisplay
+    || properties.category
+    || properties.vitalType
+    || base.categoryDisplay
+    || base.category;
+
+  const resolvedCodeDisplay = properties.codeDisplay
+    || properties.vitalType
+    || properties.display
+    || base.codeDisplay
+    || base.display;
+
+  const resolvedValueQuantity = properties.valueQuantity
+    ?? properties.valueNumeric
+    ?? base.valueQuantity
+    ?? base.valueNumeric;
+
+  const resolvedValueNumeric = properties.valueNumeric
+    ?? properties.valueQuantity
+    ?? base.valueNumeric
+    ?? base.valueQuantity;
+
+  const resolvedUnit = properties.valueUnit
+    || properties.unit
+    || base.valueUnit
+    || base.unit;
+
+  const normalized = {
+    ...properties,
+    observationId: rawObservationId || properties.observationId
+  };
+
+  if (!normalized.id && rawObservationId) {
+    normalized.id = rawObservationId;
+  }
+
+  if (rawEffectiveDatetime) {
+    normalized.effectiveDatetime = rawEffectiveDatetime;
+    if (!normalized.observationDate) {
+      normalized.observationDate = rawEffectiveDatetime;
+    }
+  }
+
+  if (!normalized.observationDate && base.observationDate) {
+    normalized.observationDate = base.observationDate;
+  }
+
+  if (resolvedCategoryDisplay) {
+    normalized.categoryDisplay = resolvedCategoryDisplay;
+    if (!normalized.category) {
+      normalized.category = resolvedCategoryDisplay;
+    }
+  }
+
+  if (resolvedCodeDisplay) {
+    normalized.codeDisplay = resolvedCodeDisplay;
+    if (!normalized.display) {
+      normalized.display = resolvedCodeDisplay;
+    }
+  }
+
+  if (resolvedValueQuantity !== undefined && resolvedValueQuantity !== null) {
+    normalized.valueQuantity = resolvedValueQuantity;
+  }
+
+  if (resolvedValueNumeric !== undefined && resolvedValueNumeric !== null) {
+    normalized.valueNumeric = resolvedValueNumeric;
+  }
+
+  if (!normalized.valueUnit && resolvedUnit) {
+    normalized.valueUnit = resolvedUnit;
+  }
+
+  if (!normalized.patientId && base.patientId) {
+    normalized.patientId = base.patientId;
+  }
+
+  if (properties.vitalType && !normalized.vitalType) {
+    normalized.vitalType = properties.vitalType;
+  }
+
+  return normalized;
+}
+
+export function normalizeImmunizationEntry(entry) {
+  const base = entry && typeof entry === 'object' ? entry : {};
+  const properties = base.properties && typeof base.properties === 'object' ? base.properties : base;
+
+  const resolvedId = properties.immunizationId
+    || properties.immunization_id
+    || base.immunizationId
+    || base.immunization_id
+    || properties.id
+    || base.id
+    || properties.$primaryKey
+    || base.$primaryKey
+    || base.rid
+    || properties.rid;
+
+  const normalized = { ...properties };
+
+  if (resolvedId && !normalized.immunizationId) {
+    normalized.immunizationId = resolvedId;
+  }
+
+  if (resolvedId && !normalized.id) {
+    normalized.id = resolvedId;
+  }
+
+  const snakeCaseMappings = {
+    vaccine_name: 'vaccineName',
+    occurrence_date: 'occurrenceDate',
+    expiration_date: 'expirationDate',
+    lot_number: 'lotNumber',
+    dose_quantity: 'doseQuantity',
+    dose_unit: 'doseUnit',
+    performer_name: 'performerName',
+    performer_function: 'performerFunction',
+    performer_id: 'performerId',
+    primary_source: 'primarySource',
+    reason_code: 'reasonCode',
+    reason_reference: 'reasonReference',
+    source_file: 'sourceFile',
+    run_id: 'runId'
+  };
+
+  Object.entries(snakeCaseMappings).forEach(([sourceKey, targetKey]) => {
+    if (normalized[targetKey] === undefined && properties[sourceKey] !== undefined) {
+      normalized[targetKey] = properties[sourceKey];
+    }
+  });
+
+  if (!normalized.occurrenceDate && base.occurrenceDate) {
+    normalized.occurrenceDate = base.occurrenceDate;
+  }
+
+  if (!normalized.expirationDate && base.expirationDate) {
+    normalized.expirationDate = base.expirationDate;
+  }
+
+  if (!normalized.patientId && base.patientId) {
+    normalized.patientId = base.patientId;
+  }
+
+  if (!normalized.encounterId && base.encounterId) {
+    normalized.encounterId = base.encounterId;
+  }
+
+  if (typeof normalized.primarySource === 'string') {
+    const value = normalized.primarySource.trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) {
+      normalized.primarySource = true;
+    } else if (['false', '0', 'no'].includes(value)) {
+      normalized.primarySource = false;
+    }
+  }
+
+  return normalized;
+}
@@ -0,0 +1,146 @@
+import { logger } from '../utils/logger.js';
+
+// Target dataset RID for Fasten FHIR ingestion (one JSONL file per upload)
+export const FASTEN_FHIR_DATASET_RID = process.env.FOUNDRY_FASTEN_FHIR_DATASET_RID
+  || 'ri.foundry.main.dataset.94686469-301b-462e-96e9-4a8572611178';
+
+const LIST_PAGE_SIZE = 1000;
+const MAX_LIST_PAGES = 50;
+
+/**
+ * Fasten ingestion files live at fasten-fhir/<auth0id>/<timestamp>.jsonl in the dataset.
+ */
+export function fastenFhirUserPrefix(auth0id) {
+  return `fasten-fhir/${auth0id}/`;
+}
+
+/**
+ * File access to one Foundry dataset branch through the Datasets API v2.
+ */
+export class DatasetFileService {
+  constructor({ foundryService, datasetRid, branchName = 'master' } = {}) {
+    if (!foundryService) {
+      throw new Error('DatasetFileService requires a FoundryService instance');
+    }
+    if (!datasetRid) {
+      throw new Error('DatasetFileService requires a dataset RID');
+    }
+
+    this.foundryService = foundryService;
+    this.datasetRid = datasetRid;
+    this.branchName = branchName;
+  }
+
+  /**
+   * Files whose path starts with `prefix`, sorted by path. `truncated` is true when the listing
+   * stopped after MAX_LIST_PAGES pages, so more matching files may exist.
+   * @returns {Promise<{ files: Array<{ path: string, sizeBytes: number|null, updatedTime: string|null }>, truncated: boolean }>}
+   */
+  async listFiles(prefix, { correlationId } = {}) {
+    const files = [];
+    let pageToken;
+    let pages = 0;
+
+    do {
+      const params = new URLSearchParams({ branchName: this.branchName, pageSize: String(LIST_PAGE_SIZE) });
+      if (pageToken) {
+        params.set('pageToken', pageToken);
+      }
+
+      const result = await this.foundryService.makeApiRequest(
+        'GET',
+        `/api/v2/datasets/${this.datasetRid}/files?${params.toString()}`
+      );
+
+      for (const file of result?.data || []) {
+        if (typeof file?.path === 'string' && file.path.startsWith(prefix)) {
+          files.push({
+            path: file.path,
+            sizeBytes: file.sizeBytes !== undefined ? Number(file.sizeBytes) : null,
+            updatedTime: file.updatedTime || null
+          });
+        }
+      }
+
+      pageToken = result?.nextPageToken || undefined;
+      pages += 1;
+    } while (pageToken && pages < MAX_LIST_PAGES);
+
+    if (pageToken) {
+      logger.warn('Dataset file listing truncated', {
+        datasetRid: this.datasetRid,
+        pages,
+        correlationId
+      });
+    }
+
+    return {
+      files: files.sort((left, right) => left.path.localeCompare(right.path)),
+      truncated: Boolean(pageToken)
+    };
+  }
+
+  /**
+   * Parsed JSON content of one dataset file.
+   */
+  async readFile(filePath) {
+    const params = new URLSearchParams({ branchName: this.branchName });
+    return this.foundryService.makeApiRequest(
+      'GET',
+      `/api/v2/datasets/${this.datasetRid}/files/${encodeURIComponent(filePath)}/content?${params.toString()}`
+    );
+  }
+
+  /**
+   * Open a transaction on the branch. Files uploaded into it stay invisible until it is committed.
+   * @returns {Promise<string>} The transaction RID
+   */
+  async openTransaction(transactionType = 'APPEND') {
+    const params = new URLSearchParams({ branchName: this.branchName });
+    const transaction = await this.foundryService.makeApiRequest(
+      'POST',
+      `/api/v2/datasets/${this.datasetRid}/transactions?${params.toString()}`,
+      { transactionType }
+    );
+    return transaction.rid;
+  }
+
+  /**
+   * Write one file into an open transaction.
+   */
+  async uploadFile(filePath, content, { transactionRid, contentType = 'application/json' }) {
+    const params = new URLSearchParams({ transactionRid });
+    return this.foundryService.makeApiRequest(
+      'POST',
+      `/api/v2/datasets/${this.datasetRid}/files/${encodeURIComponent(filePath)}/upload?${params.toString()}`,
+      content,
+      { 'Content-Type': contentType }
+    );
+  }
+
+  async commitTransaction(transactionRid) {
+    return this.foundryService.makeApiRequest(
+      'POST',
+      `/api/v2/datasets/${this.datasetRid}/transactions/${transactionRid}/commit`
+    );
+  }
+
+  async abortTransaction(transactionRid) {
+    return this.foundryService.makeApiRequest(
+      'POST',
+      `/api/v2/datasets/${this.datasetRid}/transactions/${transactionRid}/abort`
+    );
+  }
+
+  /**
+   * Remove one file from the branch. Foundry records this as a DELETE transaction, so the file
+   * no longer appears in the current view or in downstream builds.
+   */
+  async deleteFile(filePath) {
+    const params = new URLSearchParams({ branchName: this.branchName });
+    return this.foundryService.makeApiRequest(
+      'DELETE',
+      `/api/v2/datasets/${this.datasetRid}/files/${encodeURIComponent(filePath)}?${params.toString()}`
+    );
+  }
+}
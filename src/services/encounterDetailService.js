@@ -0,0 +1,216 @@
+import { logger } from '../utils/logger.js';
+import { getClinicalResource } from './clinicalResources.js';
+
+const LINKED_PAGE_SIZE = 100;
+const MAX_LINKED_PAGES = 5;
+const RECORDINGS_PAGE_SIZE = 100;
+const MAX_RECORDING_PAGES = 20;
+
+// Clinical artifacts linked to an encounter through their encounterId property. Vitals live in a
+// separate object type, so observations are read from both FastenObservations and FastenVitals.
+const LINKED_SECTIONS = [
+  { key: 'clinicalNotes', resource: 'clinical-notes' },
+  { key: 'procedures', resource: 'procedures' },
+  { key: 'observations', resource: 'observations' },
+  { key: 'observations', resource: 'observations', filters: { category: 'vital-signs' } },
+  { key: 'conditions', resource: 'conditions' }
+];
+
+export class EncounterDetailService {
+  constructor({ encountersService, clinicalResourceService, intraencounterService } = {}) {
+    if (!encountersService || !clinicalResourceService) {
+      throw new Error('EncounterDetailService requires EncountersService and ClinicalResourceService instances');
+    }
+
+    this.encountersService = encountersService;
+    this.clinicalResourceService = clinicalResourceService;
+    this.intraencounterService = intraencounterService || null;
+  }
+
+  /**
+   * Load one encounter with its linked notes, procedures, observations and conditions, plus the
+   * AtlasIntraencounterProduction recordings captured on the encounter's date(s).
+   * Returns null when the encounter does not exist for the patient.
+   */
+  async fetchEncounterDetail({ patientId, encounterId, recordingUserId, correlationId }) {
+    const encounter = await this.encountersService.fetchEncounterById({ patientId, encounterId, correlationId });
+    if (!encounter) {
+      return null;
+    }
+
+    const sections = {
+      clinicalNotes: [],
+      procedures: [],
+      observations: [],
+      conditions: [],
+      recordings: []
+    };
+    const sources = {};
+
+    const linkedResults = await Promise.allSettled(
+      LINKED_SECTIONS.map((section) => this.fetchLinked(section, patientId, encounterId, correlationId))
+    );
+
+    linkedResults.forEach((result, index) => {
+      const section = LINKED_SECTIONS[index];
+      const sourceKey = section.filters?.category ? `${section.key}:${section.filters.category}` : section.key;
+      if (result.status === 'rejected') {
+        logger.warn('Encounter detail section failed', {
+          patientId,
+          encounterId,
+          section: sourceKey,
+          error: result.reason?.message,
+          status: result.reason?.status,
+          correlationId
+        });
+        sources[sourceKey] = { status: 'error', count: 0 };
+        return;
+      }
+
+      sections[section.key].push(...result.value);
+      sources[sourceKey] = { status: 'ok', count: result.value.length };
+    });
+
+    try {
+      sections.recordings = await this.fetchRecordings(encounter, recordingUserId || patientId);
+      sources.recordings = { status: 'ok', count: sections.recordings.length };
+    } catch (error) {
+      logger.warn('Encounter detail recordings lookup failed', {
+        patientId,
+        encounterId,
+        error: error.message,
+        correlationId
+      });
+      sources.recordings = { status: 'error', count: 0 };
+    }
+
+    return {
+      encounter,
+      ...sections,
+      sources
+    };
+  }
+
+  async fetchLinked(section, patientId, encounterId, correlationId) {
+    const definition = getClinicalResource(section.resource);
+    const items = [];
+    let pageToken;
+    let pages = 0;
+
+    do {
+      const payload = await this.clinicalResourceService.fetchResource(definition, {
+        patientId,
+        pageSize: LINKED_PAGE_SIZE,
+        pageToken,
+        filters: { ...section.filters, encounterId },
+        correlationId
+      });
+
+      items.push(...(payload.data || []));
+      pageToken = payload.nextPageToken || undefined;
+      pages += 1;
+    } while (pageToken && pages < MAX_LINKED_PAGES);
+
+    return items;
+  }
+
+  async fetchRecordings(encounter, userId) {
+    if (!this.intraencounterService || !userId) {
+      return [];
+    }
+
+    const dateKeys = getEncounterDateKeys(encounter);
+    if (dateKeys.keys.size === 0) {
+      return [];
+    }
+
+    // Recordings come newest first, so paging stops at the first page that reaches back past the
+    // encounter's first day
+    const earliestKey = Array.from(dateKeys.keys).sort()[0];
+    const recordings = [];
+    let nextPageToken;
+    let pages = 0;
+
+    do {
+      const page = await this.intraencounterService.searchPageByUserId(userId, { pageSize: RECORDINGS_PAGE_SIZE, nextPageToken });
+      const keyed = (page.data || [])
+        .map((entry) => (entry?.properties && typeof entry.properties === 'object'
+          ? { ...entry.properties, $rid: entry.$rid ?? entry.properties.$rid }
+          : entry))
+        .map((recording) => ({ recording, key: toDateKey(recording?.timestamp, dateKeys.offsetMinutes) }));
+
+      recordings.push(...keyed.filter(({ key }) => key !== null && dateKeys.keys.has(key)).map(({ recording }) => recording));
+      nextPageToken = page.nextPageToken || undefined;
+      pages += 1;
+
+      const oldestKey = keyed.map(({ key }) => key).filter(Boolean).sort()[0];
+      if (oldestKey && oldestKey < earliestKey) {
+        break;
+      }
+    } while (nextPageToken && pages < MAX_RECORDING_PAGES);
+
+    if (nextPageToken && pages === MAX_RECORDING_PAGES) {
+      logger.warn('Encounter recordings lookup stopped at the page limit', { userId, pages });
+    }
+
+    return recordings;
+  }
+}
+
+/**
+ * Calendar dates (YYYY-MM-DD) covered by the encounter period, evaluated in the UTC offset the
+ * encounter was recorded with so late-evening visits are not attributed to the next day.
+ */
+export function getEncounterDateKeys(encounter) {
+  const start = encounter?.periodStart || encounter?.startDate;
+  const end = encounter?.periodEnd || encounter?.endDate || start;
+  const offsetMinutes = parseOffsetMinutes(start);
+  const keys = new Set();
+
+  const startKey = toDateKey(start, offsetMinutes);
+  const endKey = toDateKey(end, offsetMinutes) || startKey;
+  if (!startKey) {
+    return { keys, offsetMinutes };
+  }
+
+  const cursor = new Date(`${startKey}T00:00:00Z`);
+  const last = new Date(`${endKey < startKey ? startKey : endKey}T00:00:00Z`);
+  // Cap multi-day periods (e.g. inpatient stays) to a month of dates
+  for (let day = 0; cursor <= last && day < 31; day += 1) {
+    keys.add(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return { keys, offsetMinutes };
+}
+
+function parseOffsetMinutes(value) {
+  if (typeof value !== 'string') {
+    return 0;
+  }
+
+  const match = /([+-])(\d{2}):?(\d{2})$/.exec(value.trim());
+  if (!match || !value.includes('T')) {
+    return 0;
+  }
+
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+function toDateKey(value, offsetMinutes) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+    return value.trim();
+  }
+
+  const timestamp = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    return null;
+  }
+
+  return new Date(timestamp + offsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+}
@@ -1,4 +1,5 @@
 import { logger } from '../utils/logger.js';
+import { TieredCache } from './tieredCache.js';
 
 const DEFAULT_CACHE_TTL_MS = 30 * 1000;
 const MAX_PAGE_SIZE = 100;
@@ -19,7 +20,7 @@ export class EncountersService {
 
     this.foundryService = foundryService;
     this.cacheTtlMs = cacheTtlMs;
-    this.cache = cache || new Map();
+    this.cache = cache || new TieredCache();
     this.objectType = process.env.FOUNDRY_ENCOUNTERS_OBJECT_TYPE || 'FastenEncounters';
   }
 
@@ -36,22 +37,29 @@ export class EncountersService {
 
     const normalizedPageSize = normalizePageSize(pageSize);
     const { field: sortField, direction: sortDirection } = normalizeSort(sort);
-    const cacheKey = buildCacheKey({ patientId, normalizedPageSize, pageToken, sortField, sortDirection });
-    const now = Date.now();
-    const cached = this.cache.get(cacheKey);
-
-    if (cached && cached.expiresAt > now) {
-      logger.debug('Serving encounters from cache', {
-        patientId,
-        pageSize: normalizedPageSize,
-        sortField,
-        sortDirection,
-        pageToken,
-        correlationId
-      });
-      return cached.payload;
+    const cacheParams = buildCacheParams({ normalizedPageSize, pageToken, sortField, sortDirection });
+    return this.cache.getOrLoad(
+      'encounters',
+      patientId,
+      cacheParams,
+      () => this.searchEncounters({ patientId, pageSize: normalizedPageSize, pageToken, sortField, sortDirection, correlationId }),
+      { ttlMs: this.cacheTtlMs }
+    );
+  }
+
+  /**
+   * The page fetchEncounters would return, read from Foundry without reading or filling the cache.
+   */
+  async fetchEncountersDirect({ patientId, pageSize, pageToken, sort, correlationId }) {
+    if (!patientId) {
+      throw new Error('patientId is required to fetch encounters');
     }
 
+    const { field: sortField, direction: sortDirection } = normalizeSort(sort);
+    return this.searchEncounters({ patientId, pageSize: normalizePageSize(pageSize), pageToken, sortField, sortDirection, correlationId });
+  }
+
+  async searchEncounters({ patientId, pageSize: normalizedPageSize, pageToken, sortField, sortDirection, correlationId }) {
     const ontologyId = resolveOntologyRid(this.foundryService);
     if (!ontologyId) {
       throw new Error('Foundry encounters ontology RID is not configured');
@@ -92,23 +100,60 @@ export class EncountersService {
       correlationId
     };
 
-    this.cache.set(cacheKey, {
-      expiresAt: now + this.cacheTtlMs,
-      payload: responsePayload
+    return responsePayload;
+  }
+
+  async fetchEncounterById({ patientId, encounterId, correlationId }) {
+    if (!patientId || !encounterId) {
+      throw new Error('patientId and encounterId are required to fetch an encounter');
+    }
+
+    return this.cache.getOrLoad(
+      'encounter',
+      patientId,
+      { encounterId },
+      () => this.searchEncounterById({ patientId, encounterId, correlationId }),
+      { ttlMs: this.cacheTtlMs }
+    );
+  }
+
+  async searchEncounterById({ patientId, encounterId, correlationId }) {
+    const ontologyId = resolveOntologyRid(this.foundryService);
+    if (!ontologyId) {
+      throw new Error('Foundry encounters ontology RID is not configured');
+    }
+
+    const payload = {
+      where: {
+        type: 'and',
+        value: [
+          buildEncounterPatientFilter(patientId),
+          { type: 'eq', field: 'encounterId', value: encounterId }
+        ]
+      },
+      pageSize: 1
+    };
+
+    logger.info('Fetching encounter from Foundry', {
+      patientId,
+      encounterId,
+      correlationId
     });
 
-    return responsePayload;
+    const result = await this.foundryService.searchOntologyObjects(ontologyId, this.objectType, payload);
+    const [encounter = null] = extractEncounters(result);
+
+    return encounter;
   }
 }
 
-function buildCacheKey({ patientId, normalizedPageSize, pageToken, sortField, sortDirection }) {
-  return JSON.stringify({
-    patientId,
+function buildCacheParams({ normalizedPageSize, pageToken, sortField, sortDirection }) {
+  return {
     pageSize: normalizedPageSize,
     pageToken: pageToken ?? null,
     sortField,
     sortDirection
-  });
+  };
 }
 
 function normalizePageSize(pageSize) {
@@ -0,0 +1,553 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { FoundryService } from './foundryService.js';
+import { getCacheService } from './cacheService.js';
+import { AiChatHistoryService } from './aiChatHistoryService.js';
+import { AtlasIntraencounterService } from './atlasIntraencounterService.js';
+import PatientProfileService from './patient-profile-service.js';
+import { HealthkitDatasetService, healthkitUserPrefix } from './healthkitDatasetService.js';
+import { getHealthkitDedupeService } from './healthkitDedupeService.js';
+import { DatasetFileService, FASTEN_FHIR_DATASET_RID, fastenFhirUserPrefix } from './datasetFileService.js';
+import { MediaOwnershipService } from './mediaOwnershipService.js';
+import { getMediaCache } from './mediaCache.js';
+import { getHealthkitUploadSessionService } from './healthkitUploadSessionService.js';
+import { getPatientExportService } from './patientExportService.js';
+
+// Account erasure: removes everything stored about a user, one step per store. Steps are
+// idempotent (each lists what is left and deletes it), so a failed or interrupted job is resumed by
+// re-running its unfinished steps. Job state is persisted after every batch of deletions, in Redis
+// when available so a job survives a restart. Completed jobs keep only a hash of the user id and a
+// signed receipt.
+
+// Foundry delete actions; `parameter` is the action's object reference parameter
+export const ERASURE_DELETE_ACTIONS = {
+  profile: {
+    actionId: process.env.FOUNDRY_PROFILE_DELETE_ACTION_ID || 'delete-a',
+    parameter: 'A'
+  },
+  chatHistory: {
+    actionId: process.env.FOUNDRY_CHAT_HISTORY_DELETE_ACTION_ID || 'delete-ai-chat-history-production',
+    parameter: 'AiChatHistoryProduction'
+  },
+  intraencounter: {
+    actionId: process.env.FOUNDRY_INTRAENCOUNTER_DELETE_ACTION_ID || 'delete-atlas-intraencounter-production',
+    parameter: 'AtlasIntraencounterProduction'
+  },
+  medications: {
+    actionId: process.env.FOUNDRY_MEDICATIONS_DELETE_ACTION_ID || 'delete-medications-upload',
+    parameter: 'MedictionsPipeline'
+  }
+};
+
+// Order matters: cached media goes first, while the objects that reference it can still be listed;
+// staged uploads go before the files they would be committed to, exports after the data they copy;
+// the profile goes after the stores keyed by the user, the cache last so nothing read during
+// erasure is left behind
+export const ERASURE_STEPS = [
+  'media-cache',
+  'chat-history',
+  'intraencounter',
+  'medication-uploads',
+  'healthkit-upload-sessions',
+  'healthkit-files',
+  'fasten-files',
+  'patient-exports',
+  'profile',
+  'cache'
+];
+
+// Records deliberately kept, listed on every receipt
+export const ERASURE_RETAINED_RECORDS = [
+  { store: 'phi-audit-trail', reason: 'Access logs are retained to meet HIPAA audit requirements' }
+];
+
+const SEARCH_PAGE_SIZE = 1000;
+// Each round re-lists what is left; more rounds than this means deletes are not taking effect
+const MAX_ROUNDS = 50;
+const RECEIPT_TYPE = 'atlas.erasure.receipt';
+
+export class MemoryErasureJobStore {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+    this.subjects = new Map();
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? structuredClone(job) : null;
+  }
+
+  async findBySubject(subjectHash) {
+    const jobId = this.subjects.get(subjectHash);
+    return jobId ? this.get(jobId) : null;
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, structuredClone(job));
+    this.subjects.set(job.subjectHash, job.id);
+  }
+}
+
+export class RedisErasureJobStore {
+  constructor({ redis, prefix = process.env.ERASURE_KEY_PREFIX || 'atlas:erasure:' } = {}) {
+    if (!redis) {
+      throw new Error('RedisErasureJobStore requires a Redis client');
+    }
+
+    this.name = 'redis';
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  async get(jobId) {
+    const raw = await this.redis.get(`${this.prefix}job:${jobId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async findBySubject(subjectHash) {
+    const jobId = await this.redis.get(`${this.prefix}subject:${subjectHash}`);
+    return jobId ? this.get(jobId) : null;
+  }
+
+  async save(job) {
+    await this.redis.set(`${this.prefix}job:${job.id}`, JSON.stringify(job));
+    await this.redis.set(`${this.prefix}subject:${job.subjectHash}`, job.id);
+  }
+}
+
+export function hashErasureSubject(userId) {
+  return crypto.createHash('sha256').update(`atlas-erasure:${userId}`).digest('hex');
+}
+
+// JSON with object keys sorted, so a receipt signs the same bytes however it was serialized
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function primaryKeyOf(object) {
+  const properties = object?.properties && typeof object.properties === 'object' ? object.properties : {};
+  return object?.$primaryKey ?? object?.__primaryKey ?? properties.$primaryKey ?? object?.rid
+    ?? object?.$rid ?? object?.__rid ?? null;
+}
+
+export class ErasureService {
+  constructor({
+    foundryService,
+    cacheService,
+    aiChatHistoryService,
+    intraencounterService,
+    healthkitDatasetService,
+    healthkitDedupeService,
+    fastenDatasetService,
+    mediaOwnershipService,
+    mediaCache,
+    uploadSessionService,
+    patientExportService,
+    createProfileService = (token) => new PatientProfileService(token),
+    store = new MemoryErasureJobStore(),
+    receiptSecret = process.env.ERASURE_RECEIPT_SECRET,
+    receiptKeyId = process.env.ERASURE_RECEIPT_KEY_ID || 'default',
+    production = process.env.NODE_ENV === 'production'
+  } = {}) {
+    if (!foundryService) {
+      throw new Error('ErasureService requires a FoundryService instance');
+    }
+
+    this.foundryService = foundryService;
+    this.cacheService = cacheService;
+    this.aiChatHistoryService = aiChatHistoryService;
+    this.intraencounterService = intraencounterService;
+    this.healthkitDatasetService = healthkitDatasetService;
+    this.healthkitDedupeService = healthkitDedupeService;
+    this.fastenDatasetService = fastenDatasetService;
+    this.mediaOwnershipService = mediaOwnershipService;
+    this.mediaCache = mediaCache;
+    this.uploadSessionService = uploadSessionService;
+    this.patientExportService = patientExportService;
+    this.createProfileService = createProfileService;
+    this.store = store;
+    this.receiptKeyId = receiptKeyId;
+    this.running = new Map();
+
+    if (receiptSecret) {
+      this.receiptSecret = receiptSecret;
+    } else if (production) {
+      // A receipt is only worth signing if any instance can verify it later
+      throw new Error('ERASURE_RECEIPT_SECRET is required in production');
+    } else {
+      // Receipts signed with a per-process key cannot be verified after a restart
+      this.receiptSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('ERASURE_RECEIPT_SECRET is not set; erasure receipts use a per-process signing key');
+    }
+  }
+
+  /**
+   * Start erasure for a user, or resume their unfinished job. Returns immediately; the steps run in
+   * the background.
+   */
+  async startErasure({ userId, username, patientId, correlationId }) {
+    if (!userId) {
+      throw new Error('userId is required to start an erasure');
+    }
+
+    const subjectHash = hashErasureSubject(userId);
+    const existing = await this.store.findBySubject(subjectHash);
+    if (existing && existing.status !== 'completed') {
+      existing.identifiers = { userId, username: username || null, patientId: patientId || null };
+      await this.store.save(existing);
+      return { job: await this.resume(existing, correlationId), created: false };
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      subjectHash,
+      status: 'pending',
+      identifiers: { userId, username: username || null, patientId: patientId || null },
+      requestedAt: now,
+      updatedAt: now,
+      completedAt: null,
+      steps: ERASURE_STEPS.map((name) => ({
+        name,
+        status: 'pending',
+        deleted: 0,
+        attempts: 0,
+        error: null,
+        completedAt: null
+      })),
+      receipt: null
+    };
+
+    await this.store.save(job);
+    logger.info('Erasure job created', { jobId: job.id, correlationId });
+    return { job: await this.resume(job, correlationId), created: true };
+  }
+
+  /**
+   * Re-run the unfinished steps of a pending or failed job.
+   */
+  async resumeErasure(jobId, { correlationId } = {}) {
+    const job = await this.store.get(jobId);
+    if (!job) {
+      return null;
+    }
+    if (job.status === 'completed') {
+      return job;
+    }
+    return this.resume(job, correlationId);
+  }
+
+  async resume(job, correlationId) {
+    if (!this.running.has(job.id)) {
+      job.status = 'running';
+      await this.store.save(job);
+      const run = this.runJob(job, correlationId).finally(() => this.running.delete(job.id));
+      this.running.set(job.id, run);
+    }
+    return job;
+  }
+
+  async getJob(jobId) {
+    return this.store.get(jobId);
+  }
+
+  /**
+   * Resolves once the job has stopped running in this process.
+   */
+  async waitForJob(jobId) {
+    await this.running.get(jobId);
+    return this.store.get(jobId);
+  }
+
+  async runJob(job, correlationId) {
+    for (const step of job.steps) {
+      if (step.status === 'completed') {
+        continue;
+      }
+
+      step.status = 'running';
+      step.attempts += 1;
+      step.error = null;
+      await this.saveJob(job);
+
+      try {
+        await this.runStep(step, job);
+        step.status = 'completed';
+        step.completedAt = new Date().toISOString();
+        await this.saveJob(job);
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        job.status = 'failed';
+        await this.saveJob(job);
+
+        logger.error('Erasure step failed', {
+          jobId: job.id,
+          step: step.name,
+          deleted: step.deleted,
+          error: error.message,
+          correlationId
+        });
+        return;
+      }
+    }
+
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    job.identifiers = null;
+    job.receipt = this.signReceipt(job);
+    await this.saveJob(job);
+
+    logger.info('Erasure job completed', {
+      jobId: job.id,
+      deleted: Object.fromEntries(job.steps.map((step) => [step.name, step.deleted])),
+      correlationId
+    });
+  }
+
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    await this.store.save(job);
+  }
+
+  async runStep(step, job) {
+    const { userId, username, patientId } = job.identifiers;
+    const onDeleted = async (count) => {
+      step.deleted += count;
+      await this.saveJob(job);
+    };
+
+    switch (step.name) {
+      case 'media-cache': {
+        const mediaItemRids = await this.require('mediaOwnershipService').listOwnedMedia([userId, username, patientId]);
+        await onDeleted(await this.require('mediaCache').forgetItems(mediaItemRids));
+        return this.mediaOwnershipService.forget(mediaItemRids);
+      }
+      case 'chat-history':
+        return this.deleteObjects({
+          action: ERASURE_DELETE_ACTIONS.chatHistory,
+          list: () => this.require('aiChatHistoryService')
+            .searchByUserId(userId, { pageSize: SEARCH_PAGE_SIZE, includeRid: true }),
+          onDeleted
+        });
+      case 'intraencounter':
+        return this.deleteObjects({
+          action: ERASURE_DELETE_ACTIONS.intraencounter,
+          list: () => this.require('intraencounterService')
+            .searchByUserId(userId, { pageSize: SEARCH_PAGE_SIZE, includeRid: true }),
+          onDeleted
+        });
+      case 'medication-uploads':
+        return this.deleteObjects({
+          action: ERASURE_DELETE_ACTIONS.medications,
+          ontologyId: this.foundryService.medicationsOntologyRid,
+          list: () => this.listMedicationUploads([userId, username]),
+          onDeleted
+        });
+      case 'healthkit-files':
+        await this.deleteFiles(this.require('healthkitDatasetService'), healthkitUserPrefix(userId), onDeleted);
+        // Otherwise a re-export after erasure would be dropped as already ingested
+        return this.healthkitDedupeService?.forgetUser(userId);
+      case 'healthkit-upload-sessions':
+        return onDeleted(await this.require('uploadSessionService').eraseUser(userId));
+      case 'fasten-files':
+        return this.deleteFiles(this.require('fastenDatasetService'), fastenFhirUserPrefix(userId), onDeleted);
+      case 'patient-exports':
+        return onDeleted(await this.require('patientExportService').eraseUser(userId));
+      case 'profile':
+        return this.deleteObjects({
+          action: ERASURE_DELETE_ACTIONS.profile,
+          list: async () => {
+            const token = await this.foundryService.getToken();
+            const profile = await this.createProfileService(token).findProfileByUserId(userId);
+            return profile ? [{ $primaryKey: profile.atlasId ?? primaryKeyOf(profile) }] : [];
+          },
+          onDeleted
+        });
+      case 'cache':
+        return onDeleted(await this.require('cacheService').invalidateIdentifiers([userId, username, patientId]));
+      default:
+        throw new Error(`Unknown erasure step: ${step.name}`);
+    }
+  }
+
+  /**
+   * Delete listed objects until a listing comes back with nothing new. Objects that reappear after
+   * their delete action (search index lag) are not deleted twice.
+   */
+  async deleteObjects({ action, ontologyId, list, onDeleted }) {
+    const attempted = new Set();
+
+    for (let round = 0; round < MAX_ROUNDS; round += 1) {
+      const keys = Array.from(new Set((await list() || []).map(primaryKeyOf)))
+        .filter((key) => key !== null && key !== undefined && !attempted.has(key));
+      if (keys.length === 0) {
+        return;
+      }
+
+      for (const key of keys) {
+        attempted.add(key);
+        await this.foundryService.applyOntologyAction(
+          action.actionId,
+          { [action.parameter]: key },
+          {},
+          ontologyId || this.foundryService.ontologyRid
+        );
+      }
+      await onDeleted(keys.length);
+    }
+
+    throw new Error(`Objects remain after ${MAX_ROUNDS} rounds of ${action.actionId}`);
+  }
+
+  // A truncated listing fails the step after deleting what it found, so a resume lists again
+  // and no receipt is issued while files may remain
+  async deleteFiles(datasetService, prefix, onDeleted) {
+    const { files, truncated } = await datasetService.listFiles(prefix);
+    for (const file of files) {
+      await datasetService.deleteFile(file.path);
+      await onDeleted(1);
+    }
+    if (truncated) {
+      throw new Error(`Dataset listing for ${prefix} was truncated; files may remain`);
+    }
+  }
+
+  // Unlike listMedicationsUploads, search failures must fail the step rather than read as "none"
+  async listMedicationUploads(identifiers) {
+    const objects = [];
+    for (const identifier of new Set(identifiers.filter(Boolean))) {
+      const result = await this.foundryService.searchOntologyObjects(
+        this.foundryService.medicationsOntologyRid,
+        this.foundryService.medicationsUploadObjectType,
+        { where: { type: 'eq', field: 'userId', value: identifier }, pageSize: SEARCH_PAGE_SIZE }
+      );
+      objects.push(...this.foundryService.normalizeOntologySearchResults(result));
+    }
+    return objects;
+  }
+
+  require(name) {
+    if (!this[name]) {
+      throw new Error(`${name} is not configured`);
+    }
+    return this[name];
+  }
+
+  signReceipt(job) {
+    const body = {
+      type: RECEIPT_TYPE,
+      version: 1,
+      jobId: job.id,
+      subjectHash: job.subjectHash,
+      requestedAt: job.requestedAt,
+      completedAt: job.completedAt,
+      steps: job.steps.map((step) => ({ name: step.name, status: step.status, deleted: step.deleted })),
+      retained: ERASURE_RETAINED_RECORDS
+    };
+
+    return {
+      ...body,
+      signature: {
+        algorithm: 'HMAC-SHA256',
+        keyId: this.receiptKeyId,
+        value: crypto.createHmac('sha256', this.receiptSecret).update(canonicalJson(body)).digest('base64url')
+      }
+    };
+  }
+
+  /**
+   * True when the receipt was signed with this service's key and has not been altered.
+   */
+  verifyReceipt(receipt) {
+    if (!receipt || receipt.type !== RECEIPT_TYPE || typeof receipt.signature?.value !== 'string') {
+      return false;
+    }
+
+    const { signature, ...body } = receipt;
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', this.receiptSecret).update(canonicalJson(body)).digest('base64url')
+    );
+    const actual = Buffer.from(signature.value);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+}
+
+/**
+ * Job fields returned to the user; identifiers stay server-side.
+ */
+export function toErasureJobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    requestedAt: job.requestedAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    steps: job.steps,
+    receiptAvailable: Boolean(job.receipt)
+  };
+}
+
+export function createErasureService({ redisClient, foundryService, cacheService = getCacheService() } = {}) {
+  return new ErasureService({
+    foundryService,
+    cacheService,
+    aiChatHistoryService: new AiChatHistoryService(),
+    intraencounterService: new AtlasIntraencounterService(),
+    healthkitDatasetService: new HealthkitDatasetService({ foundryService }),
+    healthkitDedupeService: getHealthkitDedupeService(),
+    fastenDatasetService: new DatasetFileService({ foundryService, datasetRid: FASTEN_FHIR_DATASET_RID }),
+    mediaOwnershipService: new MediaOwnershipService({ foundryService, intraencounterService: new AtlasIntraencounterService() }),
+    mediaCache: getMediaCache(),
+    uploadSessionService: getHealthkitUploadSessionService(),
+    patientExportService: getPatientExportService(),
+    store: redisClient ? new RedisErasureJobStore({ redis: redisClient }) : new MemoryErasureJobStore()
+  });
+}
+
+// Export singleton instance; null once erasure has been found unconfigurable
+let erasureServiceInstance;
+
+// A misconfigured erasure service (e.g. no receipt secret in production) disables only the erasure
+// endpoints; it must not stop the server from starting
+function createErasureServiceOrDisable(options) {
+  try {
+    return createErasureService(options);
+  } catch (error) {
+    logger.error('Account erasure is disabled', { error: error.message });
+    return null;
+  }
+}
+
+export function initializeErasureService({ redisClient, foundryService, cacheService } = {}) {
+  erasureServiceInstance = createErasureServiceOrDisable({ redisClient, foundryService, cacheService });
+  if (erasureServiceInstance) {
+    logger.info('Erasure service initialized', { store: erasureServiceInstance.store.name });
+  }
+  return erasureServiceInstance;
+}
+
+/**
+ * The erasure service, or null when it is disabled.
+ */
+export function getErasureService() {
+  if (erasureServiceInstance === undefined) {
+    erasureServiceInstance = createErasureServiceOrDisable({
+      foundryService: new FoundryService({
+        host: process.env.FOUNDRY_HOST,
+        clientId: process.env.FOUNDRY_CLIENT_ID,
+        clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+        tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+        ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+      })
+    });
+  }
+  return erasureServiceInstance;
+}
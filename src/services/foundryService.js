@@ -38,7 +38,7 @@ function firstMatchingString(source, paths, predicate) {
   return null;
 }
 
-function extractMediaReferenceData(value, visited = new WeakSet()) {
+export function extractMediaReferenceData(value, visited = new WeakSet()) {
   if (value == null) {
     return null;
   }
@@ -774,6 +774,35 @@ export class FoundryService {
     }
   }
 
+  /**
+   * One page of a user's MedicationsUpload objects and the token for the next page (null on the
+   * last one). Unlike listMedicationsUploads, a failed search is thrown rather than skipped.
+   */
+  async listMedicationsUploadsPage(userId, { pageSize = 200, pageToken } = {}) {
+    if (!this.medicationsOntologyRid) {
+      throw new Error('Foundry ontology RID is not configured');
+    }
+
+    const searchResult = await this.searchOntologyObjects(
+      this.medicationsOntologyRid,
+      this.medicationsUploadObjectType,
+      {
+        where: {
+          type: 'eq',
+          field: 'userId',
+          value: userId
+        },
+        pageSize,
+        ...(pageToken ? { pageToken } : {})
+      }
+    );
+
+    return {
+      items: this.normalizeOntologySearchResults(searchResult),
+      nextPageToken: searchResult?.nextPageToken || null
+    };
+  }
+
   async listMedicationsUploads(userIdentifiers = [], { limit = 50 } = {}) {
     if (!this.medicationsOntologyRid) {
       throw new Error('Foundry ontology RID is not configured');
@@ -0,0 +1,436 @@
+import { logger } from '../utils/logger.js';
+import { healthkitSleepStage } from '../utils/healthkitFhir.js';
+import { flattenHealthkitRecord, healthkitRecordHash } from '../utils/healthkitPlaintext.js';
+import { convertValue, normalizeUnit } from '../utils/unitConversion.js';
+import { FoundryService } from './foundryService.js';
+import { HealthkitDatasetService } from './healthkitDatasetService.js';
+import { TieredCache, getTieredCache } from './tieredCache.js';
+
+// Daily totals computed from the user's uploaded HealthKit files. Days are calendar days in the
+// requested IANA time zone. Each day is cached on its own (type `healthkit-daily`, dropped when
+// the user ingests more HealthKit data), so widening a range only reads the files for the new days.
+// The dataset can only be listed whole, so the user's file list is cached as well (type
+// `healthkit-files`, dropped on ingest like the days) rather than listed on every miss.
+//
+// The iPhone and the Watch both record steps, active energy and sleep, so summing every sample
+// would count the same activity twice. Like the Health app, each of those metrics is taken from a
+// single source per day: the one with the largest total.
+
+const DAILY_CACHE_TYPE = 'healthkit-daily';
+const FILE_INDEX_CACHE_TYPE = 'healthkit-files';
+// Ingestion invalidates the cache, so finished days can be kept; today is still filling up
+const PAST_DAY_TTL_MS = 24 * 60 * 60 * 1000;
+const CURRENT_DAY_TTL_MS = 5 * 60 * 1000;
+// Uploads invalidate the file list; the TTL only bounds how long a missed invalidation lasts
+const FILE_INDEX_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 92;
+const MAX_FILES_PER_LOAD = 500;
+const FILE_READ_CONCURRENCY = 8;
+// A file uploaded before the first requested day began in every time zone cannot hold its samples
+const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HEALTHKIT_DAILY_METRICS = ['steps', 'sleep', 'heartRate', 'activeEnergy'];
+
+const STEP_COUNT = 'HKQuantityTypeIdentifierStepCount';
+const ACTIVE_ENERGY = 'HKQuantityTypeIdentifierActiveEnergyBurned';
+const HEART_RATE = 'HKQuantityTypeIdentifierHeartRate';
+const RESTING_HEART_RATE = 'HKQuantityTypeIdentifierRestingHeartRate';
+const SLEEP_ANALYSIS = 'HKCategoryTypeIdentifierSleepAnalysis';
+const ASLEEP_STAGES = new Set(['asleepUnspecified', 'asleepCore', 'asleepDeep', 'asleepREM']);
+
+function invalidParam(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_REQUEST';
+  error.expose = true;
+  return error;
+}
+
+const dateFormatters = new Map();
+
+/**
+ * The calendar date (YYYY-MM-DD) of an instant in `timeZone`.
+ */
+export function localDate(instant, timeZone) {
+  if (!dateFormatters.has(timeZone)) {
+    dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(
+    dateFormatters.get(timeZone).formatToParts(instant).map((part) => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function parseDay(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(trimmed) || Number.isNaN(Date.parse(`${trimmed}T00:00:00Z`))
+    || new Date(`${trimmed}T00:00:00Z`).toISOString().slice(0, 10) !== trimmed) {
+    throw invalidParam(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return trimmed;
+}
+
+export function validateDailyParams({ from, to, metrics, timeZone } = {}, now = Date.now()) {
+  const zone = typeof timeZone === 'string' && timeZone.trim() ? timeZone.trim() : 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (error) {
+    throw invalidParam('tz must be an IANA time zone such as Europe/Berlin');
+  }
+
+  const today = localDate(now, zone);
+  const toDay = parseDay(to, 'to') || today;
+  const fromDay = parseDay(from, 'from') || addDays(toDay, -(DEFAULT_RANGE_DAYS - 1));
+  if (fromDay > toDay) {
+    throw invalidParam('from must not be after to');
+  }
+  const days = (Date.parse(`${toDay}T00:00:00Z`) - Date.parse(`${fromDay}T00:00:00Z`)) / DAY_MS + 1;
+  if (days > MAX_RANGE_DAYS) {
+    throw invalidParam(`A range covers at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  let selected = HEALTHKIT_DAILY_METRICS;
+  if (typeof metrics === 'string' && metrics.trim()) {
+    const byName = new Map(HEALTHKIT_DAILY_METRICS.map((metric) => [metric.toLowerCase(), metric]));
+    selected = [];
+    for (const name of metrics.split(',').map((metric) => metric.trim().toLowerCase()).filter(Boolean)) {
+      if (!byName.has(name)) {
+        throw invalidParam(`metrics must be a comma-separated list of ${HEALTHKIT_DAILY_METRICS.join(', ')}`);
+      }
+      selected.push(byName.get(name));
+    }
+    selected = HEALTHKIT_DAILY_METRICS.filter((metric) => selected.includes(metric));
+  }
+
+  return {
+    from: fromDay,
+    to: toDay,
+    days: Array.from({ length: days }, (_, index) => addDays(fromDay, index)),
+    metrics: selected,
+    timeZone: zone,
+    today
+  };
+}
+
+function emptyDay() {
+  return {
+    steps: new Map(),
+    activeEnergy: new Map(),
+    sleep: new Map(),
+    heartRate: { sum: 0, count: 0, min: null, max: null },
+    restingHeartRate: { sum: 0, count: 0 }
+  };
+}
+
+function addToSource(bySource, source, amount) {
+  bySource.set(source, (bySource.get(source) || 0) + amount);
+}
+
+// HealthKit writes kilocalories as `Cal`
+function kilocalories(row) {
+  if (row.unit === 'Cal' || !row.unit) {
+    return row.valueNumeric;
+  }
+  return convertValue(row.valueNumeric, normalizeUnit(row.unit), 'kcal');
+}
+
+function addSample(accumulators, row, timeZone) {
+  const started = Date.parse(row.startDate);
+  if (Number.isNaN(started)) {
+    return;
+  }
+  const source = row.sourceName || row.sourceBundleId || 'unknown';
+  const sampleType = row.sampleType || row.quantityType || row.categoryType;
+
+  if (sampleType === SLEEP_ANALYSIS) {
+    const ended = Date.parse(row.endDate);
+    const stage = healthkitSleepStage(row);
+    // Sleep counts toward the day it ends on, so a night belongs to the morning after
+    const day = Number.isNaN(ended) ? null : accumulators.get(localDate(ended, timeZone));
+    if (day && stage && ended >= started) {
+      if (!day.sleep.has(source)) {
+        day.sleep.set(source, new Map());
+      }
+      addToSource(day.sleep.get(source), stage, (ended - started) / 60000);
+    }
+    return;
+  }
+
+  const day = accumulators.get(localDate(started, timeZone));
+  if (!day || typeof row.valueNumeric !== 'number' || !Number.isFinite(row.valueNumeric)) {
+    return;
+  }
+
+  switch (sampleType) {
+    case STEP_COUNT:
+      addToSource(day.steps, source, row.valueNumeric);
+      break;
+    case ACTIVE_ENERGY: {
+      const kcal = kilocalories(row);
+      if (kcal !== null) {
+        addToSource(day.activeEnergy, source, kcal);
+      }
+      break;
+    }
+    case HEART_RATE:
+      day.heartRate.sum += row.valueNumeric;
+      day.heartRate.count += 1;
+      day.heartRate.min = day.heartRate.min === null ? row.valueNumeric : Math.min(day.heartRate.min, row.valueNumeric);
+      day.heartRate.max = day.heartRate.max === null ? row.valueNumeric : Math.max(day.heartRate.max, row.valueNumeric);
+      break;
+    case RESTING_HEART_RATE:
+      day.restingHeartRate.sum += row.valueNumeric;
+      day.restingHeartRate.count += 1;
+      break;
+    default:
+      break;
+  }
+}
+
+function round(value, digits = 0) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function largestSource(bySource, total = (value) => value) {
+  let best = null;
+  for (const [source, value] of bySource) {
+    if (!best || total(value) > total(best.value)) {
+      best = { source, value };
+    }
+  }
+  return best;
+}
+
+function sleepTotal(stages) {
+  let minutes = 0;
+  for (const value of stages.values()) {
+    minutes += value;
+  }
+  return minutes;
+}
+
+function summarizeDay(date, day) {
+  const steps = largestSource(day.steps);
+  const energy = largestSource(day.activeEnergy);
+  const sleep = largestSource(day.sleep, sleepTotal);
+  const { heartRate, restingHeartRate } = day;
+
+  let asleepMinutes = 0;
+  const stages = {};
+  for (const [stage, minutes] of sleep?.value || []) {
+    stages[stage] = round(minutes);
+    if (ASLEEP_STAGES.has(stage)) {
+      asleepMinutes += minutes;
+    }
+  }
+
+  return {
+    date,
+    steps: steps ? { total: round(steps.value), source: steps.source } : null,
+    sleep: sleep
+      ? {
+        asleepMinutes: round(asleepMinutes),
+        inBedMinutes: round(sleep.value.get('inBed') || 0),
+        stages,
+        source: sleep.source
+      }
+      : null,
+    heartRate: heartRate.count > 0 || restingHeartRate.count > 0
+      ? {
+        resting: restingHeartRate.count > 0 ? round(restingHeartRate.sum / restingHeartRate.count, 1) : null,
+        average: heartRate.count > 0 ? round(heartRate.sum / heartRate.count, 1) : null,
+        min: heartRate.min,
+        max: heartRate.max,
+        samples: heartRate.count,
+        unit: '/min'
+      }
+      : null,
+    activeEnergy: energy ? { total: round(energy.value, 1), unit: 'kcal', source: energy.source } : null
+  };
+}
+
+export class HealthkitDailyService {
+  constructor({ datasetService, cache } = {}) {
+    if (!datasetService) {
+      throw new Error('HealthkitDailyService requires a HealthkitDatasetService instance');
+    }
+
+    this.datasetService = datasetService;
+    this.cache = cache || new TieredCache();
+  }
+
+  /**
+   * Per-day aggregates for `userId` between `from` and `to` (inclusive local dates).
+   * @param {Object} options
+   * @param {string} [options.from] YYYY-MM-DD; defaults to six days before `to`
+   * @param {string} [options.to] YYYY-MM-DD; defaults to today in `timeZone`
+   * @param {string} [options.metrics] comma-separated subset of HEALTHKIT_DAILY_METRICS
+   * @param {string} [options.timeZone] IANA time zone the days are counted in (default UTC)
+   */
+  async fetchDaily({ userId, from, to, metrics, timeZone, correlationId }) {
+    const params = validateDailyParams({ from, to, metrics, timeZone });
+
+    const summaries = new Map();
+    const missing = [];
+    for (const date of params.days) {
+      const cached = await this.cache.get(DAILY_CACHE_TYPE, userId, { date, timeZone: params.timeZone });
+      if (cached === undefined) {
+        missing.push(date);
+      } else {
+        summaries.set(date, cached);
+      }
+    }
+
+    if (missing.length > 0) {
+      const { days, truncated } = await this.loadDays(userId, missing, params.timeZone, correlationId);
+      for (const [date, summary] of days) {
+        // Days aggregated from part of the user's files are kept briefly and say so when served
+        const entry = { ...summary, truncated };
+        summaries.set(date, entry);
+        await this.cache.set(DAILY_CACHE_TYPE, userId, { date, timeZone: params.timeZone }, entry, {
+          ttlMs: truncated || date >= params.today ? CURRENT_DAY_TTL_MS : PAST_DAY_TTL_MS
+        });
+      }
+    }
+
+    return {
+      success: true,
+      timeZone: params.timeZone,
+      from: params.from,
+      to: params.to,
+      metrics: params.metrics,
+      // Some of the user's files were not read, so the totals may be low
+      truncated: params.days.some((date) => summaries.get(date).truncated === true),
+      data: params.days.map((date) => {
+        const summary = summaries.get(date);
+        return Object.fromEntries([
+          ['date', date],
+          ...params.metrics.map((metric) => [metric, summary[metric]])
+        ]);
+      }),
+      correlationId
+    };
+  }
+
+  /**
+   * The user's HealthKit files, oldest first, from the cached file list when there is one.
+   * @returns {Promise<{ files: Array<Object>, truncated: boolean }>}
+   */
+  async listFiles(userId, correlationId) {
+    return this.cache.getOrLoad(
+      FILE_INDEX_CACHE_TYPE,
+      userId,
+      {},
+      () => this.datasetService.listUserFiles(userId, { correlationId }),
+      { ttlMs: FILE_INDEX_TTL_MS }
+    );
+  }
+
+  /**
+   * Read the user's files that may hold samples for `dates` and aggregate them. Records repeated
+   * across files (uploads from before deduplication) are counted once. `truncated` is set when the
+   * file listing was cut short or there were more files than one load reads.
+   */
+  async loadDays(userId, dates, timeZone, correlationId) {
+    const listing = await this.listFiles(userId, correlationId);
+    const earliest = Date.parse(`${dates[0]}T00:00:00Z`) - MAX_UTC_OFFSET_MS;
+    const candidates = listing.files.filter((file) => !file.updatedTime || Date.parse(file.updatedTime) >= earliest);
+    const selected = candidates.slice(-MAX_FILES_PER_LOAD);
+    const truncated = Boolean(listing.truncated) || selected.length < candidates.length;
+    if (truncated) {
+      logger.warn('HealthKit daily aggregation did not read all of the user\'s files', {
+        files: candidates.length,
+        read: selected.length,
+        listingTruncated: Boolean(listing.truncated),
+        correlationId
+      });
+    }
+
+    const accumulators = new Map(dates.map((date) => [date, emptyDay()]));
+    const seen = new Set();
+    let records = 0;
+    // Files are read a few at a time and aggregated in order, batch by batch
+    for (let index = 0; index < selected.length; index += FILE_READ_CONCURRENCY) {
+      const batch = selected.slice(index, index + FILE_READ_CONCURRENCY);
+      const contents = await Promise.all(batch.map((file) => this.datasetService.readFile(file.path)));
+
+      for (const entry of contents.flatMap((content) => content?.data || [])) {
+        let record;
+        try {
+          record = JSON.parse(entry.raw_healthkit_record);
+        } catch (error) {
+          continue;
+        }
+        if (!record || typeof record !== 'object') {
+          continue;
+        }
+
+        const identity = record.uuid || healthkitRecordHash(entry.raw_healthkit_record);
+        if (seen.has(identity)) {
+          continue;
+        }
+        seen.add(identity);
+        records += 1;
+        addSample(accumulators, flattenHealthkitRecord(record, records - 1, null), timeZone);
+      }
+    }
+
+    logger.info('Aggregated HealthKit daily totals', {
+      days: dates.length,
+      files: selected.length,
+      records,
+      timeZone,
+      correlationId
+    });
+
+    return {
+      days: new Map(dates.map((date) => [date, summarizeDay(date, accumulators.get(date))])),
+      truncated
+    };
+  }
+}
+
+export function createHealthkitDailyService({ foundryService, cache = getTieredCache() } = {}) {
+  return new HealthkitDailyService({
+    datasetService: new HealthkitDatasetService({ foundryService }),
+    cache
+  });
+}
+
+// Export singleton instance
+let dailyServiceInstance = null;
+
+export function initializeHealthkitDailyService({ foundryService, cache } = {}) {
+  dailyServiceInstance = createHealthkitDailyService({ foundryService, cache });
+  return dailyServiceInstance;
+}
+
+export function getHealthkitDailyService() {
+  if (!dailyServiceInstance) {
+    dailyServiceInstance = createHealthkitDailyService({
+      foundryService: new FoundryService({
+        host: process.env.FOUNDRY_HOST,
+        clientId: process.env.FOUNDRY_CLIENT_ID,
+        clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+        tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+        ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+      })
+    });
+  }
+  return dailyServiceInstance;
+}
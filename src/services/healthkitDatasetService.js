@@ -0,0 +1,160 @@
+import { DatasetFileService } from './datasetFileService.js';
+import { validateHealthkitRecords } from '../utils/healthkitSchema.js';
+
+// Target dataset RID for HealthKit raw data uploads (single JSON file per request)
+export const HEALTHKIT_DATASET_RID = process.env.FOUNDRY_HEALTHKIT_DATASET_RID
+  || 'ri.foundry.main.dataset.19102749-23e6-4fa8-827e-70eae2b94730';
+
+/**
+ * Uploaded HealthKit files live at healthkit/raw/<auth0id>/<timestamp>.json in the dataset.
+ */
+export function healthkitUserPrefix(auth0id) {
+  return `healthkit/raw/${auth0id}/`;
+}
+
+/**
+ * Parse HealthKit NDJSON into records, keeping each record's line for hashing. Lines that are not
+ * JSON objects are rejected individually; when nothing parses at all the payload is refused with a
+ * 400 `INVALID_NDJSON` error.
+ * @param {Buffer} ndjsonBuffer - Decoded NDJSON, one HealthKit record per line
+ * @returns {{ records: Array<{ record: Object, line: string, lineNumber: number }>, rejected: Array<{ line: number, reason: string }> }}
+ */
+export function parseHealthkitNdjson(ndjsonBuffer) {
+  const records = [];
+  const rejected = [];
+
+  ndjsonBuffer.toString('utf-8').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line.length === 0) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        rejected.push({ line: index + 1, reason: 'Record is not a JSON object' });
+        return;
+      }
+      records.push({ record, line, lineNumber: index + 1 });
+    } catch (parseError) {
+      rejected.push({ line: index + 1, reason: 'Invalid JSON' });
+    }
+  });
+
+  if (records.length === 0 && rejected.length > 0) {
+    const error = new Error('rawhealthkit must be base64-encoded NDJSON');
+    error.code = 'INVALID_NDJSON';
+    error.status = 400;
+    throw error;
+  }
+
+  return { records, rejected };
+}
+
+/**
+ * Parse HealthKit NDJSON and keep only the records matching their sampleClass schema (see
+ * healthkitSchema.js). Rejected lines are reported with the reason; in `strict` mode any rejected
+ * line refuses the whole upload with a 422 `INVALID_HEALTHKIT_RECORDS` error listing them.
+ * @param {Buffer} ndjsonBuffer - Decoded NDJSON, one HealthKit record per line
+ * @returns {{ records: Array<{ record: Object, line: string, lineNumber: number }>, rejected: Array<{ line: number, reason: string }> }}
+ */
+export function readHealthkitUpload(ndjsonBuffer, { strict = false } = {}) {
+  const parsed = parseHealthkitNdjson(ndjsonBuffer);
+  const { records, rejected: invalid } = validateHealthkitRecords(parsed.records);
+  const rejected = [...parsed.rejected, ...invalid].sort((left, right) => left.line - right.line);
+
+  if (strict && rejected.length > 0) {
+    const error = new Error(`${rejected.length} HealthKit record${rejected.length === 1 ? '' : 's'} failed validation; nothing was ingested`);
+    error.status = 422;
+    error.code = 'INVALID_HEALTHKIT_RECORDS';
+    error.expose = true;
+    error.details = { rejected_records: rejected };
+    throw error;
+  }
+
+  return { records, rejected };
+}
+
+/**
+ * The dataset file written for one HealthKit upload: a JSON document with the user and device up
+ * front and each record flattened for dataset storage (original kept as a string).
+ * @param {string} auth0id - Owner of the records
+ * @param {Array<{ record: Object }>} entries - Records from parseHealthkitNdjson
+ * @returns {{ content: string, recordCount: number }}
+ */
+export function buildHealthkitDatasetFile(auth0id, entries, { device, timestamp } = {}) {
+  const records = entries.map((entry) => entry.record);
+  const exportTimestamp = typeof timestamp === 'string' && timestamp.length > 0
+    ? timestamp
+    : new Date().toISOString();
+  const exportDevice = typeof device === 'string' && device.length > 0
+    ? device
+    : 'unknown';
+  const ingestedAt = new Date().toISOString();
+
+  // Flatten each HealthKit record with metadata for dataset storage
+  const datasetRecords = records.map(record => ({
+    // User and device metadata
+    auth0_user_id: auth0id,
+    device: exportDevice,
+    ingested_at: ingestedAt,
+    export_timestamp: exportTimestamp,
+
+    // HealthKit record data (flattened)
+    sample_type: record.sampleType || record.type || '',
+    source_name: record.sourceName || record.source || '',
+    sample_class: record.sampleClass || '',
+    quantity_type: record.quantityType || '',
+    source_version: record.sourceVersion || '',
+    data_type: record.dataType || '',
+    uuid: record.uuid || '',
+    start_date: record.startDate || record.start || '',
+    end_date: record.endDate || record.end || '',
+    value_double: record.valueDouble || record.value || null,
+    unit: record.unit || '',
+
+    // Device information (flattened)
+    device_hardware_version: record.device?.hardwareVersion || '',
+    device_model: record.device?.model || '',
+    device_name: record.device?.name || '',
+    device_manufacturer: record.device?.manufacturer || '',
+    device_software_version: record.device?.softwareVersion || '',
+
+    // Store original record as JSON string for reference
+    raw_healthkit_record: JSON.stringify(record)
+  }));
+
+  // Create single JSON file with auth0_user_id prominently included
+  const content = JSON.stringify({
+    auth0_user_id: auth0id,
+    device: exportDevice,
+    ingested_at: ingestedAt,
+    export_timestamp: exportTimestamp,
+    record_count: records.length,
+    data: datasetRecords
+  }, null, 2);
+
+  return { content, recordCount: records.length };
+}
+
+/**
+ * The HealthKit raw dataset, addressed per user.
+ */
+export class HealthkitDatasetService extends DatasetFileService {
+  constructor({ foundryService, datasetRid = HEALTHKIT_DATASET_RID, branchName = 'master' } = {}) {
+    if (!foundryService) {
+      throw new Error('HealthkitDatasetService requires a FoundryService instance');
+    }
+    super({ foundryService, datasetRid, branchName });
+  }
+
+  /**
+   * Files uploaded for one user, oldest first (see listFiles).
+   * @returns {Promise<{ files: Array<{ path: string, sizeBytes: number|null, updatedTime: string|null }>, truncated: boolean }>}
+   */
+  async listUserFiles(auth0id, { correlationId } = {}) {
+    if (!auth0id) {
+      throw new Error('auth0id is required to list HealthKit files');
+    }
+    return this.listFiles(healthkitUserPrefix(auth0id), { correlationId });
+  }
+}
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { healthkitRecordHash } from '../utils/healthkitPlaintext.js';
+
+// HealthKit ingestion dedupe: the app re-exports overlapping windows, so every record is identified
+// (by its HealthKit uuid, or the SHA-256 of its NDJSON line when it has none) and only records not
+// seen before for that user are written. Identities are kept as 12-character truncated hashes in
+// one set per user per month of sample start date, so checking a record touches one set. A month
+// is remembered for the retention period after the last upload that touched it.
+
+export const DEFAULT_DEDUPE_RETENTION_DAYS = Number.parseInt(process.env.HEALTHKIT_DEDUPE_RETENTION_DAYS, 10) || 400;
+
+export class MemoryHealthkitDedupeStore {
+  constructor() {
+    this.name = 'memory';
+    this.sets = new Map();
+  }
+
+  /**
+   * Add `members` to the set at `key`; for each, whether it was not there before.
+   */
+  async add(key, members, expiresAt) {
+    let entry = this.sets.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      entry = { members: new Set(), expiresAt };
+      this.sets.set(key, entry);
+    }
+    entry.expiresAt = expiresAt;
+    return members.map((member) => {
+      if (entry.members.has(member)) {
+        return false;
+      }
+      entry.members.add(member);
+      return true;
+    });
+  }
+
+  async remove(key, members) {
+    const entry = this.sets.get(key);
+    members.forEach((member) => entry?.members.delete(member));
+  }
+
+  async forget(keyPrefix) {
+    for (const key of this.sets.keys()) {
+      if (key.startsWith(keyPrefix)) {
+        this.sets.delete(key);
+      }
+    }
+  }
+}
+
+export class RedisHealthkitDedupeStore {
+  constructor({ redis, prefix = process.env.HEALTHKIT_DEDUPE_KEY_PREFIX || 'atlas:healthkit-dedupe:' } = {}) {
+    if (!redis) {
+      throw new Error('RedisHealthkitDedupeStore requires a Redis client');
+    }
+
+    this.name = 'redis';
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  // One SADD per member in a transaction, so each reply says whether that member was new and two
+  // concurrent uploads of the same record cannot both claim it
+  async add(key, members, expiresAt) {
+    const transaction = this.redis.multi();
+    members.forEach((member) => transaction.sAdd(`${this.prefix}${key}`, member));
+    transaction.pExpireAt(`${this.prefix}${key}`, expiresAt);
+    const replies = await transaction.exec();
+    return replies.slice(0, members.length).map((added) => Number(added) === 1);
+  }
+
+  async remove(key, members) {
+    if (members.length > 0) {
+      await this.redis.sRem(`${this.prefix}${key}`, members);
+    }
+  }
+
+  async forget(keyPrefix) {
+    const keys = [];
+    for await (const key of this.redis.scanIterator({ MATCH: `${this.prefix}${keyPrefix}*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    if (keys.length > 0) {
+      await this.redis.del(keys);
+    }
+  }
+}
+
+/**
+ * The identity a record is deduplicated on: its HealthKit uuid, or the hash of its NDJSON line.
+ */
+export function healthkitDedupeKey(record, line) {
+  if (typeof record?.uuid === 'string' && record.uuid.trim().length > 0) {
+    return `uuid:${record.uuid.trim().toUpperCase()}`;
+  }
+  return `hash:${healthkitRecordHash(line)}`;
+}
+
+function userKeyPrefix(userId) {
+  return `${crypto.createHash('sha256').update(`atlas-healthkit:${userId}`).digest('hex').slice(0, 32)}:`;
+}
+
+// Month of the sample's start, so re-exports of the same sample always land in the same set
+function recordBucket(record) {
+  const started = Date.parse(record?.startDate || record?.start || '');
+  return Number.isNaN(started) ? 'undated' : new Date(started).toISOString().slice(0, 7);
+}
+
+function compactMember(dedupeKey) {
+  return crypto.createHash('sha256').update(dedupeKey).digest().subarray(0, 9).toString('base64url');
+}
+
+export class HealthkitDedupeService {
+  constructor({ store = new MemoryHealthkitDedupeStore(), retentionDays = DEFAULT_DEDUPE_RETENTION_DAYS } = {}) {
+    this.store = store;
+    this.retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Claim parsed records (`{ record, line }`) for `userId`. Returns the ones not seen before, in
+   * their original order, plus how many were duplicates (earlier uploads or repeats within this
+   * one). Call `release()` if the fresh records are not written after all, so a retry can claim
+   * them again. If the store is unreachable every record is treated as fresh.
+   */
+  async claim(userId, entries, { correlationId } = {}) {
+    const prefix = userKeyPrefix(userId);
+    const buckets = new Map();
+    entries.forEach((entry, index) => {
+      const key = `${prefix}${recordBucket(entry.record)}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push({ index, member: compactMember(healthkitDedupeKey(entry.record, entry.line)) });
+    });
+
+    const fresh = new Array(entries.length).fill(false);
+    const claimed = [];
+    const release = async () => {
+      try {
+        for (const { key, members } of claimed) {
+          await this.store.remove(key, members);
+        }
+      } catch (error) {
+        logger.warn('Failed to release HealthKit dedupe claims', { error: error.message, correlationId });
+      }
+    };
+
+    try {
+      const expiresAt = Date.now() + this.retentionMs;
+      for (const [key, items] of buckets) {
+        const added = await this.store.add(key, items.map((item) => item.member), expiresAt);
+        const members = [];
+        items.forEach((item, position) => {
+          if (added[position]) {
+            fresh[item.index] = true;
+            members.push(item.member);
+          }
+        });
+        claimed.push({ key, members });
+      }
+    } catch (error) {
+      logger.warn('HealthKit dedupe unavailable; ingesting without it', {
+        error: error.message,
+        store: this.store.name,
+        correlationId
+      });
+      return { fresh: entries, duplicates: 0, release };
+    }
+
+    const freshEntries = entries.filter((entry, index) => fresh[index]);
+    return { fresh: freshEntries, duplicates: entries.length - freshEntries.length, release };
+  }
+
+  /**
+   * Drop everything remembered for a user (account erasure), so their samples can be ingested
+   * again later.
+   */
+  async forgetUser(userId) {
+    await this.store.forget(userKeyPrefix(userId));
+  }
+}
+
+export function createHealthkitDedupeService({ redisClient } = {}) {
+  return new HealthkitDedupeService({
+    store: redisClient ? new RedisHealthkitDedupeStore({ redis: redisClient }) : new MemoryHealthkitDedupeStore()
+  });
+}
+
+// Export singleton instance
+let dedupeServiceInstance = null;
+
+export function initializeHealthkitDedupeService({ redisClient } = {}) {
+  dedupeServiceInstance = createHealthkitDedupeService({ redisClient });
+  logger.info('HealthKit dedupe service initialized', {
+    store: dedupeServiceInstance.store.name,
+    retentionDays: dedupeServiceInstance.retentionMs / (24 * 60 * 60 * 1000)
+  });
+  return dedupeServiceInstance;
+}
+
+export function getHealthkitDedupeService() {
+  if (!dedupeServiceInstance) {
+    dedupeServiceInstance = createHealthkitDedupeService();
+  }
+  return dedupeServiceInstance;
+}
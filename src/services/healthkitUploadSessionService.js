@@ -0,0 +1,601 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { escapeGlob } from './cacheService.js';
+import { FoundryService } from './foundryService.js';
+import {
+  HealthkitDatasetService,
+  buildHealthkitDatasetFile,
+  healthkitUserPrefix,
+  readHealthkitUpload
+} from './healthkitDatasetService.js';
+import { HealthkitDedupeService, getHealthkitDedupeService } from './healthkitDedupeService.js';
+
+// Resumable HealthKit uploads: a client opens a session, PUTs numbered base64 NDJSON chunks (each
+// with its SHA-256) in any order and over as many requests or app launches as it needs, asks which
+// chunks arrived, and commits. Chunks are staged in Redis when available (in memory otherwise, up
+// to MAX_MEMORY_STAGED_BYTES across all sessions) until the commit writes one dataset file per
+// chunk in a single Foundry transaction, so an export lands completely or not at all. Records already ingested for the user are left out of
+// those files, as are records that fail schema validation (or, for a strict session, the chunk
+// containing them is refused).
+
+export const DEFAULT_SESSION_TTL_MS = Number.parseInt(process.env.HEALTHKIT_UPLOAD_SESSION_TTL_MS, 10)
+  || 72 * 60 * 60 * 1000;
+export const MAX_SESSION_CHUNKS = Number.parseInt(process.env.HEALTHKIT_UPLOAD_MAX_CHUNKS, 10) || 500;
+// Same per-chunk ceiling as /export/batch (raw NDJSON before base64)
+export const MAX_SESSION_CHUNK_BYTES = 2 * 1024 * 1024;
+// A commit uploads every chunk; long enough that another commit cannot start underneath it
+const COMMIT_LOCK_MS = 10 * 60 * 1000;
+// Without Redis every staged chunk is held in process memory, across all sessions
+export const MAX_MEMORY_STAGED_BYTES = Number.parseInt(process.env.HEALTHKIT_UPLOAD_MEMORY_MAX_BYTES, 10)
+  || 256 * 1024 * 1024;
+
+function sessionError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.expose = true;
+  return error;
+}
+
+export class MemoryUploadSessionStore {
+  constructor({ maxBytes = MAX_MEMORY_STAGED_BYTES } = {}) {
+    this.name = 'memory';
+    this.sessions = new Map();
+    this.chunks = new Map();
+    this.locks = new Map();
+    this.maxBytes = maxBytes;
+    this.stagedBytes = 0;
+  }
+
+  // Sessions are dropped on access once expired, as Redis would have done
+  sweep(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (Date.parse(session.expiresAt) <= now) {
+        this.sessions.delete(id);
+        this.dropChunks(id);
+      }
+    }
+  }
+
+  async get(sessionId) {
+    this.sweep();
+    const session = this.sessions.get(sessionId);
+    return session ? structuredClone(session) : null;
+  }
+
+  async save(session) {
+    this.sweep();
+    this.sessions.set(session.id, structuredClone(session));
+  }
+
+  async listByUser(userId) {
+    this.sweep();
+    return [...this.sessions.values()].filter((session) => session.userId === userId).map((session) => structuredClone(session));
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+    this.dropChunks(sessionId);
+  }
+
+  async putChunk(session, sequence, chunk, data) {
+    this.sweep();
+    if (this.stagedBytes + data.length > this.maxBytes) {
+      throw sessionError(
+        'Too much upload data is staged on this server; commit or let open sessions expire and try again later',
+        413,
+        'UPLOAD_STAGING_FULL'
+      );
+    }
+
+    if (!this.chunks.has(session.id)) {
+      this.chunks.set(session.id, new Map());
+    }
+    this.chunks.get(session.id).set(sequence, { chunk: { ...chunk }, data });
+    this.stagedBytes += data.length;
+  }
+
+  async listChunks(sessionId) {
+    const chunks = this.chunks.get(sessionId);
+    return chunks ? [...chunks.values()].map((entry) => ({ ...entry.chunk })) : [];
+  }
+
+  async getChunkData(sessionId, sequence) {
+    return this.chunks.get(sessionId)?.get(sequence)?.data ?? null;
+  }
+
+  async deleteChunks(sessionId) {
+    this.dropChunks(sessionId);
+  }
+
+  dropChunks(sessionId) {
+    for (const { data } of this.chunks.get(sessionId)?.values() || []) {
+      this.stagedBytes -= data.length;
+    }
+    this.chunks.delete(sessionId);
+  }
+
+  async acquireCommitLock(sessionId, ttlMs) {
+    const heldUntil = this.locks.get(sessionId);
+    if (heldUntil && heldUntil > Date.now()) {
+      return false;
+    }
+    this.locks.set(sessionId, Date.now() + ttlMs);
+    return true;
+  }
+
+  async releaseCommitLock(sessionId) {
+    this.locks.delete(sessionId);
+  }
+}
+
+export class RedisUploadSessionStore {
+  constructor({ redis, prefix = process.env.HEALTHKIT_UPLOAD_KEY_PREFIX || 'atlas:healthkit-upload:' } = {}) {
+    if (!redis) {
+      throw new Error('RedisUploadSessionStore requires a Redis client');
+    }
+
+    this.name = 'redis';
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  async get(sessionId) {
+    const raw = await this.redis.get(`${this.prefix}session:${sessionId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(session) {
+    await this.redis.set(`${this.prefix}session:${session.id}`, JSON.stringify(session), {
+      PXAT: Date.parse(session.expiresAt)
+    });
+  }
+
+  // Sessions are not indexed by user; this scans them all, which only erasure needs to do
+  async listByUser(userId) {
+    const sessions = [];
+    for await (const key of this.redis.scanIterator({ MATCH: `${escapeGlob(this.prefix)}session:*`, COUNT: 500 })) {
+      const raw = await this.redis.get(key);
+      const session = raw ? JSON.parse(raw) : null;
+      if (session?.userId === userId) {
+        sessions.push(session);
+      }
+    }
+    return sessions;
+  }
+
+  async delete(sessionId) {
+    await this.deleteChunks(sessionId);
+    await this.redis.del(`${this.prefix}session:${sessionId}`);
+  }
+
+  // Chunk records share one hash per session (one field each, so parallel PUTs do not race);
+  // their bytes are kept under separate keys
+  async putChunk(session, sequence, chunk, data) {
+    const expiresAt = Date.parse(session.expiresAt);
+    const chunksKey = `${this.prefix}chunks:${session.id}`;
+    await this.redis.set(`${this.prefix}chunk:${session.id}:${sequence}`, data.toString('base64'), { PXAT: expiresAt });
+    await this.redis.hSet(chunksKey, String(sequence), JSON.stringify(chunk));
+    await this.redis.pExpireAt(chunksKey, expiresAt);
+  }
+
+  async listChunks(sessionId) {
+    const fields = await this.redis.hGetAll(`${this.prefix}chunks:${sessionId}`);
+    return Object.values(fields || {}).map((raw) => JSON.parse(raw));
+  }
+
+  async getChunkData(sessionId, sequence) {
+    const raw = await this.redis.get(`${this.prefix}chunk:${sessionId}:${sequence}`);
+    return raw === null || raw === undefined ? null : Buffer.from(raw, 'base64');
+  }
+
+  async deleteChunks(sessionId) {
+    const chunks = await this.listChunks(sessionId);
+    const keys = chunks.map((chunk) => `${this.prefix}chunk:${sessionId}:${chunk.sequence}`);
+    await this.redis.del([...keys, `${this.prefix}chunks:${sessionId}`]);
+  }
+
+  async acquireCommitLock(sessionId, ttlMs) {
+    return Boolean(await this.redis.set(`${this.prefix}commit:${sessionId}`, '1', { NX: true, PX: ttlMs }));
+  }
+
+  async releaseCommitLock(sessionId) {
+    await this.redis.del(`${this.prefix}commit:${sessionId}`);
+  }
+}
+
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function bySequence(left, right) {
+  return left.sequence - right.sequence;
+}
+
+export class HealthkitUploadSessionService {
+  constructor({
+    datasetService,
+    dedupeService = new HealthkitDedupeService(),
+    store = new MemoryUploadSessionStore(),
+    ttlMs = DEFAULT_SESSION_TTL_MS,
+    maxChunks = MAX_SESSION_CHUNKS,
+    maxChunkBytes = MAX_SESSION_CHUNK_BYTES
+  } = {}) {
+    if (!datasetService) {
+      throw new Error('HealthkitUploadSessionService requires a HealthkitDatasetService instance');
+    }
+
+    this.datasetService = datasetService;
+    this.dedupeService = dedupeService;
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.maxChunks = maxChunks;
+    this.maxChunkBytes = maxChunkBytes;
+  }
+
+  /**
+   * Open a session for `userId`. `totalChunks` may be given now or at commit. A `strict` session
+   * refuses any chunk with a record that fails validation.
+   */
+  async createSession({ userId, device, timestamp, totalChunks = null, strict = false, correlationId } = {}) {
+    if (!userId) {
+      throw new Error('userId is required to open a HealthKit upload session');
+    }
+    const total = this.validateTotalChunks(totalChunks);
+
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      userId,
+      status: 'open',
+      device: typeof device === 'string' && device.length > 0 ? device : 'unknown',
+      exportTimestamp: typeof timestamp === 'string' && timestamp.length > 0 ? timestamp : new Date(now).toISOString(),
+      totalChunks: total,
+      strict: strict === true,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+      committedAt: null,
+      result: null
+    };
+    await this.store.save(session);
+
+    logger.info('HealthKit upload session opened', {
+      sessionId: session.id,
+      totalChunks: total,
+      strict: session.strict,
+      store: this.store.name,
+      user: userId,
+      correlationId
+    });
+    return session;
+  }
+
+  /**
+   * The session, or null when it does not exist, has expired, or belongs to someone else.
+   */
+  async getSession(sessionId, userId) {
+    const session = await this.store.get(sessionId);
+    if (!session || session.userId !== userId) {
+      return null;
+    }
+    return session;
+  }
+
+  async listChunks(session) {
+    return (await this.store.listChunks(session.id)).sort(bySequence);
+  }
+
+  /**
+   * Stage chunk `sequence`. Re-sending a chunk that already arrived with the same checksum is a
+   * no-op (`duplicate: true`), so clients can safely retry anything they did not see acknowledged.
+   * `rejected` lists the chunk's lines that failed validation when it is first staged.
+   */
+  async putChunk(session, sequence, { rawhealthkit, sha256, recordCount } = {}, { correlationId } = {}) {
+    if (session.status !== 'open') {
+      throw sessionError('This upload session has already been committed', 409, 'UPLOAD_SESSION_COMMITTED');
+    }
+    if (!Number.isInteger(sequence) || sequence < 0 || sequence >= (session.totalChunks ?? this.maxChunks)) {
+      throw sessionError(
+        `Chunk sequence must be an integer from 0 to ${(session.totalChunks ?? this.maxChunks) - 1}`,
+        400,
+        'INVALID_CHUNK_SEQUENCE'
+      );
+    }
+    if (typeof rawhealthkit !== 'string' || rawhealthkit.length === 0) {
+      throw sessionError('rawhealthkit (base64 NDJSON) is required', 400, 'INVALID_PAYLOAD');
+    }
+    if (typeof sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(sha256)) {
+      throw sessionError('sha256 (hex digest of the decoded chunk) is required', 400, 'INVALID_PAYLOAD');
+    }
+
+    const data = Buffer.from(rawhealthkit, 'base64');
+    if (data.length === 0) {
+      throw sessionError('rawhealthkit decoded payload is empty', 400, 'INVALID_PAYLOAD');
+    }
+    if (data.length > this.maxChunkBytes) {
+      throw sessionError(`Each chunk must be under ${this.maxChunkBytes / (1024 * 1024)}MB`, 413, 'CHUNK_TOO_LARGE');
+    }
+    const digest = sha256Hex(data);
+    if (digest !== sha256.toLowerCase()) {
+      throw sessionError('Chunk content does not match its sha256', 422, 'CHECKSUM_MISMATCH');
+    }
+
+    const existing = (await this.store.listChunks(session.id)).find((chunk) => chunk.sequence === sequence);
+    if (existing) {
+      if (existing.sha256 !== digest) {
+        throw sessionError(`Chunk ${sequence} was already received with different content`, 409, 'CHUNK_CONFLICT');
+      }
+      return { chunk: existing, duplicate: true };
+    }
+
+    // Parsed now so a bad chunk is refused while the client can still resend it
+    const { records, rejected } = readHealthkitUpload(data, { strict: session.strict === true });
+    const chunk = {
+      sequence,
+      sha256: digest,
+      bytes: data.length,
+      recordCount: records.length,
+      rejectedCount: rejected.length,
+      receivedAt: new Date().toISOString()
+    };
+    await this.store.putChunk(session, sequence, chunk, data);
+
+    logger.info('HealthKit upload chunk staged', {
+      sessionId: session.id,
+      sequence,
+      bytes: data.length,
+      recordCount: records.length,
+      rejectedCount: rejected.length,
+      declaredRecordCount: Number.isInteger(recordCount) ? recordCount : undefined,
+      correlationId
+    });
+    return { chunk, duplicate: false, rejected };
+  }
+
+  /**
+   * Write every staged chunk to the HealthKit dataset in one transaction. All chunks from 0 to
+   * `totalChunks - 1` must have arrived. Committing an already committed session returns its
+   * result again; a commit that fails before the transaction is committed aborts it and leaves the
+   * session open to retry.
+   * Chunks whose records were all ingested before are not written.
+   * @returns {Promise<{ session: Object, committed: boolean }>} `committed` is false when the
+   *   session had been committed before
+   */
+  async commit(session, { totalChunks = null, correlationId } = {}) {
+    if (session.status === 'committed') {
+      return { session, committed: false };
+    }
+
+    const requestedTotal = this.validateTotalChunks(totalChunks);
+    if (requestedTotal !== null && session.totalChunks !== null && requestedTotal !== session.totalChunks) {
+      throw sessionError(
+        `totalChunks was ${session.totalChunks} when the session was opened`,
+        409,
+        'TOTAL_CHUNKS_MISMATCH'
+      );
+    }
+
+    const chunks = await this.listChunks(session);
+    const total = session.totalChunks ?? requestedTotal ?? chunks.length;
+    const received = new Set(chunks.map((chunk) => chunk.sequence));
+    const missing = Array.from({ length: total }, (_, sequence) => sequence).filter((sequence) => !received.has(sequence));
+    if (total === 0 || missing.length > 0 || chunks.some((chunk) => chunk.sequence >= total)) {
+      throw sessionError(
+        total === 0
+          ? 'No chunks have been uploaded'
+          : `Missing chunks: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}`,
+        409,
+        'UPLOAD_SESSION_INCOMPLETE'
+      );
+    }
+
+    if (!(await this.store.acquireCommitLock(session.id, COMMIT_LOCK_MS))) {
+      throw sessionError('This upload session is already being committed', 409, 'UPLOAD_SESSION_COMMITTING');
+    }
+
+    let transactionRid = null;
+    let transactionCommitted = false;
+    const claims = [];
+    try {
+      // Another instance may have finished committing since the session was read
+      const current = await this.store.get(session.id);
+      if (current?.status === 'committed') {
+        return { session: current, committed: false };
+      }
+
+      const safeTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      transactionRid = await this.datasetService.openTransaction('APPEND');
+
+      const files = [];
+      let recordCount = 0;
+      let duplicateCount = 0;
+      let rejectedCount = 0;
+      for (const chunk of chunks) {
+        const data = await this.store.getChunkData(session.id, chunk.sequence);
+        if (!data || sha256Hex(data) !== chunk.sha256) {
+          throw sessionError(`Chunk ${chunk.sequence} is no longer available; upload it again`, 409, 'UPLOAD_SESSION_INCOMPLETE');
+        }
+
+        const { records, rejected } = readHealthkitUpload(data);
+        const claim = await this.dedupeService.claim(session.userId, records, { correlationId });
+        claims.push(claim);
+        duplicateCount += claim.duplicates;
+        rejectedCount += rejected.length;
+        if (claim.fresh.length === 0) {
+          continue;
+        }
+
+        const file = buildHealthkitDatasetFile(session.userId, claim.fresh, {
+          device: session.device,
+          timestamp: session.exportTimestamp
+        });
+        const path = `${healthkitUserPrefix(session.userId)}${safeTimestamp}-${session.id}-${String(chunk.sequence).padStart(5, '0')}.json`;
+        await this.datasetService.uploadFile(path, file.content, { transactionRid });
+        files.push(path);
+        recordCount += file.recordCount;
+      }
+
+      await this.datasetService.commitTransaction(transactionRid);
+      transactionCommitted = true;
+
+      const committed = {
+        ...session,
+        status: 'committed',
+        totalChunks: total,
+        committedAt: new Date().toISOString(),
+        result: {
+          dataset_rid: this.datasetService.datasetRid,
+          transaction_rid: transactionRid,
+          files,
+          chunks_committed: chunks.length,
+          records_ingested: recordCount,
+          records_new: recordCount,
+          records_duplicate: duplicateCount,
+          records_rejected: rejectedCount
+        }
+      };
+      try {
+        await this.store.save(committed);
+        await this.store.deleteChunks(session.id);
+      } catch (error) {
+        // The records are in the dataset and stay claimed, so a retried commit writes none of them again
+        logger.error('HealthKit upload session committed but its state could not be saved', {
+          sessionId: session.id,
+          transactionRid,
+          error: error.message,
+          correlationId
+        });
+      }
+
+      logger.info('HealthKit upload session committed', {
+        sessionId: session.id,
+        transactionRid,
+        chunks: chunks.length,
+        recordCount,
+        duplicateCount,
+        user: session.userId,
+        correlationId
+      });
+      return { session: committed, committed: true };
+    } catch (error) {
+      // Once the transaction is committed its records are ingested and must stay claimed
+      if (transactionCommitted) {
+        throw error;
+      }
+      for (const claim of claims) {
+        await claim.release();
+      }
+      if (transactionRid) {
+        try {
+          await this.datasetService.abortTransaction(transactionRid);
+        } catch (abortError) {
+          logger.warn('Failed to abort HealthKit upload transaction', {
+            sessionId: session.id,
+            transactionRid,
+            error: abortError.message,
+            correlationId
+          });
+        }
+      }
+      logger.error('HealthKit upload session commit failed', {
+        sessionId: session.id,
+        transactionRid,
+        error: error.message,
+        correlationId
+      });
+      throw error;
+    } finally {
+      await this.store.releaseCommitLock(session.id);
+    }
+  }
+
+  /**
+   * Delete every session of `userId` with its staged chunks, for erasure. Fails while one of them
+   * is being committed, since the commit is still writing its files.
+   * @returns {Promise<number>} number of sessions deleted
+   */
+  async eraseUser(userId) {
+    const sessions = await this.store.listByUser(userId);
+    for (const session of sessions) {
+      if (!await this.store.acquireCommitLock(session.id, COMMIT_LOCK_MS)) {
+        throw new Error(`HealthKit upload session ${session.id} is being committed`);
+      }
+      try {
+        await this.store.delete(session.id);
+      } finally {
+        await this.store.releaseCommitLock(session.id);
+      }
+    }
+    return sessions.length;
+  }
+
+  validateTotalChunks(totalChunks) {
+    if (totalChunks === null || totalChunks === undefined) {
+      return null;
+    }
+    if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > this.maxChunks) {
+      throw sessionError(`totalChunks must be an integer from 1 to ${this.maxChunks}`, 400, 'INVALID_TOTAL_CHUNKS');
+    }
+    return totalChunks;
+  }
+}
+
+/**
+ * Session fields returned to the client; the owner stays server-side.
+ */
+export function toUploadSessionView(session, chunks = []) {
+  const received = new Set(chunks.map((chunk) => chunk.sequence));
+  return {
+    sessionId: session.id,
+    status: session.status,
+    device: session.device,
+    totalChunks: session.totalChunks,
+    strict: session.strict === true,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+    committedAt: session.committedAt,
+    receivedChunks: chunks.map(({ sequence, sha256, bytes, recordCount, rejectedCount = 0 }) => ({
+      sequence,
+      sha256,
+      bytes,
+      recordCount,
+      rejectedCount
+    })),
+    missingChunks: session.status === 'open' && session.totalChunks !== null
+      ? Array.from({ length: session.totalChunks }, (_, sequence) => sequence).filter((sequence) => !received.has(sequence))
+      : null,
+    result: session.result
+  };
+}
+
+export function createHealthkitUploadSessionService({ redisClient, foundryService } = {}) {
+  return new HealthkitUploadSessionService({
+    datasetService: new HealthkitDatasetService({ foundryService }),
+    dedupeService: getHealthkitDedupeService(),
+    store: redisClient ? new RedisUploadSessionStore({ redis: redisClient }) : new MemoryUploadSessionStore()
+  });
+}
+
+// Export singleton instance
+let uploadSessionServiceInstance = null;
+
+export function initializeHealthkitUploadSessionService({ redisClient, foundryService } = {}) {
+  uploadSessionServiceInstance = createHealthkitUploadSessionService({ redisClient, foundryService });
+  logger.info('HealthKit upload session service initialized', { store: uploadSessionServiceInstance.store.name });
+  return uploadSessionServiceInstance;
+}
+
+export function getHealthkitUploadSessionService() {
+  if (!uploadSessionServiceInstance) {
+    uploadSessionServiceInstance = createHealthkitUploadSessionService({
+      foundryService: new FoundryService({
+        host: process.env.FOUNDRY_HOST,
+        clientId: process.env.FOUNDRY_CLIENT_ID,
+        clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+        tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+        ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+      })
+    });
+  }
+  return uploadSessionServiceInstance;
+}
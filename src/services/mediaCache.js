@@ -0,0 +1,297 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { escapeGlob, getCacheService } from './cacheService.js';
+import { LruCache } from './tieredCache.js';
+
+export const DEFAULT_MEDIA_CACHE_MAX_BYTES = 1024 * 1024 * 1024;
+// Metadata kept in process when Redis is unavailable; entries are a few hundred bytes each
+const LOCAL_METADATA_MAX_ENTRIES = 10000;
+
+/**
+ * Disk tier for media content. Binaries are stored once per SHA-256 under `cacheDir` and evicted
+ * least recently used first to stay within `maxBytes`; only the metadata (hash, size, content
+ * type) goes to Redis, keyed by media item, so instances share what each item resolves to.
+ *
+ * Disks are per instance: metadata from Redis whose blob is missing locally is treated as a miss.
+ * Readers open the blob before streaming, so eviction never cuts a response short.
+ */
+export class MediaCache {
+  constructor({
+    cacheService,
+    cacheDir = process.env.MEDIA_CACHE_DIR || path.join(os.tmpdir(), 'atlas-media-cache'),
+    maxBytes = Number.parseInt(process.env.MEDIA_CACHE_MAX_BYTES, 10) || DEFAULT_MEDIA_CACHE_MAX_BYTES
+  } = {}) {
+    // Resolved per call: routers build their services before server.js attaches Redis
+    this.cacheService = cacheService || null;
+    this.cacheDir = path.resolve(cacheDir);
+    this.maxBytes = maxBytes;
+    // hash -> size, least recently used first
+    this.blobs = new Map();
+    this.bytes = 0;
+    this.localMetadata = new LruCache({ maxEntries: LOCAL_METADATA_MAX_ENTRIES });
+    this.ready = null;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      dedupedWrites: 0,
+      evictions: 0
+    };
+  }
+
+  get cache() {
+    return this.cacheService || getCacheService();
+  }
+
+  /**
+   * Create the cache directory and index blobs left by a previous run, oldest access first.
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.loadIndex().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async loadIndex() {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    const found = [];
+    for (const shard of await fs.readdir(this.cacheDir)) {
+      const shardDir = path.join(this.cacheDir, shard);
+      let names;
+      try {
+        names = await fs.readdir(shardDir);
+      } catch {
+        continue;
+      }
+
+      for (const name of names) {
+        const filePath = path.join(shardDir, name);
+        if (name.endsWith('.tmp')) {
+          // Interrupted write
+          await fs.rm(filePath, { force: true });
+          continue;
+        }
+        const stat = await fs.stat(filePath);
+        found.push({ hash: name, size: stat.size, accessedAt: Math.max(stat.atimeMs, stat.mtimeMs) });
+      }
+    }
+
+    found.sort((a, b) => a.accessedAt - b.accessedAt);
+    for (const { hash, size } of found) {
+      this.blobs.set(hash, size);
+      this.bytes += size;
+    }
+    await this.evict();
+
+    logger.info('Media cache ready', { cacheDir: this.cacheDir, blobs: this.blobs.size, bytes: this.bytes });
+  }
+
+  blobPath(hash) {
+    return path.join(this.cacheDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Metadata for `mediaKey` (`<mediaSetRid>:<mediaItemRid>`, or `item:<mediaItemRid>` when the set
+   * is unknown) whose blob is on this instance's disk, or null.
+   * @returns {Promise<{ hash: string, size: number, contentType: string, cachedAt: string }|null>}
+   */
+  async lookup(mediaKey) {
+    await this.init();
+
+    const metadata = await this.readMetadata(mediaKey);
+    if (!metadata?.hash || !this.blobs.has(metadata.hash)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.touch(metadata.hash);
+    this.stats.hits++;
+    return metadata;
+  }
+
+  /**
+   * Open the blob behind `metadata` for reading, or null when it has been evicted since. An open
+   * handle stays readable after eviction unlinks the file; the caller closes it.
+   * @returns {Promise<import('fs/promises').FileHandle|null>}
+   */
+  async openBlob(metadata) {
+    try {
+      return await fs.open(this.blobPath(metadata.hash), 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.forget(metadata.hash);
+      return null;
+    }
+  }
+
+  /**
+   * Store `content` for `mediaKey`. Identical content is written once however many items share it.
+   * Failures are logged and leave the item uncached.
+   * @returns {Promise<object|null>} the stored metadata
+   */
+  async put(mediaKey, content, contentType = 'application/octet-stream') {
+    try {
+      await this.init();
+
+      const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+      if (buffer.length > this.maxBytes) {
+        return null;
+      }
+
+      const hash = createHash('sha256').update(buffer).digest('hex');
+      if (this.blobs.has(hash)) {
+        this.touch(hash);
+        this.stats.dedupedWrites++;
+      } else {
+        await this.writeBlob(hash, buffer);
+      }
+
+      const metadata = { hash, size: buffer.length, contentType, cachedAt: new Date().toISOString() };
+      await this.writeMetadata(mediaKey, metadata);
+      return metadata;
+    } catch (error) {
+      logger.error('Media cache write error', { mediaKey, error: error.message });
+      return null;
+    }
+  }
+
+  async writeBlob(hash, buffer) {
+    const target = this.blobPath(hash);
+    const temp = `${target}.${randomUUID()}.tmp`;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    // Written aside and renamed so readers never see a partial file
+    await fs.writeFile(temp, buffer);
+    await fs.rename(temp, target);
+
+    if (!this.blobs.has(hash)) {
+      this.blobs.set(hash, buffer.length);
+      this.bytes += buffer.length;
+    }
+    this.stats.writes++;
+    await this.evict();
+  }
+
+  async evict() {
+    while (this.bytes > this.maxBytes && this.blobs.size > 0) {
+      const hash = this.blobs.keys().next().value;
+      this.forget(hash);
+      this.stats.evictions++;
+      await fs.rm(this.blobPath(hash), { force: true });
+    }
+  }
+
+  touch(hash) {
+    const size = this.blobs.get(hash);
+    this.blobs.delete(hash);
+    this.blobs.set(hash, size);
+  }
+
+  forget(hash) {
+    if (this.blobs.has(hash)) {
+      this.bytes -= this.blobs.get(hash);
+      this.blobs.delete(hash);
+    }
+  }
+
+  async readMetadata(mediaKey) {
+    const key = this.cache.getCacheKey('media-meta', mediaKey);
+    const redis = this.cache.redis;
+    if (!redis) {
+      return this.localMetadata.get(key)?.value || null;
+    }
+
+    try {
+      const raw = await redis.get(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      logger.warn('Media metadata read failed', { mediaKey, error: error.message });
+      return this.localMetadata.get(key)?.value || null;
+    }
+  }
+
+  async writeMetadata(mediaKey, metadata) {
+    const key = this.cache.getCacheKey('media-meta', mediaKey);
+    const ttlSeconds = this.cache.ttls.media;
+    this.localMetadata.set(key, metadata, { expiresAt: Date.now() + ttlSeconds * 1000, size: 1 });
+
+    const redis = this.cache.redis;
+    if (redis) {
+      try {
+        await redis.setEx(key, ttlSeconds, JSON.stringify(metadata));
+      } catch (error) {
+        logger.warn('Media metadata write failed', { mediaKey, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Remove the metadata of every cached key for `mediaItemRids`, in Redis and in process, and the
+   * blobs it points to on this instance's disk. Blobs other instances hold become unreachable and
+   * are evicted in time. Errors propagate.
+   * @returns {Promise<number>} number of metadata entries removed
+   */
+  async forgetItems(mediaItemRids = []) {
+    await this.init();
+
+    const prefix = this.cache.getCacheKey('media-meta', '');
+    const suffixes = mediaItemRids.map((rid) => `:${rid}`);
+    const entries = new Map();
+    for (const [key, entry] of this.localMetadata.entries) {
+      if (key.startsWith(prefix) && suffixes.some((suffix) => key.endsWith(suffix))) {
+        entries.set(key, entry.value);
+      }
+    }
+
+    const redis = this.cache.redis;
+    if (redis) {
+      for (const rid of mediaItemRids) {
+        for await (const key of redis.scanIterator({ MATCH: `${escapeGlob(prefix)}*:${escapeGlob(rid)}`, COUNT: 500 })) {
+          const raw = await redis.get(key);
+          entries.set(key, raw ? JSON.parse(raw) : entries.get(key));
+        }
+      }
+    }
+
+    for (const [key, metadata] of entries) {
+      this.localMetadata.delete(key);
+      if (redis) {
+        await redis.del([key]);
+      }
+      if (metadata?.hash) {
+        this.forget(metadata.hash);
+        await fs.rm(this.blobPath(metadata.hash), { force: true });
+      }
+    }
+
+    return entries.size;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      blobs: this.blobs.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes
+    };
+  }
+}
+
+// Shared instance so both media routes draw on one disk budget
+let mediaCacheInstance = null;
+
+export function getMediaCache() {
+  if (!mediaCacheInstance) {
+    mediaCacheInstance = new MediaCache();
+  }
+  return mediaCacheInstance;
+}
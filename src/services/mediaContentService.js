@@ -0,0 +1,210 @@
+import fetch from 'node-fetch';
+import { logger } from '../utils/logger.js';
+import { mediaCoalescer } from '../utils/requestCoalescer.js';
+import { sendCachedMedia, sendMediaBody, sendUpstreamRange, toMediaBody } from '../utils/mediaResponse.js';
+import { FoundryService } from './foundryService.js';
+import { getMediaCache } from './mediaCache.js';
+
+/**
+ * Serves media item content from the disk cache when warm and from Foundry when cold, sharing one
+ * upstream fetch per item through the media coalescer. Range requests for items not cached yet are
+ * forwarded to Foundry while the whole item is cached in the background, unless Foundry answers
+ * with the whole item, which is then cached and sliced without fetching it again.
+ */
+export class MediaContentService {
+  constructor({ foundryService, mediaCache, coalescer = mediaCoalescer } = {}) {
+    if (!foundryService) {
+      throw new Error('MediaContentService requires a FoundryService instance');
+    }
+
+    this.foundryService = foundryService;
+    this.mediaCache = mediaCache || getMediaCache();
+    this.coalescer = coalescer;
+  }
+
+  /**
+   * Send an item of a known media set. Resolves to `{ cached, size }` once the response is sent;
+   * upstream failures throw.
+   */
+  async sendSetItem(req, res, { mediaSetRid, mediaItemRid }, { cacheControl }) {
+    const cacheKey = `${mediaSetRid}:${mediaItemRid}`;
+    const cached = await this.mediaCache.lookup(cacheKey);
+    if (cached && await sendCachedMedia(req, res, this.mediaCache, cached, { cacheControl })) {
+      return { cached: true, size: cached.size };
+    }
+
+    const loadMedia = async () => {
+      const fresh = toMediaBody(await this.foundryService.getMediaContent(mediaSetRid, mediaItemRid));
+      await this.mediaCache.put(cacheKey, fresh.content, fresh.contentType);
+      return fresh;
+    };
+
+    // Seeking before the item is cached: forward the ranged read and fill the cache meanwhile
+    if (isForwardableRange(req)) {
+      const partial = await fetchFirstAvailableMedia(
+        [`${this.foundryService.host}/api/v2/mediasets/${mediaSetRid}/items/${mediaItemRid}/content?preview=true`],
+        await this.foundryService.getToken(),
+        { range: req.headers.range }
+      );
+      if (partial.status === 206 || partial.status === 416) {
+        this.warm(cacheKey, loadMedia, req.correlationId);
+        sendUpstreamRange(res, partial, { cacheControl });
+        return { cached: false, size: partial.content?.length ?? 0 };
+      }
+      // Foundry ignored the Range and sent the whole item, so cache it and serve the range from it
+      if (partial.content) {
+        await this.mediaCache.put(cacheKey, partial.content, partial.contentType);
+        await sendMediaBody(req, res, partial, { cacheControl });
+        return { cached: false, size: partial.content.length };
+      }
+    }
+
+    const media = await this.coalescer.coalesce(cacheKey, loadMedia);
+    await sendMediaBody(req, res, media, { cacheControl });
+    return { cached: false, size: media.content.length };
+  }
+
+  /**
+   * Send an item whose media set is unknown, trying the audio and medications media sets and then
+   * the generic media endpoint. Resolves to `{ found: false, lastStatus }` without responding when
+   * every candidate returned 404.
+   */
+  async sendItem(req, res, { mediaItemRid }, { cacheControl }) {
+    // The media set is unknown here, so the cache is keyed by item alone
+    const cacheKey = `item:${mediaItemRid}`;
+    const cached = await this.mediaCache.lookup(cacheKey);
+    if (cached && await sendCachedMedia(req, res, this.mediaCache, cached, { cacheControl })) {
+      return { found: true, cached: true, size: cached.size };
+    }
+
+    const loadMedia = async () => {
+      const fetched = await this.fetchItem(mediaItemRid);
+      if (fetched.content) {
+        await this.mediaCache.put(cacheKey, fetched.content, fetched.contentType);
+      }
+      return fetched;
+    };
+
+    let media;
+    if (isForwardableRange(req)) {
+      media = await this.fetchItem(mediaItemRid, { range: req.headers.range });
+      if (media.status === 206 || media.status === 416) {
+        this.warm(cacheKey, loadMedia, req.correlationId);
+        sendUpstreamRange(res, media, { cacheControl });
+        return { found: true, cached: false, size: media.content?.length ?? 0 };
+      }
+      if (media.content) {
+        await this.mediaCache.put(cacheKey, media.content, media.contentType);
+      }
+    } else {
+      media = await this.coalescer.coalesce(cacheKey, loadMedia);
+    }
+
+    if (!media.content) {
+      return { found: false, lastStatus: media.lastStatus };
+    }
+    await sendMediaBody(req, res, media, { cacheControl });
+    return { found: true, cached: false, size: media.content.length };
+  }
+
+  async fetchItem(mediaItemRid, { range } = {}) {
+    const host = this.foundryService.host;
+    const audioMediaSetRid = process.env.FOUNDRY_AUDIO_MEDIA_SET_RID;
+    const medicationsMediaSetRid = process.env.FOUNDRY_MEDICATIONS_MEDIA_SET_RID;
+
+    const candidates = [];
+    if (audioMediaSetRid) {
+      candidates.push(`${host}/api/v2/mediasets/${audioMediaSetRid}/items/${encodeURIComponent(mediaItemRid)}/content?preview=true`);
+    }
+    if (medicationsMediaSetRid) {
+      candidates.push(`${host}/api/v2/mediasets/${medicationsMediaSetRid}/items/${encodeURIComponent(mediaItemRid)}/content?preview=true`);
+    }
+    // Fallback to generic media endpoint
+    candidates.push(`${host}/api/v2/media/${encodeURIComponent(mediaItemRid)}/content`);
+
+    return fetchFirstAvailableMedia(candidates, await this.foundryService.getToken(), { range });
+  }
+
+  // Cache the whole item after a ranged read was forwarded, so later seeks are served from disk
+  warm(cacheKey, load, correlationId) {
+    this.coalescer.coalesce(cacheKey, load).catch((error) => {
+      logger.warn('Background media cache fill failed', {
+        cacheKey,
+        error: error.message,
+        correlationId
+      });
+    });
+  }
+}
+
+// Only a full fetch yields the ETag an If-Range compares against, so those are not forwarded
+function isForwardableRange(req) {
+  return Boolean(req.headers.range) && !req.headers['if-range'];
+}
+
+/**
+ * GET the first of `candidates` that has the media item, forwarding `range` as a Range header.
+ * Resolves to `{ status, content, contentType, contentRange }` for a 200 or 206, `{ status: 416,
+ * contentRange }` for an unsatisfiable range, or `{ lastStatus }` when every candidate returned
+ * 404; other upstream failures throw.
+ */
+async function fetchFirstAvailableMedia(candidates, token, { range } = {}) {
+  let lastStatus = 0;
+  for (const url of candidates) {
+    try {
+      const upstream = await fetch(url, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          ...(range ? { 'Range': range } : {})
+        }
+      });
+      lastStatus = upstream.status;
+      if (upstream.ok) {
+        const contentType = upstream.headers.get('content-type') || 'application/octet-stream';
+        const arrayBuffer = await upstream.arrayBuffer();
+        return {
+          status: upstream.status,
+          content: Buffer.from(arrayBuffer),
+          contentType,
+          contentRange: upstream.headers.get('content-range')
+        };
+      }
+      if (upstream.status === 416) {
+        return { status: 416, contentRange: upstream.headers.get('content-range') };
+      }
+      // Try next candidate on 404; surface other statuses
+      if (upstream.status !== 404) {
+        const text = await upstream.text();
+        const err = new Error(`Upstream failed: ${upstream.status} - ${text}`);
+        err.status = upstream.status;
+        throw err;
+      }
+    } catch (inner) {
+      // Non-404 errors should bubble up
+      if (inner.status && inner.status !== 404) {
+        throw inner;
+      }
+    }
+  }
+
+  return { lastStatus };
+}
+
+// Shared so the authenticated and signed media routes draw on one cache and coalescer
+let mediaContentServiceInstance = null;
+
+export function getMediaContentService() {
+  if (!mediaContentServiceInstance) {
+    mediaContentServiceInstance = new MediaContentService({
+      foundryService: new FoundryService({
+        host: process.env.FOUNDRY_HOST,
+        clientId: process.env.FOUNDRY_CLIENT_ID,
+        clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+        tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+        ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+      })
+    });
+  }
+  return mediaContentServiceInstance;
+}
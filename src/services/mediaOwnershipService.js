@@ -0,0 +1,206 @@
+import { logger } from '../utils/logger.js';
+import { resolvePatientContext } from '../utils/patientContext.js';
+import { extractMediaReferenceData } from './foundryService.js';
+import { TieredCache } from './tieredCache.js';
+
+// An item's owner never changes once uploaded, so mappings are kept for a day
+const DEFAULT_CACHE_TTL_MS = Number.parseInt(process.env.MEDIA_OWNER_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const SCAN_PAGE_SIZE = 200;
+const MAX_SCAN_PAGES = 50;
+
+/**
+ * Maps media item RIDs to the object that references them (the profile photo, a
+ * `MedicationsUpload.photolabel` or an `AtlasIntraencounterProduction.audiofile`) and its user.
+ * Foundry cannot search objects by media reference, so an unmapped RID is resolved by paging
+ * through the caller's own objects and caching every mapping found on the way.
+ */
+export class MediaOwnershipService {
+  constructor({
+    foundryService,
+    intraencounterService,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    cache
+  } = {}) {
+    if (!foundryService || !intraencounterService) {
+      throw new Error('MediaOwnershipService requires FoundryService and AtlasIntraencounterService instances');
+    }
+
+    this.foundryService = foundryService;
+    this.intraencounterService = intraencounterService;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = cache || new TieredCache();
+  }
+
+  /**
+   * Whether `mediaItemRid` belongs to one of `identities` (see getMediaCallerIdentities).
+   * Resolves to `{ allowed, owner }`; `owner` is null when the item is not referenced by any of the
+   * caller's objects. Throws a 503 when a source could not be read and the item was not found.
+   */
+  async authorize(mediaItemRid, identities = [], { correlationId } = {}) {
+    const callerIds = Array.from(new Set(identities.filter(Boolean)));
+    let owner = await this.cache.get('media-owner', mediaItemRid);
+
+    if (!owner) {
+      owner = await this.resolveFromCaller(mediaItemRid, callerIds, correlationId);
+    }
+
+    return {
+      allowed: Boolean(owner) && callerIds.includes(owner.userId),
+      owner: owner || null
+    };
+  }
+
+  async resolveFromCaller(mediaItemRid, callerIds, correlationId) {
+    const [sub] = callerIds;
+    const sources = [
+      ['profile', () => this.scanProfile(sub)],
+      ['medications-upload', () => this.scanMedicationsUploads(callerIds)],
+      ['intraencounter', () => this.scanIntraencounters(callerIds)]
+    ];
+
+    let failedSource = null;
+    for (const [source, scan] of sources) {
+      try {
+        // Pages are read until the item turns up, mapping everything seen on the way
+        for await (const owned of scan()) {
+          let owner = null;
+          for (const entry of owned) {
+            await this.cache.set('media-owner', entry.mediaItemRid, {}, entry, { ttlMs: this.cacheTtlMs });
+            if (entry.mediaItemRid === mediaItemRid) {
+              owner = entry;
+            }
+          }
+          if (owner) {
+            return owner;
+          }
+        }
+      } catch (error) {
+        failedSource = source;
+        logger.warn('Media ownership scan failed', { source, error: error.message, correlationId });
+      }
+    }
+
+    if (failedSource) {
+      const error = new Error(`Unable to verify media ownership: ${failedSource} lookup failed`);
+      error.status = 503;
+      throw error;
+    }
+    return null;
+  }
+
+  /**
+   * RIDs of every media item referenced by the objects of `identities` (sub first), for erasure.
+   * Unlike authorize, a source that cannot be read fails the listing.
+   * @returns {Promise<string[]>}
+   */
+  async listOwnedMedia(identities = []) {
+    const callerIds = Array.from(new Set(identities.filter(Boolean)));
+    const rids = new Set();
+    for (const scan of [this.scanProfile(callerIds[0]), this.scanMedicationsUploads(callerIds), this.scanIntraencounters(callerIds)]) {
+      for await (const owned of scan) {
+        owned.forEach((entry) => rids.add(entry.mediaItemRid));
+      }
+    }
+    return Array.from(rids);
+  }
+
+  /**
+   * Drop the cached owners of `mediaItemRids`.
+   */
+  async forget(mediaItemRids = []) {
+    for (const mediaItemRid of mediaItemRids) {
+      await this.cache.delete('media-owner', mediaItemRid);
+    }
+  }
+
+  async *scanProfile(userId) {
+    if (!userId) {
+      return;
+    }
+    const profile = await this.foundryService.getPatientProfile(userId);
+    const properties = profile?.properties || profile;
+    if (!properties?.profilePhotoMediaItemRid) {
+      return;
+    }
+    yield [{
+      mediaItemRid: properties.profilePhotoMediaItemRid,
+      source: 'profile',
+      objectId: properties.$primaryKey ?? properties.$rid ?? properties.rid ?? null,
+      userId: properties.user_id ?? properties.userId ?? userId
+    }];
+  }
+
+  // Every page of each id's uploads; a listing longer than MAX_SCAN_PAGES cannot prove the item is
+  // not the caller's, so it fails the scan rather than ending it
+  async *scanMedicationsUploads(callerIds) {
+    for (const userId of callerIds) {
+      let pageToken;
+      let pages = 0;
+      do {
+        if (pages === MAX_SCAN_PAGES) {
+          throw new Error(`More than ${MAX_SCAN_PAGES} pages of medications uploads`);
+        }
+        const page = await this.foundryService.listMedicationsUploadsPage(userId, { pageSize: SCAN_PAGE_SIZE, pageToken });
+        pages += 1;
+        pageToken = page.nextPageToken || undefined;
+        yield page.items.flatMap((upload) => {
+          const media = extractMediaReferenceData(upload.photolabel);
+          return media ? [{
+            mediaItemRid: media.mediaItemRid,
+            source: 'medications-upload',
+            objectId: upload.rid,
+            userId: upload.userId ?? userId
+          }] : [];
+        });
+      } while (pageToken);
+    }
+  }
+
+  async *scanIntraencounters(callerIds) {
+    for (const userId of callerIds) {
+      let nextPageToken;
+      let pages = 0;
+      do {
+        if (pages === MAX_SCAN_PAGES) {
+          throw new Error(`More than ${MAX_SCAN_PAGES} pages of intra-encounter recordings`);
+        }
+        const page = await this.intraencounterService.searchPageByUserId(userId, {
+          pageSize: SCAN_PAGE_SIZE,
+          nextPageToken,
+          select: ['audiofile', 'audiofileId', 'userId'],
+          includeRid: true
+        });
+        pages += 1;
+        nextPageToken = page.nextPageToken || undefined;
+        yield page.data.flatMap((production) => {
+          const properties = production.properties || production;
+          const media = extractMediaReferenceData(properties.audiofile) || extractMediaReferenceData(properties.audiofileId);
+          return media ? [{
+            mediaItemRid: media.mediaItemRid,
+            source: 'intraencounter',
+            objectId: production.$rid ?? properties.$rid ?? properties.$primaryKey ?? null,
+            userId: properties.userId ?? userId
+          }] : [];
+        });
+      } while (nextPageToken);
+    }
+  }
+}
+
+/**
+ * Identities a media owner's user field may hold for the caller of `req`: the verified Auth0 sub,
+ * the username from its JWT claims (medication uploads are stored under it) and the patient id of
+ * the profile found for the sub. Client-set values (the `X-Auth0-Username` header, a `?patientId`
+ * query) never count.
+ */
+export async function getMediaCallerIdentities(req, { foundryService }) {
+  const sub = typeof req.user?.sub === 'string' ? req.user.sub.trim() : '';
+  if (!sub) {
+    return [];
+  }
+
+  const claimUsername = [req.user.preferred_username, req.user.nickname, req.user.email]
+    .find((value) => typeof value === 'string' && value.trim().length > 0);
+  const { patientId } = await resolvePatientContext(req, { foundryService, routeName: 'media', allowQueryOverride: false });
+  return Array.from(new Set([sub, claimUsername?.trim(), patientId].filter(Boolean)));
+}
@@ -1,5 +1,11 @@
 import fetch from 'node-fetch';
 import { logger } from '../utils/logger.js';
+import { inspectMediaUpload } from '../utils/mediaInspection.js';
+
+// Base64 strings are the original JSON contract; Buffers and streams are sent as they are
+function toUploadBody(data) {
+  return typeof data === 'string' ? Buffer.from(data, 'base64') : data;
+}
 
 /**
  * Dedicated service for uploading media files (audio/images) to Foundry
@@ -20,25 +26,38 @@ export class MediaUploadService {
   }
 
   /**
-   * Upload audio file (WAV/WebM) to Foundry media endpoint
-   * @param {string} base64Data - Base64 encoded audio data
+   * Upload audio file (WAV/M4A/WebM) to Foundry media endpoint. The type is checked against the
+   * file's magic bytes and the audio size limits before anything is sent
+   * @param {string|Buffer|import('stream').Readable} data - Base64 encoded audio data, or the raw
+   *   bytes as a Buffer or a stream (streamed to Foundry without buffering)
    * @param {string} filename - Original filename
-   * @param {string} contentType - MIME type (audio/wav, audio/webm, etc.)
+   * @param {string} contentType - Declared MIME type (audio/wav, audio/webm, etc.); must match the content
    * @param {string} userId - User ID for logging
    * @returns {Promise<Object>} Media reference from Foundry
    */
-  async uploadAudioFile(base64Data, filename, contentType = 'audio/wav', userId = null) {
+  async uploadAudioFile(data, filename, contentType = 'audio/wav', userId = null) {
     logger.info('MediaUploadService: Starting audio upload', {
       filename,
       contentType,
       userId,
-      dataSize: base64Data.length
+      dataSize: Buffer.isBuffer(data) ? data.length : 'streamed'
     });
 
     try {
-      // Convert base64 to binary buffer
-      const fileBuffer = Buffer.from(base64Data, 'base64');
-      
+      // The real type comes from the file's bytes; mismatches and oversize files are rejected here
+      const inspected = await inspectMediaUpload(toUploadBody(data), {
+        expectedKind: 'audio',
+        contentType,
+        filename
+      });
+      logger.info('MediaUploadService: Audio inspected', {
+        filename,
+        mimeType: inspected.mimeType,
+        size: inspected.size ?? 'streamed',
+        strippedMetadata: inspected.strippedMetadata,
+        userId
+      });
+
       // Configure for audio uploads - use the correct object type and property
       // for AtlasIntraencounterProduction
       const objectType = 'AtlasIntraencounterProduction';
@@ -46,11 +65,11 @@ export class MediaUploadService {
       const mediaItemPath = this.createAudioPath(filename);
 
       return await this.uploadViaOntologyMediaEndpoint(
-        fileBuffer,
+        inspected.body,
         objectType,
         property,
         mediaItemPath,
-        contentType,
+        inspected.mimeType,
         userId
       );
     } catch (error) {
@@ -64,25 +83,38 @@ export class MediaUploadService {
   }
 
   /**
-   * Upload image file to Foundry media endpoint
-   * @param {string} base64Data - Base64 encoded image data
+   * Upload image file (JPEG/PNG/HEIC) to Foundry media endpoint. The type is checked against the
+   * file's magic bytes and EXIF/XMP metadata (GPS location, device) is removed before upload
+   * @param {string|Buffer|import('stream').Readable} data - Base64 encoded image data, or the raw
+   *   bytes as a Buffer or a stream (streamed to Foundry without buffering)
    * @param {string} filename - Original filename
-   * @param {string} contentType - MIME type (image/jpeg, image/png, etc.)
+   * @param {string} contentType - Declared MIME type (image/jpeg, image/png, etc.); must match the content
    * @param {string} userId - User ID for logging
    * @returns {Promise<Object>} Media reference from Foundry
    */
-  async uploadImageFile(base64Data, filename, contentType = 'image/jpeg', userId = null) {
+  async uploadImageFile(data, filename, contentType = 'image/jpeg', userId = null) {
     logger.info('MediaUploadService: Starting image upload', {
       filename,
       contentType,
       userId,
-      dataSize: base64Data.length
+      dataSize: Buffer.isBuffer(data) ? data.length : 'streamed'
     });
 
     try {
-      // Convert base64 to binary buffer
-      const fileBuffer = Buffer.from(base64Data, 'base64');
-      
+      // The real type comes from the file's bytes; mismatches and oversize files are rejected here
+      const inspected = await inspectMediaUpload(toUploadBody(data), {
+        expectedKind: 'image',
+        contentType,
+        filename
+      });
+      logger.info('MediaUploadService: Image inspected', {
+        filename,
+        mimeType: inspected.mimeType,
+        size: inspected.size ?? 'streamed',
+        strippedMetadata: inspected.strippedMetadata,
+        userId
+      });
+
       // Configure for image uploads - use the correct object type and property
       // for MedicationsUpload
       const objectType = 'MedicationsUpload';
@@ -90,11 +122,11 @@ export class MediaUploadService {
       const mediaItemPath = this.createImagePath(filename);
 
       return await this.uploadViaOntologyMediaEndpoint(
-        fileBuffer,
+        inspected.body,
         objectType,
         property,
         mediaItemPath,
-        contentType,
+        inspected.mimeType,
         userId
       );
     } catch (error) {
@@ -285,10 +317,11 @@ export class MediaUploadService {
   /**
    * Upload binary data to Foundry via the Ontology Object Type Media Property endpoint
    * This is the correct approach per Foundry API docs - uploads are associated with
-   * the object type's property schema, ensuring proper MediaReference validation
+   * the object type's property schema, ensuring proper MediaReference validation.
+   * `fileBody` is a Buffer or a readable stream; streams are sent chunked as they are read
    * @private
    */
-  async uploadViaOntologyMediaEndpoint(fileBuffer, objectType, property, mediaItemPath, contentType, userId) {
+  async uploadViaOntologyMediaEndpoint(fileBody, objectType, property, mediaItemPath, contentType, userId) {
     // Get authentication token via direct REST API
     const token = await this.getFoundryToken();
     
@@ -302,20 +335,26 @@ export class MediaUploadService {
       objectType,
       property,
       mediaItemPath,
-      fileSize: fileBuffer.length,
+      fileSize: Buffer.isBuffer(fileBody) ? fileBody.length : 'streamed',
       contentType,
       userId
     });
 
     // Make the upload request
-    const uploadResponse = await fetch(uploadUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/octet-stream'
-      },
-      body: fileBuffer
-    });
+    let uploadResponse;
+    try {
+      uploadResponse = await fetch(uploadUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/octet-stream'
+        },
+        body: fileBody
+      });
+    } catch (error) {
+      // A client body that failed (too large, malformed multipart) explains the aborted request
+      throw fileBody.errored || error;
+    }
 
     // Handle response
     if (!uploadResponse.ok) {
@@ -0,0 +1,121 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_MEDIA_URL_TTL_SECONDS = 5 * 60;
+export const MAX_MEDIA_URL_TTL_SECONDS = 60 * 60;
+const TOKEN_VERSION = 1;
+
+/**
+ * Short-lived tokens for `/m/:token` media URLs, for clients that cannot attach an Authorization
+ * header. A token is `<claims>.<signature>`, both base64url: the claims name one media item and the
+ * user it was signed for, and the HMAC-SHA256 signature covers the encoded claims.
+ */
+export class MediaUrlSigner {
+  constructor({
+    secret = process.env.MEDIA_URL_SIGNING_SECRET,
+    ttlSeconds = Number.parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || DEFAULT_MEDIA_URL_TTL_SECONDS,
+    production = process.env.NODE_ENV === 'production'
+  } = {}) {
+    if (secret) {
+      this.secret = secret;
+    } else if (production) {
+      // Every instance must share the key, or URLs fail on all but the one that signed them
+      throw new Error('MEDIA_URL_SIGNING_SECRET is required in production');
+    } else {
+      // URLs then only verify on the instance that signed them
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('MEDIA_URL_SIGNING_SECRET is not set; signed media URLs use a per-process signing key');
+    }
+    this.ttlSeconds = Math.min(ttlSeconds, MAX_MEDIA_URL_TTL_SECONDS);
+  }
+
+  /**
+   * Sign `mediaItemRid` (of `mediaSetRid`, when known) for `userId`. `expiresIn` may shorten the
+   * default lifetime but never extends it.
+   * @returns {{ token: string, expiresAt: string }}
+   */
+  sign({ mediaSetRid = null, mediaItemRid, userId }, { expiresIn, now = Date.now() } = {}) {
+    const requested = Number.parseInt(expiresIn, 10);
+    const ttlSeconds = requested > 0 ? Math.min(requested, this.ttlSeconds) : this.ttlSeconds;
+    const exp = Math.floor(now / 1000) + ttlSeconds;
+
+    const claims = Buffer.from(JSON.stringify({
+      v: TOKEN_VERSION,
+      s: mediaSetRid,
+      i: mediaItemRid,
+      u: userId,
+      exp
+    })).toString('base64url');
+
+    return {
+      token: `${claims}.${this.signature(claims)}`,
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Resolves a token to `{ valid: true, mediaSetRid, mediaItemRid, userId, expiresAt }`, or
+   * `{ valid: false, reason }` with reason `malformed`, `signature` or `expired`.
+   */
+  verify(token, { now = Date.now() } = {}) {
+    const [claims, signature, extra] = String(token || '').split('.');
+    if (!claims || !signature || extra !== undefined) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const expected = Buffer.from(this.signature(claims));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { valid: false, reason: 'signature' };
+    }
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(claims, 'base64url').toString('utf8'));
+    } catch {
+      return { valid: false, reason: 'malformed' };
+    }
+    if (decoded.v !== TOKEN_VERSION || !decoded.i || !Number.isFinite(decoded.exp)) {
+      return { valid: false, reason: 'malformed' };
+    }
+    if (decoded.exp * 1000 <= now) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    return {
+      valid: true,
+      mediaSetRid: decoded.s || null,
+      mediaItemRid: decoded.i,
+      userId: decoded.u,
+      expiresAt: new Date(decoded.exp * 1000).toISOString()
+    };
+  }
+
+  signature(claims) {
+    return crypto.createHmac('sha256', this.secret).update(claims).digest('base64url');
+  }
+}
+
+/**
+ * A signer, or null when it cannot be configured (no secret in production). Only signed URLs are
+ * turned off then; the rest of the proxy keeps serving.
+ */
+export function createMediaUrlSigner(options) {
+  try {
+    return new MediaUrlSigner(options);
+  } catch (error) {
+    logger.error('Signed media URLs are disabled', { error: error.message });
+    return null;
+  }
+}
+
+// Shared so URLs signed by the Foundry router verify on the public media route. Built on first use
+// so a missing secret surfaces on the signed-URL routes rather than at startup.
+let mediaUrlSignerInstance;
+
+export function getMediaUrlSigner() {
+  if (mediaUrlSignerInstance === undefined) {
+    mediaUrlSignerInstance = createMediaUrlSigner();
+  }
+  return mediaUrlSignerInstance;
+}
@@ -0,0 +1,110 @@
+import { logger } from '../utils/logger.js';
+import { interpretObservation, isAbnormalInterpretation, resolveDemographics } from '../utils/referenceRanges.js';
+import { PATIENT_RESOURCE } from './clinicalResources.js';
+import { TieredCache } from './tieredCache.js';
+
+export const DEFAULT_DEMOGRAPHICS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const UNKNOWN_DEMOGRAPHICS = Object.freeze({ sex: null, ageYears: null });
+
+export class ObservationInterpretationService {
+  constructor({ foundryService, clinicalResourceService, cacheTtlMs = DEFAULT_DEMOGRAPHICS_CACHE_TTL_MS, cache } = {}) {
+    if (!foundryService || !clinicalResourceService) {
+      throw new Error('ObservationInterpretationService requires FoundryService and ClinicalResourceService instances');
+    }
+
+    this.foundryService = foundryService;
+    this.clinicalResourceService = clinicalResourceService;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = cache || new TieredCache();
+  }
+
+  /**
+   * Add `interpretation` (low | normal | high | critical) and the `referenceRange` it was judged
+   * against to each observation of a clinical resource payload. Entries that cannot be interpreted
+   * get `interpretation: null`. With `abnormalOnly` the page keeps only low, high and critical
+   * entries, so it may hold fewer items than the requested page size.
+   */
+  async interpretPayload(payload, { userId, patientId, abnormalOnly = false, correlationId }) {
+    const entries = payload?.data || [];
+    const needsDemographics = entries.some((entry) => (
+      (entry.referenceRangeLow === undefined || entry.referenceRangeLow === null)
+      && (entry.referenceRangeHigh === undefined || entry.referenceRangeHigh === null)
+    ));
+    const demographics = needsDemographics
+      ? await this.getDemographics({ userId, patientId, correlationId })
+      : UNKNOWN_DEMOGRAPHICS;
+
+    let data = entries.map((entry) => {
+      const result = interpretObservation(entry, demographics);
+      return {
+        ...entry,
+        interpretation: result?.interpretation ?? null,
+        referenceRange: result?.referenceRange ?? null
+      };
+    });
+
+    if (abnormalOnly) {
+      data = data.filter((entry) => isAbnormalInterpretation(entry.interpretation));
+    }
+
+    return { ...payload, data };
+  }
+
+  /**
+   * Birth sex and age from the patient profile (`birth_sex`, `date_of_birth`), falling back to the
+   * FastenPatients gender and birthDate. Lookup failures degrade to unknown demographics.
+   */
+  async getDemographics({ userId, patientId, correlationId }) {
+    // Erasure clears cache keys by patient id and by user id, so key on whichever is present
+    const cacheSubject = patientId || userId || '';
+    const cacheParams = { userId: userId || null };
+    const cached = await this.cache.get('demographics', cacheSubject, cacheParams);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    let birthDate = null;
+    let sex = null;
+
+    if (userId) {
+      try {
+        const profile = await this.foundryService.getPatientProfile(userId);
+        const properties = profile?.properties || profile || {};
+        birthDate = properties.date_of_birth || properties.dateOfBirth || null;
+        sex = properties.birth_sex || properties.birthSex || null;
+      } catch (error) {
+        logger.warn('Patient profile lookup failed for observation interpretation', {
+          userId,
+          error: error.message,
+          correlationId
+        });
+      }
+    }
+
+    if ((!birthDate || !sex) && patientId) {
+      try {
+        const payload = await this.clinicalResourceService.fetchResource(PATIENT_RESOURCE, {
+          patientId,
+          pageSize: 1,
+          correlationId
+        });
+        const patient = payload.data?.[0] || {};
+        birthDate = birthDate || patient.birthDate || null;
+        sex = sex || patient.gender || null;
+      } catch (error) {
+        logger.warn('FastenPatients lookup failed for observation interpretation', {
+          patientId,
+          error: error.message,
+          status: error.status,
+          correlationId
+        });
+      }
+    }
+
+    const demographics = resolveDemographics({ birthDate, sex });
+    await this.cache.set('demographics', cacheSubject, cacheParams, demographics, { ttlMs: this.cacheTtlMs });
+
+    return demographics;
+  }
+}
@@ -0,0 +1,303 @@
+import { logger } from '../utils/logger.js';
+import { coerceNumericValue, convertValue, normalizeUnit } from '../utils/unitConversion.js';
+import { getClinicalResource } from './clinicalResources.js';
+import { TieredCache } from './tieredCache.js';
+
+const SERIES_CACHE_TYPE = 'observation-series';
+const SERIES_CACHE_TTL_MS = 5 * 60 * 1000;
+const SOURCE_PAGE_SIZE = 100;
+const MAX_PAGES_PER_SOURCE = 20;
+const INTERVALS = new Set(['day', 'week', 'month']);
+
+// Labs live in FastenObservations and vitals in FastenVitals; both carry the LOINC code in `code`
+const SERIES_SOURCES = [
+  { name: 'observations', filters: {} },
+  { name: 'vitals', filters: { category: 'vital-signs' } }
+];
+
+export class ObservationSeriesService {
+  constructor({ clinicalResourceService, cache } = {}) {
+    if (!clinicalResourceService) {
+      throw new Error('ObservationSeriesService requires a ClinicalResourceService instance');
+    }
+
+    this.clinicalResourceService = clinicalResourceService;
+    this.cache = cache || new TieredCache();
+  }
+
+  /**
+   * Build a bucketed time series for one observation code.
+   * @param {Object} options
+   * @param {string} options.patientId
+   * @param {string} options.code LOINC code
+   * @param {string} [options.interval] day | week | month (default day)
+   * @param {string} [options.from] inclusive ISO date/time lower bound
+   * @param {string} [options.to] inclusive ISO date/time upper bound
+   * @param {string} [options.unit] target unit; defaults to the most common unit in the data
+   */
+  async fetchSeries({ patientId, code, interval = 'day', from, to, unit, correlationId }) {
+    const params = validateSeriesParams({ code, interval, from, to, unit });
+    const cacheParams = {
+      code: params.code,
+      interval: params.interval,
+      from: params.from?.toISOString() ?? null,
+      to: params.to?.toISOString() ?? null,
+      unit: params.unit
+    };
+
+    const payload = await this.cache.getOrLoad(
+      SERIES_CACHE_TYPE,
+      patientId,
+      cacheParams,
+      () => this.buildPayload(patientId, params, correlationId),
+      { ttlMs: SERIES_CACHE_TTL_MS }
+    );
+
+    return { ...payload, correlationId };
+  }
+
+  async buildPayload(patientId, params, correlationId) {
+    const observations = [];
+    const sources = {};
+    for (const source of SERIES_SOURCES) {
+      const { items, truncated } = await this.fetchSource(source, patientId, params.code, correlationId);
+      observations.push(...items);
+      sources[source.name] = { count: items.length, truncated };
+    }
+
+    const series = buildSeries(observations, params);
+    const payload = {
+      success: true,
+      data: series,
+      sources,
+      fetchedAt: new Date().toISOString()
+    };
+
+    logger.info('Built observation series', {
+      patientId,
+      code: params.code,
+      interval: params.interval,
+      points: series.points.length,
+      buckets: series.buckets.length,
+      skipped: series.summary.skipped,
+      correlationId
+    });
+
+    return payload;
+  }
+
+  async fetchSource(source, patientId, code, correlationId) {
+    const definition = getClinicalResource('observations');
+    const items = [];
+    let pageToken;
+    let pages = 0;
+
+    do {
+      const payload = await this.clinicalResourceService.fetchResource(definition, {
+        patientId,
+        pageSize: SOURCE_PAGE_SIZE,
+        pageToken,
+        filters: { ...source.filters, code },
+        correlationId
+      });
+
+      items.push(...(payload.data || []));
+      pageToken = payload.nextPageToken || undefined;
+      pages += 1;
+    } while (pageToken && pages < MAX_PAGES_PER_SOURCE);
+
+    return { items, truncated: Boolean(pageToken) };
+  }
+}
+
+function invalidParam(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_SERIES_PARAMETER';
+  return error;
+}
+
+function parseBoundary(value, name, endOfDay) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  // Date-only upper bounds include the whole day
+  const candidate = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? `${trimmed}T23:59:59.999Z` : trimmed;
+  const parsed = new Date(candidate);
+  if (Number.isNaN(parsed.getTime())) {
+    throw invalidParam(`${name} must be an ISO 8601 date`);
+  }
+  return parsed;
+}
+
+export function validateSeriesParams({ code, interval, from, to, unit }) {
+  const normalizedCode = typeof code === 'string' ? code.trim() : '';
+  if (!normalizedCode) {
+    throw invalidParam('code is required');
+  }
+
+  const normalizedInterval = typeof interval === 'string' && interval.trim() ? interval.trim().toLowerCase() : 'day';
+  if (!INTERVALS.has(normalizedInterval)) {
+    throw invalidParam('interval must be one of day, week or month');
+  }
+
+  const fromDate = parseBoundary(from, 'from', false);
+  const toDate = parseBoundary(to, 'to', true);
+  if (fromDate && toDate && fromDate > toDate) {
+    throw invalidParam('from must be before to');
+  }
+
+  return {
+    code: normalizedCode,
+    interval: normalizedInterval,
+    from: fromDate,
+    to: toDate,
+    unit: normalizeUnit(unit)
+  };
+}
+
+function bucketStart(date, interval) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  if (interval === 'month') {
+    return new Date(Date.UTC(year, month, 1));
+  }
+
+  if (interval === 'week') {
+    // ISO weeks start on Monday
+    const offset = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(year, month, day - offset));
+  }
+
+  return new Date(Date.UTC(year, month, day));
+}
+
+function bucketEnd(start, interval) {
+  const end = new Date(start);
+  if (interval === 'month') {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  } else {
+    end.setUTCDate(end.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return end;
+}
+
+function pickMostCommonUnit(points) {
+  const counts = new Map();
+  for (const point of points) {
+    if (point.originalUnit) {
+      counts.set(point.originalUnit, (counts.get(point.originalUnit) || 0) + 1);
+    }
+  }
+
+  let best = null;
+  for (const [candidate, count] of counts) {
+    if (!best || count > best.count) {
+      best = { unit: candidate, count };
+    }
+  }
+  return best?.unit ?? null;
+}
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Coerce, convert and bucket normalized observation entries (see normalizeObservationEntry).
+ */
+export function buildSeries(observations, { code, interval, from, to, unit }) {
+  const candidates = [];
+  let skipped = 0;
+  let display = null;
+
+  for (const observation of observations) {
+    const timestamp = Date.parse(observation.effectiveDatetime || observation.observationDate || observation.date);
+    const value = coerceNumericValue(observation.valueNumeric ?? observation.valueQuantity ?? observation.valueString);
+    if (Number.isNaN(timestamp) || value === null) {
+      skipped += 1;
+      continue;
+    }
+
+    const date = new Date(timestamp);
+    if ((from && date < from) || (to && date > to)) {
+      continue;
+    }
+
+    display = display || observation.codeDisplay || observation.display || null;
+    candidates.push({
+      date,
+      originalValue: value,
+      originalUnit: normalizeUnit(observation.valueUnit || observation.unit),
+      observationId: observation.observationId || observation.vitalId || observation.id || null
+    });
+  }
+
+  const targetUnit = unit || pickMostCommonUnit(candidates);
+  const points = [];
+  let unconvertible = 0;
+
+  for (const candidate of candidates) {
+    const value = candidate.originalUnit && targetUnit
+      ? convertValue(candidate.originalValue, candidate.originalUnit, targetUnit, { code })
+      : candidate.originalValue;
+
+    if (value === null) {
+      unconvertible += 1;
+      continue;
+    }
+
+    points.push({
+      date: candidate.date.toISOString(),
+      value: round(value),
+      unit: targetUnit,
+      originalValue: candidate.originalValue,
+      originalUnit: candidate.originalUnit,
+      observationId: candidate.observationId
+    });
+  }
+
+  points.sort((left, right) => (left.date < right.date ? -1 : left.date > right.date ? 1 : 0));
+
+  const buckets = [];
+  let current = null;
+  for (const point of points) {
+    const start = bucketStart(new Date(point.date), interval).toISOString();
+    if (!current || current.start !== start) {
+      current = {
+        start,
+        end: bucketEnd(new Date(start), interval).toISOString(),
+        count: 0,
+        min: point.value,
+        max: point.value,
+        sum: 0,
+        last: null
+      };
+      buckets.push(current);
+    }
+
+    current.count += 1;
+    current.min = Math.min(current.min, point.value);
+    current.max = Math.max(current.max, point.value);
+    current.sum += point.value;
+    current.last = { value: point.value, date: point.date };
+  }
+
+  return {
+    code,
+    display,
+    unit: targetUnit,
+    interval,
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    buckets: buckets.map(({ sum, ...bucket }) => ({ ...bucket, mean: round(sum / bucket.count) })),
+    points,
+    summary: {
+      count: points.length,
+      skipped,
+      unconvertible
+    }
+  };
+}
@@ -0,0 +1,794 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { CLINICAL_RESOURCES, PATIENT_RESOURCE, getClinicalResource } from './clinicalResources.js';
+import PatientProfileService from './patient-profile-service.js';
+import { FoundryService } from './foundryService.js';
+import { ClinicalResourceService } from './clinicalResourceService.js';
+import { EncountersService } from './encountersService.js';
+import { AiChatHistoryService } from './aiChatHistoryService.js';
+import { AtlasIntraencounterService } from './atlasIntraencounterService.js';
+import { HealthkitDatasetService } from './healthkitDatasetService.js';
+import { escapeGlob } from './cacheService.js';
+import {
+  buildDocumentBundle,
+  toFhirAllergyIntolerance,
+  toFhirCondition,
+  toFhirDocumentReference,
+  toFhirEncounter,
+  toFhirImmunization,
+  toFhirObservation,
+  toFhirPatient,
+  toFhirProcedure
+} from '../utils/fhirResources.js';
+import { writeZipArchive } from '../utils/zipArchive.js';
+
+export const DEFAULT_EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+
+const PAGE_SIZE = 100;
+// Sections are read until their last page or this many pages, after which they are marked truncated
+const MAX_PAGES = 50;
+// Chat history searches return a single page; a full one is marked truncated
+const HISTORY_PAGE_SIZE = 1000;
+const MEDICATION_UPLOADS_PAGE_SIZE = 200;
+const MAX_HEALTHKIT_FILES = 200;
+const ACTIVE_STATUSES = new Set(['queued', 'running']);
+// A job still queued or running after this long is taken to have died with its instance
+const EXPORT_RUN_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Source -> FHIR mapping for the document Bundle; sections without one are only in CSV and data/*.json
+const FHIR_MAPPERS = {
+  observations: toFhirObservation,
+  vitals: toFhirObservation,
+  conditions: toFhirCondition,
+  procedures: toFhirProcedure,
+  immunizations: toFhirImmunization,
+  allergies: toFhirAllergyIntolerance,
+  'clinical-notes': toFhirDocumentReference,
+  encounters: toFhirEncounter,
+  'ai-chat-history': (entry, patientId) => toFhirDocumentReference(transcriptNote(entry, 'AI chat transcript'), patientId),
+  intraencounter: (entry, patientId) => toFhirDocumentReference(transcriptNote(entry, 'Visit recording transcript'), patientId)
+};
+
+export class MemoryExportJobStore {
+  constructor() {
+    this.name = 'memory';
+    this.jobs = new Map();
+    this.active = new Map();
+    this.archives = new Map();
+  }
+
+  // Jobs are dropped on access once past their retention, as Redis would have done
+  sweep(now = Date.now()) {
+    for (const [id, entry] of this.jobs) {
+      if (entry.retainUntil <= now) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  async get(jobId) {
+    this.sweep();
+    const entry = this.jobs.get(jobId);
+    return entry ? structuredClone(entry.job) : null;
+  }
+
+  async save(job, { retainUntil }) {
+    this.sweep();
+    this.jobs.set(job.id, { job: structuredClone(job), retainUntil });
+  }
+
+  async listByUser(userId) {
+    this.sweep();
+    return [...this.jobs.values()].filter(({ job }) => job.userId === userId).map(({ job }) => structuredClone(job));
+  }
+
+  async delete(jobId) {
+    this.jobs.delete(jobId);
+    this.archives.delete(jobId);
+  }
+
+  async claimActive(userId, jobId, ttlMs) {
+    const held = this.active.get(userId);
+    if (held && held.until > Date.now()) {
+      return held.jobId;
+    }
+    this.active.set(userId, { jobId, until: Date.now() + ttlMs });
+    return jobId;
+  }
+
+  async releaseActive(userId, jobId) {
+    if (this.active.get(userId)?.jobId === jobId) {
+      this.active.delete(userId);
+    }
+  }
+
+  async addArchive(jobId, expiresAt) {
+    this.archives.set(jobId, expiresAt);
+  }
+
+  async takeExpiredArchives(now) {
+    const expired = [...this.archives].filter(([, expiresAt]) => expiresAt <= now).map(([jobId]) => jobId);
+    expired.forEach((jobId) => this.archives.delete(jobId));
+    return expired;
+  }
+}
+
+export class RedisExportJobStore {
+  constructor({ redis, prefix = process.env.PATIENT_EXPORT_KEY_PREFIX || 'atlas:patient-export:' } = {}) {
+    if (!redis) {
+      throw new Error('RedisExportJobStore requires a Redis client');
+    }
+
+    this.name = 'redis';
+    this.redis = redis;
+    this.prefix = prefix;
+  }
+
+  async get(jobId) {
+    const raw = await this.redis.get(`${this.prefix}job:${jobId}`);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async save(job, { retainUntil }) {
+    await this.redis.set(`${this.prefix}job:${job.id}`, JSON.stringify(job), { PXAT: retainUntil });
+  }
+
+  // Jobs are not indexed by user; this scans them all, which only erasure needs to do
+  async listByUser(userId) {
+    const jobs = [];
+    for await (const key of this.redis.scanIterator({ MATCH: `${escapeGlob(this.prefix)}job:*`, COUNT: 500 })) {
+      const raw = await this.redis.get(key);
+      const job = raw ? JSON.parse(raw) : null;
+      if (job?.userId === userId) {
+        jobs.push(job);
+      }
+    }
+    return jobs;
+  }
+
+  async delete(jobId) {
+    await this.redis.del(`${this.prefix}job:${jobId}`);
+    await this.redis.zRem(`${this.prefix}archives`, jobId);
+  }
+
+  async claimActive(userId, jobId, ttlMs) {
+    const key = `${this.prefix}active:${userId}`;
+    if (await this.redis.set(key, jobId, { NX: true, PX: ttlMs })) {
+      return jobId;
+    }
+    return (await this.redis.get(key)) || jobId;
+  }
+
+  async releaseActive(userId, jobId) {
+    const key = `${this.prefix}active:${userId}`;
+    if (await this.redis.get(key) === jobId) {
+      await this.redis.del(key);
+    }
+  }
+
+  async addArchive(jobId, expiresAt) {
+    await this.redis.zAdd(`${this.prefix}archives`, { score: expiresAt, value: jobId });
+  }
+
+  async takeExpiredArchives(now) {
+    const key = `${this.prefix}archives`;
+    const expired = await this.redis.zRangeByScore(key, 0, now);
+    if (expired.length > 0) {
+      await this.redis.zRem(key, expired);
+    }
+    return expired;
+  }
+}
+
+/**
+ * Right-of-access export: collects everything held about a patient into a ZIP containing a FHIR
+ * document Bundle, one CSV per section, a Markdown summary and the raw HealthKit uploads.
+ *
+ * Jobs run in the background of the process that accepted them. Job state lives in `store`
+ * (Redis when configured, so any instance can report on it); archives are written to `exportDir`,
+ * which must be storage shared by every instance for another instance to serve the download.
+ * Archives are deleted once `ttlMs` has passed and job records one TTL after that.
+ */
+export class PatientExportService {
+  constructor({
+    foundryService,
+    clinicalResourceService,
+    encountersService,
+    aiChatHistoryService,
+    intraencounterService,
+    healthkitDatasetService,
+    createProfileService = (token) => new PatientProfileService(token),
+    store = new MemoryExportJobStore(),
+    exportDir = path.join(os.tmpdir(), 'atlas-exports'),
+    ttlMs = DEFAULT_EXPORT_TTL_MS
+  } = {}) {
+    if (!foundryService) {
+      throw new Error('PatientExportService requires a FoundryService instance');
+    }
+    if (!clinicalResourceService) {
+      throw new Error('PatientExportService requires a ClinicalResourceService instance');
+    }
+
+    this.foundryService = foundryService;
+    this.clinicalResourceService = clinicalResourceService;
+    this.encountersService = encountersService;
+    this.aiChatHistoryService = aiChatHistoryService;
+    this.intraencounterService = intraencounterService;
+    this.healthkitDatasetService = healthkitDatasetService;
+    this.createProfileService = createProfileService;
+    this.store = store;
+    this.exportDir = path.resolve(exportDir);
+    this.ttlMs = ttlMs;
+    this.pending = new Map();
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Queue an export for the caller, or return their export that is already queued or running.
+   */
+  async startExport({ userId, username, patientId, baseUrl, correlationId }) {
+    if (!userId || !patientId) {
+      throw new Error('userId and patientId are required to start an export');
+    }
+
+    this.schedulePurge();
+
+    const jobId = randomUUID();
+    const holder = await this.store.claimActive(userId, jobId, EXPORT_RUN_TIMEOUT_MS);
+    if (holder !== jobId) {
+      const active = await this.getJob(holder);
+      if (active && active.userId === userId && ACTIVE_STATUSES.has(active.status)) {
+        return { job: active, created: false };
+      }
+      // The claim outlived its job (e.g. the job record could not be saved); take it over
+      await this.store.releaseActive(userId, holder);
+      await this.store.claimActive(userId, jobId, EXPORT_RUN_TIMEOUT_MS);
+    }
+
+    const now = new Date();
+    const job = {
+      id: jobId,
+      userId,
+      patientId,
+      status: 'queued',
+      createdAt: now.toISOString(),
+      startedAt: null,
+      completedAt: null,
+      expiresAt: null,
+      sizeBytes: null,
+      sections: [],
+      filePath: null,
+      error: null
+    };
+    await this.saveJob(job);
+
+    const run = this.runJob(job, { userId, username, patientId, baseUrl, correlationId })
+      .finally(() => this.pending.delete(job.id));
+    this.pending.set(job.id, run);
+
+    logger.info('Patient export queued', { jobId: job.id, patientId, correlationId });
+    return { job, created: true };
+  }
+
+  async getJob(jobId) {
+    const job = await this.store.get(jobId);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'completed' && Date.parse(job.expiresAt) <= Date.now()) {
+      job.status = 'expired';
+    }
+    if (ACTIVE_STATUSES.has(job.status) && Date.parse(job.createdAt) + EXPORT_RUN_TIMEOUT_MS <= Date.now()) {
+      job.status = 'failed';
+      job.error = 'Export could not be generated';
+    }
+    return job;
+  }
+
+  // Job records outlive their archive by one TTL so a late poll sees "expired" rather than 404
+  async saveJob(job) {
+    const expiresAt = Date.parse(job.expiresAt);
+    const retainUntil = (Number.isFinite(expiresAt) ? expiresAt : Date.parse(job.createdAt) + EXPORT_RUN_TIMEOUT_MS) + this.ttlMs;
+    await this.store.save(job, { retainUntil });
+  }
+
+  /**
+   * Resolves once the job has finished running (immediately for finished or unknown jobs).
+   */
+  async waitForJob(jobId) {
+    await this.pending.get(jobId);
+    return this.getJob(jobId);
+  }
+
+  async runJob(job, context) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      await this.saveJob(job);
+      const sections = await this.collectSections(context);
+      const generatedAt = new Date();
+      const expiresAt = new Date(generatedAt.getTime() + this.ttlMs);
+      await fs.mkdir(this.exportDir, { recursive: true });
+      const filePath = path.join(this.exportDir, `${job.id}.zip`);
+      const sizeBytes = await writeZipArchive(
+        filePath,
+        buildArchiveEntries({ job, sections, context, generatedAt, expiresAt }),
+        { modifiedAt: generatedAt }
+      );
+      await this.store.addArchive(job.id, expiresAt.getTime());
+
+      Object.assign(job, {
+        status: 'completed',
+        completedAt: generatedAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        sizeBytes,
+        sections: sections.map(toSectionSummary),
+        filePath
+      });
+      await this.saveJob(job);
+
+      logger.info('Patient export completed', {
+        jobId: job.id,
+        patientId: job.patientId,
+        sizeBytes,
+        failedSections: job.sections.filter((section) => section.status === 'failed').map((section) => section.name),
+        truncatedSections: job.sections.filter((section) => section.status === 'truncated').map((section) => section.name),
+        correlationId: context.correlationId
+      });
+    } catch (error) {
+      Object.assign(job, {
+        status: 'failed',
+        completedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + this.ttlMs).toISOString(),
+        error: 'Export could not be generated'
+      });
+
+      logger.error('Patient export failed', {
+        jobId: job.id,
+        patientId: job.patientId,
+        error: error.message,
+        correlationId: context.correlationId
+      });
+
+      await this.saveJob(job).catch((saveError) => {
+        logger.error('Failed to record patient export failure', {
+          jobId: job.id,
+          error: saveError.message,
+          correlationId: context.correlationId
+        });
+      });
+    } finally {
+      await this.store.releaseActive(job.userId, job.id).catch((error) => {
+        logger.warn('Failed to release patient export claim', { jobId: job.id, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Collect every section in turn. A failing source is recorded in the manifest rather than
+   * failing the whole export.
+   */
+  async collectSections(context) {
+    const sections = [];
+
+    for (const section of this.getSectionCollectors(context)) {
+      try {
+        const { records, files = [], truncated = false } = await section.collect();
+        sections.push({ ...section, status: truncated ? 'truncated' : 'complete', records, files });
+      } catch (error) {
+        logger.warn('Patient export section failed', {
+          section: section.name,
+          patientId: context.patientId,
+          error: error.message,
+          correlationId: context.correlationId
+        });
+        sections.push({ ...section, status: 'failed', records: [], files: [] });
+      }
+    }
+
+    return sections;
+  }
+
+  getSectionCollectors(context) {
+    const { userId, username, patientId, correlationId } = context;
+    const observations = getClinicalResource('observations');
+
+    return [
+      {
+        name: 'profile',
+        title: 'Atlas profile',
+        collect: async () => {
+          const token = await this.foundryService.getToken();
+          const profile = await this.createProfileService(token).findProfileByUserId(userId);
+          return { records: profile ? [profile.properties || profile] : [] };
+        }
+      },
+      {
+        name: 'patient',
+        title: 'Patient demographics',
+        collect: () => this.fetchAllPages(PATIENT_RESOURCE, patientId, {}, correlationId)
+      },
+      ...CLINICAL_RESOURCES.map((resource) => ({
+        name: resource.name,
+        title: capitalize(resource.label),
+        collect: () => this.fetchAllPages(resource, patientId, {}, correlationId)
+      })),
+      {
+        name: 'vitals',
+        title: 'Vital signs',
+        collect: () => this.fetchAllPages(observations, patientId, { category: 'vital-signs' }, correlationId)
+      },
+      {
+        name: 'encounters',
+        title: 'Encounters',
+        collect: () => this.fetchAllEncounters(patientId, correlationId)
+      },
+      {
+        name: 'ai-chat-history',
+        title: 'AI chat history',
+        collect: async () => {
+          const records = unwrapObjects(await this.requireService('aiChatHistoryService')
+            .searchByUserId(userId, { pageSize: HISTORY_PAGE_SIZE, includeRid: true }));
+          return { records, truncated: records.length >= HISTORY_PAGE_SIZE };
+        }
+      },
+      {
+        name: 'intraencounter',
+        title: 'Visit recordings',
+        collect: async () => {
+          const intraencounterService = this.requireService('intraencounterService');
+          const { records, truncated } = await this.collectPages((nextPageToken) => intraencounterService
+            .searchPageByUserId(userId, { pageSize: HISTORY_PAGE_SIZE, nextPageToken, includeRid: true }));
+          return { records: unwrapObjects(records), truncated };
+        }
+      },
+      {
+        name: 'medication-uploads',
+        title: 'Medication uploads',
+        collect: () => this.fetchAllMedicationUploads([username, userId])
+      },
+      {
+        name: 'healthkit',
+        title: 'Apple Health uploads',
+        collect: () => this.collectHealthkitFiles(userId, correlationId)
+      }
+    ];
+  }
+
+  /**
+   * Read `fetchPage(pageToken)` (resolving to `{ data, nextPageToken }`) until the last page or
+   * MAX_PAGES, whichever comes first.
+   * @returns {Promise<{ records: Object[], truncated: boolean }>}
+   */
+  async collectPages(fetchPage) {
+    const records = [];
+    let pageToken;
+    let pages = 0;
+
+    do {
+      const payload = await fetchPage(pageToken);
+      records.push(...(payload.data || []));
+      pageToken = payload.nextPageToken || undefined;
+      pages += 1;
+    } while (pageToken && pages < MAX_PAGES);
+
+    return { records, truncated: Boolean(pageToken) };
+  }
+
+  async fetchAllPages(resource, patientId, filters, correlationId) {
+    return this.collectPages((pageToken) => this.clinicalResourceService.fetchResourceDirect(resource, {
+      patientId,
+      pageSize: PAGE_SIZE,
+      pageToken,
+      filters,
+      correlationId
+    }));
+  }
+
+  async fetchAllEncounters(patientId, correlationId) {
+    const encountersService = this.requireService('encountersService');
+    return this.collectPages((pageToken) => encountersService.fetchEncountersDirect({ patientId, pageSize: PAGE_SIZE, pageToken, correlationId }));
+  }
+
+  // Uploads may be stored under the username or the sub; a failed search fails the section
+  async fetchAllMedicationUploads(identifiers) {
+    const records = new Map();
+    let truncated = false;
+
+    for (const identifier of new Set(identifiers.filter(Boolean))) {
+      const result = await this.collectPages(async (pageToken) => {
+        const page = await this.foundryService.listMedicationsUploadsPage(identifier, { pageSize: MEDICATION_UPLOADS_PAGE_SIZE, pageToken });
+        return { data: page.items, nextPageToken: page.nextPageToken };
+      });
+      result.records.forEach((upload) => records.set(upload.rid ?? records.size, upload));
+      truncated = truncated || result.truncated;
+    }
+
+    return { records: Array.from(records.values()), truncated };
+  }
+
+  async collectHealthkitFiles(userId, correlationId) {
+    const healthkitDatasetService = this.requireService('healthkitDatasetService');
+    const { files: listed, truncated } = await healthkitDatasetService.listUserFiles(userId, { correlationId });
+    const records = listed.slice(-MAX_HEALTHKIT_FILES);
+    const files = [];
+
+    for (const file of records) {
+      const content = await healthkitDatasetService.readFile(file.path);
+      files.push({
+        name: `healthkit/${path.posix.basename(file.path)}`,
+        data: typeof content === 'string' ? content : JSON.stringify(content, null, 2)
+      });
+    }
+
+    if (truncated || listed.length > records.length) {
+      logger.warn('Patient export truncated HealthKit files', {
+        total: listed.length,
+        exported: records.length,
+        listingTruncated: truncated,
+        correlationId
+      });
+    }
+
+    return { records, files, truncated: truncated || listed.length > records.length };
+  }
+
+  requireService(name) {
+    if (!this[name]) {
+      throw new Error(`${name} is not configured`);
+    }
+    return this[name];
+  }
+
+  /**
+   * Delete archives past their expiry and mark their jobs expired. Job records themselves are
+   * dropped by the store one TTL after expiry.
+   */
+  async purgeExpired(now = Date.now()) {
+    for (const jobId of await this.store.takeExpiredArchives(now)) {
+      await fs.rm(path.join(this.exportDir, `${jobId}.zip`), { force: true });
+
+      const job = await this.store.get(jobId);
+      if (job) {
+        Object.assign(job, { status: 'expired', filePath: null });
+        await this.saveJob(job);
+      }
+    }
+  }
+
+  /**
+   * Delete every export of `userId`, archive and job record, for erasure. Fails while one of them
+   * is still queued or running, since it would write an archive afterwards.
+   * @returns {Promise<number>} number of exports deleted
+   */
+  async eraseUser(userId) {
+    const jobs = await this.store.listByUser(userId);
+    for (const { id } of jobs) {
+      const job = await this.getJob(id);
+      if (job && ACTIVE_STATUSES.has(job.status)) {
+        throw new Error(`Patient export ${id} is still running`);
+      }
+    }
+
+    for (const job of jobs) {
+      await fs.rm(path.join(this.exportDir, `${job.id}.zip`), { force: true });
+      await this.store.delete(job.id);
+      await this.store.releaseActive(userId, job.id);
+    }
+    return jobs.length;
+  }
+
+  schedulePurge() {
+    if (this.purgeTimer) {
+      return;
+    }
+
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        logger.warn('Failed to purge expired patient exports', { error: error.message });
+      });
+    }, Math.min(this.ttlMs, 60 * 60 * 1000));
+    this.purgeTimer.unref?.();
+  }
+}
+
+/**
+ * Job fields returned to the patient; the archive path stays server-side.
+ */
+export function toJobView(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    sizeBytes: job.sizeBytes,
+    sections: job.sections,
+    error: job.error
+  };
+}
+
+// Entries are generated as the archive is written, so each section's CSV and JSON are only held in
+// memory while that entry is being compressed
+function* buildArchiveEntries({ job, sections, context, generatedAt, expiresAt }) {
+  const { patientId, baseUrl } = context;
+  const patientRecord = sections.find((section) => section.name === 'patient')?.records[0] || {};
+
+  const bundle = buildDocumentBundle({
+    identifier: job.id,
+    title: 'Patient health record export',
+    patient: toFhirPatient(patientRecord, patientId),
+    baseUrl,
+    date: generatedAt.toISOString(),
+    sections: sections
+      .filter((section) => FHIR_MAPPERS[section.name])
+      .map((section) => ({
+        title: section.title,
+        resources: section.records.map((record) => FHIR_MAPPERS[section.name](record, patientId))
+      }))
+  });
+
+  const manifest = {
+    jobId: job.id,
+    patientId,
+    generatedAt: generatedAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    sections: sections.map(toSectionSummary)
+  };
+
+  yield { name: 'README.md', data: renderSummary({ manifest, sections }) };
+  yield { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) };
+  yield { name: 'bundle.json', data: JSON.stringify(bundle, null, 2) };
+  for (const section of sections.filter((entry) => entry.records.length > 0)) {
+    yield { name: `csv/${section.name}.csv`, data: toCsv(section.records) };
+    yield { name: `data/${section.name}.json`, data: JSON.stringify(section.records, null, 2) };
+  }
+  for (const section of sections) {
+    yield* section.files;
+  }
+}
+
+function toSectionSummary(section) {
+  return {
+    name: section.name,
+    title: section.title,
+    status: section.status,
+    recordCount: section.records.length,
+    inBundle: Boolean(FHIR_MAPPERS[section.name])
+  };
+}
+
+const SECTION_STATUS_LABELS = {
+  complete: 'Complete',
+  truncated: 'Incomplete: too many records to export in full',
+  failed: 'Could not be retrieved'
+};
+
+function renderSummary({ manifest, sections }) {
+  const lines = [
+    '# Health record export',
+    '',
+    `Generated ${manifest.generatedAt}. This download expires ${manifest.expiresAt}.`,
+    '',
+    '- `bundle.json`: FHIR R4 document Bundle of your clinical records',
+    '- `csv/`: one spreadsheet per section',
+    '- `data/`: the same records as JSON',
+    '- `healthkit/`: Apple Health data as uploaded',
+    '',
+    '| Section | Records | Status |',
+    '| --- | ---: | --- |',
+    ...manifest.sections.map((section) => `| ${section.title} | ${section.recordCount} | ${SECTION_STATUS_LABELS[section.status]} |`)
+  ];
+
+  const truncated = manifest.sections.filter((section) => section.status === 'truncated');
+  if (truncated.length > 0) {
+    lines.push('', 'Some sections hold only part of your records, as counted above:', '');
+    lines.push(...truncated.map((section) => `- ${section.title}: ${section.recordCount} exported, the rest left out`));
+  }
+
+  const failed = sections.filter((section) => section.status === 'failed');
+  if (failed.length > 0) {
+    lines.push('', 'Some sections could not be retrieved. Request a new export later to try again.');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Records as CSV with the union of their top-level keys as columns. Nested values are written as
+ * JSON, and cells that a spreadsheet would evaluate as a formula are prefixed with a quote.
+ */
+export function toCsv(records) {
+  const columns = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record || {})) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+
+  const cell = (value) => {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = records.map((record) => columns.map((column) => cell(record?.[column])).join(','));
+  return `${[columns.map(cell).join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+function unwrapObjects(entries) {
+  return (entries || []).map((entry) => (entry?.properties && typeof entry.properties === 'object'
+    ? { ...entry.properties, $rid: entry.$rid ?? entry.properties.$rid }
+    : entry));
+}
+
+function transcriptNote(entry, noteType) {
+  return {
+    noteId: entry.$rid,
+    noteType,
+    date: entry.timestamp,
+    cleanText: entry.transcript,
+    title: entry.providerName || entry.hospital
+  };
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+export function createPatientExportService({ redisClient, foundryService } = {}) {
+  return new PatientExportService({
+    foundryService,
+    // Exports read Foundry directly (fetch*Direct), so these services' caches stay unused
+    clinicalResourceService: new ClinicalResourceService({ foundryService }),
+    encountersService: new EncountersService({ foundryService }),
+    aiChatHistoryService: new AiChatHistoryService(),
+    intraencounterService: new AtlasIntraencounterService(),
+    healthkitDatasetService: new HealthkitDatasetService({ foundryService }),
+    store: redisClient ? new RedisExportJobStore({ redis: redisClient }) : new MemoryExportJobStore(),
+    exportDir: process.env.PATIENT_EXPORT_DIR || undefined,
+    ttlMs: Number.parseInt(process.env.PATIENT_EXPORT_TTL_MS, 10) || DEFAULT_EXPORT_TTL_MS
+  });
+}
+
+// Export singleton instance
+let patientExportServiceInstance = null;
+
+export function initializePatientExportService({ redisClient, foundryService } = {}) {
+  patientExportServiceInstance = createPatientExportService({ redisClient, foundryService });
+  logger.info('Patient export service initialized', {
+    store: patientExportServiceInstance.store.name,
+    exportDir: patientExportServiceInstance.exportDir
+  });
+  return patientExportServiceInstance;
+}
+
+export function getPatientExportService() {
+  if (!patientExportServiceInstance) {
+    patientExportServiceInstance = createPatientExportService({
+      foundryService: new FoundryService({
+        host: process.env.FOUNDRY_HOST,
+        clientId: process.env.FOUNDRY_CLIENT_ID,
+        clientSecret: process.env.FOUNDRY_CLIENT_SECRET,
+        tokenUrl: process.env.FOUNDRY_OAUTH_TOKEN_URL,
+        ontologyRid: process.env.FOUNDRY_ONTOLOGY_RID
+      })
+    });
+  }
+  return patientExportServiceInstance;
+}
@@ -0,0 +1,402 @@
+import { logger } from '../utils/logger.js';
+import { STALE_IF_ERROR_MS, STALE_WHILE_REVALIDATE_MS, getCacheService } from './cacheService.js';
+
+export const DEFAULT_CACHE_TTL_MS = 30 * 1000;
+export const DEFAULT_L1_MAX_ENTRIES = 1000;
+export const DEFAULT_L1_MAX_BYTES = 50 * 1024 * 1024;
+// Entries outlive this in Redis, but each instance re-reads them so peers' writes show up quickly
+export const DEFAULT_L1_MAX_TTL_MS = 30 * 1000;
+
+/**
+ * In-process LRU bounded by entry count and by approximate size (the serialized length of each
+ * value). Map iteration follows insertion order, so re-inserting on read keeps the least recently
+ * used entry first in line for eviction.
+ */
+export class LruCache {
+  constructor({ maxEntries = DEFAULT_L1_MAX_ENTRIES, maxBytes = DEFAULT_L1_MAX_BYTES } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.evictions = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= now) {
+      this.bytes -= entry.size;
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, value, { expiresAt, size }) {
+    this.delete(key);
+    if (size > this.maxBytes) {
+      return false;
+    }
+
+    this.entries.set(key, { value, expiresAt, size });
+    this.bytes += size;
+
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions += 1;
+    }
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+const emptyTypeMetrics = () => ({
+  l1Hits: 0,
+  l2Hits: 0,
+  misses: 0,
+  sets: 0,
+  l2Errors: 0,
+  staleServed: 0,
+  staleOnError: 0,
+  refreshErrors: 0
+});
+
+// Marks values served from a stale entry; symbol keys survive object spread but not JSON
+export const CACHE_STATUS = Symbol('cacheStatus');
+
+/**
+ * `{ stale: true, reason, ageSeconds }` when `value` was served stale, otherwise undefined.
+ * reason is `revalidating` (a background refresh is running) or `revalidation-failed`.
+ */
+export function getCacheStatus(value) {
+  return value && typeof value === 'object' ? value[CACHE_STATUS] : undefined;
+}
+
+export function withCacheStatus(value, status) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || !status) {
+    return value;
+  }
+  return { ...value, [CACHE_STATUS]: status };
+}
+
+// Circuit-breaker 503s, throttling and network failures; request errors are not masked
+function isUpstreamFailure(error) {
+  return !error?.status || error.status >= 500 || error.status === 429;
+}
+
+/**
+ * Two-level response cache for clinical data: a bounded in-process LRU (L1) in front of Redis (L2),
+ * so instances share warm data while memory stays flat. Without Redis it degrades to L1 only, and
+ * Redis errors count as misses.
+ *
+ * Expired entries are kept for the stale windows from CacheService: `getOrLoad` serves them right
+ * away while refreshing in the background, or in place of a failed upstream call.
+ *
+ * Keys follow CacheService (`<prefix><type>:<patientId>:<params JSON>`), which keeps them inside
+ * the patterns used by CacheService.invalidateIdentifiers, and Redis copies are tagged by patient
+ * and type for CacheService.invalidateTags.
+ */
+export class TieredCache {
+  constructor({
+    cacheService,
+    maxEntries = Number.parseInt(process.env.CACHE_L1_MAX_ENTRIES, 10) || DEFAULT_L1_MAX_ENTRIES,
+    maxBytes = Number.parseInt(process.env.CACHE_L1_MAX_BYTES, 10) || DEFAULT_L1_MAX_BYTES,
+    l1MaxTtlMs = Number.parseInt(process.env.CACHE_L1_MAX_TTL_MS, 10) || DEFAULT_L1_MAX_TTL_MS,
+    staleWhileRevalidateMs = STALE_WHILE_REVALIDATE_MS,
+    staleIfErrorMs = STALE_IF_ERROR_MS
+  } = {}) {
+    // Resolved per call: routers build their services before server.js attaches Redis
+    this.cacheService = cacheService || null;
+    this.l1 = new LruCache({ maxEntries, maxBytes });
+    this.l1MaxTtlMs = l1MaxTtlMs;
+    this.staleWhileRevalidateMs = staleWhileRevalidateMs;
+    this.staleIfErrorMs = Math.max(staleIfErrorMs, staleWhileRevalidateMs);
+    this.metrics = new Map();
+    this.refreshes = new Map();
+  }
+
+  get redis() {
+    return (this.cacheService || getCacheService()).redis || null;
+  }
+
+  buildKey(type, patientId, params = {}) {
+    return (this.cacheService || getCacheService()).getCacheKey(type, `${patientId}:${JSON.stringify(params)}`);
+  }
+
+  /**
+   * Cached value while fresh, or `undefined`. `null` is a valid cached value.
+   */
+  async get(type, patientId, params = {}) {
+    const metrics = this.metricsFor(type);
+    const { record, tier } = await this.lookup(type, this.buildKey(type, patientId, params));
+
+    if (record && Date.now() < record.expiresAt) {
+      metrics[tier === 'l1' ? 'l1Hits' : 'l2Hits'] += 1;
+      return record.value;
+    }
+
+    metrics.misses += 1;
+    return undefined;
+  }
+
+  async set(type, patientId, params, value, { ttlMs = DEFAULT_CACHE_TTL_MS } = {}) {
+    const key = this.buildKey(type, patientId, params);
+    const now = Date.now();
+    const record = { value: value === undefined ? null : value, storedAt: now, expiresAt: now + ttlMs };
+    const serialized = JSON.stringify(record);
+
+    this.storeLocal(key, record, Buffer.byteLength(serialized), now);
+    this.metricsFor(type).sets += 1;
+
+    const redis = this.redis;
+    if (redis) {
+      try {
+        await redis.setEx(key, Math.max(1, Math.ceil((ttlMs + this.staleIfErrorMs) / 1000)), serialized);
+        await (this.cacheService || getCacheService()).tag(type, patientId, key);
+      } catch (error) {
+        this.metricsFor(type).l2Errors += 1;
+        logger.warn('Tiered cache write to Redis failed', { type, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Return the cached value or load, cache and return a fresh one. Within the stale-while-revalidate
+   * window the expired value comes back at once while `loader` runs in the background; within the
+   * stale-if-error window it stands in for a loader that fails upstream. Stale values carry
+   * CACHE_STATUS (see getCacheStatus). With `cacheNull: false` a null result is not stored.
+   */
+  async getOrLoad(type, patientId, params, loader, { ttlMs, cacheNull = true } = {}) {
+    const key = this.buildKey(type, patientId, params);
+    const metrics = this.metricsFor(type);
+    const { record, tier } = await this.lookup(type, key);
+    const now = Date.now();
+
+    if (record && now < record.expiresAt) {
+      metrics[tier === 'l1' ? 'l1Hits' : 'l2Hits'] += 1;
+      return record.value;
+    }
+
+    if (record && now < record.expiresAt + this.staleWhileRevalidateMs) {
+      metrics.staleServed += 1;
+      this.refreshInBackground(key, type, patientId, params, loader, { ttlMs, cacheNull });
+      return withCacheStatus(record.value, describeStaleness(record, 'revalidating', now));
+    }
+
+    metrics.misses += 1;
+    try {
+      const value = await loader();
+      if (value !== null || cacheNull) {
+        await this.set(type, patientId, params, value, { ttlMs });
+      }
+      return value;
+    } catch (error) {
+      if (!record || !isUpstreamFailure(error)) {
+        throw error;
+      }
+
+      metrics.staleOnError += 1;
+      logger.warn('Serving stale cache entry after upstream failure', {
+        type,
+        ageSeconds: Math.floor((now - record.storedAt) / 1000),
+        error: error.message,
+        status: error.status
+      });
+      return withCacheStatus(record.value, describeStaleness(record, 'revalidation-failed', now));
+    }
+  }
+
+  refreshInBackground(key, type, patientId, params, loader, { ttlMs, cacheNull = true } = {}) {
+    if (this.refreshes.has(key)) {
+      return;
+    }
+
+    const refresh = (async () => {
+      try {
+        const value = await loader();
+        if (value !== null || cacheNull) {
+          await this.set(type, patientId, params, value, { ttlMs });
+        } else {
+          await this.delete(type, patientId, params);
+        }
+      } catch (error) {
+        this.metricsFor(type).refreshErrors += 1;
+        logger.warn('Background cache refresh failed', { type, error: error.message, status: error.status });
+      } finally {
+        this.refreshes.delete(key);
+      }
+    })();
+    this.refreshes.set(key, refresh);
+  }
+
+  /**
+   * Resolves once the background refreshes started so far have finished.
+   */
+  async drainRefreshes() {
+    await Promise.all(Array.from(this.refreshes.values()));
+  }
+
+  async delete(type, patientId, params = {}) {
+    const key = this.buildKey(type, patientId, params);
+    this.l1.delete(key);
+
+    const redis = this.redis;
+    if (redis) {
+      try {
+        await redis.del([key]);
+      } catch (error) {
+        this.metricsFor(type).l2Errors += 1;
+        logger.warn('Tiered cache delete from Redis failed', { type, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Drop this instance's copies of the `types` entries cached for any of `subjects`, whatever their
+   * params. Redis is left alone; see CacheService.invalidateTags.
+   * @returns {number} number of in-process entries dropped
+   */
+  dropLocal(subjects = [], types = []) {
+    const prefixes = [];
+    for (const subject of subjects) {
+      for (const type of types) {
+        prefixes.push((this.cacheService || getCacheService()).getCacheKey(type, `${subject}:`));
+      }
+    }
+
+    let dropped = 0;
+    for (const key of Array.from(this.l1.entries.keys())) {
+      if (prefixes.some((prefix) => key.startsWith(prefix)) && this.l1.delete(key)) {
+        dropped += 1;
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * The newest record for `key`, fresh or stale. L1 copies are trusted for at most l1MaxTtlMs before
+   * Redis is consulted again; when Redis is reachable and no longer has the key, the L1 copy is
+   * dropped as well so deletions on other instances take effect.
+   */
+  async lookup(type, key) {
+    const now = Date.now();
+    const local = this.l1.get(key, now)?.value;
+    if (local && now < local.checkAt) {
+      return { record: local, tier: 'l1' };
+    }
+
+    const redis = this.redis;
+    if (!redis) {
+      return { record: local || null, tier: 'l1' };
+    }
+
+    try {
+      const raw = await redis.get(key);
+      if (!raw) {
+        this.l1.delete(key);
+        return { record: null, tier: 'l2' };
+      }
+
+      const stored = JSON.parse(raw);
+      if (now >= stored.expiresAt + this.staleIfErrorMs) {
+        return { record: local || null, tier: 'l1' };
+      }
+      if (local && local.storedAt > stored.storedAt) {
+        return { record: local, tier: 'l1' };
+      }
+      this.storeLocal(key, stored, Buffer.byteLength(raw), now);
+      return { record: stored, tier: 'l2' };
+    } catch (error) {
+      this.metricsFor(type).l2Errors += 1;
+      logger.warn('Tiered cache read from Redis failed', { type, error: error.message });
+      return { record: local || null, tier: 'l1' };
+    }
+  }
+
+  storeLocal(key, record, size, now = Date.now()) {
+    const { value, storedAt, expiresAt } = record;
+    this.l1.set(key, { value, storedAt, expiresAt, checkAt: Math.min(expiresAt, now + this.l1MaxTtlMs) }, {
+      expiresAt: expiresAt + this.staleIfErrorMs,
+      size
+    });
+  }
+
+  metricsFor(type) {
+    if (!this.metrics.has(type)) {
+      this.metrics.set(type, emptyTypeMetrics());
+    }
+    return this.metrics.get(type);
+  }
+
+  getMetrics() {
+    const types = {};
+    const totals = emptyTypeMetrics();
+    for (const [type, metrics] of this.metrics) {
+      const lookups = metrics.l1Hits + metrics.l2Hits + metrics.staleServed + metrics.misses;
+      types[type] = {
+        ...metrics,
+        hitRatio: lookups > 0
+          ? Number(((metrics.l1Hits + metrics.l2Hits + metrics.staleServed) / lookups).toFixed(4))
+          : null
+      };
+      for (const field of Object.keys(totals)) {
+        totals[field] += metrics[field];
+      }
+    }
+
+    return {
+      l1: {
+        entries: this.l1.size,
+        bytes: this.l1.bytes,
+        maxEntries: this.l1.maxEntries,
+        maxBytes: this.l1.maxBytes,
+        evictions: this.l1.evictions
+      },
+      l2: { enabled: Boolean(this.redis) },
+      stale: {
+        whileRevalidateMs: this.staleWhileRevalidateMs,
+        ifErrorMs: this.staleIfErrorMs,
+        refreshing: this.refreshes.size
+      },
+      totals,
+      types
+    };
+  }
+}
+
+function describeStaleness(record, reason, now) {
+  return { stale: true, reason, ageSeconds: Math.max(0, Math.floor((now - record.storedAt) / 1000)) };
+}
+
+// Shared instance so every clinical route draws on one memory budget
+let tieredCacheInstance = null;
+
+export function getTieredCache() {
+  if (!tieredCacheInstance) {
+    tieredCacheInstance = new TieredCache();
+  }
+  return tieredCacheInstance;
+}
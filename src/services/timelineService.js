@@ -0,0 +1,308 @@
+import { logger } from '../utils/logger.js';
+import { getClinicalResource } from './clinicalResources.js';
+import { TieredCache, getCacheStatus, withCacheStatus } from './tieredCache.js';
+
+const DEFAULT_CACHE_TTL_MS = 30 * 1000;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const SOURCE_PAGE_SIZE = 100;
+const MAX_PAGES_PER_SOURCE = 10;
+
+// Sources merged into the timeline. Foundry cannot order these object types (orderBy raises
+// InvalidFieldType), so each source is read in full (bounded by MAX_PAGES_PER_SOURCE) and ordered here.
+const TIMELINE_SOURCES = [
+  { type: 'encounter', dateField: 'periodStart' },
+  { type: 'clinical-note', resource: 'clinical-notes' },
+  { type: 'procedure', resource: 'procedures' },
+  { type: 'immunization', resource: 'immunizations' },
+  { type: 'observation', resource: 'observations' }
+];
+
+export class TimelineService {
+  constructor({
+    clinicalResourceService,
+    encountersService,
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    cache
+  } = {}) {
+    if (!clinicalResourceService || !encountersService) {
+      throw new Error('TimelineService requires ClinicalResourceService and EncountersService instances');
+    }
+
+    this.clinicalResourceService = clinicalResourceService;
+    this.encountersService = encountersService;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = cache || new TieredCache();
+  }
+
+  /**
+   * Return one page of the merged, newest-first patient timeline. The cursor is opaque to clients and
+   * points into a per-patient snapshot so that paging stays stable while the snapshot is cached; a
+   * cursor into a snapshot that has since been rebuilt is refused with a 410.
+   */
+  async fetchTimeline({ patientId, pageSize, cursor, correlationId }) {
+    if (!patientId) {
+      throw new Error('patientId is required to fetch the timeline');
+    }
+
+    const normalizedPageSize = normalizePageSize(pageSize);
+    const { offset, snapshotId } = decodeCursor(cursor);
+    const snapshot = await this.getSnapshot(patientId, correlationId);
+
+    // Offsets only hold within the snapshot they were taken from; once it has been rebuilt, paging on
+    // would skip or repeat entries, so the client starts again from the first page
+    if (snapshotId && snapshotId !== snapshot.id) {
+      logger.info('Timeline cursor outlived its snapshot', {
+        patientId,
+        requestedSnapshot: snapshotId,
+        currentSnapshot: snapshot.id,
+        correlationId
+      });
+      throw cursorError('Timeline cursor has expired; request the first page again', 410);
+    }
+
+    const page = snapshot.entries.slice(offset, offset + normalizedPageSize);
+    const nextOffset = offset + page.length;
+
+    return withCacheStatus({
+      success: true,
+      data: page,
+      nextCursor: nextOffset < snapshot.entries.length
+        ? encodeCursor({ offset: nextOffset, snapshotId: snapshot.id })
+        : null,
+      total: snapshot.entries.length,
+      sources: snapshot.sources,
+      fetchedAt: snapshot.fetchedAt,
+      correlationId
+    }, getCacheStatus(snapshot));
+  }
+
+  async getSnapshot(patientId, correlationId) {
+    return this.cache.getOrLoad(
+      'timeline',
+      patientId,
+      {},
+      () => this.buildSnapshot(patientId, correlationId),
+      { ttlMs: this.cacheTtlMs }
+    );
+  }
+
+  async buildSnapshot(patientId, correlationId) {
+    const now = Date.now();
+
+    const results = await Promise.allSettled(
+      TIMELINE_SOURCES.map((source) => this.fetchSource(source, patientId, correlationId))
+    );
+
+    const failures = results.filter((result) => result.status === 'rejected');
+    if (failures.length === results.length) {
+      throw failures[0].reason;
+    }
+
+    const sources = {};
+    const sortedLists = [];
+    results.forEach((result, index) => {
+      const source = TIMELINE_SOURCES[index];
+      if (result.status === 'rejected') {
+        logger.warn('Timeline source failed; continuing with remaining sources', {
+          patientId,
+          source: source.type,
+          error: result.reason?.message,
+          status: result.reason?.status,
+          correlationId
+        });
+        sources[source.type] = { status: 'error', count: 0, truncated: false };
+        return;
+      }
+
+      const { items, truncated } = result.value;
+      sources[source.type] = { status: 'ok', count: items.length, truncated };
+      sortedLists.push(items.sort(compareItemsDesc));
+    });
+
+    const snapshot = {
+      id: now.toString(36),
+      entries: groupByEncounter(mergeSortedLists(sortedLists)),
+      sources,
+      fetchedAt: new Date(now).toISOString()
+    };
+
+    logger.info('Built patient timeline snapshot', {
+      patientId,
+      entries: snapshot.entries.length,
+      sources,
+      correlationId
+    });
+
+    return snapshot;
+  }
+
+  async fetchSource(source, patientId, correlationId) {
+    const definition = source.resource ? getClinicalResource(source.resource) : null;
+    const dateField = source.dateField || definition?.dateField;
+    const items = [];
+    let pageToken;
+    let pages = 0;
+
+    do {
+      const payload = definition
+        ? await this.clinicalResourceService.fetchResource(definition, {
+          patientId,
+          pageSize: SOURCE_PAGE_SIZE,
+          pageToken,
+          correlationId
+        })
+        : await this.encountersService.fetchEncounters({
+          patientId,
+          pageSize: SOURCE_PAGE_SIZE,
+          pageToken,
+          correlationId
+        });
+
+      for (const entry of payload.data || []) {
+        items.push(toTimelineItem(source.type, entry, dateField));
+      }
+
+      pageToken = payload.nextPageToken || undefined;
+      pages += 1;
+    } while (pageToken && pages < MAX_PAGES_PER_SOURCE);
+
+    return { items, truncated: Boolean(pageToken) };
+  }
+}
+
+function normalizePageSize(pageSize) {
+  const parsed = Number.parseInt(pageSize, 10);
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_PAGE_SIZE;
+  }
+
+  return Math.max(1, Math.min(parsed, MAX_PAGE_SIZE));
+}
+
+function toTimelineItem(type, entry, dateField) {
+  const rawDate = entry?.[dateField];
+  const timestamp = typeof rawDate === 'string' || typeof rawDate === 'number' ? Date.parse(rawDate) : Number.NaN;
+  const encounterId = type === 'encounter' ? null : entry?.encounterId || null;
+
+  return {
+    type,
+    id: entry?.id ?? null,
+    date: Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString(),
+    encounterId,
+    data: entry
+  };
+}
+
+// Newest first; undated items sink to the end
+function compareItemsDesc(left, right) {
+  if (left.date === right.date) {
+    return 0;
+  }
+  if (!left.date) {
+    return 1;
+  }
+  if (!right.date) {
+    return -1;
+  }
+  return left.date < right.date ? 1 : -1;
+}
+
+export function mergeSortedLists(lists) {
+  const cursors = lists.map(() => 0);
+  const merged = [];
+
+  for (;;) {
+    let bestList = -1;
+    for (let index = 0; index < lists.length; index += 1) {
+      if (cursors[index] >= lists[index].length) {
+        continue;
+      }
+      if (bestList === -1 || compareItemsDesc(lists[index][cursors[index]], lists[bestList][cursors[bestList]]) < 0) {
+        bestList = index;
+      }
+    }
+
+    if (bestList === -1) {
+      return merged;
+    }
+
+    merged.push(lists[bestList][cursors[bestList]]);
+    cursors[bestList] += 1;
+  }
+}
+
+/**
+ * Collapse items that share an encounterId under a single encounter group. The group keeps the
+ * position of its newest member (or of the encounter itself) so the timeline stays chronological.
+ */
+export function groupByEncounter(items) {
+  const entries = [];
+  const groups = new Map();
+
+  const ensureGroup = (encounterId) => {
+    let group = groups.get(encounterId);
+    if (!group) {
+      group = {
+        type: 'encounter-group',
+        encounterId,
+        date: null,
+        encounter: null,
+        items: []
+      };
+      groups.set(encounterId, group);
+      entries.push(group);
+    }
+    return group;
+  };
+
+  for (const item of items) {
+    if (item.type === 'encounter' && item.id) {
+      const group = ensureGroup(String(item.id));
+      group.encounter = item.data;
+      group.date = item.date || group.date;
+      continue;
+    }
+
+    if (item.encounterId) {
+      const group = ensureGroup(String(item.encounterId));
+      group.items.push(item);
+      if (!group.date) {
+        group.date = item.date;
+      }
+      continue;
+    }
+
+    entries.push(item);
+  }
+
+  return entries.sort(compareItemsDesc);
+}
+
+function encodeCursor({ offset, snapshotId }) {
+  return Buffer.from(JSON.stringify({ o: offset, s: snapshotId }), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return { offset: 0, snapshotId: null };
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(decoded?.o) && decoded.o >= 0) {
+      return { offset: decoded.o, snapshotId: decoded.s || null };
+    }
+  } catch {
+    // fall through to the validation error below
+  }
+
+  throw cursorError('Invalid timeline cursor', 400);
+}
+
+function cursorError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'INVALID_CURSOR';
+  return error;
+}
@@ -0,0 +1,214 @@
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import { phiAudit, setAuditContext } from '../middleware/phiAudit.js';
+import { auditRouter } from '../routes/audit.js';
+import {
+  AuditService,
+  FoundryDatasetAuditSink,
+  JsonlFileAuditSink,
+  RedisStreamAuditSink,
+  getAuditService
+} from '../services/auditService.js';
+import { FoundryService } from '../services/foundryService.js';
+
+const waitForAudit = () => new Promise((resolve) => setImmediate(resolve));
+
+const createApp = (configure) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { sub: 'auth0|audit-user', scope: 'read:patient' };
+    req.context = { username: 'audit-user' };
+    req.correlationId = 'test-correlation-id';
+    next();
+  });
+  app.use('/api/v1/foundry', phiAudit);
+  configure(app);
+  return app;
+};
+
+describe('phiAudit middleware', () => {
+  let recordSpy;
+
+  beforeEach(() => {
+    recordSpy = jest.spyOn(getAuditService(), 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records actor, patient, resource type and record count for reads', async () => {
+    const app = createApp((instance) => {
+      const router = express.Router();
+      router.get('/encounters/:encounterId', (req, res) => {
+        req.context.foundryPatientContext = { patientId: 'patient-42' };
+        res.json({ success: true, data: [{ id: 1 }, { id: 2 }] });
+      });
+      instance.use('/api/v1/foundry', router);
+    });
+
+    await request(app).get('/api/v1/foundry/encounters/enc-1').expect(200);
+    await waitForAudit();
+
+    expect(recordSpy).toHaveBeenCalledWith({
+      actor: 'auth0|audit-user',
+      actorUsername: 'audit-user',
+      patientId: 'patient-42',
+      resourceType: 'encounters',
+      action: 'read',
+      method: 'GET',
+      endpoint: '/api/v1/foundry/encounters/:encounterId',
+      recordCount: 2,
+      status: 200,
+      outcome: 'success',
+      correlationId: 'test-correlation-id'
+    });
+  });
+
+  it('honours handler overrides and records failed writes', async () => {
+    const app = createApp((instance) => {
+      const router = express.Router();
+      router.post('/media/upload', (req, res) => {
+        setAuditContext(req, { resourceType: 'media' });
+        res.status(403).json({ error: { code: 'FORBIDDEN' } });
+      });
+      instance.use('/api/v1/foundry', router);
+    });
+
+    await request(app).post('/api/v1/foundry/media/upload').expect(403);
+    await waitForAudit();
+
+    expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({
+      patientId: 'auth0|audit-user',
+      resourceType: 'media',
+      action: 'write',
+      recordCount: 0,
+      outcome: 'denied'
+    }));
+  });
+});
+
+describe('AuditService sinks', () => {
+  it('appends JSONL events and queries them newest first per patient', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'nested', 'audit.jsonl');
+    const service = new AuditService({ sinks: [new JsonlFileAuditSink({ filePath })] });
+
+    await service.record({ actor: 'a', patientId: 'p-1', resourceType: 'observations' });
+    await service.record({ actor: 'b', patientId: 'p-2', resourceType: 'conditions' });
+    await service.record({ actor: 'c', patientId: 'p-1', resourceType: 'procedures' });
+
+    const events = await service.queryByPatient('p-1', { limit: '10' });
+    expect(events.map((event) => event.resourceType)).toEqual(['procedures', 'observations']);
+    expect(events[0]).toEqual(expect.objectContaining({ id: expect.any(String), timestamp: expect.any(String) }));
+    fs.rmSync(path.dirname(path.dirname(filePath)), { recursive: true, force: true });
+  });
+
+  it('merges events recorded under each of a patient\'s ids, newest first', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'audit.jsonl');
+    const service = new AuditService({ sinks: [new JsonlFileAuditSink({ filePath })] });
+
+    await service.record({ patientId: 'patient-7', resourceType: 'observations', timestamp: '2024-05-01T00:00:00Z' });
+    await service.record({ patientId: 'auth0|user-7', resourceType: 'export', timestamp: '2024-05-02T00:00:00Z' });
+    await service.record({ patientId: 'patient-8', resourceType: 'conditions', timestamp: '2024-05-03T00:00:00Z' });
+    await service.record({ patientId: 'patient-7', resourceType: 'procedures', timestamp: '2024-05-04T00:00:00Z' });
+
+    const events = await service.queryByPatient(['patient-7', 'auth0|user-7'], { limit: 2 });
+    expect(events.map((event) => event.resourceType)).toEqual(['procedures', 'export']);
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  it('writes to global and per-patient Redis streams', async () => {
+    const redis = {
+      xAdd: jest.fn().mockResolvedValue('1-0'),
+      xRevRange: jest.fn().mockResolvedValue([{ id: '1-0', message: { event: '{"patientId":"p-1"}' } }])
+    };
+    const sink = new RedisStreamAuditSink({ redis, prefix: 'audit:' });
+
+    await sink.append({ patientId: 'p-1' });
+    const events = await sink.queryByPatient('p-1', { limit: 5 });
+
+    expect(redis.xAdd.mock.calls.map((call) => call[0])).toEqual(['audit:events', 'audit:patient:p-1']);
+    expect(redis.xRevRange).toHaveBeenCalledWith('audit:patient:p-1', '+', '-', { COUNT: 5 });
+    expect(events).toEqual([{ patientId: 'p-1' }]);
+  });
+
+  it('keeps buffered Foundry events when a dataset write fails', async () => {
+    const foundryService = { makeApiRequest: jest.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue({}) };
+    const sink = new FoundryDatasetAuditSink({ foundryService, datasetRid: 'ri.dataset.audit', batchSize: 2 });
+
+    await sink.append({ id: 1 });
+    await expect(sink.append({ id: 2 })).rejects.toThrow('down');
+    await sink.flush();
+
+    expect(foundryService.makeApiRequest).toHaveBeenLastCalledWith(
+      'POST',
+      '/datasets/ri.dataset.audit/branches/master/tables/default/rows',
+      { transactionType: 'APPEND', rows: [{ values: { id: 1 } }, { values: { id: 2 } }] }
+    );
+  });
+
+  it('does not fail the caller when a sink throws', async () => {
+    const service = new AuditService({ sinks: [{ name: 'broken', append: jest.fn().mockRejectedValue(new Error('boom')) }] });
+
+    await expect(service.record({ actor: 'a' })).resolves.toEqual(expect.objectContaining({ actor: 'a' }));
+    await expect(service.queryByPatient('p-1')).resolves.toBeNull();
+  });
+});
+
+describe('GET /api/v1/audit/me', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createAuditApp = () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|audit-user', scope: 'read:patient' };
+      req.context = {};
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/api/v1/audit', auditRouter);
+    return app;
+  };
+
+  it('returns the caller\'s audit events', async () => {
+    jest.spyOn(FoundryService.prototype, 'getPatientProfile').mockResolvedValue(null);
+    const querySpy = jest.spyOn(getAuditService(), 'queryByPatient').mockResolvedValue([
+      { id: 'evt-1', timestamp: '2024-05-01T00:00:00Z', actor: 'auth0|clinician', patientId: 'auth0|audit-user', resourceType: 'observations', action: 'read', recordCount: 3, outcome: 'success', status: 200 }
+    ]);
+
+    const response = await request(createAuditApp()).get('/api/v1/audit/me?limit=10');
+
+    expect(response.status).toBe(200);
+    expect(querySpy).toHaveBeenCalledWith(['auth0|audit-user', 'auth0|audit-user'], { limit: '10', since: undefined });
+    expect(response.body.data).toEqual([expect.objectContaining({ id: 'evt-1', actor: 'auth0|clinician', resourceType: 'observations' })]);
+    expect(response.body.data[0].patientId).toBeUndefined();
+  });
+
+  it('queries the caller\'s profile and sub, ignoring a patientId override', async () => {
+    jest.spyOn(FoundryService.prototype, 'getPatientProfile').mockImplementation(async (identifier) => (
+      identifier === 'auth0|audit-user' ? { properties: { user_id: 'patient-7' } } : { properties: { user_id: identifier } }
+    ));
+    const querySpy = jest.spyOn(getAuditService(), 'queryByPatient').mockResolvedValue([]);
+
+    const response = await request(createAuditApp()).get('/api/v1/audit/me?patientId=patient-8');
+
+    expect(response.status).toBe(200);
+    expect(querySpy).toHaveBeenCalledWith(['patient-7', 'auth0|audit-user'], { limit: undefined, since: undefined });
+  });
+
+  it('rejects invalid since timestamps', async () => {
+    jest.spyOn(FoundryService.prototype, 'getPatientProfile').mockResolvedValue(null);
+
+    const response = await request(createAuditApp()).get('/api/v1/audit/me?since=yesterday');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+  });
+});
@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+
+import { CacheInvalidationBus, getRequestCacheSubjects, resolveRequestCacheSubjects } from '../services/cacheInvalidation.js';
+import { CacheService } from '../services/cacheService.js';
+import { TieredCache } from '../services/tieredCache.js';
+
+// Strings, sets and a multi() that queues commands, enough for tagging and invalidation
+const createRedis = () => {
+  const store = new Map();
+  const sets = new Map();
+  const redis = {
+    store,
+    sets,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    setEx: jest.fn(async (key, ttl, value) => {
+      store.set(key, value);
+      return 'OK';
+    }),
+    sAdd: jest.fn(async (key, member) => {
+      if (!sets.has(key)) {
+        sets.set(key, new Set());
+      }
+      sets.get(key).add(member);
+      return 1;
+    }),
+    sMembers: jest.fn(async (key) => Array.from(sets.get(key) || [])),
+    expire: jest.fn(async () => true),
+    del: jest.fn(async (keys) => keys.filter((key) => store.delete(key) || sets.delete(key)).length),
+    publish: jest.fn(async () => 1),
+    multi: () => {
+      const queued = [];
+      const chain = {
+        sAdd: (...args) => { queued.push(() => redis.sAdd(...args)); return chain; },
+        expire: (...args) => { queued.push(() => redis.expire(...args)); return chain; },
+        exec: async () => Promise.all(queued.map((command) => command()))
+      };
+      return chain;
+    }
+  };
+  return redis;
+};
+
+const createBus = (redis = createRedis()) => {
+  const cacheService = new CacheService(redis);
+  const tieredCache = new TieredCache({ cacheService });
+  return { redis, cacheService, tieredCache, bus: new CacheInvalidationBus({ cacheService, tieredCache }) };
+};
+
+describe('CacheInvalidationBus', () => {
+  it('deletes only the affected types for the affected user', async () => {
+    const { redis, cacheService, tieredCache, bus } = createBus();
+
+    await tieredCache.set('profile', 'auth0|user-1', {}, { first_name: 'Ada' });
+    await tieredCache.set('profile', 'auth0|user-2', {}, { first_name: 'Grace' });
+    await tieredCache.set('conditions', 'auth0|user-1', { pageSize: 25 }, { data: [] });
+    await cacheService.setDashboard('auth0|user-1', { patient: {} });
+
+    const result = await bus.publish('profile.updated', { identifiers: ['auth0|user-1', null], correlationId: 'corr-1' });
+
+    expect(result).toEqual(expect.objectContaining({ subjects: ['auth0|user-1'], keysDeleted: 2 }));
+    expect(Array.from(redis.store.keys()).sort()).toEqual([
+      'atlas:v1:conditions:auth0|user-1:{"pageSize":25}',
+      'atlas:v1:profile:auth0|user-2:{}'
+    ]);
+    expect(redis.sets.has('atlas:v1:tag:profile:auth0|user-1')).toBe(false);
+    expect(await tieredCache.get('profile', 'auth0|user-1', {})).toBeUndefined();
+    expect(await tieredCache.get('conditions', 'auth0|user-1', { pageSize: 25 })).toEqual({ data: [] });
+    expect(redis.publish).toHaveBeenCalledWith('atlas:v1:invalidation', expect.stringContaining('"profile.updated"'));
+  });
+
+  it('drops in-process copies when a peer publishes an invalidation', async () => {
+    const redis = createRedis();
+    const writer = createBus(redis);
+    const peer = createBus(redis);
+    const received = jest.fn();
+    peer.bus.on('invalidated', received);
+
+    await writer.tieredCache.set('medication-requests', 'patient-1', {}, { data: ['old'] });
+    expect(await peer.tieredCache.get('medication-requests', 'patient-1', {})).toEqual({ data: ['old'] });
+
+    await writer.bus.publish('medications.uploaded', { identifiers: ['patient-1'] });
+    // Redis no longer has the key, but the peer's L1 copy would be served until it re-checks
+    expect(peer.tieredCache.l1.size).toBe(1);
+
+    const [[, message]] = redis.publish.mock.calls;
+    peer.bus.handleMessage(message);
+    writer.bus.handleMessage(message);
+
+    expect(peer.tieredCache.l1.size).toBe(0);
+    expect(received).toHaveBeenCalledWith(expect.objectContaining({ event: 'medications.uploaded', remote: true }));
+  });
+
+  it('never fails the write when Redis is unavailable', async () => {
+    const redis = createRedis();
+    redis.sMembers.mockRejectedValue(new Error('connection lost'));
+    redis.publish.mockRejectedValue(new Error('connection lost'));
+    const { bus } = createBus(redis);
+
+    await expect(bus.publish('healthkit.ingested', { identifiers: ['auth0|user-1'] }))
+      .resolves.toEqual(expect.objectContaining({ keysDeleted: 0 }));
+    await expect(bus.publish('unknown.event', { identifiers: ['auth0|user-1'] })).rejects.toThrow('Unknown cache invalidation event');
+  });
+});
+
+describe('getRequestCacheSubjects', () => {
+  it('collects the identifiers entries may be keyed by', () => {
+    const req = {
+      user: { sub: 'auth0|user-1' },
+      context: { username: 'user-1', foundryPatientContext: { patientId: 'patient-1' } }
+    };
+
+    expect(getRequestCacheSubjects(req, 'extra')).toEqual(['auth0|user-1', 'user-1', 'patient-1', 'extra']);
+  });
+
+  it('resolves the caller patient for ingest routes, ignoring a patientId override', async () => {
+    const foundryService = {
+      getPatientProfile: jest.fn(async (userId) => (userId === 'auth0|user-1' ? { properties: { patientId: 'patient-1' } } : null))
+    };
+    const req = {
+      user: { sub: 'auth0|user-1' },
+      query: { patientId: 'patient-of-someone-else' },
+      context: { username: 'user-1' }
+    };
+
+    expect(await resolveRequestCacheSubjects(req, { foundryService, routeName: 'healthkit' }))
+      .toEqual(['auth0|user-1', 'user-1', 'patient-1']);
+    expect(foundryService.getPatientProfile).not.toHaveBeenCalledWith('patient-of-someone-else');
+
+    foundryService.getPatientProfile.mockRejectedValue(new Error('Foundry unavailable'));
+    const unresolved = { user: { sub: 'auth0|user-2' }, query: {}, context: {} };
+    expect(await resolveRequestCacheSubjects(unresolved, { foundryService, routeName: 'healthkit' }))
+      .toEqual(expect.arrayContaining(['auth0|user-2']));
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+
+import { ClinicalResourceService, parseSortParam } from '../services/clinicalResourceService.js';
+import { getClinicalResource } from '../services/clinicalResources.js';
+
+const createFoundryService = (result = { data: [] }) => ({
+  getApiOntologyRid: jest.fn(() => 'ontology-test'),
+  searchOntologyObjects: jest.fn().mockResolvedValue(result)
+});
+
+describe('ClinicalResourceService', () => {
+  it('normalizes entries and returns the paginated response shape', async () => {
+    const foundryService = createFoundryService({
+      data: [{ properties: { procedure_id: 'p-1', procedureId: 'p-1', performed_period_start: '2024-01-02' } }],
+      nextPageToken: 'next-token'
+    });
+    const service = new ClinicalResourceService({ foundryService });
+
+    const payload = await service.fetchResource('procedures', {
+      patientId: 'auth0|user-1',
+      pageSize: '500',
+      correlationId: 'corr-1'
+    });
+
+    expect(foundryService.searchOntologyObjects).toHaveBeenCalledWith('ontology-test', 'FastenProcedures', {
+      where: { type: 'eq', field: 'auth0id', value: 'auth0|user-1' },
+      pageSize: 100
+    });
+    expect(payload).toMatchObject({
+      success: true,
+      nextPageToken: 'next-token',
+      correlationId: 'corr-1',
+      data: [{ procedureId: 'p-1', id: 'p-1', performedDate: '2024-01-02' }]
+    });
+  });
+
+  it('applies registered filter fields and ignores unknown query parameters', async () => {
+    const foundryService = createFoundryService();
+    const service = new ClinicalResourceService({ foundryService });
+
+    await service.fetchResource('allergies', {
+      patientId: 'auth0|user-1',
+      filters: { clinicalStatus: 'active', unknown: 'value' }
+    });
+
+    expect(foundryService.searchOntologyObjects.mock.calls[0][2].where).toEqual({
+      type: 'and',
+      value: [
+        { type: 'eq', field: 'auth0id', value: 'auth0|user-1' },
+        { type: 'eq', field: 'clinicalStatus', value: 'active' }
+      ]
+    });
+  });
+
+  it('switches observations to the vitals object type for vital-signs', async () => {
+    const foundryService = createFoundryService();
+    const service = new ClinicalResourceService({ foundryService });
+
+    await service.fetchResource('observations', {
+      patientId: 'auth0|user-1',
+      filters: { category: 'vital-signs' }
+    });
+    await service.fetchResource('observations', {
+      patientId: 'auth0|user-1',
+      filters: { category: 'laboratory' }
+    });
+
+    const [vitalsCall, labsCall] = foundryService.searchOntologyObjects.mock.calls;
+    expect(vitalsCall[1]).toBe('FastenVitals');
+    expect(vitalsCall[2].where).toEqual({ type: 'eq', field: 'auth0id', value: 'auth0|user-1' });
+    expect(labsCall[1]).toBe('FastenObservations');
+    expect(labsCall[2].where.value[1]).toEqual({
+      type: 'or',
+      value: [
+        { type: 'eq', field: 'categoryCode', value: 'laboratory' },
+        { type: 'eq', field: 'categoryDisplay', value: 'Laboratory' }
+      ]
+    });
+  });
+
+  it('drops clinical notes without an identifier', async () => {
+    const foundryService = createFoundryService({
+      data: [{ properties: { noteId: 'n-1' } }, { properties: { title: 'orphan' } }]
+    });
+    const service = new ClinicalResourceService({ foundryService });
+
+    const payload = await service.fetchResource(getClinicalResource('clinical-notes'), { patientId: 'patient-1' });
+
+    expect(payload.data).toHaveLength(1);
+    expect(payload.data[0].noteId).toBe('n-1');
+  });
+
+  it('serves repeated requests from the cache', async () => {
+    const foundryService = createFoundryService();
+    const service = new ClinicalResourceService({ foundryService });
+
+    await service.fetchResource('conditions', { patientId: 'auth0|user-1', sort: 'onsetDate:ASC' });
+    await service.fetchResource('conditions', { patientId: 'auth0|user-1', sort: 'onsetDate:ASC' });
+
+    expect(foundryService.searchOntologyObjects).toHaveBeenCalledTimes(1);
+  });
+
+  it('reads direct fetches from Foundry without touching the cache', async () => {
+    const foundryService = createFoundryService();
+    const service = new ClinicalResourceService({ foundryService });
+
+    await service.fetchResourceDirect('conditions', { patientId: 'auth0|user-1' });
+    await service.fetchResourceDirect('conditions', { patientId: 'auth0|user-1' });
+    await service.fetchResource('conditions', { patientId: 'auth0|user-1' });
+
+    expect(foundryService.searchOntologyObjects).toHaveBeenCalledTimes(3);
+  });
+
+  it('throws a configuration error when the ontology RID is missing', async () => {
+    const foundryService = createFoundryService();
+    foundryService.getApiOntologyRid.mockReturnValue(null);
+    const service = new ClinicalResourceService({ foundryService });
+
+    await expect(service.fetchResource('immunizations', { patientId: 'auth0|user-1' }))
+      .rejects.toThrow('Foundry immunizations ontology RID is not configured');
+  });
+});
+
+describe('parseSortParam', () => {
+  const fields = ['recordedDate', 'conditionName'];
+
+  it.each([
+    ['conditionName:ASC', { field: 'conditionName', direction: 'ASC' }],
+    ['-conditionName', { field: 'conditionName', direction: 'DESC' }],
+    ['+conditionName', { field: 'conditionName', direction: 'ASC' }],
+    ['conditionName', { field: 'conditionName', direction: 'DESC' }],
+    ['unknown:ASC', { field: 'recordedDate', direction: 'DESC' }],
+    [undefined, { field: 'recordedDate', direction: 'DESC' }]
+  ])('parses %p', (input, expected) => {
+    expect(parseSortParam(input, fields)).toEqual(expected);
+  });
+});
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+
+import { EncounterDetailService, getEncounterDateKeys } from '../services/encounterDetailService.js';
+
+const createServices = ({ encounter, linked = {}, recordings = [] } = {}) => ({
+  encountersService: {
+    fetchEncounterById: jest.fn().mockResolvedValue(encounter ?? null)
+  },
+  clinicalResourceService: {
+    fetchResource: jest.fn(async (definition, { filters }) => {
+      const key = filters.category ? `${definition.name}:${filters.category}` : definition.name;
+      return { success: true, data: linked[key] || [], nextPageToken: null };
+    })
+  },
+  intraencounterService: {
+    searchPageByUserId: jest.fn().mockResolvedValue({ data: recordings, nextPageToken: null })
+  }
+});
+
+describe('EncounterDetailService', () => {
+  it('returns the encounter with linked artifacts and same-day recordings', async () => {
+    const services = createServices({
+      encounter: { encounterId: 'enc-1', periodStart: '2024-02-01T21:30:00-07:00' },
+      linked: {
+        'clinical-notes': [{ noteId: 'note-1', encounterId: 'enc-1' }],
+        procedures: [{ procedureId: 'proc-1', encounterId: 'enc-1' }],
+        observations: [{ observationId: 'obs-1', encounterId: 'enc-1' }],
+        'observations:vital-signs': [{ vitalId: 'vital-1', encounterId: 'enc-1' }],
+        conditions: [{ conditionId: 'cond-1', encounterId: 'enc-1' }]
+      },
+      recordings: [
+        { $rid: 'ri.rec.1', properties: { timestamp: '2024-02-02T04:45:00Z', transcript: 'same evening' } },
+        { $rid: 'ri.rec.2', properties: { timestamp: '2024-02-03T12:00:00Z' } }
+      ]
+    });
+    const service = new EncounterDetailService(services);
+
+    const detail = await service.fetchEncounterDetail({
+      patientId: 'auth0|user-1',
+      encounterId: 'enc-1',
+      recordingUserId: 'auth0|user-1'
+    });
+
+    expect(services.clinicalResourceService.fetchResource).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'procedures' }),
+      expect.objectContaining({ filters: { encounterId: 'enc-1' } })
+    );
+    expect(detail.clinicalNotes).toHaveLength(1);
+    expect(detail.procedures).toHaveLength(1);
+    expect(detail.observations.map((item) => item.observationId || item.vitalId)).toEqual(['obs-1', 'vital-1']);
+    expect(detail.conditions).toHaveLength(1);
+    expect(detail.recordings).toEqual([
+      { $rid: 'ri.rec.1', timestamp: '2024-02-02T04:45:00Z', transcript: 'same evening' }
+    ]);
+    expect(detail.sources.recordings).toEqual({ status: 'ok', count: 1 });
+  });
+
+  it('pages through recordings until they reach back past the encounter', async () => {
+    const services = createServices({ encounter: { encounterId: 'enc-1', periodStart: '2024-02-01T10:00:00Z' } });
+    const pages = {
+      first: { data: [{ $rid: 'ri.rec.new', properties: { timestamp: '2024-03-01T10:00:00Z' } }], nextPageToken: 'page-2' },
+      'page-2': { data: [{ $rid: 'ri.rec.visit', properties: { timestamp: '2024-02-01T11:00:00Z' } }], nextPageToken: 'page-3' },
+      'page-3': { data: [{ $rid: 'ri.rec.old', properties: { timestamp: '2024-01-15T10:00:00Z' } }], nextPageToken: 'page-4' }
+    };
+    services.intraencounterService.searchPageByUserId.mockImplementation(async (userId, { nextPageToken }) => pages[nextPageToken || 'first']);
+    const service = new EncounterDetailService(services);
+
+    const detail = await service.fetchEncounterDetail({ patientId: 'auth0|user-1', encounterId: 'enc-1', recordingUserId: 'auth0|user-1' });
+
+    expect(detail.recordings.map((recording) => recording.$rid)).toEqual(['ri.rec.visit']);
+    expect(services.intraencounterService.searchPageByUserId).toHaveBeenCalledTimes(3);
+  });
+
+  it('returns null when the encounter does not exist', async () => {
+    const services = createServices();
+    const service = new EncounterDetailService(services);
+
+    await expect(service.fetchEncounterDetail({ patientId: 'auth0|user-1', encounterId: 'missing' })).resolves.toBeNull();
+    expect(services.clinicalResourceService.fetchResource).not.toHaveBeenCalled();
+  });
+
+  it('reports failed sections without failing the whole detail', async () => {
+    const services = createServices({ encounter: { encounterId: 'enc-1', periodStart: '2024-02-01' } });
+    services.clinicalResourceService.fetchResource.mockRejectedValueOnce(new Error('boom'));
+    services.intraencounterService.searchPageByUserId.mockRejectedValue(new Error('osdk down'));
+    const service = new EncounterDetailService(services);
+
+    const detail = await service.fetchEncounterDetail({ patientId: 'auth0|user-1', encounterId: 'enc-1' });
+
+    expect(detail.sources.clinicalNotes.status).toBe('error');
+    expect(detail.sources.recordings.status).toBe('error');
+    expect(detail.recordings).toEqual([]);
+  });
+});
+
+describe('getEncounterDateKeys', () => {
+  it('covers every day of a multi-day period', () => {
+    const { keys } = getEncounterDateKeys({ periodStart: '2024-03-30T10:00:00Z', periodEnd: '2024-04-01T08:00:00Z' });
+    expect([...keys]).toEqual(['2024-03-30', '2024-03-31', '2024-04-01']);
+  });
+});
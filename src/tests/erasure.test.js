@@ -0,0 +1,312 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import { erasureRouter } from '../routes/erasure.js';
+import { CacheService } from '../services/cacheService.js';
+import { ErasureService, MemoryErasureJobStore, getErasureService, hashErasureSubject, initializeErasureService } from '../services/erasureService.js';
+import { FoundryService } from '../services/foundryService.js';
+import { HealthkitUploadSessionService } from '../services/healthkitUploadSessionService.js';
+import { MediaCache } from '../services/mediaCache.js';
+import { PatientExportService } from '../services/patientExportService.js';
+
+const createDatasetService = (paths) => {
+  const files = new Set(paths);
+  return {
+    files,
+    listFiles: jest.fn(async (prefix) => ({
+      files: Array.from(files).filter((path) => path.startsWith(prefix)).map((path) => ({ path })),
+      truncated: false
+    })),
+    deleteFile: jest.fn(async (path) => files.delete(path))
+  };
+};
+
+const createService = (overrides = {}) => {
+  const chats = [{ $primaryKey: 'chat-1' }, { $primaryKey: 'chat-2' }];
+  const foundryService = {
+    ontologyRid: 'ontology-main',
+    medicationsOntologyRid: 'ontology-meds',
+    medicationsUploadObjectType: 'MedictionsPipeline',
+    getToken: jest.fn().mockResolvedValue('token'),
+    applyOntologyAction: jest.fn(async (actionId, parameters) => {
+      if (actionId === 'delete-ai-chat-history-production') {
+        chats.splice(chats.findIndex((chat) => chat.$primaryKey === parameters.AiChatHistoryProduction), 1);
+      }
+      return {};
+    }),
+    searchOntologyObjects: jest.fn().mockResolvedValue({ data: [{ __primaryKey: 'med-1', userId: 'auth0|user-1' }] }),
+    normalizeOntologySearchResults: jest.fn((result) => result.data.map((item) => ({ rid: item.__primaryKey })))
+  };
+
+  const dependencies = {
+    foundryService,
+    cacheService: { invalidateIdentifiers: jest.fn().mockResolvedValue(4) },
+    aiChatHistoryService: { searchByUserId: jest.fn(async () => [...chats]) },
+    intraencounterService: { searchByUserId: jest.fn().mockResolvedValue([]) },
+    healthkitDatasetService: createDatasetService(['healthkit/raw/auth0|user-1/a.json', 'healthkit/raw/auth0|other/b.json']),
+    fastenDatasetService: createDatasetService(['fasten-fhir/auth0|user-1/c.jsonl']),
+    mediaOwnershipService: { listOwnedMedia: jest.fn().mockResolvedValue([]), forget: jest.fn() },
+    mediaCache: { forgetItems: jest.fn().mockResolvedValue(0) },
+    uploadSessionService: { eraseUser: jest.fn().mockResolvedValue(0) },
+    patientExportService: { eraseUser: jest.fn().mockResolvedValue(0) },
+    createProfileService: () => ({ findProfileByUserId: jest.fn().mockResolvedValueOnce({ atlasId: 'atlas-1' }).mockResolvedValue(null) }),
+    store: new MemoryErasureJobStore(),
+    receiptSecret: 'test-secret',
+    ...overrides
+  };
+
+  return { service: new ErasureService(dependencies), ...dependencies };
+};
+
+describe('ErasureService', () => {
+  it('erases every store and signs a receipt that identifies the user only by hash', async () => {
+    const { service, foundryService, cacheService, healthkitDatasetService, fastenDatasetService } = createService();
+
+    const { job, created } = await service.startErasure({ userId: 'auth0|user-1', username: 'user-1', patientId: 'patient-1' });
+    const finished = await service.waitForJob(job.id);
+
+    expect(created).toBe(true);
+    expect(finished.status).toBe('completed');
+    expect(finished.identifiers).toBeNull();
+    expect(Object.fromEntries(finished.steps.map((step) => [step.name, step.deleted]))).toEqual({
+      'media-cache': 0,
+      'chat-history': 2,
+      intraencounter: 0,
+      'medication-uploads': 1,
+      'healthkit-upload-sessions': 0,
+      'healthkit-files': 1,
+      'fasten-files': 1,
+      'patient-exports': 0,
+      profile: 1,
+      cache: 4
+    });
+    expect(foundryService.applyOntologyAction).toHaveBeenCalledWith('delete-medications-upload', { MedictionsPipeline: 'med-1' }, {}, 'ontology-meds');
+    expect(foundryService.applyOntologyAction).toHaveBeenCalledWith('delete-a', { A: 'atlas-1' }, {}, 'ontology-main');
+    expect(cacheService.invalidateIdentifiers).toHaveBeenCalledWith(['auth0|user-1', 'user-1', 'patient-1']);
+    expect(Array.from(healthkitDatasetService.files)).toEqual(['healthkit/raw/auth0|other/b.json']);
+    expect(fastenDatasetService.files.size).toBe(0);
+
+    const { receipt } = finished;
+    expect(receipt.subjectHash).toBe(hashErasureSubject('auth0|user-1'));
+    expect(JSON.stringify(receipt)).not.toContain('auth0|user-1');
+    expect(service.verifyReceipt(receipt)).toBe(true);
+    expect(service.verifyReceipt({ ...receipt, steps: [] })).toBe(false);
+  });
+
+  it('resumes a failed job from the step that failed', async () => {
+    const fastenDatasetService = createDatasetService(['fasten-fhir/auth0|user-1/c.jsonl']);
+    fastenDatasetService.deleteFile.mockRejectedValueOnce(new Error('Foundry unavailable'));
+    const { service, aiChatHistoryService } = createService({ fastenDatasetService });
+
+    const { job } = await service.startErasure({ userId: 'auth0|user-1' });
+    const failed = await service.waitForJob(job.id);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.steps.find((step) => step.name === 'fasten-files')).toEqual(expect.objectContaining({ status: 'failed', error: 'Foundry unavailable' }));
+    expect(failed.steps.find((step) => step.name === 'profile').status).toBe('pending');
+    const chatSearches = aiChatHistoryService.searchByUserId.mock.calls.length;
+
+    const retried = await service.startErasure({ userId: 'auth0|user-1' });
+    expect(retried.created).toBe(false);
+    const finished = await service.waitForJob(job.id);
+
+    expect(finished.status).toBe('completed');
+    expect(aiChatHistoryService.searchByUserId.mock.calls.length).toBe(chatSearches);
+    expect(finished.steps.find((step) => step.name === 'fasten-files')).toEqual(expect.objectContaining({ deleted: 1, attempts: 2 }));
+  });
+
+  it('refuses to run in production without a receipt secret', () => {
+    expect(() => createService({ receiptSecret: '', production: true })).toThrow('ERASURE_RECEIPT_SECRET is required in production');
+  });
+
+  it('fails the file step without a receipt when the dataset listing was truncated', async () => {
+    const healthkitDatasetService = createDatasetService(['healthkit/raw/auth0|user-1/a.json']);
+    healthkitDatasetService.listFiles.mockResolvedValueOnce({ files: [{ path: 'healthkit/raw/auth0|user-1/a.json' }], truncated: true });
+    const { service } = createService({ healthkitDatasetService });
+
+    const { job } = await service.startErasure({ userId: 'auth0|user-1' });
+    const failed = await service.waitForJob(job.id);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.receipt).toBeFalsy();
+    expect(failed.steps.find((step) => step.name === 'healthkit-files')).toEqual(expect.objectContaining({
+      status: 'failed',
+      deleted: 1,
+      error: 'Dataset listing for healthkit/raw/auth0|user-1/ was truncated; files may remain'
+    }));
+  });
+
+  describe('with local stores', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'atlas-erasure-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('erases cached media, staged uploads and exports, leaving other users alone', async () => {
+      const mediaCache = new MediaCache({ cacheService: new CacheService(null), cacheDir: path.join(tempDir, 'media') });
+      await mediaCache.put('ri.set-1:ri.item-mine', Buffer.from('my photo'), 'image/jpeg');
+      await mediaCache.put('item:ri.item-theirs', Buffer.from('their photo'), 'image/jpeg');
+      const mediaOwnershipService = { listOwnedMedia: jest.fn().mockResolvedValue(['ri.item-mine']), forget: jest.fn() };
+
+      const uploadSessionService = new HealthkitUploadSessionService({ datasetService: {}, dedupeService: {} });
+      const mine = await uploadSessionService.createSession({ userId: 'auth0|user-1' });
+      const theirs = await uploadSessionService.createSession({ userId: 'auth0|other' });
+      await uploadSessionService.store.putChunk(mine, 0, { sequence: 0 }, Buffer.from('{}'));
+
+      const patientExportService = new PatientExportService({ foundryService: {}, clinicalResourceService: {}, exportDir: path.join(tempDir, 'exports') });
+      const retainUntil = Date.now() + 60000;
+      await fs.mkdir(patientExportService.exportDir);
+      for (const [id, userId] of [['export-mine', 'auth0|user-1'], ['export-theirs', 'auth0|other']]) {
+        await patientExportService.store.save({ id, userId, status: 'completed', createdAt: new Date().toISOString(), expiresAt: new Date(retainUntil).toISOString() }, { retainUntil });
+        await fs.writeFile(path.join(patientExportService.exportDir, `${id}.zip`), 'zip');
+      }
+
+      const { service } = createService({ mediaOwnershipService, mediaCache, uploadSessionService, patientExportService });
+      const { job } = await service.startErasure({ userId: 'auth0|user-1', username: 'user-1', patientId: 'patient-1' });
+      const finished = await service.waitForJob(job.id);
+
+      expect(finished.status).toBe('completed');
+      const deleted = Object.fromEntries(finished.steps.map((step) => [step.name, step.deleted]));
+      expect(deleted).toEqual(expect.objectContaining({ 'media-cache': 1, 'healthkit-upload-sessions': 1, 'patient-exports': 1 }));
+      expect(mediaOwnershipService.listOwnedMedia).toHaveBeenCalledWith(['auth0|user-1', 'user-1', 'patient-1']);
+      expect(mediaOwnershipService.forget).toHaveBeenCalledWith(['ri.item-mine']);
+
+      expect(await mediaCache.lookup('ri.set-1:ri.item-mine')).toBeNull();
+      expect(await mediaCache.lookup('item:ri.item-theirs')).toEqual(expect.objectContaining({ size: 11 }));
+      expect(mediaCache.blobs.size).toBe(1);
+
+      expect(await uploadSessionService.store.get(mine.id)).toBeNull();
+      expect(await uploadSessionService.store.get(theirs.id)).not.toBeNull();
+      expect(uploadSessionService.store.stagedBytes).toBe(0);
+
+      expect(await patientExportService.getJob('export-mine')).toBeNull();
+      expect(await patientExportService.getJob('export-theirs')).not.toBeNull();
+      expect(await fs.readdir(patientExportService.exportDir)).toEqual(['export-theirs.zip']);
+    });
+
+    it('fails the export step while an export of the user is still running', async () => {
+      const patientExportService = new PatientExportService({ foundryService: {}, clinicalResourceService: {}, exportDir: tempDir });
+      await patientExportService.store.save(
+        { id: 'export-running', userId: 'auth0|user-1', status: 'running', createdAt: new Date().toISOString() },
+        { retainUntil: Date.now() + 60000 }
+      );
+
+      const { service } = createService({ patientExportService });
+      const { job } = await service.startErasure({ userId: 'auth0|user-1' });
+      const failed = await service.waitForJob(job.id);
+
+      expect(failed.status).toBe('failed');
+      expect(failed.steps.find((step) => step.name === 'patient-exports')).toEqual(expect.objectContaining({
+        status: 'failed',
+        error: 'Patient export export-running is still running'
+      }));
+      expect(await patientExportService.getJob('export-running')).not.toBeNull();
+    });
+  });
+});
+
+// Redis glob semantics for `*` and backslash escapes, enough for the patterns CacheService builds
+const globToRegExp = (glob) => new RegExp(`^${glob
+  .split(/(\\.|\*)/)
+  .map((part) => (part === '*' ? '.*' : (part.startsWith('\\') ? part.slice(1) : part).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+  .join('')}$`);
+
+describe('CacheService.invalidateIdentifiers', () => {
+  it('scans every key type for each identifier', async () => {
+    const keys = ['atlas:v1:dashboard:auth0|u1', 'atlas:v1:observations:patient-1:{}', 'atlas:v1:profile:auth0|u2'];
+    const redis = {
+      scanIterator: jest.fn(async function* scan({ MATCH }) {
+        yield* keys.filter((key) => globToRegExp(MATCH).test(key));
+      }),
+      del: jest.fn(async (matched) => matched.length)
+    };
+
+    const deleted = await new CacheService(redis).invalidateIdentifiers(['auth0|u1', 'patient-1', null]);
+
+    expect(deleted).toBe(2);
+    expect(redis.del.mock.calls.flat()).toEqual([['atlas:v1:dashboard:auth0|u1'], ['atlas:v1:observations:patient-1:{}']]);
+  });
+});
+
+describe('POST /api/v1/erasure', () => {
+  const createApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|user-1', scope: 'read:patient execute:actions' };
+      req.context = { username: 'user-1', foundryPatientContext: { patientId: 'patient-1' } };
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/api/v1/erasure', erasureRouter);
+    return app;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requires explicit confirmation', async () => {
+    const startSpy = jest.spyOn(getErasureService(), 'startErasure');
+
+    const response = await request(createApp()).post('/api/v1/erasure').send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('CONFIRMATION_REQUIRED');
+    expect(startSpy).not.toHaveBeenCalled();
+  });
+
+  it('erases only the caller, whatever the patientId query or username header say', async () => {
+    jest.spyOn(FoundryService.prototype, 'getPatientProfile').mockResolvedValue(null);
+    const startSpy = jest.spyOn(getErasureService(), 'startErasure')
+      .mockResolvedValue({ job: { id: 'job-1', status: 'running', steps: [] }, created: true });
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|user-1', scope: 'execute:actions', preferred_username: 'user-1' };
+      req.context = { username: 'someone-else' };
+      next();
+    });
+    app.use('/api/v1/erasure', erasureRouter);
+
+    const response = await request(app).post('/api/v1/erasure?patientId=patient-of-someone-else').send({ confirm: true });
+
+    expect(response.status).toBe(202);
+    expect(startSpy).toHaveBeenCalledWith(expect.objectContaining({ userId: 'auth0|user-1', username: 'user-1', patientId: 'auth0|user-1' }));
+  });
+
+  it('hides other users\' jobs', async () => {
+    jest.spyOn(getErasureService(), 'getJob').mockResolvedValue({ id: 'job-1', subjectHash: hashErasureSubject('auth0|someone-else') });
+
+    const response = await request(createApp()).get('/api/v1/erasure/job-1');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('ERASURE_NOT_FOUND');
+  });
+
+  it('answers 503 instead of failing startup when erasure cannot be configured', async () => {
+    const { NODE_ENV, ERASURE_RECEIPT_SECRET } = process.env;
+    process.env.NODE_ENV = 'production';
+    delete process.env.ERASURE_RECEIPT_SECRET;
+    try {
+      expect(initializeErasureService({ foundryService: new FoundryService({}) })).toBeNull();
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (ERASURE_RECEIPT_SECRET !== undefined) process.env.ERASURE_RECEIPT_SECRET = ERASURE_RECEIPT_SECRET;
+    }
+
+    const response = await request(createApp()).post('/api/v1/erasure').send({ confirm: true });
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('ERASURE_UNAVAILABLE');
+  });
+});
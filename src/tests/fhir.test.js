@@ -0,0 +1,220 @@
+import express from 'express';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import { fhirRouter } from '../routes/fhir.js';
+import { ClinicalResourceService } from '../services/clinicalResourceService.js';
+import { EncountersService } from '../services/encountersService.js';
+import { FoundryService } from '../services/foundryService.js';
+
+const createApp = () => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { sub: 'auth0|fhir-user', scope: 'read:patient' };
+    req.context = { username: req.user.sub };
+    req.correlationId = 'test-correlation-id';
+    next();
+  });
+  app.use('/api/v1/fhir/r4', fhirRouter);
+  return app;
+};
+
+describe('FHIR R4 facade', () => {
+  beforeEach(() => {
+    jest.spyOn(FoundryService.prototype, 'getPatientProfile').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves a CapabilityStatement at /metadata', async () => {
+    const response = await request(createApp()).get('/api/v1/fhir/r4/metadata');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('application/fhir+json');
+    expect(response.body.resourceType).toBe('CapabilityStatement');
+    expect(response.body.fhirVersion).toBe('4.0.1');
+    expect(response.body.rest[0].resource.map((resource) => resource.type)).toEqual(expect.arrayContaining([
+      'Patient', 'Observation', 'Condition', 'Procedure', 'Immunization', 'AllergyIntolerance', 'Encounter', 'DocumentReference'
+    ]));
+  });
+
+  it('returns Observation searchset bundles with next links mapped from page tokens', async () => {
+    const fetchSpy = jest.spyOn(ClinicalResourceService.prototype, 'fetchResource').mockResolvedValue({
+      success: true,
+      data: [
+        {
+          observationId: 'obs-1',
+          code: '2339-0',
+          system: 'http://loinc.org',
+          display: 'Glucose',
+          categoryCode: 'laboratory',
+          effectiveDatetime: '2024-03-02T10:00:00Z',
+          valueQuantity: 5.4,
+          valueUnit: 'mmol/L'
+        },
+        {
+          observationId: 'obs-2',
+          code: '718-7',
+          display: 'Hemoglobin',
+          categoryCode: 'laboratory',
+          effectiveDatetime: '2023-12-30T10:00:00Z',
+          valueQuantity: 13.1,
+          valueUnit: 'g/dL'
+        }
+      ],
+      nextPageToken: 'foundry-token-2'
+    });
+
+    const response = await request(createApp())
+      .get('/api/v1/fhir/r4/Observation')
+      .query({ category: 'laboratory', date: 'ge2024-01', _count: '10' });
+
+    expect(response.status).toBe(200);
+    expect(fetchSpy).toHaveBeenCalledWith('observations', expect.objectContaining({
+      patientId: 'auth0|fhir-user',
+      pageSize: '10',
+      filters: { category: 'laboratory' }
+    }));
+    expect(response.body.resourceType).toBe('Bundle');
+    expect(response.body.type).toBe('searchset');
+    expect(response.body.entry).toHaveLength(1);
+
+    const observation = response.body.entry[0].resource;
+    expect(observation).toMatchObject({
+      resourceType: 'Observation',
+      id: 'obs-1',
+      status: 'final',
+      subject: { reference: 'Patient/auth0-fhir-user' },
+      valueQuantity: { value: 5.4, unit: 'mmol/L', system: 'http://unitsofmeasure.org' }
+    });
+    expect(observation.code.coding[0]).toEqual({ system: 'http://loinc.org', code: '2339-0', display: 'Glucose' });
+
+    const nextLink = response.body.link.find((link) => link.relation === 'next');
+    expect(nextLink.url).toContain('_page_token=foundry-token-2');
+    expect(nextLink.url).toContain('category=laboratory');
+  });
+
+  it('filters by date and code and sorts results that fit in one page', async () => {
+    jest.spyOn(ClinicalResourceService.prototype, 'fetchResource').mockResolvedValue({
+      success: true,
+      data: [
+        { conditionId: 'c-1', conditionName: 'Asthma', recordedDate: '2020-01-01' },
+        { conditionId: 'c-2', conditionName: 'Hypertension', recordedDate: '2022-01-01' },
+        { conditionId: 'c-3', conditionName: 'Asthma', recordedDate: '2023-05-01' },
+        { conditionId: 'c-4', conditionName: 'Asthma', recordedDate: '2019-06-01' }
+      ],
+      nextPageToken: null
+    });
+
+    const response = await request(createApp())
+      .get('/api/v1/fhir/r4/Condition')
+      .query({ code: 'asthma', date: 'ge2020', _sort: '-date' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.entry.map((entry) => entry.resource.id)).toEqual(['c-3', 'c-1']);
+    expect(response.body.link.some((link) => link.relation === 'next')).toBe(false);
+  });
+
+  it('filters date and code on each page and refuses _sort on searches that span several pages', async () => {
+    const fetchSpy = jest.spyOn(ClinicalResourceService.prototype, 'fetchResource').mockResolvedValue({
+      success: true,
+      data: [
+        { observationId: 'obs-1', code: '2339-0', categoryCode: 'laboratory', effectiveDatetime: '2024-03-02T10:00:00Z' },
+        { observationId: 'obs-2', code: '718-7', categoryCode: 'laboratory', effectiveDatetime: '2024-03-03T10:00:00Z' }
+      ],
+      nextPageToken: 'foundry-token-2'
+    });
+
+    const filtered = await request(createApp())
+      .get('/api/v1/fhir/r4/Observation')
+      .query({ code: '2339-0', date: 'ge2024-01', category: 'laboratory,vital-signs' });
+    expect(filtered.status).toBe(200);
+    expect(filtered.body.entry.map((entry) => entry.resource.id)).toEqual(['obs-1']);
+    const nextLink = filtered.body.link.find((link) => link.relation === 'next');
+    expect(nextLink.url).toContain('code=2339-0');
+    expect(nextLink.url).toContain('_page_token=foundry-token-2');
+    expect(fetchSpy).toHaveBeenLastCalledWith('observations', expect.objectContaining({ filters: {} }));
+
+    const nextPage = await request(createApp())
+      .get('/api/v1/fhir/r4/Observation')
+      .query({ code: '2339-0', _page_token: 'foundry-token-2' });
+    expect(nextPage.status).toBe(200);
+    expect(fetchSpy).toHaveBeenLastCalledWith('observations', expect.objectContaining({ pageToken: 'foundry-token-2' }));
+
+    const sorted = await request(createApp()).get('/api/v1/fhir/r4/Observation').query({ _sort: 'date' });
+    expect(sorted.status).toBe(400);
+    expect(sorted.body.issue[0]).toMatchObject({ code: 'too-costly', details: { text: expect.stringContaining('_sort') } });
+
+    fetchSpy.mockClear();
+    const sortedNextPage = await request(createApp())
+      .get('/api/v1/fhir/r4/Observation')
+      .query({ _sort: 'date', _page_token: 'foundry-token-2' });
+    expect(sortedNextPage.status).toBe(400);
+    expect(sortedNextPage.body.issue[0].code).toBe('not-supported');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it('maps encounters through the encounters service', async () => {
+    jest.spyOn(EncountersService.prototype, 'fetchEncounters').mockResolvedValue({
+      success: true,
+      data: [{ encounterId: 'enc-1', status: 'finished', classDisplay: 'ambulatory', periodStart: '2024-01-01T09:00:00Z' }],
+      nextPageToken: null
+    });
+
+    const response = await request(createApp()).get('/api/v1/fhir/r4/Encounter');
+
+    expect(response.status).toBe(200);
+    expect(response.body.entry[0].resource).toMatchObject({
+      resourceType: 'Encounter',
+      id: 'enc-1',
+      status: 'finished',
+      period: { start: '2024-01-01T09:00:00Z' }
+    });
+  });
+
+  it('returns an OperationOutcome for unsupported resource types and invalid dates', async () => {
+    const unsupported = await request(createApp()).get('/api/v1/fhir/r4/Claim');
+    expect(unsupported.status).toBe(404);
+    expect(unsupported.body.resourceType).toBe('OperationOutcome');
+    expect(unsupported.body.issue[0].code).toBe('not-supported');
+
+    const invalidDate = await request(createApp()).get('/api/v1/fhir/r4/Observation').query({ date: 'ge-yesterday' });
+    expect(invalidDate.status).toBe(400);
+    expect(invalidDate.body.issue[0].code).toBe('invalid');
+  });
+
+  it('maps Foundry throttling to a throttled OperationOutcome', async () => {
+    const error = new Error('Too many requests');
+    error.status = 429;
+    jest.spyOn(ClinicalResourceService.prototype, 'fetchResource').mockRejectedValue(error);
+
+    const response = await request(createApp()).get('/api/v1/fhir/r4/Procedure');
+
+    expect(response.status).toBe(503);
+    expect(response.body.issue[0].code).toBe('throttled');
+  });
+
+  it('reads the authenticated Patient and hides other ids', async () => {
+    jest.spyOn(ClinicalResourceService.prototype, 'fetchResource').mockResolvedValue({
+      success: true,
+      data: [{ givenName: 'Ada', familyName: 'Lovelace', gender: 'Female', birthDate: '1815-12-10' }],
+      nextPageToken: null
+    });
+
+    const own = await request(createApp()).get('/api/v1/fhir/r4/Patient/auth0-fhir-user');
+    expect(own.status).toBe(200);
+    expect(own.body).toMatchObject({
+      resourceType: 'Patient',
+      id: 'auth0-fhir-user',
+      gender: 'female',
+      birthDate: '1815-12-10',
+      name: [{ family: 'Lovelace', given: ['Ada'] }]
+    });
+
+    const other = await request(createApp()).get('/api/v1/fhir/r4/Patient/someone-else');
+    expect(other.status).toBe(404);
+    expect(other.body.resourceType).toBe('OperationOutcome');
+  });
+});
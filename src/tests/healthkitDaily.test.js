@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+
+import { CacheService } from '../services/cacheService.js';
+import { HealthkitDailyService, validateDailyParams } from '../services/healthkitDailyService.js';
+import { TieredCache } from '../services/tieredCache.js';
+
+const sample = (uuid, sampleType, startDate, fields = {}) => ({
+  sampleClass: 'HKQuantitySample',
+  sampleType: `HKQuantityTypeIdentifier${sampleType}`,
+  uuid,
+  startDate,
+  endDate: startDate,
+  sourceName: 'Apple Watch',
+  ...fields
+});
+
+const sleep = (uuid, sleepStage, startDate, endDate, sourceName = 'Apple Watch') => ({
+  sampleClass: 'HKCategorySample',
+  sampleType: 'HKCategoryTypeIdentifierSleepAnalysis',
+  uuid,
+  startDate,
+  endDate,
+  sleepStage,
+  sourceName
+});
+
+// Dataset files as buildHealthkitDatasetFile writes them
+const datasetFile = (...records) => ({
+  data: records.map((record) => ({ uuid: record.uuid, raw_healthkit_record: JSON.stringify(record) }))
+});
+
+const createDatasetService = (files) => ({
+  listUserFiles: jest.fn(async () => ({
+    files: files.map(({ path, updatedTime }) => ({ path, sizeBytes: 1, updatedTime })),
+    truncated: false
+  })),
+  readFile: jest.fn(async (path) => files.find((file) => file.path === path).content)
+});
+
+describe('validateDailyParams', () => {
+  it('defaults to the last seven local days and rejects bad input', () => {
+    const now = Date.parse('2026-03-02T03:00:00Z');
+
+    expect(validateDailyParams({ timeZone: 'America/Los_Angeles' }, now)).toMatchObject({
+      from: '2026-02-23',
+      to: '2026-03-01',
+      today: '2026-03-01',
+      metrics: ['steps', 'sleep', 'heartRate', 'activeEnergy']
+    });
+    expect(validateDailyParams({ from: '2026-03-01', to: '2026-03-01', metrics: 'activeenergy, STEPS' }, now).metrics)
+      .toEqual(['steps', 'activeEnergy']);
+
+    for (const params of [
+      { timeZone: 'Mars/Olympus' },
+      { from: '2026-02-30' },
+      { from: '2026-03-02', to: '2026-03-01' },
+      { from: '2025-01-01', to: '2026-03-01' },
+      { metrics: 'steps,vo2max' }
+    ]) {
+      expect(() => validateDailyParams(params, now)).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_REQUEST' }));
+    }
+  });
+});
+
+describe('HealthkitDailyService', () => {
+  const files = [
+    { path: 'healthkit/raw/auth0|ada/2026-01-01.json', updatedTime: '2026-01-01T00:00:00Z', content: datasetFile(sample('old', 'StepCount', '2026-01-01T10:00:00Z', { valueDouble: 99 })) },
+    {
+      path: 'healthkit/raw/auth0|ada/2026-03-02.json',
+      updatedTime: '2026-03-02T12:00:00Z',
+      content: datasetFile(
+        // 23:30 UTC on Mar 1 is still Mar 1 in UTC but Mar 2 in Berlin
+        sample('s-1', 'StepCount', '2026-03-01T10:00:00Z', { valueDouble: 4000 }),
+        sample('s-2', 'StepCount', '2026-03-01T23:30:00Z', { valueDouble: 1000 }),
+        sample('s-3', 'StepCount', '2026-03-01T11:00:00Z', { valueDouble: 3000, sourceName: 'iPhone' }),
+        sample('e-1', 'ActiveEnergyBurned', '2026-03-01T10:00:00Z', { valueDouble: 300, unit: 'Cal' }),
+        sample('e-2', 'ActiveEnergyBurned', '2026-03-01T12:00:00Z', { valueDouble: 418.4, unit: 'kJ' }),
+        sample('h-1', 'HeartRate', '2026-03-01T10:00:00Z', { valueDouble: 60, unit: 'count/min' }),
+        sample('h-2', 'HeartRate', '2026-03-01T12:00:00Z', { valueDouble: 120, unit: 'count/min' }),
+        sample('h-3', 'RestingHeartRate', '2026-03-01T12:00:00Z', { valueDouble: 55, unit: 'count/min' }),
+        sleep('z-1', 'inBed', '2026-02-28T22:00:00Z', '2026-03-01T06:00:00Z'),
+        sleep('z-2', 'asleepCore', '2026-02-28T22:30:00Z', '2026-03-01T04:00:00Z'),
+        sleep('z-3', 'HKCategoryValueSleepAnalysisAsleepREM', '2026-03-01T04:00:00Z', '2026-03-01T05:30:00Z'),
+        sleep('z-4', 'asleepUnspecified', '2026-02-28T23:00:00Z', '2026-03-01T01:00:00Z', 'iPhone')
+      )
+    },
+    // The same samples uploaded again before deduplication existed
+    { path: 'healthkit/raw/auth0|ada/2026-03-03.json', updatedTime: '2026-03-03T12:00:00Z', content: datasetFile(sample('s-1', 'StepCount', '2026-03-01T10:00:00Z', { valueDouble: 4000 })) }
+  ];
+
+  it('aggregates each metric per local day, taking one source per metric', async () => {
+    const datasetService = createDatasetService(files);
+    const service = new HealthkitDailyService({ datasetService, cache: new TieredCache({ cacheService: new CacheService(null) }) });
+
+    const result = await service.fetchDaily({ userId: 'auth0|ada', from: '2026-03-01', to: '2026-03-02', correlationId: 'corr-1' });
+
+    expect(datasetService.readFile).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ success: true, timeZone: 'UTC', from: '2026-03-01', to: '2026-03-02', correlationId: 'corr-1' });
+    expect(result.data[0]).toEqual({
+      date: '2026-03-01',
+      steps: { total: 5000, source: 'Apple Watch' },
+      sleep: {
+        asleepMinutes: 420,
+        inBedMinutes: 480,
+        stages: { inBed: 480, asleepCore: 330, asleepREM: 90 },
+        source: 'Apple Watch'
+      },
+      heartRate: { resting: 55, average: 90, min: 60, max: 120, samples: 2, unit: '/min' },
+      activeEnergy: { total: 400, unit: 'kcal', source: 'Apple Watch' }
+    });
+    expect(result.data[1]).toEqual({ date: '2026-03-02', steps: null, sleep: null, heartRate: null, activeEnergy: null });
+  });
+
+  it('counts days in the requested time zone and caches each day', async () => {
+    const datasetService = createDatasetService(files);
+    const service = new HealthkitDailyService({ datasetService, cache: new TieredCache({ cacheService: new CacheService(null) }) });
+
+    const berlin = await service.fetchDaily({ userId: 'auth0|ada', from: '2026-03-01', to: '2026-03-02', metrics: 'steps', timeZone: 'Europe/Berlin' });
+    expect(berlin.data).toEqual([
+      { date: '2026-03-01', steps: { total: 4000, source: 'Apple Watch' } },
+      { date: '2026-03-02', steps: { total: 1000, source: 'Apple Watch' } }
+    ]);
+    expect(datasetService.listUserFiles).toHaveBeenCalledTimes(1);
+
+    const again = await service.fetchDaily({ userId: 'auth0|ada', from: '2026-03-02', to: '2026-03-02', metrics: 'sleep', timeZone: 'Europe/Berlin' });
+    expect(again.data).toEqual([{ date: '2026-03-02', sleep: null }]);
+    expect(datasetService.listUserFiles).toHaveBeenCalledTimes(1);
+
+    // A new time zone reads the files again, from the cached file list
+    const readsBefore = datasetService.readFile.mock.calls.length;
+    await service.fetchDaily({ userId: 'auth0|ada', from: '2026-03-02', to: '2026-03-02', timeZone: 'UTC' });
+    expect(datasetService.listUserFiles).toHaveBeenCalledTimes(1);
+    expect(datasetService.readFile.mock.calls.length).toBeGreaterThan(readsBefore);
+  });
+
+  it('reports truncated listings and keeps the days they produce only briefly', async () => {
+    const datasetService = createDatasetService(files);
+    datasetService.listUserFiles.mockImplementation(async () => ({
+      files: files.slice(1).map(({ path, updatedTime }) => ({ path, sizeBytes: 1, updatedTime })),
+      truncated: true
+    }));
+    const cache = new TieredCache({ cacheService: new CacheService(null) });
+    const setSpy = jest.spyOn(cache, 'set');
+    const service = new HealthkitDailyService({ datasetService, cache });
+
+    const result = await service.fetchDaily({ userId: 'auth0|ada', from: '2026-03-01', to: '2026-03-01', metrics: 'steps' });
+
+    expect(result.truncated).toBe(true);
+    expect(result.data).toEqual([{ date: '2026-03-01', steps: { total: 5000, source: 'Apple Watch' } }]);
+    expect(setSpy).toHaveBeenCalledWith('healthkit-daily', 'auth0|ada', { date: '2026-03-01', timeZone: 'UTC' }, expect.anything(), { ttlMs: 5 * 60 * 1000 });
+
+    const cached = await service.fetchDaily({ userId: 'auth0|ada', from: '2026-03-01', to: '2026-03-01', metrics: 'steps' });
+    expect(cached.truncated).toBe(true);
+    expect(datasetService.readFile).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+import { parseHealthkitNdjson } from '../services/healthkitDatasetService.js';
+import {
+  HealthkitDedupeService,
+  MemoryHealthkitDedupeStore,
+  RedisHealthkitDedupeStore,
+  getHealthkitDedupeService,
+  healthkitDedupeKey
+} from '../services/healthkitDedupeService.js';
+import { HealthkitUploadSessionService } from '../services/healthkitUploadSessionService.js';
+import { healthkitRecordHash } from '../utils/healthkitPlaintext.js';
+
+const record = (uuid, startDate = '2026-01-01T10:00:00Z') => ({
+  sampleClass: 'HKQuantitySample',
+  sampleType: 'HKQuantityTypeIdentifierStepCount',
+  uuid,
+  startDate,
+  valueDouble: 42,
+  unit: 'count'
+});
+
+const ndjson = (...records) => Buffer.from(records.map((value) => JSON.stringify(value)).join('\n'));
+
+const uuids = (entries) => entries.map((entry) => entry.record.uuid);
+
+// Enough of a node-redis client for RedisHealthkitDedupeStore
+const createFakeRedis = () => {
+  const sets = new Map();
+  const redis = {
+    sets,
+    multi: () => {
+      const queued = [];
+      const transaction = {
+        sAdd: (key, member) => {
+          queued.push(() => {
+            if (!sets.has(key)) {
+              sets.set(key, new Set());
+            }
+            const before = sets.get(key).size;
+            sets.get(key).add(member);
+            return sets.get(key).size - before;
+          });
+          return transaction;
+        },
+        pExpireAt: () => {
+          queued.push(() => 1);
+          return transaction;
+        },
+        exec: async () => queued.map((command) => command())
+      };
+      return transaction;
+    },
+    sRem: jest.fn(async (key, members) => members.forEach((member) => sets.get(key)?.delete(member))),
+    scanIterator: async function* ({ MATCH }) {
+      const prefix = MATCH.slice(0, -1);
+      yield* [...sets.keys()].filter((key) => key.startsWith(prefix));
+    },
+    del: jest.fn(async (keys) => keys.forEach((key) => sets.delete(key)))
+  };
+  return redis;
+};
+
+describe('parseHealthkitNdjson', () => {
+  it('keeps valid records and reports the lines it could not use', () => {
+    const buffer = Buffer.from(`${JSON.stringify(record('a'))}\n\nnot json\n[1, 2]\n ${JSON.stringify(record('b'))} `);
+
+    const { records, rejected } = parseHealthkitNdjson(buffer);
+
+    expect(uuids(records)).toEqual(['a', 'b']);
+    expect(records[1].line).toBe(JSON.stringify(record('b')));
+    expect(rejected).toEqual([
+      { line: 3, reason: 'Invalid JSON' },
+      { line: 4, reason: 'Record is not a JSON object' }
+    ]);
+    expect(() => parseHealthkitNdjson(Buffer.from('not json'))).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_NDJSON' }));
+  });
+});
+
+describe('HealthkitDedupeService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new HealthkitDedupeService({ store: new MemoryHealthkitDedupeStore() });
+  });
+
+  it('identifies records by uuid, or by their line hash when they have none', () => {
+    expect(healthkitDedupeKey({ uuid: ' 12ab-cd ' }, '{}')).toBe('uuid:12AB-CD');
+    expect(healthkitDedupeKey({ sampleType: 'x' }, ' {"sampleType":"x"} ')).toBe(`hash:${healthkitRecordHash('{"sampleType":"x"}')}`);
+  });
+
+  it('passes each record once per user, including repeats within one upload', async () => {
+    const { records } = parseHealthkitNdjson(ndjson(record('a'), record('b'), record('A'), { value: 1 }, { value: 1 }));
+
+    const first = await service.claim('auth0|ada', records);
+    expect(uuids(first.fresh)).toEqual(['a', 'b', undefined]);
+    expect(first.duplicates).toBe(2);
+
+    const { records: overlapping } = parseHealthkitNdjson(ndjson(record('b'), record('c', '2025-12-31T23:00:00Z'), { value: 1 }));
+    const second = await service.claim('auth0|ada', overlapping);
+    expect(uuids(second.fresh)).toEqual(['c']);
+    expect(second.duplicates).toBe(2);
+
+    expect((await service.claim('auth0|grace', records)).duplicates).toBe(2);
+  });
+
+  it('releases claims for records that were not written and forgets erased users', async () => {
+    const { records } = parseHealthkitNdjson(ndjson(record('a'), record('b')));
+    await service.claim('auth0|ada', records.slice(0, 1));
+
+    const failed = await service.claim('auth0|ada', records);
+    await failed.release();
+    expect(uuids((await service.claim('auth0|ada', records)).fresh)).toEqual(['b']);
+
+    await service.forgetUser('auth0|ada');
+    expect((await service.claim('auth0|ada', records)).fresh).toHaveLength(2);
+  });
+
+  it('ingests everything when the store is unavailable', async () => {
+    const failing = new HealthkitDedupeService({
+      store: { name: 'redis', add: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')) }
+    });
+    const { records } = parseHealthkitNdjson(ndjson(record('a'), record('a')));
+
+    const result = await failing.claim('auth0|ada', records);
+
+    expect(result.fresh).toHaveLength(2);
+    expect(result.duplicates).toBe(0);
+  });
+
+  it('keeps compact members in one Redis set per user and month', async () => {
+    const redis = createFakeRedis();
+    const redisService = new HealthkitDedupeService({ store: new RedisHealthkitDedupeStore({ redis, prefix: 'test:' }) });
+    const { records } = parseHealthkitNdjson(ndjson(record('a'), record('b', '2026-02-03T00:00:00Z'), record('a')));
+
+    const result = await redisService.claim('auth0|ada', records);
+
+    expect(result.duplicates).toBe(1);
+    const keys = [...redis.sets.keys()];
+    expect(keys.map((key) => key.split(':').pop()).sort()).toEqual(['2026-01', '2026-02']);
+    expect(keys.every((key) => !key.includes('ada'))).toBe(true);
+    expect([...redis.sets.values()].flatMap((set) => [...set]).every((member) => member.length === 12)).toBe(true);
+
+    await redisService.forgetUser('auth0|ada');
+    expect(redis.sets.size).toBe(0);
+  });
+});
+
+describe('HealthKit ingestion with dedupe', () => {
+  it('skips already ingested records when committing an upload session', async () => {
+    const datasetService = {
+      datasetRid: 'ri.foundry.main.dataset.healthkit',
+      openTransaction: jest.fn().mockResolvedValue('ri.foundry.main.transaction.1'),
+      uploadFile: jest.fn().mockResolvedValue({}),
+      commitTransaction: jest.fn().mockResolvedValue({}),
+      abortTransaction: jest.fn().mockResolvedValue({})
+    };
+    const dedupeService = new HealthkitDedupeService();
+    const { records } = parseHealthkitNdjson(ndjson(record('a'), record('b')));
+    await dedupeService.claim('auth0|ada', records);
+
+    const sessions = new HealthkitUploadSessionService({ datasetService, dedupeService });
+    const session = await sessions.createSession({ userId: 'auth0|ada', totalChunks: 2 });
+    const put = async (sequence, buffer) => sessions.putChunk(session, sequence, {
+      rawhealthkit: buffer.toString('base64'),
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    });
+    await put(0, ndjson(record('a'), record('b')));
+    const { chunk } = await put(1, Buffer.from(`${JSON.stringify(record('b'))}\n${JSON.stringify(record('c'))}\n{oops`));
+    expect(chunk).toMatchObject({ recordCount: 2, rejectedCount: 1 });
+
+    const { session: committed } = await sessions.commit(session);
+
+    expect(datasetService.uploadFile).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(datasetService.uploadFile.mock.calls[0][1])).toMatchObject({ record_count: 1 });
+    expect(committed.result).toMatchObject({
+      records_ingested: 1,
+      records_new: 1,
+      records_duplicate: 3,
+      records_rejected: 1
+    });
+  });
+
+  it('answers /ingest without writing a file when every record is a duplicate', async () => {
+    const { records } = parseHealthkitNdjson(ndjson(record('seen')));
+    await getHealthkitDedupeService().claim('auth0|ada', records);
+
+    const { healthkitRouter } = await import('../routes/healthkit.js');
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|ada' };
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/api/v1/healthkit', healthkitRouter);
+
+    const response = await request(app)
+      .post('/api/v1/healthkit/ingest')
+      .send({ rawhealthkit: Buffer.from(`${JSON.stringify(record('SEEN'))}\nnot json`).toString('base64') });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      records_ingested: 0,
+      records_new: 0,
+      records_duplicate: 1,
+      records_rejected: 1,
+      rejected_records: [{ line: 2, reason: 'Invalid JSON' }],
+      file_path: null,
+      transaction_rid: null
+    });
+  });
+});
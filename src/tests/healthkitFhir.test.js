@@ -0,0 +1,157 @@
+import express from 'express';
+import request from 'supertest';
+
+import { parseHealthkitNdjson } from '../services/healthkitDatasetService.js';
+import { HEALTHKIT_UUID_SYSTEM, convertHealthkitToFhir } from '../utils/healthkitFhir.js';
+
+const quantity = (uuid, sampleType, valueDouble, unit, extra = {}) => ({
+  sampleClass: 'HKQuantitySample',
+  sampleType: `HKQuantityTypeIdentifier${sampleType}`,
+  uuid,
+  startDate: '2026-03-01T08:00:00Z',
+  endDate: '2026-03-01T08:00:00Z',
+  valueDouble,
+  unit,
+  ...extra
+});
+
+const sleep = (uuid, sleepStage, startDate, endDate) => ({
+  sampleClass: 'HKCategorySample',
+  sampleType: 'HKCategoryTypeIdentifierSleepAnalysis',
+  uuid,
+  startDate,
+  endDate,
+  sleepStage
+});
+
+const entries = (...records) => parseHealthkitNdjson(Buffer.from(records.map((record) => JSON.stringify(record)).join('\n'))).records;
+
+const loinc = (observation) => observation.code.coding[0].code;
+
+describe('convertHealthkitToFhir', () => {
+  it('maps quantity samples to LOINC-coded Observations in UCUM units', () => {
+    const { observations, skipped } = convertHealthkitToFhir(entries(
+      quantity('hr-1', 'HeartRate', 64, 'count/min', { sourceName: 'Apple Watch' }),
+      quantity('spo2-1', 'OxygenSaturation', 0.97, '%'),
+      quantity('mass-1', 'BodyMass', 154, 'lb'),
+      quantity('rr-1', 'RespiratoryRate', 14, 'count/min'),
+      quantity('glu-1', 'BloodGlucose', 5.5, 'mmol<180.15588000005408>/L'),
+      quantity('steps-1', 'StepCount', 1200, 'count')
+    ), { patientId: 'auth0|ada' });
+
+    expect(observations.map(loinc)).toEqual(['8867-4', '59408-5', '29463-7', '9279-1', '2339-0']);
+    expect(observations.map((observation) => observation.valueQuantity)).toEqual([
+      { value: 64, unit: '/min', system: 'http://unitsofmeasure.org', code: '/min' },
+      expect.objectContaining({ value: 97, code: '%' }),
+      expect.objectContaining({ value: 69.85, code: 'kg' }),
+      expect.objectContaining({ value: 14, code: '/min' }),
+      expect.objectContaining({ value: 99.09, code: 'mg/dL' })
+    ]);
+    expect(observations[0]).toMatchObject({
+      resourceType: 'Observation',
+      id: 'healthkit-hr-1',
+      identifier: [{ system: HEALTHKIT_UUID_SYSTEM, value: 'hr-1' }],
+      status: 'final',
+      category: [{ coding: [{ code: 'vital-signs' }] }],
+      subject: { reference: 'Patient/auth0-ada' },
+      effectiveDateTime: '2026-03-01T08:00:00Z',
+      device: { display: 'Apple Watch' }
+    });
+    expect(observations[4].category[0].coding[0].code).toBe('laboratory');
+    expect(skipped).toEqual([
+      { index: 6, uuid: 'steps-1', sampleType: 'HKQuantityTypeIdentifierStepCount', reason: 'No FHIR mapping for this sample type' }
+    ]);
+  });
+
+  it('turns blood pressure correlations into one panel with systolic and diastolic components', () => {
+    const { observations, skipped } = convertHealthkitToFhir(entries(
+      quantity('sys-1', 'BloodPressureSystolic', 118, 'mmHg'),
+      quantity('dia-1', 'BloodPressureDiastolic', 76, 'mmHg'),
+      {
+        sampleClass: 'HKCorrelation',
+        sampleType: 'HKCorrelationTypeIdentifierBloodPressure',
+        uuid: 'bp-1',
+        startDate: '2026-03-01T08:00:00Z',
+        endDate: '2026-03-01T08:00:00Z',
+        childSampleUUIDs: ['sys-1', 'dia-1']
+      },
+      quantity('sys-2', 'BloodPressureSystolic', 121, 'mmHg')
+    ));
+
+    expect(observations.map(loinc)).toEqual(['85354-9', '8480-6']);
+    expect(observations[0].component).toEqual([
+      expect.objectContaining({ code: expect.objectContaining({ text: 'Systolic blood pressure' }), valueQuantity: expect.objectContaining({ value: 118, code: 'mm[Hg]' }) }),
+      expect.objectContaining({ code: expect.objectContaining({ text: 'Diastolic blood pressure' }), valueQuantity: expect.objectContaining({ value: 76, code: 'mm[Hg]' }) })
+    ]);
+    expect(observations[0].subject).toBeUndefined();
+    expect(skipped).toEqual([]);
+  });
+
+  it('records time asleep per sleep stage and skips in-bed and awake intervals', () => {
+    const { observations, skipped } = convertHealthkitToFhir(entries(
+      sleep('s-1', 'HKCategoryValueSleepAnalysisInBed', '2026-03-01T22:00:00Z', '2026-03-02T06:00:00Z'),
+      sleep('s-2', 'asleepDeep', '2026-03-01T23:00:00Z', '2026-03-02T00:30:00Z'),
+      { ...sleep('s-3', undefined, '2026-03-02T00:30:00Z', '2026-03-02T00:40:00Z'), valueInteger: 2 },
+      { ...sleep('s-4', undefined, '2026-03-02T00:40:00Z', '2026-03-02T02:00:00Z'), valueInteger: 5 }
+    ));
+
+    expect(observations).toEqual([
+      expect.objectContaining({
+        code: expect.objectContaining({ coding: [expect.objectContaining({ code: '93832-4' })] }),
+        category: [{ coding: [expect.objectContaining({ code: 'activity' })] }],
+        effectivePeriod: { start: '2026-03-01T23:00:00Z', end: '2026-03-02T00:30:00Z' },
+        valueQuantity: expect.objectContaining({ value: 90, code: 'min' }),
+        component: [{ code: { text: 'Sleep stage' }, valueString: 'deep' }]
+      }),
+      expect.objectContaining({ id: 'healthkit-s-4', component: [{ code: { text: 'Sleep stage' }, valueString: 'rem' }] })
+    ]);
+    expect(skipped.map((entry) => [entry.uuid, entry.reason])).toEqual([
+      ['s-1', 'Sleep stage inBed is not time asleep'],
+      ['s-3', 'Sleep stage awake is not time asleep']
+    ]);
+  });
+
+  it('skips values whose unit cannot be converted', () => {
+    const { observations, skipped } = convertHealthkitToFhir(entries(quantity('mass-2', 'BodyMass', 60, 'furlong')));
+
+    expect(observations).toEqual([]);
+    expect(skipped[0].reason).toBe('Value or unit (furlong) cannot be expressed in kg');
+  });
+});
+
+describe('POST /api/v1/healthkit/fhir', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { healthkitRouter } = await import('../routes/healthkit.js');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|ada' };
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/api/v1/healthkit', healthkitRouter);
+  });
+
+  it('previews the conversion as a collection Bundle without writing anything', async () => {
+    const ndjson = `${JSON.stringify(quantity('hr-1', 'HeartRate', 64, 'count/min'))}\nnot json\n${JSON.stringify(quantity('steps-1', 'StepCount', 10, 'count'))}`;
+
+    const response = await request(app)
+      .post('/api/v1/healthkit/fhir')
+      .send({ rawhealthkit: Buffer.from(ndjson).toString('base64') });
+
+    expect(response.status).toBe(200);
+    expect(response.body.bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection', total: 1 });
+    expect(response.body.bundle.entry[0].resource).toMatchObject({ id: 'healthkit-hr-1', subject: { reference: 'Patient/auth0-ada' } });
+    expect(response.body).toMatchObject({
+      observations_created: 1,
+      records_skipped: [{ uuid: 'steps-1' }],
+      rejected_records: [{ line: 2, reason: 'Invalid JSON' }]
+    });
+
+    const empty = await request(app).post('/api/v1/healthkit/fhir').send({});
+    expect(empty.status).toBe(400);
+    expect(empty.body.error.code).toBe('INVALID_PAYLOAD');
+  });
+});
@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+import { errorHandler } from '../middleware/errorHandler.js';
+import { readHealthkitUpload } from '../services/healthkitDatasetService.js';
+import { HealthkitDedupeService } from '../services/healthkitDedupeService.js';
+import { HealthkitUploadSessionService } from '../services/healthkitUploadSessionService.js';
+import { isHealthkitUnit, validateHealthkitRecord } from '../utils/healthkitSchema.js';
+
+const quantity = (uuid, fields = {}) => ({
+  sampleClass: 'HKQuantitySample',
+  sampleType: 'HKQuantityTypeIdentifierHeartRate',
+  uuid,
+  startDate: '2026-03-01T08:00:00Z',
+  endDate: '2026-03-01T08:00:00Z',
+  valueDouble: 64,
+  unit: 'count/min',
+  ...fields
+});
+
+const ndjson = (...lines) => Buffer.from(lines.map((line) => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n'));
+
+describe('validateHealthkitRecord', () => {
+  it('accepts well-formed samples of each sampleClass', () => {
+    expect(validateHealthkitRecord(quantity('q-1', { metadata: { HKWasUserEntered: false }, endDate: null }))).toBeNull();
+    expect(validateHealthkitRecord({
+      sampleClass: 'HKCategorySample',
+      categoryType: 'HKCategoryTypeIdentifierSleepAnalysis',
+      startDate: '2026-03-01T22:00:00Z',
+      endDate: '2026-03-02T06:00:00Z',
+      sleepStage: 'HKCategoryValueSleepAnalysisAsleepREM'
+    })).toBeNull();
+    expect(validateHealthkitRecord({
+      sampleClass: 'HKCorrelation',
+      sampleType: 'HKCorrelationTypeIdentifierBloodPressure',
+      startDate: '2026-03-01T08:00:00Z',
+      childSampleUUIDs: ['sys-1', 'dia-1']
+    })).toBeNull();
+    expect(validateHealthkitRecord({
+      sampleClass: 'HKWorkout',
+      startDate: '2026-03-01T07:00:00Z',
+      endDate: '2026-03-01T07:45:00Z',
+      activityType: 37,
+      durationSeconds: 2700,
+      totalDistanceMeters: 7200.5
+    })).toBeNull();
+
+    for (const unit of ['count', '%', 'mg/dL', 'mmol<180.15588000005408>/L', 'mmHg', 'kcal', 'Cal', 'kJ', 'mcg', 'mL/kg·min', 'm/s^2', 'degC']) {
+      expect(isHealthkitUnit(unit)).toBe(true);
+    }
+  });
+
+  it('names every problem with a record', () => {
+    expect(validateHealthkitRecord(quantity('q-1', { startDate: undefined, valueDouble: '64', unit: 'furlong' })))
+      .toBe('startDate is required; valueDouble must be a finite number; Unknown unit furlong');
+    expect(validateHealthkitRecord(quantity('q-1', { sampleType: null, valueDouble: null })))
+      .toBe('sampleType or quantityType is required; valueDouble is required');
+    expect(validateHealthkitRecord(quantity('q-1', { endDate: '2026-03-01T07:00:00Z' }))).toBe('endDate is before startDate');
+    expect(validateHealthkitRecord(quantity('q-1', { startDate: 'yesterday', uuid: '' })))
+      .toBe('uuid must be a non-empty string; startDate must be an ISO 8601 date');
+    expect(validateHealthkitRecord({ ...quantity('q-1'), sampleClass: 'HKClinicalRecord' })).toBe('Unknown sampleClass "HKClinicalRecord"');
+    expect(validateHealthkitRecord({ uuid: 'x' })).toBe('sampleClass is required');
+    expect(validateHealthkitRecord({
+      sampleClass: 'HKCategorySample',
+      sampleType: 'HKCategoryTypeIdentifierSleepAnalysis',
+      startDate: '2026-03-01T22:00:00Z',
+      valueInteger: 9
+    })).toBe('sleepStage is not a HealthKit sleep analysis value');
+    expect(validateHealthkitRecord({
+      sampleClass: 'HKCorrelation',
+      correlationType: 'HKCorrelationTypeIdentifierBloodPressure',
+      startDate: '2026-03-01T08:00:00Z',
+      childSampleUUIDs: []
+    })).toBe('childSampleUUIDs must be a non-empty array of uuids');
+    expect(validateHealthkitRecord({
+      sampleClass: 'HKWorkout',
+      startDate: '2026-03-01T07:00:00Z',
+      activityType: 'running',
+      durationSeconds: -1
+    })).toBe('endDate is required; durationSeconds must be a non-negative number');
+  });
+});
+
+describe('readHealthkitUpload', () => {
+  it('reports unparseable and invalid lines in line order, or refuses them all in strict mode', () => {
+    const buffer = ndjson(quantity('q-1'), quantity('q-2', { unit: 'furlong' }), 'not json', quantity('q-3'));
+
+    const { records, rejected } = readHealthkitUpload(buffer);
+
+    expect(records.map((entry) => [entry.record.uuid, entry.lineNumber])).toEqual([['q-1', 1], ['q-3', 4]]);
+    expect(rejected).toEqual([
+      { line: 2, reason: 'Unknown unit furlong' },
+      { line: 3, reason: 'Invalid JSON' }
+    ]);
+
+    expect(() => readHealthkitUpload(buffer, { strict: true })).toThrow(expect.objectContaining({
+      status: 422,
+      code: 'INVALID_HEALTHKIT_RECORDS',
+      details: { rejected_records: rejected }
+    }));
+    expect(readHealthkitUpload(ndjson(quantity('q-1')), { strict: true }).records).toHaveLength(1);
+  });
+});
+
+describe('HealthKit ingestion with schema validation', () => {
+  let app;
+
+  beforeAll(async () => {
+    const { healthkitRouter } = await import('../routes/healthkit.js');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|ada' };
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/api/v1/healthkit', healthkitRouter);
+    app.use(errorHandler);
+  });
+
+  it('fails strict uploads with the rejected lines and writes nothing', async () => {
+    const rawhealthkit = ndjson(quantity('q-1'), quantity('q-2', { valueDouble: 'NaN' })).toString('base64');
+
+    const ingest = await request(app)
+      .post('/api/v1/healthkit/ingest')
+      .send({ rawhealthkit, options: { strict: true } });
+
+    expect(ingest.status).toBe(422);
+    expect(ingest.body.error).toMatchObject({
+      code: 'INVALID_HEALTHKIT_RECORDS',
+      details: { rejected_records: [{ line: 2, reason: 'valueDouble must be a finite number' }] }
+    });
+
+    const batch = await request(app)
+      .post('/api/v1/healthkit/export/batch')
+      .send({
+        chunks: [{ rawhealthkit: ndjson(quantity('q-3')).toString('base64') }, { rawhealthkit }],
+        options: { strict: true }
+      });
+
+    expect(batch.status).toBe(422);
+    expect(batch.body.error.details.rejected_records).toEqual([
+      { chunkIndex: 1, line: 2, reason: 'valueDouble must be a finite number' }
+    ]);
+  });
+
+  it('leaves invalid records out of session commits, and refuses them in strict sessions', async () => {
+    const datasetService = {
+      datasetRid: 'ri.foundry.main.dataset.healthkit',
+      openTransaction: jest.fn().mockResolvedValue('ri.foundry.main.transaction.1'),
+      uploadFile: jest.fn().mockResolvedValue({}),
+      commitTransaction: jest.fn().mockResolvedValue({}),
+      abortTransaction: jest.fn().mockResolvedValue({})
+    };
+    const sessions = new HealthkitUploadSessionService({ datasetService, dedupeService: new HealthkitDedupeService() });
+    const buffer = ndjson(quantity('q-1'), { ...quantity('q-2'), sampleClass: 'HKSample' });
+    const chunk = {
+      rawhealthkit: buffer.toString('base64'),
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    };
+
+    const strict = await sessions.createSession({ userId: 'auth0|ada', totalChunks: 1, strict: true });
+    await expect(sessions.putChunk(strict, 0, chunk)).rejects.toMatchObject({ status: 422, code: 'INVALID_HEALTHKIT_RECORDS' });
+    expect(await sessions.listChunks(strict)).toEqual([]);
+
+    const lenient = await sessions.createSession({ userId: 'auth0|ada', totalChunks: 1 });
+    const { rejected } = await sessions.putChunk(lenient, 0, chunk);
+    expect(rejected).toEqual([{ line: 2, reason: 'Unknown sampleClass "HKSample"' }]);
+
+    const { session: committed } = await sessions.commit(lenient);
+
+    expect(JSON.parse(datasetService.uploadFile.mock.calls[0][1]).data.map((row) => row.uuid)).toEqual(['q-1']);
+    expect(committed.result).toMatchObject({ records_ingested: 1, records_rejected: 1 });
+  });
+});
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+import { errorHandler } from '../middleware/errorHandler.js';
+import { HEALTHKIT_DATASET_RID } from '../services/healthkitDatasetService.js';
+import {
+  HealthkitUploadSessionService,
+  MemoryUploadSessionStore,
+  initializeHealthkitUploadSessionService
+} from '../services/healthkitUploadSessionService.js';
+
+const DATASET_RID = 'ri.foundry.main.dataset.healthkit';
+
+const record = (uuid) => ({
+  sampleClass: 'HKQuantitySample',
+  sampleType: 'HKQuantityTypeIdentifierStepCount',
+  uuid,
+  startDate: '2026-01-01T10:00:00Z',
+  endDate: '2026-01-01T10:05:00Z',
+  valueDouble: 42,
+  unit: 'count'
+});
+
+const chunkBody = (...uuids) => {
+  const ndjson = Buffer.from(uuids.map((uuid) => JSON.stringify(record(uuid))).join('\n'));
+  return {
+    rawhealthkit: ndjson.toString('base64'),
+    sha256: crypto.createHash('sha256').update(ndjson).digest('hex')
+  };
+};
+
+const createDatasetService = () => ({
+  datasetRid: DATASET_RID,
+  openTransaction: jest.fn().mockResolvedValue('ri.foundry.main.transaction.1'),
+  uploadFile: jest.fn().mockResolvedValue({}),
+  commitTransaction: jest.fn().mockResolvedValue({}),
+  abortTransaction: jest.fn().mockResolvedValue({})
+});
+
+describe('HealthkitUploadSessionService', () => {
+  let datasetService;
+  let service;
+
+  beforeEach(() => {
+    datasetService = createDatasetService();
+    service = new HealthkitUploadSessionService({ datasetService, store: new MemoryUploadSessionStore() });
+  });
+
+  it('accepts chunks out of order, ignores exact resends and rejects conflicting ones', async () => {
+    const session = await service.createSession({ userId: 'auth0|ada', device: 'iPhone', totalChunks: 2 });
+
+    expect((await service.putChunk(session, 1, chunkBody('b'))).duplicate).toBe(false);
+    expect((await service.putChunk(session, 1, chunkBody('b'))).duplicate).toBe(true);
+    await expect(service.putChunk(session, 1, chunkBody('c'))).rejects.toMatchObject({ status: 409, code: 'CHUNK_CONFLICT' });
+    await expect(service.putChunk(session, 2, chunkBody('c'))).rejects.toMatchObject({ code: 'INVALID_CHUNK_SEQUENCE' });
+    await expect(service.putChunk(session, 0, { ...chunkBody('a'), sha256: chunkBody('z').sha256 }))
+      .rejects.toMatchObject({ status: 422, code: 'CHECKSUM_MISMATCH' });
+
+    const badJson = Buffer.from('not json');
+    await expect(service.putChunk(session, 0, {
+      rawhealthkit: badJson.toString('base64'),
+      sha256: crypto.createHash('sha256').update(badJson).digest('hex')
+    })).rejects.toMatchObject({ status: 400, code: 'INVALID_NDJSON' });
+
+    expect((await service.listChunks(session)).map((chunk) => chunk.sequence)).toEqual([1]);
+  });
+
+  it('commits every chunk in one transaction, once', async () => {
+    const session = await service.createSession({ userId: 'auth0|ada', device: 'iPhone' });
+    await service.putChunk(session, 1, chunkBody('c'));
+    await service.putChunk(session, 0, chunkBody('a', 'b'));
+
+    await expect(service.commit(session, { totalChunks: 3 })).rejects.toMatchObject({ code: 'UPLOAD_SESSION_INCOMPLETE' });
+    expect(datasetService.openTransaction).not.toHaveBeenCalled();
+
+    const { session: committed, committed: newlyCommitted } = await service.commit(session, { totalChunks: 2 });
+
+    expect(newlyCommitted).toBe(true);
+    expect(datasetService.openTransaction).toHaveBeenCalledTimes(1);
+    expect(datasetService.uploadFile).toHaveBeenCalledTimes(2);
+    const [firstPath, firstContent, firstOptions] = datasetService.uploadFile.mock.calls[0];
+    expect(firstPath).toMatch(new RegExp(`^healthkit/raw/auth0\\|ada/.+-${session.id}-00000\\.json$`));
+    expect(JSON.parse(firstContent)).toMatchObject({ auth0_user_id: 'auth0|ada', device: 'iPhone', record_count: 2 });
+    expect(firstOptions).toEqual({ transactionRid: 'ri.foundry.main.transaction.1' });
+    expect(datasetService.commitTransaction).toHaveBeenCalledWith('ri.foundry.main.transaction.1');
+    expect(committed.result).toMatchObject({ chunks_committed: 2, records_ingested: 3, transaction_rid: 'ri.foundry.main.transaction.1' });
+
+    const again = await service.commit(await service.getSession(session.id, 'auth0|ada'));
+    expect(again.committed).toBe(false);
+    expect(again.session.result).toEqual(committed.result);
+    expect(datasetService.openTransaction).toHaveBeenCalledTimes(1);
+    await expect(service.putChunk(again.session, 2, chunkBody('d'))).rejects.toMatchObject({ code: 'UPLOAD_SESSION_COMMITTED' });
+  });
+
+  it('aborts the transaction on failure and leaves the session open for a retry', async () => {
+    const session = await service.createSession({ userId: 'auth0|ada', totalChunks: 1 });
+    await service.putChunk(session, 0, chunkBody('a'));
+    datasetService.uploadFile.mockRejectedValueOnce(Object.assign(new Error('Foundry API Error'), { status: 503 }));
+
+    await expect(service.commit(session)).rejects.toMatchObject({ status: 503 });
+    expect(datasetService.abortTransaction).toHaveBeenCalledWith('ri.foundry.main.transaction.1');
+
+    const retried = await service.commit(await service.getSession(session.id, 'auth0|ada'));
+    expect(retried.committed).toBe(true);
+    expect(datasetService.commitTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a committed transaction\'s records claimed when saving the session fails', async () => {
+    const store = new MemoryUploadSessionStore();
+    service = new HealthkitUploadSessionService({ datasetService, store });
+    const session = await service.createSession({ userId: 'auth0|ada', totalChunks: 1 });
+    await service.putChunk(session, 0, chunkBody('a'));
+    jest.spyOn(store, 'save').mockRejectedValueOnce(new Error('Redis unavailable'));
+
+    const { committed } = await service.commit(session);
+    expect(committed).toBe(true);
+    expect(datasetService.abortTransaction).not.toHaveBeenCalled();
+
+    // The session was not saved as committed; committing again writes nothing twice
+    const retried = await service.commit(await service.getSession(session.id, 'auth0|ada'));
+    expect(retried.session.result).toMatchObject({ records_ingested: 0, records_duplicate: 1 });
+    expect(datasetService.uploadFile).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps the bytes staged in memory across sessions', async () => {
+    const chunk = chunkBody('a');
+    const bytes = Buffer.from(chunk.rawhealthkit, 'base64').length;
+    service = new HealthkitUploadSessionService({ datasetService, store: new MemoryUploadSessionStore({ maxBytes: bytes * 2 }) });
+    const first = await service.createSession({ userId: 'auth0|ada', totalChunks: 2 });
+    const second = await service.createSession({ userId: 'auth0|grace', totalChunks: 1 });
+
+    await service.putChunk(first, 0, chunk);
+    await service.putChunk(first, 1, chunkBody('b'));
+    await expect(service.putChunk(second, 0, chunkBody('c'))).rejects.toMatchObject({ status: 413, code: 'UPLOAD_STAGING_FULL' });
+
+    await service.commit(first);
+    expect((await service.putChunk(second, 0, chunkBody('c'))).duplicate).toBe(false);
+  });
+
+  it('hides sessions from other users and after they expire', async () => {
+    const expiring = new HealthkitUploadSessionService({ datasetService, ttlMs: -1 });
+    const expired = await expiring.createSession({ userId: 'auth0|ada' });
+    const session = await service.createSession({ userId: 'auth0|ada' });
+
+    expect(await service.getSession(session.id, 'auth0|grace')).toBeNull();
+    expect(await expiring.getSession(expired.id, 'auth0|ada')).toBeNull();
+  });
+});
+
+describe('HealthKit upload session routes', () => {
+  let app;
+  let makeApiRequest;
+
+  beforeAll(async () => {
+    makeApiRequest = jest.fn(async (method, endpoint) => (
+      endpoint.includes('/transactions?') ? { rid: 'ri.foundry.main.transaction.9' } : {}
+    ));
+    initializeHealthkitUploadSessionService({ foundryService: { makeApiRequest } });
+
+    const { healthkitRouter } = await import('../routes/healthkit.js');
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { sub: req.get('X-Test-User') || 'auth0|ada' };
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/api/v1/healthkit', healthkitRouter);
+    app.use(errorHandler);
+  });
+
+  it('opens a session, reports progress and commits it through the Datasets API', async () => {
+    const opened = await request(app).post('/api/v1/healthkit/sessions').send({ device: 'iPhone', totalChunks: 2 });
+    expect(opened.status).toBe(201);
+    const { sessionId } = opened.body;
+    expect(opened.body).toMatchObject({ status: 'open', missingChunks: [0, 1], maxChunks: 2 });
+
+    const put = await request(app).put(`/api/v1/healthkit/sessions/${sessionId}/chunks/1`).send(chunkBody('b'));
+    expect(put.status).toBe(201);
+    expect(put.body).toMatchObject({ sequence: 1, recordCount: 1, duplicate: false });
+
+    const progress = await request(app).get(`/api/v1/healthkit/sessions/${sessionId}`);
+    expect(progress.body.missingChunks).toEqual([0]);
+    const otherUser = await request(app).get(`/api/v1/healthkit/sessions/${sessionId}`).set('X-Test-User', 'auth0|grace');
+    expect(otherUser.status).toBe(404);
+
+    const early = await request(app).post(`/api/v1/healthkit/sessions/${sessionId}/commit`).send({});
+    expect(early.status).toBe(409);
+    expect(early.body.error.code).toBe('UPLOAD_SESSION_INCOMPLETE');
+
+    await request(app).put(`/api/v1/healthkit/sessions/${sessionId}/chunks/0`).send(chunkBody('a'));
+    const committed = await request(app).post(`/api/v1/healthkit/sessions/${sessionId}/commit`).send({});
+
+    expect(committed.status).toBe(200);
+    expect(committed.body).toMatchObject({ status: 'committed', result: { chunks_committed: 2, records_ingested: 2 } });
+    expect(makeApiRequest.mock.calls.map(([method, endpoint]) => `${method} ${endpoint.split('?')[0]}`)).toEqual([
+      `POST /api/v2/datasets/${HEALTHKIT_DATASET_RID}/transactions`,
+      expect.stringMatching(/\/files\/healthkit%2Fraw%2Fauth0%7Cada%2F.+-00000\.json\/upload$/),
+      expect.stringMatching(/-00001\.json\/upload$/),
+      expect.stringMatching(/\/transactions\/ri\.foundry\.main\.transaction\.9\/commit$/)
+    ]);
+  });
+});
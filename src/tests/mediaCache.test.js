@@ -0,0 +1,251 @@
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import { CacheService } from '../services/cacheService.js';
+import { MediaCache } from '../services/mediaCache.js';
+import { MediaContentService } from '../services/mediaContentService.js';
+import { sendCachedMedia, sendMediaBody, sendUpstreamRange } from '../utils/mediaResponse.js';
+
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    setEx: jest.fn(async (key, ttl, value) => {
+      store.set(key, value);
+      return 'OK';
+    })
+  };
+};
+
+describe('MediaCache', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-cache-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('stores each binary once on disk and only metadata in Redis', async () => {
+    const redis = createRedis();
+    const cache = new MediaCache({ cacheService: new CacheService(redis), cacheDir, maxBytes: 1000 });
+
+    const stored = await cache.put('set-1:item-1', Buffer.from('photo-bytes'), 'image/jpeg');
+    await cache.put('set-1:item-2', Buffer.from('photo-bytes'), 'image/jpeg');
+
+    const metadata = JSON.parse(redis.store.get('atlas:v1:media-meta:set-1:item-1'));
+    expect(metadata).toEqual(expect.objectContaining({ hash: stored.hash, size: 11, contentType: 'image/jpeg' }));
+    expect(redis.store.get('atlas:v1:media-meta:set-1:item-1')).not.toContain('photo-bytes');
+    expect(cache.getStats()).toEqual(expect.objectContaining({ blobs: 1, bytes: 11, writes: 1, dedupedWrites: 1 }));
+
+    const handle = await cache.openBlob(await cache.lookup('set-1:item-2'));
+    expect((await handle.readFile()).toString()).toBe('photo-bytes');
+    await handle.close();
+    expect(await cache.lookup('set-1:item-3')).toBeNull();
+  });
+
+  it('evicts the least recently used blobs to stay within the byte budget', async () => {
+    const cache = new MediaCache({ cacheService: new CacheService(null), cacheDir, maxBytes: 25 });
+
+    await cache.put('a', Buffer.alloc(10, 'a'));
+    await cache.put('b', Buffer.alloc(10, 'b'));
+    await cache.lookup('a');
+    await cache.put('c', Buffer.alloc(10, 'c'));
+
+    expect(await cache.lookup('b')).toBeNull();
+    expect(await cache.lookup('a')).not.toBeNull();
+    expect(cache.getStats()).toEqual(expect.objectContaining({ blobs: 2, bytes: 20, evictions: 1 }));
+    expect((await fs.readdir(cacheDir, { recursive: true })).filter((name) => name.length === 64 + 3)).toHaveLength(2);
+  });
+
+  it('reindexes blobs left on disk and drops interrupted writes', async () => {
+    const cacheService = new CacheService(createRedis());
+    const first = new MediaCache({ cacheService, cacheDir });
+    const { hash } = await first.put('set-1:item-1', Buffer.from('audio'), 'audio/mp4');
+    await fs.writeFile(path.join(cacheDir, hash.slice(0, 2), `${hash}.partial.tmp`), 'half');
+
+    const restarted = new MediaCache({ cacheService, cacheDir });
+
+    expect(await restarted.lookup('set-1:item-1')).toEqual(expect.objectContaining({ hash }));
+    expect(restarted.getStats().bytes).toBe(5);
+    expect(await fs.readdir(path.join(cacheDir, hash.slice(0, 2)))).toEqual([hash]);
+  });
+});
+
+describe('sendCachedMedia', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-cache-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  const createApp = (cache) => {
+    const app = express();
+    app.get('/media/:key', async (req, res) => {
+      const metadata = await cache.lookup(req.params.key);
+      if (!metadata || !(await sendCachedMedia(req, res, cache, metadata, { cacheControl: 'private, max-age=60' }))) {
+        res.status(404).end();
+      }
+    });
+    return app;
+  };
+
+  it('streams hits with a content-addressed ETag and answers revalidation with 304', async () => {
+    const cache = new MediaCache({ cacheService: new CacheService(null), cacheDir });
+    const { hash } = await cache.put('item', Buffer.from('image-bytes'), 'image/png');
+    const app = createApp(cache);
+
+    const response = await request(app).get('/media/item');
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(response.headers['content-length']).toBe('11');
+    expect(response.headers.etag).toBe(`"${hash}"`);
+    expect(response.body.toString()).toBe('image-bytes');
+
+    const revalidated = await request(app).get('/media/item').set('If-None-Match', `"${hash}"`);
+    expect(revalidated.status).toBe(304);
+  });
+
+  it('reports a blob evicted after the lookup as a miss', async () => {
+    const cache = new MediaCache({ cacheService: new CacheService(null), cacheDir });
+    const { hash } = await cache.put('item', Buffer.from('image-bytes'), 'image/png');
+    await fs.rm(path.join(cacheDir, hash.slice(0, 2), hash));
+
+    expect((await request(createApp(cache)).get('/media/item')).status).toBe(404);
+    expect(cache.getStats().blobs).toBe(0);
+  });
+
+  it('serves a single byte range from disk', async () => {
+    const cache = new MediaCache({ cacheService: new CacheService(null), cacheDir });
+    await cache.put('audio', Buffer.from('0123456789'), 'audio/mp4');
+
+    const response = await request(createApp(cache)).get('/media/audio').set('Range', 'bytes=2-5');
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe('bytes 2-5/10');
+    expect(response.headers['content-length']).toBe('4');
+    expect(response.headers['accept-ranges']).toBe('bytes');
+    expect(response.body.toString()).toBe('2345');
+  });
+});
+
+describe('sendMediaBody ranges', () => {
+  const content = Buffer.from('0123456789');
+  const createApp = () => {
+    const app = express();
+    app.get('/media', (req, res) => sendMediaBody(req, res, { content, contentType: 'audio/mp4' }, { cacheControl: 'private' }));
+    return app;
+  };
+  const collect = (res, callback) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks).toString()));
+  };
+
+  it('answers several ranges with multipart/byteranges', async () => {
+    const response = await request(createApp()).get('/media').set('Range', 'bytes=0-1,-2').buffer(true).parse(collect);
+
+    expect(response.status).toBe(206);
+    const [, boundary] = response.headers['content-type'].match(/^multipart\/byteranges; boundary=(\w+)$/);
+    expect(response.body).toBe([
+      `--${boundary}\r\nContent-Type: audio/mp4\r\nContent-Range: bytes 0-1/10\r\n\r\n01`,
+      `\r\n--${boundary}\r\nContent-Type: audio/mp4\r\nContent-Range: bytes 8-9/10\r\n\r\n89`,
+      `\r\n--${boundary}--\r\n`
+    ].join(''));
+    expect(Number(response.headers['content-length'])).toBe(Buffer.byteLength(response.body));
+  });
+
+  it('sends the whole body when If-Range no longer matches', async () => {
+    const response = await request(createApp()).get('/media').set('Range', 'bytes=2-5').set('If-Range', '"stale"');
+
+    expect(response.status).toBe(200);
+    expect(response.body.toString()).toBe('0123456789');
+  });
+
+  it('rejects unsatisfiable ranges with 416', async () => {
+    const response = await request(createApp()).get('/media').set('Range', 'bytes=20-30');
+
+    expect(response.status).toBe(416);
+    expect(response.headers['content-range']).toBe('bytes */10');
+  });
+});
+
+describe('sendUpstreamRange', () => {
+  it('relays a partial response from Foundry without an ETag', async () => {
+    const app = express();
+    app.get('/media', (req, res) => sendUpstreamRange(res, {
+      status: 206,
+      content: Buffer.from('2345'),
+      contentType: 'audio/mp4',
+      contentRange: 'bytes 2-5/10'
+    }, { cacheControl: 'private' }));
+
+    const response = await request(app).get('/media').set('Range', 'bytes=2-5');
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe('bytes 2-5/10');
+    expect(response.headers.etag).toBeUndefined();
+    expect(response.body.toString()).toBe('2345');
+  });
+});
+
+describe('MediaContentService ranged reads', () => {
+  let cacheDir;
+  let upstream;
+  let upstreamRequests;
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-cache-test-'));
+    upstreamRequests = [];
+    // Stands in for a Foundry that ignores Range and always sends the whole item
+    upstream = http.createServer((req, res) => {
+      upstreamRequests.push(req.headers.range);
+      res.writeHead(200, { 'Content-Type': 'audio/mp4' });
+      res.end('0123456789');
+    });
+    await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => upstream.close(resolve));
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  it('serves the range from a whole item Foundry sent instead of fetching it again', async () => {
+    const foundryService = {
+      host: `http://127.0.0.1:${upstream.address().port}`,
+      getToken: jest.fn().mockResolvedValue('token'),
+      getMediaContent: jest.fn()
+    };
+    const cache = new MediaCache({ cacheService: new CacheService(null), cacheDir });
+    const service = new MediaContentService({ foundryService, mediaCache: cache });
+    const app = express();
+    app.get('/media', (req, res) => service.sendSetItem(
+      req,
+      res,
+      { mediaSetRid: 'ri.set', mediaItemRid: 'ri.item' },
+      { cacheControl: 'private' }
+    ));
+
+    const response = await request(app).get('/media').set('Range', 'bytes=2-5');
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-range']).toBe('bytes 2-5/10');
+    expect(response.body.toString()).toBe('2345');
+    expect(upstreamRequests).toEqual(['bytes=2-5']);
+    expect(foundryService.getMediaContent).not.toHaveBeenCalled();
+    expect((await cache.lookup('ri.set:ri.item'))?.size).toBe(10);
+  });
+});
@@ -0,0 +1,186 @@
+import { Readable } from 'stream';
+
+import { stripImageMetadata } from '../utils/imageMetadata.js';
+import { detectMediaType, inspectMediaUpload } from '../utils/mediaInspection.js';
+
+const u16 = (value) => Buffer.from([value >> 8, value & 0xff]);
+const u32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value);
+  return buffer;
+};
+const text = (value) => Buffer.from(value, 'latin1');
+
+const jpegSegment = (marker, payload) => Buffer.concat([u16(marker), u16(payload.length + 2), payload]);
+
+// Little-endian EXIF with an orientation entry followed by a pretend GPS block
+const exifWithOrientation = (orientation) => {
+  const tiff = Buffer.alloc(26);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(1, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(orientation, 18);
+  return Buffer.concat([text('Exif\0\0'), tiff, text('GPS 37.7749 -122.4194 iPhone 15 Pro')]);
+};
+
+const buildJpeg = () => Buffer.concat([
+  u16(0xffd8),
+  jpegSegment(0xffe0, text('JFIF\0\x01\x01\0\0\x01\0\x01\0\0')),
+  jpegSegment(0xffe1, exifWithOrientation(6)),
+  jpegSegment(0xffe1, text('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta>exif:GPSLatitude</x:xmpmeta>')),
+  jpegSegment(0xffdb, Buffer.alloc(65, 1)),
+  jpegSegment(0xffda, Buffer.alloc(6, 2)),
+  text('PIXELS'),
+  u16(0xffd9)
+]);
+
+const pngChunk = (type, data) => Buffer.concat([u32(data.length), text(type), data, u32(0)]);
+
+const buildPng = () => Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  pngChunk('IHDR', Buffer.alloc(13, 1)),
+  pngChunk('tEXt', text('Software\0iPhone 15 Pro')),
+  pngChunk('eXIf', exifWithOrientation(1).subarray(6)),
+  pngChunk('IDAT', text('PIXELS')),
+  pngChunk('IEND', Buffer.alloc(0))
+]);
+
+const box = (type, ...payload) => {
+  const body = Buffer.concat(payload);
+  return Buffer.concat([u32(body.length + 8), text(type), body]);
+};
+const fullBox = (type, version, ...payload) => box(type, Buffer.from([version, 0, 0, 0]), ...payload);
+
+// A HEIC whose image (item 1) and Exif (item 2) payloads live in `mdat`
+const buildHeic = () => {
+  const ftyp = box('ftyp', text('heic'), u32(0), text('mif1heic'));
+  const image = text('IMAGEDATA');
+  const exif = Buffer.concat([u32(0), exifWithOrientation(1)]);
+  const meta = (mdatStart) => fullBox('meta', 0,
+    fullBox('iinf', 0, u16(2),
+      fullBox('infe', 2, u16(1), u16(0), text('hvc1'), text('\0')),
+      fullBox('infe', 2, u16(2), u16(0), text('Exif'), text('\0'))),
+    fullBox('iloc', 0, Buffer.from([0x44, 0x00]), u16(2),
+      u16(1), u16(0), u16(1), u32(mdatStart), u32(image.length),
+      u16(2), u16(0), u16(1), u32(mdatStart + image.length), u32(exif.length)));
+  const mdatStart = ftyp.length + meta(0).length + 8;
+  return {
+    heic: Buffer.concat([ftyp, meta(mdatStart), box('mdat', image, exif)]),
+    exifRange: [mdatStart + image.length, mdatStart + image.length + exif.length]
+  };
+};
+
+const wavHead = () => Buffer.concat([text('RIFF'), u32(1000), text('WAVEfmt '), Buffer.alloc(20)]);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('detectMediaType', () => {
+  it('recognises each supported format from its leading bytes', () => {
+    expect(detectMediaType(buildJpeg())).toBe('image/jpeg');
+    expect(detectMediaType(buildPng())).toBe('image/png');
+    expect(detectMediaType(buildHeic().heic)).toBe('image/heic');
+    expect(detectMediaType(wavHead())).toBe('audio/wav');
+    expect(detectMediaType(box('ftyp', text('M4A '), u32(0), text('isomM4A ')))).toBe('audio/mp4');
+    expect(detectMediaType(Buffer.concat([u32(0x1a45dfa3), Buffer.from([0x9f, 0x42, 0x82, 0x84]), text('webm')]))).toBe('audio/webm');
+    expect(detectMediaType(text('%PDF-1.7'))).toBeNull();
+  });
+});
+
+describe('stripImageMetadata', () => {
+  it('drops EXIF and XMP from JPEGs but keeps the orientation and image data', () => {
+    const { body, removed } = stripImageMetadata(buildJpeg(), 'image/jpeg');
+
+    expect(removed.sort()).toEqual(['EXIF', 'XMP']);
+    expect(body.includes('GPS')).toBe(false);
+    expect(body.includes('xmpmeta')).toBe(false);
+    expect(body.includes('JFIF')).toBe(true);
+    expect(body.subarray(-8).equals(Buffer.concat([text('PIXELS'), u16(0xffd9)]))).toBe(true);
+
+    const exif = body.indexOf('Exif\0\0', 0, 'latin1');
+    expect(body.readUInt16BE(exif + 6 + 18)).toBe(6);
+    expect(stripImageMetadata(body, 'image/jpeg').removed).toEqual(['EXIF']);
+  });
+
+  it('drops text and eXIf chunks from PNGs', () => {
+    const { body, removed } = stripImageMetadata(buildPng(), 'image/png');
+
+    expect(removed).toEqual(['tEXt', 'eXIf']);
+    expect(body.includes('iPhone')).toBe(false);
+    expect(body.includes('IDATPIXELS')).toBe(true);
+  });
+
+  it('zeroes HEIC Exif items in place', () => {
+    const { heic, exifRange } = buildHeic();
+
+    const { body, removed } = stripImageMetadata(heic, 'image/heic');
+
+    expect(removed).toEqual(['EXIF']);
+    expect(body.length).toBe(heic.length);
+    expect(body.subarray(...exifRange).every((byte) => byte === 0)).toBe(true);
+    expect(body.includes('IMAGEDATA')).toBe(true);
+    expect(heic.includes('GPS')).toBe(true);
+  });
+
+  it('rejects truncated images', () => {
+    expect(() => stripImageMetadata(buildJpeg().subarray(0, 30), 'image/jpeg'))
+      .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_MEDIA_CONTENT' }));
+  });
+});
+
+describe('inspectMediaUpload', () => {
+  afterEach(() => {
+    delete process.env.MEDIA_AUDIO_MAX_BYTES;
+  });
+
+  it('rejects content that does not match its declared type, filename or endpoint', async () => {
+    const png = buildPng();
+
+    await expect(inspectMediaUpload(png, { expectedKind: 'image', contentType: 'image/jpeg' }))
+      .rejects.toMatchObject({ status: 415, code: 'MEDIA_TYPE_MISMATCH' });
+    await expect(inspectMediaUpload(png, { expectedKind: 'image', filename: 'label.jpg' }))
+      .rejects.toMatchObject({ status: 415, code: 'MEDIA_TYPE_MISMATCH' });
+    await expect(inspectMediaUpload(png, { expectedKind: 'audio' }))
+      .rejects.toMatchObject({ status: 415, code: 'MEDIA_KIND_MISMATCH' });
+    await expect(inspectMediaUpload(text('%PDF-1.7 ...'), { expectedKind: 'image' }))
+      .rejects.toMatchObject({ status: 415, code: 'UNSUPPORTED_MEDIA_CONTENT' });
+  });
+
+  it('buffers and strips streamed images, accepting alias content types', async () => {
+    const result = await inspectMediaUpload(Readable.from([buildJpeg().subarray(0, 10), buildJpeg().subarray(10)]), {
+      expectedKind: 'image',
+      contentType: 'image/jpg',
+      filename: 'label.JPEG'
+    });
+
+    expect(result).toMatchObject({ mimeType: 'image/jpeg', extension: 'jpg', strippedMetadata: ['EXIF', 'XMP'] });
+    expect(Buffer.isBuffer(result.body)).toBe(true);
+    expect(result.body.includes('GPS')).toBe(false);
+  });
+
+  it('keeps audio streamed and enforces the audio size limit', async () => {
+    process.env.MEDIA_AUDIO_MAX_BYTES = '1024';
+    const audio = Buffer.concat([wavHead(), Buffer.alloc(500, 3)]);
+
+    const small = await inspectMediaUpload(Readable.from([audio.subarray(0, 5), audio.subarray(5)]), {
+      expectedKind: 'audio',
+      contentType: 'audio/x-wav'
+    });
+    expect(small.size).toBeNull();
+    expect((await readAll(small.body)).equals(audio)).toBe(true);
+
+    const large = await inspectMediaUpload(Readable.from([audio, audio, audio]), { expectedKind: 'audio' });
+    await expect(readAll(large.body)).rejects.toMatchObject({ status: 413, code: 'MEDIA_TOO_LARGE' });
+    await expect(inspectMediaUpload(Buffer.concat([audio, audio, audio]), { expectedKind: 'audio' }))
+      .rejects.toMatchObject({ status: 413, code: 'MEDIA_TOO_LARGE' });
+  });
+});
@@ -0,0 +1,184 @@
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+import { usernamePropagation } from '../middleware/usernamePropagation.js';
+import { CacheService } from '../services/cacheService.js';
+import { MediaOwnershipService, getMediaCallerIdentities } from '../services/mediaOwnershipService.js';
+import { TieredCache } from '../services/tieredCache.js';
+
+const PHOTO_RID = 'ri.mio.main.media-item.photo-1';
+const LABEL_RID = 'ri.mio.main.media-item.label-1';
+const AUDIO_RID = 'ri.mio.main.media-item.audio-1';
+
+const createService = () => {
+  const foundryService = {
+    getPatientProfile: jest.fn(async (userId) => ({
+      properties: { user_id: userId, profilePhotoMediaItemRid: PHOTO_RID }
+    })),
+    listMedicationsUploadsPage: jest.fn(async () => ({
+      items: [{ rid: 'upload-1', userId: 'auth0|ada', photolabel: { $rid: LABEL_RID } }],
+      nextPageToken: null
+    }))
+  };
+  const intraencounterService = {
+    searchPageByUserId: jest.fn(async (userId) => ({
+      data: userId === 'auth0|ada'
+        ? [{ $rid: 'encounter-1', properties: { userId, audiofile: JSON.stringify({ mediaItemRid: AUDIO_RID }) } }]
+        : [],
+      nextPageToken: null
+    }))
+  };
+  const service = new MediaOwnershipService({
+    foundryService,
+    intraencounterService,
+    cache: new TieredCache({ cacheService: new CacheService(null) })
+  });
+  return { service, foundryService, intraencounterService };
+};
+
+describe('MediaOwnershipService', () => {
+  it('maps each kind of owned media back to its object and caches every mapping', async () => {
+    const { service, foundryService } = createService();
+
+    const audio = await service.authorize(AUDIO_RID, ['auth0|ada']);
+    expect(audio).toEqual({
+      allowed: true,
+      owner: { mediaItemRid: AUDIO_RID, source: 'intraencounter', objectId: 'encounter-1', userId: 'auth0|ada' }
+    });
+
+    expect(await service.authorize(LABEL_RID, ['auth0|ada'])).toEqual(expect.objectContaining({ allowed: true }));
+    expect(await service.authorize(PHOTO_RID, ['auth0|ada'])).toEqual(expect.objectContaining({ allowed: true }));
+    expect(foundryService.getPatientProfile).toHaveBeenCalledTimes(1);
+    expect(foundryService.listMedicationsUploadsPage).toHaveBeenCalledTimes(1);
+  });
+
+  it('pages through the caller uploads until the item turns up', async () => {
+    const { service, foundryService, intraencounterService } = createService();
+    foundryService.listMedicationsUploadsPage.mockImplementation(async (userId, { pageToken }) => {
+      const page = pageToken ? Number(pageToken) : 0;
+      return {
+        items: [{ rid: `upload-${page}`, userId, photolabel: { $rid: `ri.mio.main.media-item.label-${page}` } }],
+        nextPageToken: page < 4 ? String(page + 1) : null
+      };
+    });
+
+    expect(await service.authorize('ri.mio.main.media-item.label-2', ['auth0|ada']))
+      .toEqual(expect.objectContaining({ allowed: true, owner: expect.objectContaining({ objectId: 'upload-2' }) }));
+    expect(foundryService.listMedicationsUploadsPage).toHaveBeenCalledTimes(3);
+    expect(intraencounterService.searchPageByUserId).not.toHaveBeenCalled();
+
+    // Items on pages already read are answered from the cache
+    expect((await service.authorize('ri.mio.main.media-item.label-1', ['auth0|ada'])).allowed).toBe(true);
+    expect(foundryService.listMedicationsUploadsPage).toHaveBeenCalledTimes(3);
+  });
+
+  it('denies media owned by someone else', async () => {
+    const { service, foundryService } = createService();
+    await service.authorize(AUDIO_RID, ['auth0|ada']);
+
+    const result = await service.authorize(AUDIO_RID, ['auth0|grace']);
+
+    expect(result).toEqual({ allowed: false, owner: expect.objectContaining({ userId: 'auth0|ada' }) });
+    // The cached owner answers without reading the other caller's objects
+    expect(foundryService.getPatientProfile).toHaveBeenCalledTimes(1);
+  });
+
+  it('denies media none of the caller objects reference', async () => {
+    const { service } = createService();
+
+    expect(await service.authorize('ri.mio.main.media-item.unknown', ['auth0|ada']))
+      .toEqual({ allowed: false, owner: null });
+  });
+
+  it('reports a 503 when a source fails and the item was not found elsewhere', async () => {
+    const { service, intraencounterService } = createService();
+    intraencounterService.searchPageByUserId.mockRejectedValue(new Error('Foundry unavailable'));
+
+    await expect(service.authorize(AUDIO_RID, ['auth0|ada'])).rejects.toMatchObject({ status: 503 });
+    expect(await service.authorize(PHOTO_RID, ['auth0|ada'])).toEqual(expect.objectContaining({ allowed: true }));
+  });
+
+  it('lists every media item the caller objects reference for erasure, failing when a source cannot be read', async () => {
+    const { service, intraencounterService } = createService();
+
+    expect(await service.listOwnedMedia(['auth0|ada'])).toEqual([PHOTO_RID, LABEL_RID, AUDIO_RID]);
+
+    intraencounterService.searchPageByUserId.mockRejectedValueOnce(new Error('Foundry unavailable'));
+    await expect(service.listOwnedMedia(['auth0|ada'])).rejects.toThrow('Foundry unavailable');
+  });
+
+  it('requires its Foundry services', () => {
+    expect(() => new MediaOwnershipService({ foundryService: {} }))
+      .toThrow('MediaOwnershipService requires FoundryService and AtlasIntraencounterService instances');
+  });
+});
+
+describe('getMediaCallerIdentities', () => {
+  it('uses the verified sub and its profile, never the username header or patientId query', async () => {
+    const foundryService = {
+      getPatientProfile: jest.fn(async (userId) => (userId === 'auth0|grace' ? { properties: { patientId: 'patient-grace' } } : null))
+    };
+
+    const req = { user: { sub: 'auth0|grace' }, query: { patientId: 'auth0|ada' }, context: { username: 'auth0|ada' } };
+    expect(await getMediaCallerIdentities(req, { foundryService })).toEqual(['auth0|grace', 'patient-grace']);
+    expect(foundryService.getPatientProfile).toHaveBeenCalledWith('auth0|grace');
+    expect(foundryService.getPatientProfile).not.toHaveBeenCalledWith('auth0|ada');
+
+    // A context another route resolved with the query override is resolved again
+    const memoized = {
+      user: { sub: 'auth0|grace' },
+      query: { patientId: 'auth0|ada' },
+      context: { foundryPatientContext: { patientId: 'auth0|ada', source: 'query-param', queryOverrideAllowed: true } }
+    };
+    expect(await getMediaCallerIdentities(memoized, { foundryService })).toEqual(['auth0|grace', 'patient-grace']);
+  });
+
+  it('denies another user media to a caller spoofing X-Auth0-Username', async () => {
+    const { service, foundryService } = createService();
+    await service.authorize(AUDIO_RID, ['auth0|ada']);
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|grace' };
+      next();
+    });
+    app.use(usernamePropagation);
+    app.get('/media/:mediaItemRid', async (req, res) => {
+      const identities = await getMediaCallerIdentities(req, { foundryService });
+      const { allowed } = await service.authorize(req.params.mediaItemRid, identities);
+      res.status(allowed ? 200 : 403).end();
+    });
+
+    const response = await request(app)
+      .get(`/media/${AUDIO_RID}?patientId=${encodeURIComponent('auth0|ada')}`)
+      .set('X-Auth0-Username', 'auth0|ada');
+
+    expect(response.status).toBe(403);
+  });
+
+  it('serves an upload stored under the caller username to its owner', async () => {
+    const { service, foundryService } = createService();
+    foundryService.listMedicationsUploadsPage.mockImplementation(async (userId) => ({
+      items: userId === 'ada' ? [{ rid: 'upload-1', userId: 'ada', photolabel: { $rid: LABEL_RID } }] : [],
+      nextPageToken: null
+    }));
+
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = { sub: 'auth0|ada', preferred_username: 'ada' };
+      next();
+    });
+    app.use(usernamePropagation);
+    app.get('/media/:mediaItemRid', async (req, res) => {
+      const identities = await getMediaCallerIdentities(req, { foundryService });
+      const { allowed } = await service.authorize(req.params.mediaItemRid, identities);
+      res.status(allowed ? 200 : 403).end();
+    });
+
+    const response = await request(app).get(`/media/${LABEL_RID}`);
+
+    expect(response.status).toBe(200);
+    expect(foundryService.listMedicationsUploadsPage).toHaveBeenCalledWith('ada', expect.anything());
+  });
+});
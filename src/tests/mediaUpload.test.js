@@ -0,0 +1,163 @@
+import express from 'express';
+import request from 'supertest';
+import { Readable } from 'stream';
+
+import { errorHandler } from '../middleware/errorHandler.js';
+import { readMediaUpload } from '../utils/mediaUpload.js';
+import { getMultipartBoundary, parseMultipart } from '../utils/multipart.js';
+
+const BOUNDARY = 'test-boundary';
+
+const multipartBody = (parts) => Buffer.concat([
+  ...parts.map(({ name, filename, contentType, value }) => Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"${filename ? `; filename="${filename}"` : ''}\r\n`),
+    Buffer.from(contentType ? `Content-Type: ${contentType}\r\n` : ''),
+    Buffer.from('\r\n'),
+    Buffer.isBuffer(value) ? value : Buffer.from(value),
+    Buffer.from('\r\n')
+  ])),
+  Buffer.from(`--${BOUNDARY}--\r\n`)
+]);
+
+// Feed the body a few bytes at a time so delimiters and headers straddle chunks
+const chunked = (buffer, size) => Readable.from(
+  Array.from({ length: Math.ceil(buffer.length / size) }, (_, index) => buffer.subarray(index * size, (index + 1) * size))
+);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('parseMultipart', () => {
+  it('streams file parts and collects fields across arbitrary chunk boundaries', async () => {
+    const audio = Buffer.alloc(64 * 1024, 7);
+    audio.write(`\r\n--${BOUNDARY.slice(0, 5)}`, 1000);
+    const body = multipartBody([
+      { name: 'transcript', value: 'Patient reports headaches' },
+      { name: 'file', filename: 'visit.m4a', contentType: 'audio/mp4', value: audio },
+      { name: 'location', value: 'Clinic' }
+    ]);
+
+    for (const size of [1, 7, 4096]) {
+      const fields = {};
+      const files = [];
+      await parseMultipart(chunked(body, size), BOUNDARY, {
+        onField: (name, value) => {
+          fields[name] = value;
+        },
+        onFile: ({ name, filename, contentType, stream }) => {
+          files.push(readAll(stream).then((content) => ({ name, filename, contentType, content })));
+        }
+      });
+
+      expect(fields).toEqual({ transcript: 'Patient reports headaches', location: 'Clinic' });
+      const [file] = await Promise.all(files);
+      expect(file).toEqual(expect.objectContaining({ name: 'file', filename: 'visit.m4a', contentType: 'audio/mp4' }));
+      expect(file.content.equals(audio)).toBe(true);
+    }
+  });
+
+  it('fails a truncated body and the file stream it was reading', async () => {
+    const body = multipartBody([{ name: 'file', filename: 'a.jpg', value: Buffer.alloc(100, 1) }]);
+    let fileStream;
+
+    await expect(parseMultipart(chunked(body.subarray(0, 120), 16), BOUNDARY, {
+      onFile: ({ stream }) => {
+        fileStream = stream;
+        stream.on('error', () => {});
+        stream.resume();
+      }
+    })).rejects.toThrow('Multipart body ended before its closing boundary');
+    expect(fileStream.errored).toEqual(expect.objectContaining({ status: 400, code: 'INVALID_MULTIPART' }));
+  });
+
+  it('reads quoted and bare boundaries from the Content-Type', () => {
+    expect(getMultipartBoundary('multipart/form-data; boundary="a b"')).toBe('a b');
+    expect(getMultipartBoundary('multipart/form-data; boundary=----WebKit123')).toBe('----WebKit123');
+    expect(getMultipartBoundary('application/json')).toBeNull();
+  });
+});
+
+describe('readMediaUpload', () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/upload', async (req, res, next) => {
+    try {
+      const upload = await readMediaUpload(req, { maxBytes: 1024 });
+      const content = Buffer.isBuffer(upload.file.body) ? upload.file.body : await readAll(upload.file.body);
+      res.json({
+        mode: upload.mode,
+        fields: upload.fields,
+        filename: upload.file.filename,
+        contentType: upload.file.contentType,
+        content: content.toString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.use(errorHandler);
+
+  it('keeps the base64 JSON contract', async () => {
+    const response = await request(app).post('/upload').send({
+      filename: 'label.jpg',
+      contentType: 'image/jpeg',
+      data: Buffer.from('jpeg-bytes').toString('base64')
+    });
+
+    expect(response.body).toEqual({
+      mode: 'json',
+      fields: { filename: 'label.jpg', contentType: 'image/jpeg' },
+      filename: 'label.jpg',
+      contentType: 'image/jpeg',
+      content: 'jpeg-bytes'
+    });
+  });
+
+  it('streams the file part of multipart/form-data', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .field('mediaType', 'audio')
+      .attach('file', Buffer.from('audio-bytes'), { filename: 'visit.m4a', contentType: 'audio/mp4' });
+
+    expect(response.body).toEqual({
+      mode: 'multipart',
+      fields: { mediaType: 'audio' },
+      filename: 'visit.m4a',
+      contentType: 'audio/mp4',
+      content: 'audio-bytes'
+    });
+  });
+
+  it('takes a raw body with fields from the query string', async () => {
+    const response = await request(app)
+      .post('/upload?filename=label.png')
+      .set('Content-Type', 'image/png')
+      .send(Buffer.from('png-bytes'));
+
+    expect(response.body).toEqual({
+      mode: 'raw',
+      fields: { filename: 'label.png' },
+      filename: 'label.png',
+      contentType: 'image/png',
+      content: 'png-bytes'
+    });
+  });
+
+  it('rejects bodies over the limit and unsupported content types', async () => {
+    const tooLarge = await request(app)
+      .post('/upload')
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.alloc(2048));
+    const unsupported = await request(app).post('/upload').set('Content-Type', 'text/plain').send('hello');
+
+    expect(tooLarge.status).toBe(413);
+    expect(tooLarge.body.error.code).toBe('UPLOAD_TOO_LARGE');
+    expect(unsupported.status).toBe(415);
+    expect(unsupported.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+  });
+});
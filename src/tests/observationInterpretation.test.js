@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+
+import { ObservationInterpretationService } from '../services/observationInterpretationService.js';
+import { interpretObservation, lookupReferenceRange, resolveDemographics } from '../utils/referenceRanges.js';
+
+const createServices = ({ profile = null, patient = null } = {}) => ({
+  foundryService: {
+    getPatientProfile: jest.fn().mockResolvedValue(profile)
+  },
+  clinicalResourceService: {
+    fetchResource: jest.fn().mockResolvedValue({ success: true, data: patient ? [patient] : [], nextPageToken: null })
+  }
+});
+
+describe('interpretObservation', () => {
+  it('prefers the reference range reported with the observation', () => {
+    const result = interpretObservation({
+      code: '2345-7',
+      valueQuantity: 105,
+      valueUnit: 'mg/dL',
+      referenceRangeLow: '65',
+      referenceRangeHigh: '110'
+    });
+
+    expect(result).toEqual({
+      interpretation: 'normal',
+      referenceRange: { low: 65, high: 110, unit: 'mg/dL', source: 'observation' }
+    });
+  });
+
+  it('falls back to the adult table, converting units and applying critical limits', () => {
+    const female = { sex: 'female', ageYears: 40 };
+
+    expect(interpretObservation({ code: '718-7', valueQuantity: 12.8, valueUnit: 'g/dL' }, female).interpretation).toBe('normal');
+    expect(interpretObservation({ code: '718-7', valueQuantity: 12.8, valueUnit: 'g/dL' }, { sex: 'male', ageYears: 40 }).interpretation).toBe('low');
+    expect(interpretObservation({ code: '2345-7', valueQuantity: 7.5, valueUnit: 'mmol/L' }, female)).toMatchObject({
+      interpretation: 'high',
+      referenceRange: { source: 'reference-table', unit: 'mmol/L' }
+    });
+    expect(interpretObservation({ code: '2823-3', valueString: '6.9', valueUnit: 'mmol/L' }, female).interpretation).toBe('critical');
+  });
+
+  it('leaves unknown codes, unitless values and minors uninterpreted', () => {
+    expect(interpretObservation({ code: '0000-0', valueQuantity: 1, valueUnit: 'mg/dL' })).toBeNull();
+    expect(interpretObservation({ code: '718-7', valueQuantity: 12 })).toBeNull();
+    expect(interpretObservation({ code: '718-7', valueQuantity: 12, valueUnit: 'g/dL' }, { sex: 'female', ageYears: 12 })).toBeNull();
+  });
+});
+
+describe('reference range helpers', () => {
+  it('widens sex-specific ranges when sex is unknown and applies age bands', () => {
+    expect(lookupReferenceRange('2160-0', {})).toMatchObject({ low: 0.59, high: 1.35 });
+    expect(lookupReferenceRange('4537-7', { sex: 'female', ageYears: 62 })).toMatchObject({ low: null, high: 30 });
+  });
+
+  it('derives sex and age from profile values', () => {
+    expect(resolveDemographics({ birthDate: '1980-06-15', sex: 'F' }, new Date('2024-06-14T00:00:00Z')))
+      .toEqual({ sex: 'female', ageYears: 43 });
+  });
+});
+
+describe('ObservationInterpretationService', () => {
+  it('enriches a payload and filters to abnormal results', async () => {
+    const services = createServices({ patient: { gender: 'male', birthDate: '1970-01-01' } });
+    const service = new ObservationInterpretationService(services);
+    const payload = {
+      success: true,
+      data: [
+        { observationId: 'obs-1', code: '718-7', valueQuantity: 12.8, valueUnit: 'g/dL' },
+        { observationId: 'obs-2', code: '8867-4', valueNumeric: 72, unit: 'bpm' },
+        { observationId: 'obs-3', code: 'free-text', valueString: 'negative' }
+      ],
+      nextPageToken: 'next'
+    };
+
+    const all = await service.interpretPayload(payload, { userId: 'auth0|user-1', patientId: 'auth0|user-1' });
+    expect(all.data.map((entry) => entry.interpretation)).toEqual(['low', 'normal', null]);
+    expect(payload.data[0].interpretation).toBeUndefined();
+
+    const abnormal = await service.interpretPayload(payload, {
+      userId: 'auth0|user-1',
+      patientId: 'auth0|user-1',
+      abnormalOnly: true
+    });
+    expect(abnormal.data.map((entry) => entry.observationId)).toEqual(['obs-1']);
+    expect(abnormal.nextPageToken).toBe('next');
+    // Demographics are cached per patient
+    expect(services.clinicalResourceService.fetchResource).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses profile birth sex and date of birth before FastenPatients', async () => {
+    const services = createServices({ profile: { properties: { birth_sex: 'Female', date_of_birth: '1990-01-15' } } });
+    const service = new ObservationInterpretationService(services);
+
+    const demographics = await service.getDemographics({ userId: 'auth0|user-1', patientId: 'auth0|user-1' });
+
+    expect(demographics.sex).toBe('female');
+    expect(demographics.ageYears).toBeGreaterThanOrEqual(34);
+    expect(services.clinicalResourceService.fetchResource).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+
+import { ObservationSeriesService, buildSeries, validateSeriesParams } from '../services/observationSeriesService.js';
+
+const page = (data, nextPageToken = null) => ({ success: true, data, nextPageToken });
+
+const createServices = ({ observations = [page([])], vitals = [page([])], cached = null } = {}) => ({
+  clinicalResourceService: {
+    fetchResource: jest.fn(async (definition, { filters, pageToken }) => {
+      const pages = filters.category === 'vital-signs' ? vitals : observations;
+      return pages[pageToken ? Number(pageToken) : 0];
+    })
+  },
+  cache: {
+    getOrLoad: jest.fn(async (type, patientId, params, loader) => cached ?? loader())
+  }
+});
+
+describe('ObservationSeriesService', () => {
+  it('pages both sources, converts units and caches the series', async () => {
+    const services = createServices({
+      observations: [
+        page([{ observationId: 'obs-1', effectiveDatetime: '2024-01-01T08:00:00Z', valueQuantity: 90, valueUnit: 'mg/dL', display: 'Glucose' }], '1'),
+        page([{ observationId: 'obs-2', effectiveDatetime: '2024-01-01T20:00:00Z', valueString: '< 5.5', valueUnit: 'mmol/l' }])
+      ],
+      vitals: [page([{ vitalId: 'vital-1', date: '2024-01-02T08:00:00Z', valueNumeric: 108, unit: 'mg/dL' }])]
+    });
+    const service = new ObservationSeriesService(services);
+
+    const result = await service.fetchSeries({ patientId: 'auth0|user-1', code: '2339-0', correlationId: 'corr-1' });
+
+    expect(services.clinicalResourceService.fetchResource).toHaveBeenCalledTimes(3);
+    expect(services.clinicalResourceService.fetchResource).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'observations' }),
+      expect.objectContaining({ filters: { code: '2339-0' }, pageSize: 100 })
+    );
+    expect(result.data.unit).toBe('mg/dL');
+    expect(result.data.display).toBe('Glucose');
+    expect(result.data.points.map((point) => point.value)).toEqual([90, 99.088, 108]);
+    expect(result.data.buckets).toEqual([
+      expect.objectContaining({ start: '2024-01-01T00:00:00.000Z', count: 2, min: 90, max: 99.088, mean: 94.544 }),
+      expect.objectContaining({ start: '2024-01-02T00:00:00.000Z', count: 1, last: { value: 108, date: '2024-01-02T08:00:00.000Z' } })
+    ]);
+    expect(result.correlationId).toBe('corr-1');
+    expect(services.cache.getOrLoad).toHaveBeenCalledWith(
+      'observation-series',
+      'auth0|user-1',
+      expect.objectContaining({ code: '2339-0', interval: 'day' }),
+      expect.any(Function),
+      { ttlMs: 5 * 60 * 1000 }
+    );
+  });
+
+  it('returns cached series without querying Foundry', async () => {
+    const services = createServices({ cached: { success: true, data: { buckets: [] } } });
+    const service = new ObservationSeriesService(services);
+
+    const result = await service.fetchSeries({ patientId: 'auth0|user-1', code: '8867-4', correlationId: 'corr-2' });
+
+    expect(result).toEqual({ success: true, data: { buckets: [] }, correlationId: 'corr-2' });
+    expect(services.clinicalResourceService.fetchResource).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildSeries', () => {
+  it('buckets by ISO week and month and reports skipped and unconvertible values', () => {
+    const observations = [
+      { effectiveDatetime: '2024-03-03T10:00:00Z', valueQuantity: 70, valueUnit: 'kg' },
+      { effectiveDatetime: '2024-03-04T10:00:00Z', valueQuantity: '154.324', valueUnit: 'lb' },
+      { effectiveDatetime: '2024-03-05T10:00:00Z', valueString: 'not measured' },
+      { effectiveDatetime: '2024-03-06T10:00:00Z', valueQuantity: 5, valueUnit: 'mmol/L' }
+    ];
+
+    const weekly = buildSeries(observations, validateSeriesParams({ code: '29463-7', interval: 'week', unit: 'kg' }));
+    expect(weekly.buckets.map((bucket) => [bucket.start, bucket.count])).toEqual([
+      ['2024-02-26T00:00:00.000Z', 1],
+      ['2024-03-04T00:00:00.000Z', 1]
+    ]);
+    expect(weekly.summary).toEqual({ count: 2, skipped: 1, unconvertible: 1 });
+
+    const monthly = buildSeries(observations, validateSeriesParams({ code: '29463-7', interval: 'month', unit: 'kg' }));
+    expect(monthly.buckets).toEqual([expect.objectContaining({
+      start: '2024-03-01T00:00:00.000Z',
+      end: '2024-04-01T00:00:00.000Z',
+      count: 2
+    })]);
+  });
+
+  it('applies inclusive from/to bounds', () => {
+    const params = validateSeriesParams({ code: '8867-4', from: '2024-01-02', to: '2024-01-02' });
+    const series = buildSeries([
+      { effectiveDatetime: '2024-01-01T23:00:00Z', valueQuantity: 60 },
+      { effectiveDatetime: '2024-01-02T23:30:00Z', valueQuantity: 65 }
+    ], params);
+
+    expect(series.points.map((point) => point.value)).toEqual([65]);
+  });
+
+  it('rejects missing codes and unknown intervals', () => {
+    expect(() => validateSeriesParams({})).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => validateSeriesParams({ code: '8867-4', interval: 'hour' })).toThrow('interval must be one of day, week or month');
+  });
+});
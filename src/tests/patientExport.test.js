@@ -0,0 +1,205 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+import { MemoryExportJobStore, PatientExportService, toCsv, toJobView } from '../services/patientExportService.js';
+import { readZipArchive } from '../utils/zipArchive.js';
+
+const createService = (overrides = {}) => {
+  const exportDir = overrides.exportDir || fs.mkdtempSync(path.join(os.tmpdir(), 'patient-export-'));
+  const clinicalResourceService = {
+    fetchResourceDirect: jest.fn(async (resource, { filters, pageToken }) => {
+      if (resource.name === 'patients') {
+        return { data: [{ patientId: 'patient-1', givenName: 'Ada', familyName: 'Lovelace', gender: 'female' }] };
+      }
+      if (resource.name === 'observations' && filters.category === 'vital-signs') {
+        return { data: [{ vitalId: 'vital-1', code: '8867-4', codeDisplay: 'Heart rate', valueNumeric: 72, unit: '/min', date: '2024-05-01' }] };
+      }
+      if (resource.name === 'observations') {
+        return pageToken
+          ? { data: [{ observationId: 'obs-2', code: '2345-7', valueQuantity: 101 }] }
+          : { data: [{ observationId: 'obs-1', code: '2345-7', valueQuantity: 95 }], nextPageToken: 'page-2' };
+      }
+      if (resource.name === 'conditions') {
+        throw new Error('Foundry unavailable');
+      }
+      return { data: [] };
+    })
+  };
+
+  const service = new PatientExportService({
+    foundryService: {
+      getToken: jest.fn().mockResolvedValue('token'),
+      listMedicationsUploadsPage: jest.fn(async (userId) => ({
+        items: userId === 'user-1' ? [{ rid: 'upload-1', medicationId: 'med-1', name: '=HYPERLINK("x")' }] : [],
+        nextPageToken: null
+      }))
+    },
+    clinicalResourceService,
+    encountersService: { fetchEncountersDirect: jest.fn().mockResolvedValue({ data: [{ encounterId: 'enc-1', periodStart: '2024-05-01' }] }) },
+    aiChatHistoryService: {
+      searchByUserId: jest.fn().mockResolvedValue([
+        { $rid: 'ri.chat.1', properties: { userId: 'auth0|user-1', transcript: 'Is my blood sugar normal?', timestamp: '2024-05-02T10:00:00Z' } }
+      ])
+    },
+    intraencounterService: { searchPageByUserId: jest.fn().mockResolvedValue({ data: [], nextPageToken: null }) },
+    healthkitDatasetService: {
+      listUserFiles: jest.fn().mockResolvedValue({ files: [{ path: 'healthkit/raw/auth0|user-1/2024-05-01.json' }], truncated: false }),
+      readFile: jest.fn().mockResolvedValue({ records: [{ uuid: 'hk-1' }] })
+    },
+    createProfileService: () => ({ findProfileByUserId: jest.fn().mockResolvedValue({ user_id: 'auth0|user-1', date_of_birth: '1990-01-01' }) }),
+    exportDir,
+    ...overrides
+  });
+
+  return { service, exportDir, clinicalResourceService };
+};
+
+describe('PatientExportService', () => {
+  let exportDir;
+
+  afterEach(() => {
+    if (exportDir) {
+      fs.rmSync(exportDir, { recursive: true, force: true });
+    }
+  });
+
+  it('packages every section into a ZIP with a FHIR document bundle', async () => {
+    const created = createService();
+    exportDir = created.exportDir;
+
+    const { job } = await created.service.startExport({
+      userId: 'auth0|user-1',
+      username: 'user-1',
+      patientId: 'patient-1',
+      baseUrl: 'https://atlas.test/api/v1/fhir/r4'
+    });
+    const finished = await created.service.waitForJob(job.id);
+
+    expect(finished.status).toBe('completed');
+    expect(toJobView(finished).filePath).toBeUndefined();
+    expect(finished.sections.find((section) => section.name === 'conditions')).toEqual(expect.objectContaining({ status: 'failed', recordCount: 0 }));
+    expect(finished.sections.find((section) => section.name === 'observations').recordCount).toBe(2);
+
+    const entries = readZipArchive(fs.readFileSync(finished.filePath));
+    expect(Array.from(entries.keys())).toEqual(expect.arrayContaining([
+      'README.md', 'manifest.json', 'bundle.json', 'csv/observations.csv', 'csv/profile.csv',
+      'data/ai-chat-history.json', 'healthkit/2024-05-01.json'
+    ]));
+
+    const bundle = JSON.parse(entries.get('bundle.json').toString('utf8'));
+    expect(bundle.type).toBe('document');
+    expect(bundle.entry[0].resource.resourceType).toBe('Composition');
+    expect(bundle.entry[1].resource).toEqual(expect.objectContaining({ resourceType: 'Patient', id: 'patient-1' }));
+    const referenced = bundle.entry[0].resource.section.flatMap((section) => section.entry.map((entry) => entry.reference));
+    const included = bundle.entry.slice(1).map((entry) => `${entry.resource.resourceType}/${entry.resource.id}`);
+    expect(included).toEqual(expect.arrayContaining(referenced));
+    expect(referenced).toEqual(expect.arrayContaining(['Observation/obs-1', 'Observation/obs-2', 'Encounter/enc-1']));
+
+    expect(entries.get('csv/medication-uploads.csv').toString('utf8')).toContain('"\'=HYPERLINK(""x"")"');
+    expect(entries.get('README.md').toString('utf8')).toContain('| Conditions | 0 | Could not be retrieved |');
+  });
+
+  it('writes the archive to disk without leaving temporary files', async () => {
+    const created = createService();
+    exportDir = created.exportDir;
+
+    const { job } = await created.service.startExport({ userId: 'auth0|user-1', patientId: 'patient-1', baseUrl: 'https://atlas.test' });
+    const finished = await created.service.waitForJob(job.id);
+
+    expect(fs.readdirSync(exportDir)).toEqual([`${job.id}.zip`]);
+    expect(finished.sizeBytes).toBe(fs.statSync(finished.filePath).size);
+    expect(fs.statSync(finished.filePath).mode & 0o777).toBe(0o600);
+  });
+
+  it('marks sections cut off by a page or file limit as truncated', async () => {
+    const created = createService();
+    exportDir = created.exportDir;
+    created.clinicalResourceService.fetchResourceDirect.mockImplementation(async (resource, { pageToken }) => (resource.name === 'observations'
+      ? { data: [{ observationId: `obs-${pageToken || 0}` }], nextPageToken: `${Number(pageToken || 0) + 1}` }
+      : { data: [] }));
+    created.service.healthkitDatasetService.listUserFiles.mockResolvedValue({ files: [{ path: 'healthkit/raw/auth0|user-1/2024-05-01.json' }], truncated: true });
+
+    const { job } = await created.service.startExport({ userId: 'auth0|user-1', patientId: 'patient-1', baseUrl: 'https://atlas.test' });
+    const finished = await created.service.waitForJob(job.id);
+
+    expect(created.clinicalResourceService.fetchResourceDirect.mock.calls.filter(([resource]) => resource.name === 'observations')).toHaveLength(100);
+    expect(finished.sections.find((section) => section.name === 'observations')).toEqual(expect.objectContaining({ status: 'truncated', recordCount: 50 }));
+    expect(finished.sections.find((section) => section.name === 'healthkit')).toEqual(expect.objectContaining({ status: 'truncated', recordCount: 1 }));
+    expect(finished.sections.find((section) => section.name === 'encounters').status).toBe('complete');
+
+    const entries = readZipArchive(fs.readFileSync(finished.filePath));
+    const manifest = JSON.parse(entries.get('manifest.json').toString('utf8'));
+    expect(manifest.sections.find((section) => section.name === 'observations').status).toBe('truncated');
+    const summary = entries.get('README.md').toString('utf8');
+    expect(summary).toContain('| Observations | 50 | Incomplete: too many records to export in full |');
+    expect(summary).toContain('- Apple Health uploads: 1 exported, the rest left out');
+  });
+
+  it('reuses a running export and expires completed archives', async () => {
+    const created = createService({ ttlMs: 1000 });
+    exportDir = created.exportDir;
+    const context = { userId: 'auth0|user-1', patientId: 'patient-1', baseUrl: 'https://atlas.test' };
+
+    const first = await created.service.startExport(context);
+    const second = await created.service.startExport(context);
+    expect(second.created).toBe(false);
+    expect(second.job.id).toBe(first.job.id);
+
+    const finished = await created.service.waitForJob(first.job.id);
+    const filePath = finished.filePath;
+    await created.service.purgeExpired(Date.parse(finished.expiresAt));
+
+    expect((await created.service.getJob(first.job.id)).status).toBe('expired');
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(finished.expiresAt) + 1000);
+    try {
+      expect(await created.service.getJob(first.job.id)).toBeNull();
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('shares jobs through the store with other instances', async () => {
+    const store = new MemoryExportJobStore();
+    const created = createService({ store });
+    exportDir = created.exportDir;
+    const other = createService({ store, exportDir }).service;
+    const context = { userId: 'auth0|user-1', patientId: 'patient-1', baseUrl: 'https://atlas.test' };
+
+    const { job } = await created.service.startExport(context);
+    const reused = await other.startExport(context);
+    expect(reused).toEqual({ job: expect.objectContaining({ id: job.id }), created: false });
+
+    await created.service.waitForJob(job.id);
+    expect(await other.getJob(job.id)).toEqual(expect.objectContaining({ status: 'completed', filePath: path.join(exportDir, `${job.id}.zip`) }));
+
+    const next = await other.startExport(context);
+    expect(next.created).toBe(true);
+    await other.waitForJob(next.job.id);
+  });
+
+  it('reports jobs that outlived their instance as failed and lets the user start again', async () => {
+    const store = new MemoryExportJobStore();
+    const created = createService({ store });
+    exportDir = created.exportDir;
+    const createdAt = new Date(Date.now() - 31 * 60 * 1000).toISOString();
+    await store.save({ id: 'orphan', userId: 'auth0|user-1', patientId: 'patient-1', status: 'running', createdAt }, { retainUntil: Date.now() + 60000 });
+    store.active.set('auth0|user-1', { jobId: 'orphan', until: Date.now() + 60000 });
+
+    expect(await created.service.getJob('orphan')).toEqual(expect.objectContaining({ status: 'failed' }));
+
+    const { job, created: isNew } = await created.service.startExport({ userId: 'auth0|user-1', patientId: 'patient-1', baseUrl: 'https://atlas.test' });
+    expect(isNew).toBe(true);
+    expect(job.id).not.toBe('orphan');
+    await created.service.waitForJob(job.id);
+  });
+});
+
+describe('toCsv', () => {
+  it('uses the union of record keys and escapes cells', () => {
+    expect(toCsv([{ a: 1, b: 'x,y' }, { c: { nested: true } }])).toBe('a,b,c\r\n1,"x,y",\r\n,,"{""nested"":true}"\r\n');
+  });
+});
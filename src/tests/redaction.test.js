@@ -0,0 +1,75 @@
+import { createRedactor, resolveRedactionLevel } from '../utils/redaction.js';
+
+describe('createRedactor', () => {
+  it('masks sensitive keys and value patterns without touching the source object', () => {
+    const redactor = createRedactor({ strategy: 'mask' });
+    const user = { sub: 'auth0|abc123', email: 'pat@example.com', scope: 'read:patient' };
+
+    const result = redactor.redactValue({
+      user,
+      userinput: 'I have chest pain',
+      note: 'Call 555-123-4567 or mail pat@example.com, DOB: 04/12/1961',
+      authorization: 'Bearer eyJ...',
+      correlationId: '6f1c3a52-0e4b-4c1d-9a2e-8d1f6e2b7c90',
+      count: 3
+    });
+
+    expect(result).toEqual({
+      user: { sub: '[REDACTED:auth0-id]', email: '[REDACTED:email]', scope: 'read:patient' },
+      userinput: '[REDACTED:userinput]',
+      note: 'Call [REDACTED:phone] or mail [REDACTED:email], [REDACTED:dob]',
+      authorization: '[REDACTED]',
+      correlationId: '6f1c3a52-0e4b-4c1d-9a2e-8d1f6e2b7c90',
+      count: 3
+    });
+    expect(user.email).toBe('pat@example.com');
+  });
+
+  it('hashes identifiers consistently so log lines can be correlated', () => {
+    const redactor = createRedactor({ salt: 'test-salt' });
+
+    const first = redactor.redactEntry('message', 'Fetching data for auth0|abc123');
+    const second = redactor.redactEntry('message', 'Cached data for auth0|abc123');
+
+    expect(first).toMatch(/^Fetching data for \[auth0-id:[0-9a-f]{12}\]$/);
+    expect(first.split(' ').pop()).toBe(second.split(' ').pop());
+  });
+
+  it('redacts identifiers and payloads in strict mode', () => {
+    const redactor = createRedactor({ level: 'strict', strategy: 'mask' });
+
+    expect(redactor.redactValue({
+      patientId: 'patient-7',
+      payload: { where: { field: 'auth0id', value: 'x' } },
+      records: [1, 2, 3],
+      status: 429
+    })).toEqual({
+      patientId: '[REDACTED:patientid]',
+      payload: '[REDACTED object]',
+      records: '[REDACTED array(3)]',
+      status: 429
+    });
+    expect(createRedactor({ strategy: 'mask' }).redactValue({ patientId: 'patient-7' })).toEqual({ patientId: 'patient-7' });
+  });
+
+  it('handles errors and circular references', () => {
+    const redactor = createRedactor({ strategy: 'mask', extraKeys: ['diagnosis'] });
+    const error = new Error('Lookup failed for pat@example.com');
+    const circular = { diagnosis: 'flu' };
+    circular.self = circular;
+
+    const result = redactor.redactValue({ error, circular });
+
+    expect(result.error.message).toBe('Lookup failed for [REDACTED:email]');
+    expect(result.circular).toEqual({ diagnosis: '[REDACTED:diagnosis]', self: '[Circular]' });
+  });
+});
+
+describe('resolveRedactionLevel', () => {
+  it('defaults to strict in production and refuses to disable redaction there', () => {
+    expect(resolveRedactionLevel({ NODE_ENV: 'production' })).toBe('strict');
+    expect(resolveRedactionLevel({ NODE_ENV: 'production', LOG_REDACTION: 'off' })).toBe('strict');
+    expect(resolveRedactionLevel({ NODE_ENV: 'development' })).toBe('standard');
+    expect(resolveRedactionLevel({ NODE_ENV: 'development', LOG_REDACTION: 'off' })).toBe('off');
+  });
+});
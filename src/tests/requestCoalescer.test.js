@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+
+import { CoalescingNotifier, RequestCoalescer } from '../utils/requestCoalescer.js';
+
+// One Redis shared by every "instance": strings with NX/PX, the lease release script and pub/sub
+const createRedis = () => {
+  const store = new Map();
+  const channels = new Map();
+  const live = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const redis = {
+    store,
+    isReady: true,
+    get: jest.fn(async (key) => live(key)?.value ?? null),
+    set: jest.fn(async (key, value, { NX, PX } = {}) => {
+      if (NX && live(key)) {
+        return null;
+      }
+      store.set(key, { value, expiresAt: PX ? Date.now() + PX : Infinity });
+      return 'OK';
+    }),
+    pTTL: jest.fn(async (key) => {
+      const entry = live(key);
+      if (!entry) {
+        return -2;
+      }
+      return entry.expiresAt === Infinity ? -1 : entry.expiresAt - Date.now();
+    }),
+    eval: jest.fn(async (script, { keys: [key], arguments: [token] }) => (live(key)?.value === token ? Number(store.delete(key)) : 0)),
+    publish: jest.fn(async (channel, message) => {
+      for (const listener of channels.get(channel) || []) {
+        setImmediate(() => listener(message));
+      }
+      return 1;
+    }),
+    duplicate: () => ({
+      connect: async () => {},
+      quit: async () => {},
+      subscribe: async (channel, listener) => {
+        channels.set(channel, [...(channels.get(channel) || []), listener]);
+      }
+    })
+  };
+  return redis;
+};
+
+const createInstance = async (redis, options = {}) => {
+  const notifier = new CoalescingNotifier({ redisClient: redis, channel: 'atlas:v1:coalesce' });
+  await notifier.start();
+  const coalescer = new RequestCoalescer('media', { leaseMs: 200, waitTimeoutMs: 1000, ...options });
+  coalescer.enableDistributed({ redisClient: redis, notifier, prefix: 'atlas:v1:' });
+  return coalescer;
+};
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('RequestCoalescer across instances', () => {
+  it('fetches once and hands the result to waiting instances', async () => {
+    const redis = createRedis();
+    const serialize = ({ content }) => ({ content: content.toString('base64') });
+    const deserialize = ({ content }) => ({ content: Buffer.from(content, 'base64') });
+    const first = await createInstance(redis, { serialize, deserialize });
+    const second = await createInstance(redis, { serialize, deserialize });
+    const upstream = deferred();
+    const fetchFn = jest.fn(() => upstream.promise);
+
+    const leader = first.coalesce('set-1:item-1', fetchFn);
+    await new Promise((resolve) => setImmediate(resolve));
+    const waiter = second.coalesce('set-1:item-1', fetchFn);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    upstream.resolve({ content: Buffer.from('image-bytes') });
+
+    expect((await leader).content.toString()).toBe('image-bytes');
+    expect((await waiter).content.toString()).toBe('image-bytes');
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(second.getStats()).toEqual(expect.objectContaining({ remote: 1, distributed: true }));
+    expect(redis.store.has('atlas:v1:coalesce:lease:media:set-1:item-1')).toBe(false);
+  });
+
+  it('takes over an expired lease', async () => {
+    const redis = createRedis();
+    const coalescer = await createInstance(redis);
+    // A crashed instance left its lease behind
+    await redis.set('atlas:v1:coalesce:lease:media:set-1:item-1', 'crashed', { PX: 50 });
+    const fetchFn = jest.fn().mockResolvedValue({ content: 'fresh' });
+
+    expect(await coalescer.coalesce('set-1:item-1', fetchFn)).toEqual({ content: 'fresh' });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(coalescer.getStats().leases).toBe(1);
+  });
+
+  it('fetches itself when the lease holder fails', async () => {
+    const redis = createRedis();
+    const first = await createInstance(redis);
+    const second = await createInstance(redis);
+    const upstream = deferred();
+
+    const leader = first.coalesce('item', () => upstream.promise);
+    await new Promise((resolve) => setImmediate(resolve));
+    const waiter = second.coalesce('item', async () => 'own fetch');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    upstream.reject(new Error('Foundry unavailable'));
+
+    await expect(leader).rejects.toThrow('Foundry unavailable');
+    expect(await waiter).toBe('own fetch');
+    expect(second.getStats().fallbacks).toBe(1);
+  });
+
+  it('falls back to local coalescing when Redis is unavailable', async () => {
+    const redis = createRedis();
+    const coalescer = await createInstance(redis);
+    redis.set.mockRejectedValue(new Error('connection lost'));
+    const fetchFn = jest.fn().mockResolvedValue('local');
+
+    const results = await Promise.all([coalescer.coalesce('item', fetchFn), coalescer.coalesce('item', fetchFn)]);
+
+    expect(results).toEqual(['local', 'local']);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(coalescer.getStats()).toEqual(expect.objectContaining({ coalesced: 1, fallbacks: 1 }));
+
+    redis.isReady = false;
+    expect(coalescer.distributed).toBe(false);
+  });
+});
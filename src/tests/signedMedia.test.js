@@ -0,0 +1,136 @@
+import express from 'express';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+
+import { MediaUrlSigner, createMediaUrlSigner } from '../services/mediaUrlSigner.js';
+import { createRedactor } from '../utils/redaction.js';
+
+const MEDIA_SET_RID = 'ri.mio.main.media-set.photos';
+const MEDIA_ITEM_RID = 'ri.mio.main.media-item.photo-1';
+
+describe('MediaUrlSigner', () => {
+  const signer = new MediaUrlSigner({ secret: 'test-secret', ttlSeconds: 300 });
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  it('round-trips the item and user it was signed for until it expires', () => {
+    const { token, expiresAt } = signer.sign(
+      { mediaSetRid: MEDIA_SET_RID, mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' },
+      { now }
+    );
+
+    expect(expiresAt).toBe('2026-01-01T00:05:00.000Z');
+    expect(signer.verify(token, { now: now + 1000 })).toEqual({
+      valid: true,
+      mediaSetRid: MEDIA_SET_RID,
+      mediaItemRid: MEDIA_ITEM_RID,
+      userId: 'auth0|ada',
+      expiresAt
+    });
+    expect(signer.verify(token, { now: now + 300 * 1000 })).toEqual({ valid: false, reason: 'expired' });
+  });
+
+  it('rejects tokens that were altered or signed with another key', () => {
+    const { token } = signer.sign({ mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' }, { now });
+    const [, signature] = token.split('.');
+    const forgedClaims = Buffer.from(JSON.stringify({
+      v: 1, s: null, i: 'ri.mio.main.media-item.other', u: 'auth0|ada', exp: now / 1000 + 300
+    })).toString('base64url');
+
+    expect(signer.verify(`${forgedClaims}.${signature}`, { now })).toEqual({ valid: false, reason: 'signature' });
+    expect(new MediaUrlSigner({ secret: 'other-secret' }).verify(token, { now }).reason).toBe('signature');
+    expect(signer.verify('not-a-token', { now }).reason).toBe('malformed');
+  });
+
+  it('lets callers shorten but not extend the lifetime', () => {
+    const shorter = signer.sign({ mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' }, { expiresIn: 60, now });
+    const longer = signer.sign({ mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' }, { expiresIn: 86400, now });
+
+    expect(shorter.expiresAt).toBe('2026-01-01T00:01:00.000Z');
+    expect(longer.expiresAt).toBe('2026-01-01T00:05:00.000Z');
+  });
+
+  it('refuses to run in production without a shared signing secret', () => {
+    expect(() => new MediaUrlSigner({ secret: '', production: true })).toThrow('MEDIA_URL_SIGNING_SECRET is required in production');
+    expect(new MediaUrlSigner({ secret: '', production: false }).secret).toHaveLength(64);
+    expect(createMediaUrlSigner({ secret: '', production: true })).toBeNull();
+  });
+
+  it('keeps tokens out of logs', () => {
+    const { token } = signer.sign({ mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' });
+    const redactor = createRedactor({ strategy: 'mask' });
+
+    expect(redactor.redactEntry('message', `GET /m/${token} HTTP/1.1`)).toBe('GET [REDACTED:signed-media-token] HTTP/1.1');
+  });
+});
+
+describe('GET /m/:token', () => {
+  let app;
+  let signer;
+  let sendSetItem;
+  let sendItem;
+
+  beforeAll(async () => {
+    process.env.MEDIA_URL_SIGNING_SECRET = 'route-secret';
+
+    const contentModule = await import('../services/mediaContentService.js');
+    sendSetItem = jest.spyOn(contentModule.MediaContentService.prototype, 'sendSetItem')
+      .mockImplementation(async (req, res) => {
+        res.status(200).type('image/jpeg').send(Buffer.from('photo-bytes'));
+        return { cached: true, size: 11 };
+      });
+    sendItem = jest.spyOn(contentModule.MediaContentService.prototype, 'sendItem')
+      .mockResolvedValue({ found: false, lastStatus: 404 });
+
+    signer = (await import('../services/mediaUrlSigner.js')).getMediaUrlSigner();
+    const { signedMediaRouter } = await import('../routes/signedMedia.js');
+    app = express();
+    app.use((req, res, next) => {
+      req.correlationId = 'test-correlation-id';
+      next();
+    });
+    app.use('/m', signedMediaRouter);
+  });
+
+  afterAll(() => {
+    delete process.env.MEDIA_URL_SIGNING_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  it('streams the signed item without an Authorization header', async () => {
+    const { token } = signer.sign({ mediaSetRid: MEDIA_SET_RID, mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' });
+
+    const response = await request(app).get(`/m/${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.toString()).toBe('photo-bytes');
+    const [, , item, options] = sendSetItem.mock.calls[0];
+    expect(item).toEqual({ mediaSetRid: MEDIA_SET_RID, mediaItemRid: MEDIA_ITEM_RID });
+    expect(options.cacheControl).toMatch(/^private, max-age=(29\d|300)$/);
+  });
+
+  it('returns 404 when an item without a media set is not found', async () => {
+    const { token } = signer.sign({ mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' });
+
+    const response = await request(app).get(`/m/${token}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('MEDIA_NOT_FOUND');
+    expect(sendItem).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects expired and forged tokens', async () => {
+    const expired = signer.sign(
+      { mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' },
+      { now: Date.now() - 10 * 60 * 1000 }
+    );
+    const forged = new MediaUrlSigner({ secret: 'attacker' }).sign({ mediaItemRid: MEDIA_ITEM_RID, userId: 'auth0|ada' });
+
+    const expiredResponse = await request(app).get(`/m/${expired.token}`);
+    const forgedResponse = await request(app).get(`/m/${forged.token}`);
+
+    expect(expiredResponse.status).toBe(403);
+    expect(expiredResponse.body.error.code).toBe('MEDIA_URL_EXPIRED');
+    expect(forgedResponse.status).toBe(403);
+    expect(forgedResponse.body.error.code).toBe('INVALID_MEDIA_SIGNATURE');
+  });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+
+import { CacheService, STALE_IF_ERROR_MS, classifyCacheAge } from '../services/cacheService.js';
+import { LruCache, TieredCache, getCacheStatus, withCacheStatus } from '../services/tieredCache.js';
+import { applyCacheStatus } from '../utils/cacheHeaders.js';
+
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    get: jest.fn(async (key) => store.get(key) ?? null),
+    setEx: jest.fn(async (key, ttl, value) => {
+      store.set(key, value);
+      return 'OK';
+    }),
+    del: jest.fn(async (keys) => keys.filter((key) => store.delete(key)).length)
+  };
+};
+
+describe('LruCache', () => {
+  it('evicts the least recently used entry when over the entry limit', () => {
+    const lru = new LruCache({ maxEntries: 2, maxBytes: 1000 });
+    const expiresAt = Date.now() + 1000;
+
+    lru.set('a', 1, { expiresAt, size: 1 });
+    lru.set('b', 2, { expiresAt, size: 1 });
+    lru.get('a');
+    lru.set('c', 3, { expiresAt, size: 1 });
+
+    expect(Array.from(lru.entries.keys())).toEqual(['a', 'c']);
+    expect(lru.evictions).toBe(1);
+  });
+
+  it('keeps total size under the byte budget and skips oversized values', () => {
+    const lru = new LruCache({ maxEntries: 10, maxBytes: 100 });
+    const expiresAt = Date.now() + 1000;
+
+    lru.set('a', 'x', { expiresAt, size: 60 });
+    lru.set('b', 'y', { expiresAt, size: 60 });
+    expect(lru.set('huge', 'z', { expiresAt, size: 101 })).toBe(false);
+
+    expect(Array.from(lru.entries.keys())).toEqual(['b']);
+    expect(lru.bytes).toBe(60);
+  });
+
+  it('drops expired entries on read', () => {
+    const lru = new LruCache();
+    lru.set('a', 1, { expiresAt: 1000, size: 5 });
+
+    expect(lru.get('a', 1000)).toBeUndefined();
+    expect(lru.size).toBe(0);
+    expect(lru.bytes).toBe(0);
+  });
+});
+
+describe('TieredCache', () => {
+  it('shares entries between instances through Redis and counts hits per tier', async () => {
+    const redis = createRedis();
+    const cacheService = new CacheService(redis);
+    const writer = new TieredCache({ cacheService });
+    const reader = new TieredCache({ cacheService });
+
+    await writer.set('conditions', 'auth0|user-1', { pageSize: 25 }, { success: true, data: [] }, { ttlMs: 60000 });
+
+    // Redis keeps the entry through the stale-if-error window
+    expect(redis.setEx).toHaveBeenCalledWith(
+      'atlas:v1:conditions:auth0|user-1:{"pageSize":25}',
+      60 + STALE_IF_ERROR_MS / 1000,
+      expect.any(String)
+    );
+    expect(await reader.get('conditions', 'auth0|user-1', { pageSize: 25 })).toEqual({ success: true, data: [] });
+    expect(await reader.get('conditions', 'auth0|user-1', { pageSize: 25 })).toEqual({ success: true, data: [] });
+    expect(await reader.get('conditions', 'auth0|user-1', { pageSize: 50 })).toBeUndefined();
+    expect(redis.get).toHaveBeenCalledTimes(2);
+    expect(reader.getMetrics().types.conditions).toEqual(expect.objectContaining({ l1Hits: 1, l2Hits: 1, misses: 1, hitRatio: 0.6667 }));
+  });
+
+  it('caches null results and loads through on a miss', async () => {
+    const cache = new TieredCache({ cacheService: new CacheService(null) });
+    const loader = jest.fn().mockResolvedValue(null);
+
+    expect(await cache.getOrLoad('encounter', 'patient-1', { encounterId: 'e-1' }, loader)).toBeNull();
+    expect(await cache.getOrLoad('encounter', 'patient-1', { encounterId: 'e-1' }, loader)).toBeNull();
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the in-process tier when Redis fails', async () => {
+    const redis = createRedis();
+    redis.get.mockRejectedValue(new Error('connection lost'));
+    redis.setEx.mockRejectedValue(new Error('connection lost'));
+    const cache = new TieredCache({ cacheService: new CacheService(redis) });
+
+    await cache.set('observations', 'patient-1', {}, { data: [1] });
+    expect(await cache.get('observations', 'patient-1', {})).toEqual({ data: [1] });
+    expect(await cache.get('observations', 'patient-2', {})).toBeUndefined();
+
+    expect(cache.getMetrics().types.observations).toEqual(expect.objectContaining({ l1Hits: 1, misses: 1, l2Errors: 2 }));
+  });
+});
+
+describe('stale cache entries', () => {
+  const unavailable = () => Object.assign(new Error('Foundry service temporarily unavailable'), { status: 503 });
+
+  const createCache = () => new TieredCache({
+    cacheService: new CacheService(createRedis()),
+    staleWhileRevalidateMs: 1000,
+    staleIfErrorMs: 60000
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves an expired entry at once and refreshes it in the background', async () => {
+    const cache = createCache();
+    const loader = jest.fn().mockResolvedValueOnce({ data: ['v1'] }).mockResolvedValueOnce({ data: ['v2'] });
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+    await cache.getOrLoad('conditions', 'patient-1', {}, loader, { ttlMs: 5000 });
+    now.mockReturnValue(start + 5500);
+    const stale = await cache.getOrLoad('conditions', 'patient-1', {}, loader, { ttlMs: 5000 });
+    await cache.drainRefreshes();
+
+    expect(stale.data).toEqual(['v1']);
+    expect(getCacheStatus(stale)).toEqual({ stale: true, reason: 'revalidating', ageSeconds: 5 });
+    expect(await cache.getOrLoad('conditions', 'patient-1', {}, loader, { ttlMs: 5000 })).toEqual({ data: ['v2'] });
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(cache.getMetrics().types.conditions.staleServed).toBe(1);
+  });
+
+  it('falls back to the stale entry when Foundry is unavailable and rethrows request errors', async () => {
+    const cache = createCache();
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+    await cache.getOrLoad('encounters', 'patient-1', {}, async () => ({ data: ['cached'] }), { ttlMs: 5000 });
+    now.mockReturnValue(start + 30000);
+
+    const fallback = await cache.getOrLoad('encounters', 'patient-1', {}, () => Promise.reject(unavailable()), { ttlMs: 5000 });
+    expect(fallback.data).toEqual(['cached']);
+    expect(getCacheStatus(fallback)).toEqual(expect.objectContaining({ reason: 'revalidation-failed', ageSeconds: 30 }));
+
+    const badRequest = Object.assign(new Error('Invalid filter'), { status: 400 });
+    await expect(cache.getOrLoad('encounters', 'patient-1', {}, () => Promise.reject(badRequest), { ttlMs: 5000 }))
+      .rejects.toThrow('Invalid filter');
+
+    now.mockReturnValue(start + 70000);
+    await expect(cache.getOrLoad('encounters', 'patient-1', {}, () => Promise.reject(unavailable()), { ttlMs: 5000 }))
+      .rejects.toThrow('Foundry service temporarily unavailable');
+  });
+
+  it('marks stale responses with X-Cache, Age and Warning headers', () => {
+    const res = { set: jest.fn() };
+
+    expect(applyCacheStatus(res, { data: [] }, null)).toBe(false);
+    expect(res.set).not.toHaveBeenCalled();
+
+    const payload = withCacheStatus({ data: [] }, { stale: true, reason: 'revalidation-failed', ageSeconds: 42 });
+    expect(JSON.stringify({ ...payload })).toBe('{"data":[]}');
+    expect(applyCacheStatus(res, null, payload)).toBe(true);
+    expect(res.set).toHaveBeenCalledWith('X-Cache', 'STALE');
+    expect(res.set).toHaveBeenCalledWith('Age', '42');
+    expect(res.set).toHaveBeenCalledWith('Warning', '111 - "Revalidation Failed"');
+  });
+});
+
+describe('classifyCacheAge', () => {
+  it('moves from fresh through both stale windows to expired', () => {
+    const windows = { staleWhileRevalidateMs: 1000, staleIfErrorMs: 10000 };
+
+    expect(classifyCacheAge(500, 1000, windows)).toBe('fresh');
+    expect(classifyCacheAge(1500, 1000, windows)).toBe('stale-while-revalidate');
+    expect(classifyCacheAge(5000, 1000, windows)).toBe('stale-if-error');
+    expect(classifyCacheAge(11000, 1000, windows)).toBeNull();
+  });
+});
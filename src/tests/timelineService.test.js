@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+
+import { TimelineService, groupByEncounter, mergeSortedLists } from '../services/timelineService.js';
+
+const page = (data, nextPageToken = null) => ({ success: true, data, nextPageToken });
+
+const createServices = (resources = {}, encounters = [page([])]) => {
+  const clinicalResourceService = {
+    fetchResource: jest.fn(async (definition, { pageToken }) => {
+      const pages = resources[definition.name] || [page([])];
+      const index = pageToken ? Number(pageToken) : 0;
+      return pages[index];
+    })
+  };
+  const encountersService = {
+    fetchEncounters: jest.fn(async ({ pageToken }) => encounters[pageToken ? Number(pageToken) : 0])
+  };
+  return { clinicalResourceService, encountersService };
+};
+
+describe('TimelineService', () => {
+  it('merges sources newest first and groups items under their encounter', async () => {
+    const services = createServices(
+      {
+        'clinical-notes': [page([{ id: 'note-1', documentDate: '2024-02-01T10:00:00Z', encounterId: 'enc-1' }])],
+        procedures: [page([{ id: 'proc-1', performedDate: '2024-03-01' }])],
+        observations: [
+          page([{ id: 'obs-1', observationDate: '2023-12-01', encounterId: 'enc-1' }], '1'),
+          page([{ id: 'obs-2', observationDate: '2024-04-01' }])
+        ]
+      },
+      [page([{ id: 'enc-1', encounterId: 'enc-1', periodStart: '2024-02-01T09:00:00Z' }])]
+    );
+    const service = new TimelineService(services);
+
+    const result = await service.fetchTimeline({ patientId: 'auth0|user-1', correlationId: 'corr-1' });
+
+    expect(result.data.map((entry) => entry.type)).toEqual(['observation', 'procedure', 'encounter-group']);
+    const group = result.data[2];
+    expect(group.encounterId).toBe('enc-1');
+    expect(group.encounter).toMatchObject({ id: 'enc-1' });
+    expect(group.items.map((item) => item.id)).toEqual(['note-1', 'obs-1']);
+    expect(result.sources.observation).toEqual({ status: 'ok', count: 2, truncated: false });
+    expect(result.nextCursor).toBeNull();
+  });
+
+  it('pages across all sources with a single cursor', async () => {
+    const services = createServices({
+      procedures: [page([
+        { id: 'proc-1', performedDate: '2024-03-01' },
+        { id: 'proc-2', performedDate: '2024-01-01' }
+      ])],
+      immunizations: [page([{ id: 'imm-1', occurrenceDate: '2024-02-01' }])]
+    });
+    const service = new TimelineService(services);
+
+    const first = await service.fetchTimeline({ patientId: 'auth0|user-1', pageSize: 2 });
+    expect(first.data.map((entry) => entry.id)).toEqual(['proc-1', 'imm-1']);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await service.fetchTimeline({ patientId: 'auth0|user-1', pageSize: 2, cursor: first.nextCursor });
+    expect(second.data.map((entry) => entry.id)).toEqual(['proc-2']);
+    expect(second.nextCursor).toBeNull();
+    // Second page is served from the cached snapshot
+    expect(services.clinicalResourceService.fetchResource).toHaveBeenCalledTimes(4);
+  });
+
+  it('keeps serving when one source fails', async () => {
+    const services = createServices({ procedures: [page([{ id: 'proc-1', performedDate: '2024-03-01' }])] });
+    services.encountersService.fetchEncounters.mockRejectedValue(Object.assign(new Error('throttled'), { status: 429 }));
+    const service = new TimelineService(services);
+
+    const result = await service.fetchTimeline({ patientId: 'auth0|user-1' });
+
+    expect(result.data).toHaveLength(1);
+    expect(result.sources.encounter.status).toBe('error');
+  });
+
+  it('refuses a cursor into a snapshot that has since been rebuilt', async () => {
+    const services = createServices({
+      procedures: [page([
+        { id: 'proc-1', performedDate: '2024-03-01' },
+        { id: 'proc-2', performedDate: '2024-01-01' }
+      ])]
+    });
+    const service = new TimelineService({ ...services, cacheTtlMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-05-01T00:00:00Z'));
+
+    try {
+      const first = await service.fetchTimeline({ patientId: 'auth0|user-1', pageSize: 1 });
+
+      // Past the snapshot TTL and its stale window, so the next page builds a new snapshot
+      now.mockReturnValue(Date.parse('2024-05-01T01:00:00Z'));
+      await expect(service.fetchTimeline({ patientId: 'auth0|user-1', pageSize: 1, cursor: first.nextCursor }))
+        .rejects.toMatchObject({ code: 'INVALID_CURSOR', status: 410 });
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('rejects malformed cursors', async () => {
+    const service = new TimelineService(createServices());
+
+    await expect(service.fetchTimeline({ patientId: 'auth0|user-1', cursor: 'not-a-cursor' }))
+      .rejects.toMatchObject({ code: 'INVALID_CURSOR', status: 400 });
+  });
+});
+
+describe('timeline helpers', () => {
+  it('merges pre-sorted lists and keeps undated items last', () => {
+    const merged = mergeSortedLists([
+      [{ id: 'a', date: '2024-03-01T00:00:00.000Z' }, { id: 'c', date: null }],
+      [{ id: 'b', date: '2024-02-01T00:00:00.000Z' }]
+    ]);
+    expect(merged.map((item) => item.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('creates a group for encounter ids without a matching encounter', () => {
+    const entries = groupByEncounter([
+      { type: 'procedure', id: 'p', date: '2024-01-02T00:00:00.000Z', encounterId: 'enc-9' }
+    ]);
+    expect(entries).toEqual([expect.objectContaining({
+      type: 'encounter-group',
+      encounterId: 'enc-9',
+      encounter: null,
+      date: '2024-01-02T00:00:00.000Z'
+    })]);
+  });
+});
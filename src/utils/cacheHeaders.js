@@ -0,0 +1,30 @@
+import { getCacheStatus } from '../services/tieredCache.js';
+
+const STALE_WARNINGS = {
+  revalidating: '110 - "Response is Stale"',
+  'revalidation-failed': '111 - "Revalidation Failed"'
+};
+
+/**
+ * Mark a response built from an expired cache entry: `X-Cache: STALE`, its `Age`, and a `Warning`
+ * (110 while a background refresh runs, 111 when the refresh from Foundry failed).
+ * @param {{ reason: string, ageSeconds: number }} status
+ */
+export function setStaleHeaders(res, { reason, ageSeconds }) {
+  res.set('X-Cache', 'STALE');
+  res.set('Age', String(Math.max(0, Math.floor(ageSeconds || 0))));
+  res.set('Warning', STALE_WARNINGS[reason] || STALE_WARNINGS.revalidating);
+}
+
+/**
+ * Set the stale headers when any of `payloads` was served from a stale cache entry.
+ * @returns {boolean} whether the response was marked stale
+ */
+export function applyCacheStatus(res, ...payloads) {
+  const status = payloads.map(getCacheStatus).find((candidate) => candidate?.stale);
+  if (!status) {
+    return false;
+  }
+  setStaleHeaders(res, status);
+  return true;
+}
@@ -0,0 +1,589 @@
+// Map normalized Fasten ontology entries (see services/clinicalResources.js and
+// services/encountersService.js) onto FHIR R4 resources, and build the Bundle /
+// CapabilityStatement / OperationOutcome envelopes and search parameter matching used by
+// the /fhir/r4 router.
+
+import { randomUUID } from 'crypto';
+
+export const FHIR_VERSION = '4.0.1';
+export const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+export const LOINC_SYSTEM = 'http://loinc.org';
+export const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const CONDITION_CLINICAL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+const CONDITION_VERIFICATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-ver-status';
+const ALLERGY_CLINICAL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical';
+const ALLERGY_VERIFICATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification';
+const ENCOUNTER_CLASS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+
+const DATE_SEARCH_PREFIXES = new Set(['eq', 'ne', 'gt', 'lt', 'ge', 'le']);
+const FHIR_GENDERS = new Set(['male', 'female', 'other', 'unknown']);
+const ALLERGY_CATEGORIES = new Set(['food', 'medication', 'environment', 'biologic']);
+
+/**
+ * FHIR ids are limited to [A-Za-z0-9-.]{1,64}; Auth0 subjects and some Fasten keys are not.
+ */
+export function toFhirId(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return String(value).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+}
+
+function pick(entry, fields) {
+  for (const field of fields) {
+    const value = entry?.[field];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function toCode(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : undefined;
+}
+
+function codeableConcept({ system, code, display, text } = {}) {
+  const concept = {};
+  if (code) {
+    concept.coding = [prune({ system, code: String(code), display })];
+  }
+  const resolvedText = text || display;
+  if (resolvedText) {
+    concept.text = String(resolvedText);
+  }
+  return Object.keys(concept).length > 0 ? concept : undefined;
+}
+
+function reference(resourceType, id, display) {
+  if (!id && !display) {
+    return undefined;
+  }
+  return prune({
+    reference: id ? `${resourceType}/${toFhirId(id)}` : undefined,
+    display
+  });
+}
+
+function toNumber(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  }
+  return undefined;
+}
+
+function quantity(value, unit) {
+  const numeric = toNumber(value);
+  if (numeric === undefined) {
+    return undefined;
+  }
+  return prune({
+    value: numeric,
+    unit: unit || undefined,
+    system: unit ? UCUM_SYSTEM : undefined,
+    code: unit || undefined
+  });
+}
+
+function annotation(text) {
+  return text ? [{ text: String(text) }] : undefined;
+}
+
+// Drop undefined/empty values so resources only carry populated elements
+function prune(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (Array.isArray(value) && value.length === 0) {
+      continue;
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+export function toFhirPatient(entry, patientId) {
+  const gender = toCode(entry.gender);
+  return prune({
+    resourceType: 'Patient',
+    id: toFhirId(patientId),
+    identifier: [
+      prune({ system: 'urn:atlas:patient-id', value: patientId }),
+      entry.patientId && entry.patientId !== patientId
+        ? { system: 'urn:fasten:patient-id', value: String(entry.patientId) }
+        : undefined
+    ].filter(Boolean),
+    name: entry.familyName || entry.givenName
+      ? [prune({
+        family: entry.familyName,
+        given: entry.givenName ? String(entry.givenName).split(/\s+/) : undefined
+      })]
+      : undefined,
+    gender: FHIR_GENDERS.has(gender) ? gender : undefined,
+    birthDate: typeof entry.birthDate === 'string' ? entry.birthDate.slice(0, 10) : undefined,
+    telecom: [
+      entry.phone ? { system: 'phone', value: String(entry.phone) } : undefined,
+      entry.email ? { system: 'email', value: String(entry.email) } : undefined
+    ].filter(Boolean),
+    address: entry.addressLine || entry.city || entry.state || entry.postalCode || entry.country
+      ? [prune({
+        line: entry.addressLine ? [String(entry.addressLine)] : undefined,
+        city: entry.city,
+        state: entry.state,
+        postalCode: entry.postalCode,
+        country: entry.country
+      })]
+      : undefined,
+    managingOrganization: reference('Organization', entry.managingOrganizationId, entry.managingOrganizationName)
+  });
+}
+
+export function toFhirObservation(entry, patientId) {
+  const isVital = Boolean(entry.vitalId || entry.vitalType);
+  const categoryCode = toCode(entry.categoryCode) || (isVital ? 'vital-signs' : undefined);
+  const unit = pick(entry, ['valueUnit', 'unit']);
+  const valueQuantity = quantity(pick(entry, ['valueNumeric', 'valueQuantity']), unit);
+  const codeSystem = entry.system || (isVital ? undefined : LOINC_SYSTEM);
+
+  const observation = {
+    resourceType: 'Observation',
+    id: toFhirId(pick(entry, ['observationId', 'vitalId', 'id'])),
+    status: toCode(entry.status) || 'final',
+    category: [
+      codeableConcept({
+        system: categoryCode ? OBSERVATION_CATEGORY_SYSTEM : undefined,
+        code: categoryCode,
+        display: pick(entry, ['categoryDisplay', 'category'])
+      })
+    ].filter(Boolean),
+    code: codeableConcept({
+      system: entry.code ? codeSystem : undefined,
+      code: entry.code,
+      display: pick(entry, ['display', 'codeDisplay', 'vitalType'])
+    }) || { text: 'Unknown' },
+    subject: reference('Patient', patientId),
+    encounter: reference('Encounter', entry.encounterId),
+    effectiveDateTime: pick(entry, ['effectiveDatetime', 'observationDate', 'date']),
+    performer: entry.performerId ? [reference('Practitioner', entry.performerId)] : undefined
+  };
+
+  if (valueQuantity) {
+    observation.valueQuantity = valueQuantity;
+  } else if (entry.valueCode) {
+    observation.valueCodeableConcept = codeableConcept({ code: entry.valueCode, text: entry.valueString });
+  } else if (entry.valueString) {
+    observation.valueString = String(entry.valueString);
+  }
+
+  const low = quantity(entry.referenceRangeLow, unit);
+  const high = quantity(entry.referenceRangeHigh, unit);
+  if (low || high) {
+    observation.referenceRange = [prune({ low, high })];
+  }
+
+  return prune(observation);
+}
+
+export function toFhirCondition(entry, patientId) {
+  const clinicalStatus = toCode(entry.clinicalStatus);
+  const verificationStatus = toCode(entry.verificationStatus);
+  return prune({
+    resourceType: 'Condition',
+    id: toFhirId(pick(entry, ['conditionId', 'id'])),
+    clinicalStatus: codeableConcept({ system: CONDITION_CLINICAL_SYSTEM, code: clinicalStatus }),
+    verificationStatus: codeableConcept({ system: CONDITION_VERIFICATION_SYSTEM, code: verificationStatus }),
+    category: [codeableConcept({ text: entry.category })].filter(Boolean),
+    severity: codeableConcept({ text: entry.severity }),
+    code: codeableConcept({ text: pick(entry, ['conditionName', 'codeDisplay']) }),
+    bodySite: [codeableConcept({ text: entry.bodySite })].filter(Boolean),
+    subject: reference('Patient', patientId),
+    encounter: reference('Encounter', entry.encounterId),
+    onsetDateTime: pick(entry, ['onsetDatetime', 'onsetDate']),
+    abatementDateTime: entry.abatementDate,
+    recordedDate: entry.recordedDate,
+    recorder: reference('Practitioner', entry.recorderId, entry.recorderName),
+    asserter: reference('Practitioner', entry.asserterId, entry.asserterName),
+    stage: entry.stage ? [{ summary: { text: String(entry.stage) } }] : undefined,
+    evidence: entry.evidence ? [{ detail: [{ display: String(entry.evidence) }] }] : undefined,
+    note: annotation(entry.note)
+  });
+}
+
+export function toFhirProcedure(entry, patientId) {
+  const periodStart = pick(entry, ['performedPeriodStart']);
+  const periodEnd = pick(entry, ['performedPeriodEnd']);
+  const performer = entry.performerId || entry.performerName
+    ? [prune({
+      actor: reference('Practitioner', entry.performerId, entry.performerName),
+      function: codeableConcept({ text: entry.performerRole })
+    })]
+    : undefined;
+
+  return prune({
+    resourceType: 'Procedure',
+    id: toFhirId(pick(entry, ['procedureId', 'id'])),
+    status: toCode(entry.status) || 'unknown',
+    category: codeableConcept({ text: entry.category }),
+    code: codeableConcept({ text: entry.procedureName }),
+    subject: reference('Patient', patientId),
+    encounter: reference('Encounter', entry.encounterId),
+    performedDateTime: periodEnd ? undefined : pick(entry, ['performedDate', 'performedPeriodStart']),
+    performedPeriod: periodEnd ? prune({ start: periodStart || entry.performedDate, end: periodEnd }) : undefined,
+    recorder: reference('Practitioner', entry.recorderId, entry.recorderName),
+    asserter: reference('Practitioner', entry.asserterId, entry.asserterName),
+    performer,
+    bodySite: [codeableConcept({ text: entry.bodySite })].filter(Boolean),
+    outcome: codeableConcept({ text: entry.outcome }),
+    report: entry.reportReference ? [{ reference: String(entry.reportReference) }] : undefined,
+    complication: [codeableConcept({ text: entry.complication })].filter(Boolean),
+    followUp: [codeableConcept({ text: entry.followup })].filter(Boolean),
+    note: annotation(entry.note)
+  });
+}
+
+export function toFhirImmunization(entry, patientId) {
+  return prune({
+    resourceType: 'Immunization',
+    id: toFhirId(pick(entry, ['immunizationId', 'id'])),
+    status: toCode(entry.status) || 'completed',
+    vaccineCode: codeableConcept({ text: entry.vaccineName }) || { text: 'Unknown' },
+    patient: reference('Patient', patientId),
+    encounter: reference('Encounter', entry.encounterId),
+    occurrenceDateTime: entry.occurrenceDate,
+    primarySource: typeof entry.primarySource === 'boolean' ? entry.primarySource : undefined,
+    location: entry.location ? { display: String(entry.location) } : undefined,
+    manufacturer: entry.manufacturer ? { display: String(entry.manufacturer) } : undefined,
+    lotNumber: entry.lotNumber,
+    expirationDate: typeof entry.expirationDate === 'string' ? entry.expirationDate.slice(0, 10) : undefined,
+    site: codeableConcept({ text: entry.site }),
+    route: codeableConcept({ text: entry.route }),
+    doseQuantity: quantity(entry.doseQuantity, entry.doseUnit),
+    performer: entry.performerId || entry.performerName
+      ? [prune({
+        function: codeableConcept({ text: entry.performerFunction }),
+        actor: reference('Practitioner', entry.performerId, entry.performerName)
+      })]
+      : undefined,
+    reasonCode: [codeableConcept({ text: entry.reasonCode })].filter(Boolean),
+    reaction: entry.reaction ? [{ detail: { display: String(entry.reaction) } }] : undefined
+  });
+}
+
+export function toFhirAllergyIntolerance(entry, patientId) {
+  const category = toCode(entry.category);
+  const type = toCode(entry.allergyType);
+  const criticality = toCode(entry.criticality);
+  const reactionSeverity = toCode(entry.reactionSeverity);
+  const hasReaction = entry.reactionManifestation || entry.reactionDescription || entry.reactionSubstance;
+
+  return prune({
+    resourceType: 'AllergyIntolerance',
+    id: toFhirId(pick(entry, ['allergyId', 'id'])),
+    clinicalStatus: codeableConcept({ system: ALLERGY_CLINICAL_SYSTEM, code: toCode(entry.clinicalStatus) }),
+    verificationStatus: codeableConcept({ system: ALLERGY_VERIFICATION_SYSTEM, code: toCode(entry.verificationStatus) }),
+    type: ['allergy', 'intolerance'].includes(type) ? type : undefined,
+    category: ALLERGY_CATEGORIES.has(category) ? [category] : undefined,
+    criticality: ['low', 'high', 'unable-to-assess'].includes(criticality) ? criticality : undefined,
+    code: codeableConcept({
+      code: entry.allergyCode,
+      display: entry.allergyDisplay,
+      text: pick(entry, ['allergyDisplay', 'allergyText'])
+    }),
+    patient: reference('Patient', patientId),
+    onsetDateTime: entry.onsetDatetime,
+    recordedDate: entry.recordedDate,
+    recorder: reference('Practitioner', entry.recorderId, entry.recorderName),
+    asserter: reference('Practitioner', entry.asserterId, entry.asserterName),
+    reaction: hasReaction
+      ? [prune({
+        substance: codeableConcept({ text: entry.reactionSubstance }),
+        manifestation: [codeableConcept({ text: entry.reactionManifestation || entry.reactionDescription })],
+        description: entry.reactionDescription,
+        severity: ['mild', 'moderate', 'severe'].includes(reactionSeverity) ? reactionSeverity : undefined
+      })]
+      : undefined
+  });
+}
+
+export function toFhirEncounter(entry, patientId) {
+  return prune({
+    resourceType: 'Encounter',
+    id: toFhirId(pick(entry, ['encounterId', 'id'])),
+    status: toCode(entry.status) || 'unknown',
+    // Encounter.class is required in R4; fall back to a display-only coding when no code is known
+    class: prune({
+      system: ENCOUNTER_CLASS_SYSTEM,
+      display: entry.classDisplay || 'unknown'
+    }),
+    type: [codeableConcept({ code: entry.encounterTypeCode, text: entry.typeDisplay })].filter(Boolean),
+    subject: reference('Patient', patientId),
+    participant: entry.practitionerId || entry.practitionerName
+      ? [{ individual: reference('Practitioner', entry.practitionerId, entry.practitionerName) }]
+      : undefined,
+    period: entry.periodStart || entry.periodEnd
+      ? prune({ start: entry.periodStart, end: entry.periodEnd })
+      : undefined,
+    reasonCode: [codeableConcept({ text: entry.reasonDisplay })].filter(Boolean),
+    location: entry.locationId || entry.locationName
+      ? [{ location: reference('Location', entry.locationId, entry.locationName) }]
+      : undefined,
+    serviceProvider: reference('Organization', entry.serviceProviderId)
+  });
+}
+
+export function toFhirDocumentReference(entry, patientId) {
+  const text = pick(entry, ['cleanText', 'noteText', 'rawContent']);
+  const contentType = entry.contentType || 'text/plain';
+  const attachment = prune({
+    contentType,
+    data: text ? Buffer.from(String(text), 'utf8').toString('base64') : undefined,
+    url: entry.binaryId ? `Binary/${entry.binaryId}` : undefined,
+    title: entry.title
+  });
+
+  return prune({
+    resourceType: 'DocumentReference',
+    id: toFhirId(pick(entry, ['noteId', 'id'])),
+    status: 'current',
+    docStatus: ['preliminary', 'final', 'amended', 'entered-in-error'].includes(toCode(entry.status))
+      ? toCode(entry.status)
+      : undefined,
+    type: codeableConcept({ text: pick(entry, ['noteType', 'documentType']) }),
+    category: [codeableConcept({ text: entry.noteCategory })].filter(Boolean),
+    subject: reference('Patient', patientId),
+    date: pick(entry, ['date', 'documentDate']),
+    author: entry.authorId || entry.authorName
+      ? [reference('Practitioner', entry.authorId, entry.authorName)]
+      : undefined,
+    content: [{ attachment }],
+    context: entry.encounterId ? { encounter: [reference('Encounter', entry.encounterId)] } : undefined
+  });
+}
+
+export function buildSearchsetBundle({ entries, selfUrl, nextUrl, baseUrl }) {
+  const link = [{ relation: 'self', url: selfUrl }];
+  if (nextUrl) {
+    link.push({ relation: 'next', url: nextUrl });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    timestamp: new Date().toISOString(),
+    link,
+    entry: entries.map((resource) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: 'match' }
+    }))
+  };
+}
+
+/**
+ * FHIR document Bundle: a Composition whose sections reference their resources, followed by the
+ * Patient and every section resource. Resources without an id are given one.
+ */
+export function buildDocumentBundle({ identifier, title, patient, sections, baseUrl, date = new Date().toISOString() }) {
+  const withId = (resource) => (resource.id ? resource : { ...resource, id: randomUUID() });
+  const patientResource = withId(patient);
+  const resources = new Map();
+
+  const compositionSections = sections
+    .map((section) => {
+      const entries = section.resources.map(withId);
+      for (const resource of entries) {
+        resources.set(`${resource.resourceType}/${resource.id}`, resource);
+      }
+      return {
+        title: section.title,
+        text: section.text,
+        entry: entries.map((resource) => ({ reference: `${resource.resourceType}/${resource.id}` }))
+      };
+    })
+    .filter((section) => section.entry.length > 0)
+    .map((section) => prune(section));
+
+  const composition = prune({
+    resourceType: 'Composition',
+    id: toFhirId(identifier),
+    status: 'final',
+    type: codeableConcept({ system: LOINC_SYSTEM, code: '60591-5', display: 'Patient summary Document' }),
+    subject: reference('Patient', patientResource.id),
+    date,
+    author: [{ display: 'Atlas Care' }],
+    title,
+    section: compositionSections
+  });
+
+  return {
+    resourceType: 'Bundle',
+    identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${identifier}` },
+    type: 'document',
+    timestamp: date,
+    entry: [composition, patientResource, ...resources.values()].map((resource) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource
+    }))
+  };
+}
+
+export function buildOperationOutcome({ severity = 'error', code, diagnostics, details }) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [prune({
+      severity,
+      code,
+      details: details ? { text: details } : undefined,
+      diagnostics
+    })]
+  };
+}
+
+export function buildCapabilityStatement({ baseUrl, resources }) {
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    software: { name: 'Atlas Backend Proxy' },
+    implementation: {
+      description: 'Read-only FHIR R4 facade over the Fasten ontology objects',
+      url: baseUrl
+    },
+    fhirVersion: FHIR_VERSION,
+    format: ['json'],
+    rest: [{
+      mode: 'server',
+      security: {
+        service: [codeableConcept({
+          system: 'http://terminology.hl7.org/CodeSystem/restful-security-service',
+          code: 'OAuth',
+          display: 'OAuth'
+        })],
+        description: 'Auth0 bearer token with the read:patient scope. Results are limited to the authenticated patient.'
+      },
+      resource: resources.map((resource) => ({
+        type: resource.type,
+        interaction: resource.interactions.map((code) => ({ code })),
+        searchParam: resource.searchParams.map((param) => prune({
+          name: param.name,
+          type: param.type,
+          documentation: param.documentation
+        }))
+      })),
+      searchParam: [
+        { name: '_count', type: 'number', documentation: 'Page size (1-100, default 25)' },
+        { name: '_sort', type: 'string', documentation: 'Sort within each page, e.g. -date' }
+      ]
+    }]
+  };
+}
+
+/**
+ * Normalize an Express query value (string or repeated parameter) into trimmed non-empty strings.
+ */
+export function getQueryValues(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter((item) => typeof item === 'string' && item.trim().length > 0).map((item) => item.trim());
+}
+
+/**
+ * Expand a FHIR date/dateTime (any precision) into the [start, end) millisecond range it denotes.
+ */
+function toDateRange(value) {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+  if (match) {
+    const [, year, month, day] = match;
+    const start = Date.UTC(Number(year), month ? Number(month) - 1 : 0, day ? Number(day) : 1);
+    const end = day
+      ? Date.UTC(Number(year), Number(month) - 1, Number(day) + 1)
+      : month
+        ? Date.UTC(Number(year), Number(month), 1)
+        : Date.UTC(Number(year) + 1, 0, 1);
+    return { start, end };
+  }
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    return null;
+  }
+  return { start: parsed, end: parsed + 1 };
+}
+
+export function parseDateParams(value) {
+  return getQueryValues(value).map((raw) => {
+    const prefix = raw.slice(0, 2);
+    const hasPrefix = DATE_SEARCH_PREFIXES.has(prefix);
+    const range = toDateRange(hasPrefix ? raw.slice(2) : raw);
+    if (!range) {
+      const error = new Error(`Invalid date search parameter: ${raw}`);
+      error.status = 400;
+      error.code = 'INVALID_SEARCH_PARAMETER';
+      throw error;
+    }
+    return { prefix: hasPrefix ? prefix : 'eq', ...range };
+  });
+}
+
+export function matchesDateParams(dateValue, dateParams) {
+  if (dateParams.length === 0) {
+    return true;
+  }
+
+  const resourceRange = typeof dateValue === 'string' ? toDateRange(dateValue) : null;
+  if (!resourceRange) {
+    return false;
+  }
+
+  const instant = resourceRange.start;
+  return dateParams.every(({ prefix, start, end }) => {
+    switch (prefix) {
+      case 'gt':
+        return instant >= end;
+      case 'ge':
+        return instant >= start;
+      case 'lt':
+        return instant < start;
+      case 'le':
+        return instant < end;
+      case 'ne':
+        return instant < start || instant >= end;
+      default:
+        return instant >= start && instant < end;
+    }
+  });
+}
+
+/**
+ * Token search: comma separated values are OR'ed; `system|code`, `|code` and bare `code` forms are
+ * accepted. Bare values also match concept text case-insensitively since most Fasten objects only
+ * carry display strings.
+ */
+export function matchesTokenParam(concepts, value) {
+  const tokens = getQueryValues(value).flatMap((item) => item.split(',')).map((item) => item.trim()).filter(Boolean);
+  if (tokens.length === 0) {
+    return true;
+  }
+
+  return tokens.some((token) => {
+    const hasSystem = token.includes('|');
+    const [system, code] = hasSystem ? token.split('|', 2) : [null, token];
+    return concepts.some((concept) => {
+      const codingMatch = (concept.coding || []).some((coding) => (
+        coding.code === code && (!hasSystem || !system || coding.system === system)
+      ));
+      if (codingMatch) {
+        return true;
+      }
+      return !hasSystem && typeof concept.text === 'string' && concept.text.toLowerCase() === code.toLowerCase();
+    });
+  });
+}
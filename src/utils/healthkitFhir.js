@@ -0,0 +1,238 @@
+// Map HealthKit samples onto FHIR R4 Observations (LOINC codes, UCUM units) so watch vitals can
+// sit next to the clinical Observations from Fasten. Records are flattened with
+// flattenHealthkitRecord first, so the converter reads the same columns as the dataset and
+// plaintext exports. Blood pressure correlations become one panel with systolic and diastolic
+// components; sleep analysis samples become sleep duration Observations, one per asleep interval.
+
+import { LOINC_SYSTEM, UCUM_SYSTEM, toFhirId } from './fhirResources.js';
+import { flattenHealthkitRecord } from './healthkitPlaintext.js';
+import { convertValue, normalizeUnit } from './unitConversion.js';
+
+export const HEALTHKIT_UUID_SYSTEM = 'urn:apple:healthkit:uuid';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+const BLOOD_PRESSURE_CORRELATION = 'HKCorrelationTypeIdentifierBloodPressure';
+const SLEEP_ANALYSIS = 'HKCategoryTypeIdentifierSleepAnalysis';
+const BLOOD_PRESSURE_PANEL = { code: '85354-9', display: 'Blood pressure panel with all children optional' };
+
+// Quantity sample types by HealthKit identifier, with the unit each Observation is reported in
+export const HEALTHKIT_QUANTITY_MAPPINGS = {
+  HKQuantityTypeIdentifierHeartRate: {
+    code: '8867-4', display: 'Heart rate', unit: '/min', category: 'vital-signs'
+  },
+  HKQuantityTypeIdentifierOxygenSaturation: {
+    code: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%', category: 'vital-signs'
+  },
+  HKQuantityTypeIdentifierBodyMass: {
+    code: '29463-7', display: 'Body weight', unit: 'kg', category: 'vital-signs'
+  },
+  HKQuantityTypeIdentifierRespiratoryRate: {
+    code: '9279-1', display: 'Respiratory rate', unit: '/min', category: 'vital-signs'
+  },
+  HKQuantityTypeIdentifierBloodGlucose: {
+    code: '2339-0', display: 'Glucose [Mass/volume] in Blood', unit: 'mg/dL', category: 'laboratory'
+  },
+  HKQuantityTypeIdentifierBloodPressureSystolic: {
+    code: '8480-6', display: 'Systolic blood pressure', unit: 'mm[Hg]', category: 'vital-signs'
+  },
+  HKQuantityTypeIdentifierBloodPressureDiastolic: {
+    code: '8462-4', display: 'Diastolic blood pressure', unit: 'mm[Hg]', category: 'vital-signs'
+  }
+};
+
+const SLEEP_DURATION = { code: '93832-4', display: 'Sleep duration', unit: 'min', category: 'activity' };
+
+// HKCategoryValueSleepAnalysis raw values
+const SLEEP_STAGES_BY_VALUE = ['inBed', 'asleepUnspecified', 'awake', 'asleepCore', 'asleepDeep', 'asleepREM'];
+const SLEEP_STAGES = new Map(SLEEP_STAGES_BY_VALUE.map((stage) => [stage.toLowerCase(), stage]));
+// `asleep` is the pre-iOS 16 name of asleepUnspecified
+SLEEP_STAGES.set('asleep', 'asleepUnspecified');
+const ASLEEP_STAGES = {
+  asleepUnspecified: 'unspecified',
+  asleepCore: 'core',
+  asleepDeep: 'deep',
+  asleepREM: 'rem'
+};
+
+// Drop undefined/empty values so resources only carry populated elements
+function prune(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (Array.isArray(value) && value.length === 0) {
+      continue;
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+function loincConcept({ code, display }) {
+  return { coding: [{ system: LOINC_SYSTEM, code, display }], text: display };
+}
+
+function ucumQuantity(value, unit) {
+  return { value, unit, system: UCUM_SYSTEM, code: unit };
+}
+
+function rowSampleType(row) {
+  return row.sampleType || row.quantityType || row.categoryType || row.correlationType || null;
+}
+
+/**
+ * A row's numeric value in the mapping's unit, or null when its unit cannot be converted.
+ * HealthKit reports percentages as fractions and annotates molar units with the molar mass
+ * (`mmol<180.15588000005408>/L`).
+ */
+function valueInUnit(row, mapping) {
+  if (typeof row.valueNumeric !== 'number' || !Number.isFinite(row.valueNumeric)) {
+    return null;
+  }
+
+  const sourceUnit = normalizeUnit(typeof row.unit === 'string' ? row.unit.replace(/<[^>]*>/g, '') : null);
+  if (mapping.unit === '%' && (!sourceUnit || sourceUnit === '%')) {
+    return row.valueNumeric <= 1 ? Math.round(row.valueNumeric * 10000) / 100 : row.valueNumeric;
+  }
+  if (!sourceUnit || sourceUnit === mapping.unit) {
+    return row.valueNumeric;
+  }
+
+  const converted = convertValue(row.valueNumeric, sourceUnit, mapping.unit, { code: mapping.code });
+  return converted === null ? null : Math.round(converted * 100) / 100;
+}
+
+function effective(row) {
+  if (row.endDate && row.endDate !== row.startDate) {
+    return { effectivePeriod: prune({ start: row.startDate, end: row.endDate }) };
+  }
+  return { effectiveDateTime: row.startDate };
+}
+
+function baseObservation(row, mapping, patientId) {
+  const identity = row.uuid || (row.recordHashSha256 ? row.recordHashSha256.slice(0, 40) : null);
+  return prune({
+    resourceType: 'Observation',
+    id: toFhirId(identity ? `healthkit-${identity}` : undefined),
+    identifier: row.uuid ? [{ system: HEALTHKIT_UUID_SYSTEM, value: row.uuid }] : undefined,
+    status: 'final',
+    category: [{
+      coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: mapping.category }]
+    }],
+    code: loincConcept(mapping),
+    subject: patientId ? { reference: `Patient/${toFhirId(patientId)}` } : undefined,
+    ...effective(row),
+    device: row.deviceName || row.sourceName ? { display: row.deviceName || row.sourceName } : undefined
+  });
+}
+
+function quantityObservation(row, mapping, patientId) {
+  const value = valueInUnit(row, mapping);
+  if (value === null) {
+    return { reason: `Value or unit (${row.unit ?? 'none'}) cannot be expressed in ${mapping.unit}` };
+  }
+  return { observation: { ...baseObservation(row, mapping, patientId), valueQuantity: ucumQuantity(value, mapping.unit) } };
+}
+
+function bloodPressureObservation(row, rowsByUuid, patientId) {
+  const children = (row.childSampleUUIDs || '').split(';').map((uuid) => rowsByUuid.get(uuid)).filter(Boolean);
+  const systolic = children.find((child) => rowSampleType(child) === 'HKQuantityTypeIdentifierBloodPressureSystolic');
+  const diastolic = children.find((child) => rowSampleType(child) === 'HKQuantityTypeIdentifierBloodPressureDiastolic');
+  if (!systolic || !diastolic) {
+    return { reason: 'Systolic and diastolic samples are not both in this upload' };
+  }
+
+  const component = [];
+  for (const child of [systolic, diastolic]) {
+    const mapping = HEALTHKIT_QUANTITY_MAPPINGS[rowSampleType(child)];
+    const value = valueInUnit(child, mapping);
+    if (value === null) {
+      return { reason: `Value or unit (${child.unit ?? 'none'}) cannot be expressed in ${mapping.unit}` };
+    }
+    component.push({ code: loincConcept(mapping), valueQuantity: ucumQuantity(value, mapping.unit) });
+  }
+
+  return {
+    observation: { ...baseObservation(row, { ...BLOOD_PRESSURE_PANEL, category: 'vital-signs' }, patientId), component },
+    consumed: [systolic.uuid, diastolic.uuid]
+  };
+}
+
+/**
+ * A flattened sleep analysis row's stage (`inBed`, `awake`, `asleepCore`, ...) from its
+ * `sleepStage` name or raw category value, or null when unrecognised.
+ */
+export function healthkitSleepStage(row) {
+  if (typeof row.sleepStage === 'string' && row.sleepStage.length > 0) {
+    return SLEEP_STAGES.get(row.sleepStage.replace(/^HKCategoryValueSleepAnalysis/i, '').toLowerCase()) ?? null;
+  }
+  return SLEEP_STAGES_BY_VALUE[row.valueInteger] ?? null;
+}
+
+function sleepObservation(row, patientId) {
+  const stage = healthkitSleepStage(row);
+  const asleep = stage ? ASLEEP_STAGES[stage] : undefined;
+  if (!asleep) {
+    return { reason: `Sleep stage ${stage ?? 'unknown'} is not time asleep` };
+  }
+
+  const minutes = (Date.parse(row.endDate) - Date.parse(row.startDate)) / 60000;
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    return { reason: 'Sleep sample needs a valid startDate and endDate' };
+  }
+
+  return {
+    observation: {
+      ...baseObservation(row, SLEEP_DURATION, patientId),
+      valueQuantity: ucumQuantity(Math.round(minutes * 100) / 100, SLEEP_DURATION.unit),
+      component: [{ code: { text: 'Sleep stage' }, valueString: asleep }]
+    }
+  };
+}
+
+/**
+ * Convert parsed HealthKit records (`{ record, line }`, see parseHealthkitNdjson) to FHIR
+ * Observations for `patientId`. Records of other sample types, or whose values cannot be mapped,
+ * are listed in `skipped` with the reason.
+ * @returns {{ observations: Object[], skipped: Array<{ index: number, uuid: string|null, sampleType: string|null, reason: string }> }}
+ */
+export function convertHealthkitToFhir(entries, { patientId } = {}) {
+  const rows = entries.map((entry, index) => flattenHealthkitRecord(entry.record, index, entry.line));
+  const rowsByUuid = new Map(rows.filter((row) => row.uuid).map((row) => [row.uuid, row]));
+
+  const results = rows.map((row) => {
+    const sampleType = rowSampleType(row);
+    if (!row.startDate) {
+      return { reason: 'Sample has no startDate' };
+    }
+    if (sampleType === BLOOD_PRESSURE_CORRELATION) {
+      return bloodPressureObservation(row, rowsByUuid, patientId);
+    }
+    if (sampleType === SLEEP_ANALYSIS) {
+      return sleepObservation(row, patientId);
+    }
+    if (HEALTHKIT_QUANTITY_MAPPINGS[sampleType]) {
+      return quantityObservation(row, HEALTHKIT_QUANTITY_MAPPINGS[sampleType], patientId);
+    }
+    return { reason: 'No FHIR mapping for this sample type' };
+  });
+
+  // Systolic and diastolic samples that are part of a panel are not repeated on their own
+  const consumed = new Set(results.flatMap((result) => result.consumed || []));
+  const observations = [];
+  const skipped = [];
+  results.forEach((result, index) => {
+    const row = rows[index];
+    if (consumed.has(row.uuid)) {
+      return;
+    }
+    if (result.observation) {
+      observations.push(result.observation);
+    } else {
+      skipped.push({ index: row.index, uuid: row.uuid, sampleType: rowSampleType(row), reason: result.reason });
+    }
+  });
+
+  return { observations, skipped };
+}
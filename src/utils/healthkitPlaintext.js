@@ -45,7 +45,8 @@ const DEFAULT_COLUMNS = [
     { key: 'recordHashSha256', header: 'Record SHA256' }
 ];
 
-const RECOGNIZED_FIELDS = new Set([
+// Fields every HealthKit sample may carry
+export const HEALTHKIT_COMMON_FIELDS = [
     'sampleClass',
     'sampleType',
     'uuid',
@@ -57,22 +58,27 @@ const RECOGNIZED_FIELDS = new Set([
     'sourceVersion',
     'metadata',
     'device',
-    'userProvidedFlag',
-    'quantityType',
-    'valueDouble',
-    'unit',
-    'valueText',
-    'categoryType',
-    'valueInteger',
-    'sleepStage',
-    'correlationType',
-    'childSampleUUIDs',
-    'activityType',
-    'durationSeconds',
-    'activeEnergyKilocalories',
-    'totalEnergyKilocalories',
-    'totalDistanceMeters',
-    'workoutEventCount'
+    'userProvidedFlag'
+];
+
+// Fields specific to each sampleClass (validated per class in healthkitSchema.js)
+export const HEALTHKIT_SAMPLE_CLASS_FIELDS = {
+    HKQuantitySample: ['quantityType', 'valueDouble', 'unit', 'valueText'],
+    HKCategorySample: ['categoryType', 'valueInteger', 'sleepStage'],
+    HKCorrelation: ['correlationType', 'childSampleUUIDs'],
+    HKWorkout: [
+        'activityType',
+        'durationSeconds',
+        'activeEnergyKilocalories',
+        'totalEnergyKilocalories',
+        'totalDistanceMeters',
+        'workoutEventCount'
+    ]
+};
+
+const RECOGNIZED_FIELDS = new Set([
+    ...HEALTHKIT_COMMON_FIELDS,
+    ...Object.values(HEALTHKIT_SAMPLE_CLASS_FIELDS).flat()
 ]);
 
 function safeJsonStringify(value) {
@@ -86,7 +92,18 @@ function safeJsonStringify(value) {
     }
 }
 
-function flattenHealthkitRecord(record, index, rawLine) {
+/**
+ * SHA-256 (hex) of one trimmed NDJSON line: the `recordHashSha256` column, and the identity of a
+ * record that has no HealthKit uuid.
+ */
+export function healthkitRecordHash(line) {
+    return crypto.createHash('sha256').update(line.trim(), 'utf8').digest('hex');
+}
+
+/**
+ * One HealthKit record as a flat row of the table columns (see getHealthkitTableColumns).
+ */
+export function flattenHealthkitRecord(record, index, rawLine) {
     const valueDouble = typeof record.valueDouble === 'number' ? record.valueDouble : null;
     const valueInteger = typeof record.valueInteger === 'number' ? record.valueInteger : null;
     const valueNumeric = valueDouble ?? valueInteger ?? null;
@@ -104,9 +121,7 @@ function flattenHealthkitRecord(record, index, rawLine) {
         }
     }
 
-    const recordHashSha256 = rawLine
-        ? crypto.createHash('sha256').update(rawLine, 'utf8').digest('hex')
-        : null;
+    const recordHashSha256 = rawLine ? healthkitRecordHash(rawLine) : null;
 
     return {
         index: index + 1,
@@ -0,0 +1,161 @@
+// Schemas for HealthKit NDJSON records, one per sampleClass, over the fields flattenHealthkitRecord
+// recognises (HEALTHKIT_COMMON_FIELDS plus the class's HEALTHKIT_SAMPLE_CLASS_FIELDS). A record
+// passes when it has its class's required fields and every recognised field it carries holds the
+// expected type; null counts as absent. Fields outside the schema are kept as extra fields.
+
+import { healthkitSleepStage } from './healthkitFhir.js';
+import { HEALTHKIT_COMMON_FIELDS, HEALTHKIT_SAMPLE_CLASS_FIELDS } from './healthkitPlaintext.js';
+
+const SLEEP_ANALYSIS = 'HKCategoryTypeIdentifierSleepAnalysis';
+
+const isString = (value) => typeof value === 'string';
+const isIdentifier = (value) => typeof value === 'string' && value.trim().length > 0;
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isObject = (value) => typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isNonNegative = (value) => isNumber(value) && value >= 0;
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// HKUnit unit strings: SI units take metric prefixes (`mg`, `mcg`, `kJ`); molar units may carry
+// the molar mass (`mmol<180.15588000005408>/L`) and factors may have exponents (`m/s^2`)
+const METRIC_PREFIXES = ['da', 'mc', 'p', 'n', 'µ', 'm', 'c', 'd', 'h', 'k', 'M', 'G', 'T'];
+const METRIC_UNITS = ['g', 'm', 'L', 'l', 'Pa', 's', 'J', 'cal', 'K', 'S', 'V', 'W', 'Hz', 'mol', 'lx'];
+const OTHER_UNITS = [
+  'count', '%', 'min', 'hr', 'd', 'mmHg', 'cmAq', 'atm', 'inHg', 'in', 'ft', 'yd', 'mi', 'oz', 'lb', 'st',
+  'fl_oz_us', 'fl_oz_imp', 'cup_us', 'cup_imp', 'pt_us', 'pt_imp', 'Cal', 'degC', 'degF', 'deg', 'rad',
+  'dBASPL', 'dBHL', 'IU', 'appleEffortScore'
+];
+const UNIT_FACTOR = new RegExp(
+  `^(?:(?:${METRIC_PREFIXES.join('|')})?(?:${METRIC_UNITS.join('|')})|${OTHER_UNITS.join('|')})(?:\\^-?\\d+)?$`
+);
+
+export function isHealthkitUnit(unit) {
+  if (typeof unit !== 'string' || unit.trim().length === 0) {
+    return false;
+  }
+  return unit
+    .replace(/<\d+(?:\.\d+)?>/g, '')
+    .replace(/[()]/g, '')
+    .split(/[/*·]/)
+    .every((factor) => UNIT_FACTOR.test(factor.trim()));
+}
+
+// What each recognised field must hold, when present
+const FIELD_TYPES = {
+  sampleType: [isIdentifier, 'a non-empty string'],
+  uuid: [isIdentifier, 'a non-empty string'],
+  startDate: [isDate, 'an ISO 8601 date'],
+  endDate: [isDate, 'an ISO 8601 date'],
+  dataType: [isString, 'a string'],
+  sourceBundleId: [isString, 'a string'],
+  sourceName: [isString, 'a string'],
+  sourceVersion: [isString, 'a string'],
+  metadata: [isObject, 'an object'],
+  device: [isObject, 'an object'],
+  userProvidedFlag: [(value) => typeof value === 'boolean', 'a boolean'],
+  quantityType: [isIdentifier, 'a non-empty string'],
+  valueDouble: [isNumber, 'a finite number'],
+  unit: [isHealthkitUnit, 'a HealthKit unit'],
+  valueText: [isString, 'a string'],
+  categoryType: [isIdentifier, 'a non-empty string'],
+  valueInteger: [Number.isInteger, 'an integer'],
+  sleepStage: [isIdentifier, 'a non-empty string'],
+  correlationType: [isIdentifier, 'a non-empty string'],
+  childSampleUUIDs: [(value) => Array.isArray(value) && value.length > 0 && value.every(isIdentifier), 'a non-empty array of uuids'],
+  activityType: [(value) => isIdentifier(value) || isCount(value), 'a name or HKWorkoutActivityType value'],
+  durationSeconds: [isNonNegative, 'a non-negative number'],
+  activeEnergyKilocalories: [isNonNegative, 'a non-negative number'],
+  totalEnergyKilocalories: [isNonNegative, 'a non-negative number'],
+  totalDistanceMeters: [isNonNegative, 'a non-negative number'],
+  workoutEventCount: [isCount, 'a non-negative integer']
+};
+
+const has = (record, field) => record[field] !== undefined && record[field] !== null;
+
+/**
+ * Each sampleClass: the fields it reads, the groups of which at least one must be present, and any
+ * checks spanning several fields
+ */
+export const HEALTHKIT_RECORD_SCHEMAS = {
+  HKQuantitySample: {
+    fields: HEALTHKIT_SAMPLE_CLASS_FIELDS.HKQuantitySample,
+    required: [['sampleType', 'quantityType'], ['valueDouble'], ['unit']]
+  },
+  HKCategorySample: {
+    fields: HEALTHKIT_SAMPLE_CLASS_FIELDS.HKCategorySample,
+    required: [['sampleType', 'categoryType'], ['valueInteger', 'sleepStage']],
+    check: (record) => ((record.sampleType ?? record.categoryType) === SLEEP_ANALYSIS && !healthkitSleepStage(record)
+      ? 'sleepStage is not a HealthKit sleep analysis value'
+      : null)
+  },
+  HKCorrelation: {
+    fields: HEALTHKIT_SAMPLE_CLASS_FIELDS.HKCorrelation,
+    required: [['sampleType', 'correlationType'], ['childSampleUUIDs']]
+  },
+  HKWorkout: {
+    fields: HEALTHKIT_SAMPLE_CLASS_FIELDS.HKWorkout,
+    required: [['activityType'], ['endDate']]
+  }
+};
+
+/**
+ * Why a HealthKit record does not match its sampleClass schema, or null when it does.
+ * @param {Object} record - One parsed NDJSON record
+ * @returns {string|null}
+ */
+export function validateHealthkitRecord(record) {
+  if (!has(record, 'sampleClass')) {
+    return 'sampleClass is required';
+  }
+  const schema = Object.hasOwn(HEALTHKIT_RECORD_SCHEMAS, record.sampleClass)
+    ? HEALTHKIT_RECORD_SCHEMAS[record.sampleClass]
+    : null;
+  if (!schema) {
+    return `Unknown sampleClass ${JSON.stringify(record.sampleClass)}`;
+  }
+
+  const problems = [];
+  for (const group of [['startDate'], ...schema.required]) {
+    if (!group.some((field) => has(record, field))) {
+      problems.push(`${group.join(' or ')} is required`);
+    }
+  }
+  for (const field of [...HEALTHKIT_COMMON_FIELDS, ...schema.fields]) {
+    const [isValid, expected] = FIELD_TYPES[field] || [];
+    if (isValid && has(record, field) && !isValid(record[field])) {
+      problems.push(field === 'unit' && isString(record.unit)
+        ? `Unknown unit ${record.unit}`
+        : `${field} must be ${expected}`);
+    }
+  }
+  if (problems.length === 0 && has(record, 'endDate') && Date.parse(record.endDate) < Date.parse(record.startDate)) {
+    problems.push('endDate is before startDate');
+  }
+  if (problems.length === 0 && schema.check) {
+    const problem = schema.check(record);
+    if (problem) {
+      problems.push(problem);
+    }
+  }
+
+  return problems.length > 0 ? problems.join('; ') : null;
+}
+
+/**
+ * Split parsed records (see parseHealthkitNdjson) into those matching their schema and a
+ * rejection for each one that does not, by line number.
+ * @returns {{ records: Array<{ record: Object, line: string, lineNumber: number }>, rejected: Array<{ line: number, reason: string }> }}
+ */
+export function validateHealthkitRecords(entries) {
+  const records = [];
+  const rejected = [];
+  for (const entry of entries) {
+    const reason = validateHealthkitRecord(entry.record);
+    if (reason) {
+      rejected.push({ line: entry.lineNumber, reason });
+    } else {
+      records.push(entry);
+    }
+  }
+  return { records, rejected };
+}
@@ -0,0 +1,334 @@
+// Removes location and device metadata (EXIF, XMP, IPTC, text chunks) from uploaded images
+// without re-encoding them. Pixel data is copied through untouched.
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_CONTENT_TYPE = 'application/rdf+xml';
+const EXIF_ORIENTATION_TAG = 0x0112;
+// Text chunks carry XMP, "Raw profile type exif" dumps and free-form device/author notes
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt']);
+
+function invalidImage(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'INVALID_MEDIA_CONTENT';
+  error.expose = true;
+  return error;
+}
+
+// Orientation from a TIFF structure (the EXIF payload after its "Exif\0\0" header), or null
+function readExifOrientation(tiff) {
+  if (tiff.length < 8) {
+    return null;
+  }
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return null;
+  }
+  const little = byteOrder === 'II';
+  const read16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const read32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifd = read32(4);
+  if (ifd + 2 > tiff.length) {
+    return null;
+  }
+  const count = read16(ifd);
+  for (let index = 0; index < count; index += 1) {
+    const entry = ifd + 2 + index * 12;
+    if (entry + 12 > tiff.length) {
+      return null;
+    }
+    if (read16(entry) === EXIF_ORIENTATION_TAG) {
+      const orientation = read16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+}
+
+// An APP1 segment whose EXIF holds nothing but the orientation, so photos still display upright
+function orientationOnlyExifSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(EXIF_ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  // Bytes 22-25 (next IFD offset) stay zero
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xffe1, 0);
+  header.writeUInt16BE(2 + EXIF_HEADER.length + tiff.length, 2);
+  return Buffer.concat([header, EXIF_HEADER, tiff]);
+}
+
+function stripJpegMetadata(buffer) {
+  const segments = [buffer.subarray(0, 2)];
+  const removed = new Set();
+  let orientation = null;
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw invalidImage('Malformed JPEG segment');
+    }
+    // Markers may be padded with any number of 0xFF fill bytes
+    while (buffer[offset + 1] === 0xff) {
+      offset += 1;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === undefined) {
+      throw invalidImage('Truncated JPEG');
+    }
+    if (marker === 0xd9 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      segments.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      if (marker === 0xd9) {
+        break;
+      }
+      continue;
+    }
+    if (offset + 4 > buffer.length) {
+      throw invalidImage('Truncated JPEG');
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length || end < offset + 4) {
+      throw invalidImage('Truncated JPEG');
+    }
+    if (marker === 0xda) {
+      // Start of scan: the entropy-coded image data (and any later scans) is copied as is
+      segments.push(buffer.subarray(offset));
+      break;
+    }
+
+    const payload = buffer.subarray(offset + 4, end);
+    if (marker === 0xe1) {
+      if (payload.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER)) {
+        orientation ??= readExifOrientation(payload.subarray(EXIF_HEADER.length));
+        removed.add('EXIF');
+      } else {
+        removed.add('XMP');
+      }
+    } else if (marker === 0xed) {
+      removed.add('IPTC');
+    } else {
+      segments.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  if (removed.size === 0) {
+    return { body: buffer, removed: [] };
+  }
+  if (orientation && orientation !== 1) {
+    segments.splice(1, 0, orientationOnlyExifSegment(orientation));
+  }
+  return { body: Buffer.concat(segments), removed: [...removed] };
+}
+
+function stripPngMetadata(buffer) {
+  const chunks = [buffer.subarray(0, 8)];
+  const removed = new Set();
+  let offset = 8;
+
+  for (;;) {
+    if (offset + 12 > buffer.length) {
+      throw invalidImage('Truncated PNG');
+    }
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (end > buffer.length) {
+      throw invalidImage('Truncated PNG');
+    }
+    if (PNG_METADATA_CHUNKS.has(type)) {
+      removed.add(type);
+    } else {
+      chunks.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') {
+      // Anything appended after the image end is dropped as well
+      break;
+    }
+  }
+
+  if (removed.size === 0 && offset === buffer.length) {
+    return { body: buffer, removed: [] };
+  }
+  return { body: Buffer.concat(chunks), removed: [...removed] };
+}
+
+// ISO BMFF boxes between `start` and `end`
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) {
+        throw invalidImage('Truncated HEIC box');
+      }
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) {
+      throw invalidImage('Malformed HEIC box');
+    }
+    boxes.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      start: offset + header,
+      end: offset + size
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+function readCString(buffer, offset, end) {
+  const terminator = buffer.indexOf(0, offset);
+  const stop = terminator === -1 || terminator > end ? end : terminator;
+  return { value: buffer.toString('utf8', offset, stop), next: stop + 1 };
+}
+
+// Item ids of Exif and XMP items listed in an `iinf` box
+function readMetadataItems(buffer, iinf) {
+  const items = new Map();
+  const version = buffer[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    const infeVersion = buffer[infe.start];
+    if (infe.type !== 'infe' || infeVersion < 2) {
+      continue;
+    }
+    let offset = infe.start + 4;
+    const itemId = infeVersion === 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += (infeVersion === 2 ? 2 : 4) + 2;
+    const itemType = buffer.toString('latin1', offset, offset + 4);
+    if (itemType === 'Exif') {
+      items.set(itemId, 'EXIF');
+    } else if (itemType === 'mime') {
+      const name = readCString(buffer, offset + 4, infe.end);
+      const contentType = readCString(buffer, name.next, infe.end).value;
+      if (contentType.trim().toLowerCase() === XMP_CONTENT_TYPE) {
+        items.set(itemId, 'XMP');
+      }
+    }
+  }
+  return items;
+}
+
+// Byte ranges of the given items, from an `iloc` box; `idatStart` resolves idat-relative extents
+function readItemExtents(buffer, iloc, itemIds, idatStart) {
+  const version = buffer[iloc.start];
+  let offset = iloc.start + 4;
+  const readSized = (size) => {
+    const value = size === 8 ? Number(buffer.readBigUInt64BE(offset)) : size === 4 ? buffer.readUInt32BE(offset) : 0;
+    offset += size;
+    return value;
+  };
+
+  const offsetSize = buffer[offset] >> 4;
+  const lengthSize = buffer[offset] & 0x0f;
+  const baseOffsetSize = buffer[offset + 1] >> 4;
+  const indexSize = version >= 1 ? buffer[offset + 1] & 0x0f : 0;
+  offset += 2;
+  const itemCount = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+  offset += version < 2 ? 2 : 4;
+
+  const ranges = [];
+  for (let item = 0; item < itemCount; item += 1) {
+    const itemId = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version >= 1) {
+      constructionMethod = buffer.readUInt16BE(offset) & 0x0f;
+      offset += 2;
+    }
+    offset += 2; // data_reference_index
+    const baseOffset = readSized(baseOffsetSize);
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    for (let extent = 0; extent < extentCount; extent += 1) {
+      offset += indexSize;
+      const extentOffset = readSized(offsetSize);
+      const extentLength = readSized(lengthSize);
+      if (!itemIds.has(itemId) || extentLength === 0) {
+        continue;
+      }
+      if (constructionMethod === 0) {
+        ranges.push([baseOffset + extentOffset, baseOffset + extentOffset + extentLength]);
+      } else if (constructionMethod === 1 && idatStart !== null) {
+        ranges.push([idatStart + baseOffset + extentOffset, idatStart + baseOffset + extentOffset + extentLength]);
+      }
+    }
+  }
+  return ranges;
+}
+
+// HEIC keeps EXIF and XMP as items whose bytes live elsewhere in the file; rewriting the item
+// tables would shift every offset, so the payloads are zeroed in place instead. Orientation is an
+// `irot`/`imir` item property in HEIC, not EXIF, so nothing needed for display is lost.
+function stripHeicMetadata(buffer) {
+  const meta = readBoxes(buffer, 0, buffer.length).find((box) => box.type === 'meta');
+  if (!meta) {
+    return { body: buffer, removed: [] };
+  }
+
+  const children = readBoxes(buffer, meta.start + 4, meta.end);
+  const iinf = children.find((box) => box.type === 'iinf');
+  const iloc = children.find((box) => box.type === 'iloc');
+  const idat = children.find((box) => box.type === 'idat');
+  if (!iinf || !iloc) {
+    return { body: buffer, removed: [] };
+  }
+
+  const items = readMetadataItems(buffer, iinf);
+  if (items.size === 0) {
+    return { body: buffer, removed: [] };
+  }
+  const ranges = readItemExtents(buffer, iloc, new Set(items.keys()), idat ? idat.start : null);
+
+  const body = Buffer.from(buffer);
+  for (const [start, end] of ranges) {
+    if (end > body.length) {
+      throw invalidImage('HEIC metadata item lies outside the file');
+    }
+    body.fill(0, start, end);
+  }
+  return { body, removed: [...new Set(items.values())] };
+}
+
+const STRIPPERS = {
+  'image/jpeg': stripJpegMetadata,
+  'image/png': stripPngMetadata,
+  'image/heic': stripHeicMetadata
+};
+
+/**
+ * Remove EXIF, XMP and similar metadata from a JPEG, PNG or HEIC image held in `buffer`.
+ * JPEG orientation is kept in a minimal EXIF block. Returns `{ body, removed }`, where
+ * `removed` names the kinds of metadata found; `body` is `buffer` itself when nothing was removed.
+ */
+export function stripImageMetadata(buffer, mimeType) {
+  const strip = STRIPPERS[mimeType];
+  if (!strip) {
+    return { body: buffer, removed: [] };
+  }
+  try {
+    return strip(buffer);
+  } catch (error) {
+    if (error.code === 'INVALID_MEDIA_CONTENT') {
+      throw error;
+    }
+    // Reads past the end of a truncated structure
+    throw invalidImage(`Malformed ${mimeType} image`);
+  }
+}
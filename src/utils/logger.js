@@ -1,12 +1,34 @@
 import winston from 'winston';
+import { createRedactor, resolveRedactionLevel } from './redaction.js';
 
 const { combine, timestamp, errors, json, colorize, simple } = winston.format;
 
+const redactionLevel = resolveRedactionLevel();
+const redactor = redactionLevel === 'off'
+  ? null
+  : createRedactor({
+    level: redactionLevel,
+    strategy: process.env.LOG_REDACTION_STRATEGY === 'mask' ? 'mask' : 'hash',
+    salt: process.env.LOG_REDACTION_SALT || undefined,
+    extraKeys: (process.env.LOG_REDACT_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean)
+  });
+
+// PHI redaction runs before every transport; see utils/redaction.js for the rule set
+const redact = winston.format((info) => {
+  if (redactor) {
+    for (const key of Object.keys(info)) {
+      info[key] = redactor.redactEntry(key, info[key]);
+    }
+  }
+  return info;
+});
+
 // Custom format for development
 const devFormat = combine(
   colorize(),
   timestamp({ format: 'HH:mm:ss' }),
   errors({ stack: true }),
+  redact(),
   simple()
 );
 
@@ -14,6 +36,7 @@ const devFormat = combine(
 const prodFormat = combine(
   timestamp(),
   errors({ stack: true }),
+  redact(),
   json()
 );
 
@@ -48,6 +71,10 @@ if (process.env.NODE_ENV === 'production') {
   }));
 }
 
+if (!redactor) {
+  logger.warn('PHI log redaction is disabled (LOG_REDACTION=off); never use this outside local debugging');
+}
+
 // Create a stream object for Morgan
 export const morganStream = {
   write: (message) => {
@@ -0,0 +1,256 @@
+import { Readable } from 'stream';
+import { stripImageMetadata } from './imageMetadata.js';
+
+const MiB = 1024 * 1024;
+// Enough for the ISO BMFF compatible-brand list and the WebM EBML DocType
+const SNIFF_BYTES = 64;
+
+/**
+ * Media types accepted for upload, keyed by the MIME type detected from their leading bytes.
+ * `MEDIA_IMAGE_MAX_BYTES` / `MEDIA_AUDIO_MAX_BYTES` override the size limit of every image or
+ * audio type.
+ */
+export const MEDIA_TYPE_POLICIES = {
+  'image/jpeg': { kind: 'image', extensions: ['jpg', 'jpeg'], maxBytes: 25 * MiB },
+  'image/png': { kind: 'image', extensions: ['png'], maxBytes: 25 * MiB },
+  'image/heic': { kind: 'image', extensions: ['heic', 'heif'], maxBytes: 25 * MiB },
+  'audio/wav': { kind: 'audio', extensions: ['wav'], maxBytes: 100 * MiB },
+  'audio/mp4': { kind: 'audio', extensions: ['m4a', 'mp4'], maxBytes: 50 * MiB },
+  'audio/webm': { kind: 'audio', extensions: ['webm'], maxBytes: 50 * MiB }
+};
+
+const KIND_MAX_BYTES_ENV = {
+  image: 'MEDIA_IMAGE_MAX_BYTES',
+  audio: 'MEDIA_AUDIO_MAX_BYTES'
+};
+
+// Names clients send for the same formats
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/heif': 'image/heic',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/vnd.wave': 'audio/wav',
+  'audio/x-m4a': 'audio/mp4',
+  'audio/m4a': 'audio/mp4'
+};
+
+// Declared types that say nothing about the format
+const UNSPECIFIED_MIME_TYPES = new Set(['application/octet-stream', 'binary/octet-stream']);
+
+const HEIC_BRANDS = new Set(['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx']);
+const MP4_AUDIO_BRANDS = new Set(['M4A ', 'M4B ', 'mp41', 'mp42', 'isom', 'iso2', 'dash']);
+
+const KNOWN_EXTENSIONS = new Set(
+  Object.values(MEDIA_TYPE_POLICIES).flatMap((policy) => policy.extensions)
+);
+
+function inspectionError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.expose = true;
+  return error;
+}
+
+// Major and compatible brands of an ISO BMFF `ftyp` box at the start of `head`
+function readFtypBrands(head) {
+  const size = Math.min(head.readUInt32BE(0), head.length);
+  const brands = [head.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= size; offset += 4) {
+    brands.push(head.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+}
+
+/**
+ * The MIME type of a JPEG, PNG, HEIC, WAV, M4A or WebM file from its first bytes, or null.
+ */
+export function detectMediaType(head) {
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (head.length >= 8 && head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+    return 'audio/wav';
+  }
+  if (head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3 && head.includes('webm', 4, 'latin1')) {
+    return 'audio/webm';
+  }
+  if (head.length >= 12 && head.toString('latin1', 4, 8) === 'ftyp') {
+    const brands = readFtypBrands(head);
+    if (brands.some((brand) => HEIC_BRANDS.has(brand))) {
+      return 'image/heic';
+    }
+    if (brands.some((brand) => MP4_AUDIO_BRANDS.has(brand))) {
+      return 'audio/mp4';
+    }
+  }
+  return null;
+}
+
+/**
+ * The upload policy for a detected MIME type, with any size override from the environment.
+ */
+export function getMediaTypePolicy(mimeType) {
+  const policy = MEDIA_TYPE_POLICIES[mimeType];
+  if (!policy) {
+    return null;
+  }
+  const override = Number.parseInt(process.env[KIND_MAX_BYTES_ENV[policy.kind]], 10);
+  return { mimeType, ...policy, maxBytes: override > 0 ? override : policy.maxBytes };
+}
+
+function normalizeMimeType(contentType) {
+  const mimeType = typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+  return MIME_ALIASES[mimeType] || mimeType;
+}
+
+// Read up to `bytes` from `source` without losing them: `rest` yields the whole stream again
+async function peekStream(source, bytes) {
+  const iterator = source[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  while (length < bytes) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+
+  const head = Buffer.concat(chunks);
+  async function* rest() {
+    if (head.length > 0) {
+      yield head;
+    }
+    if (!done) {
+      yield* { [Symbol.asyncIterator]: () => iterator };
+    }
+  }
+  return { head, rest: rest(), release: () => iterator.return?.() };
+}
+
+async function* limitChunks(chunks, maxBytes, mimeType) {
+  let received = 0;
+  for await (const chunk of chunks) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      throw tooLarge(mimeType, maxBytes);
+    }
+    yield chunk;
+  }
+}
+
+function tooLarge(mimeType, maxBytes) {
+  return inspectionError(`${mimeType} uploads are limited to ${maxBytes} bytes`, 413, 'MEDIA_TOO_LARGE');
+}
+
+/**
+ * Check an upload body (Buffer or readable stream) against what its bytes really are, before it
+ * is sent to Foundry:
+ *
+ * - the type is sniffed from magic bytes and must be a supported `expectedKind` ('image'/'audio')
+ * - the client's `contentType` and `filename` extension, when they name a type, must agree with it
+ * - the body must fit the type's size limit
+ * - images have EXIF/XMP metadata removed (so they are read into memory, within that limit);
+ *   audio streams stay streamed
+ *
+ * Resolves to `{ body, mimeType, kind, extension, size, strippedMetadata }`; `size` is null for
+ * streamed bodies. Failures are 4xx errors with an exposed `code`.
+ */
+export async function inspectMediaUpload(body, options = {}) {
+  if (Buffer.isBuffer(body)) {
+    return inspectBody(body, { head: body.subarray(0, SNIFF_BYTES), rest: null }, options);
+  }
+
+  const peeked = await peekStream(body, SNIFF_BYTES);
+  try {
+    return await inspectBody(body, peeked, options);
+  } catch (error) {
+    // Stop reading a body that was rejected before it was consumed
+    await peeked.release();
+    throw error;
+  }
+}
+
+async function inspectBody(body, { head, rest }, { expectedKind = null, contentType = null, filename = null }) {
+  const streamed = rest !== null;
+
+  const mimeType = detectMediaType(head);
+  if (!mimeType) {
+    throw inspectionError(
+      'The uploaded content is not a supported JPEG, PNG, HEIC, WAV, M4A or WebM file',
+      415,
+      'UNSUPPORTED_MEDIA_CONTENT'
+    );
+  }
+  const policy = getMediaTypePolicy(mimeType);
+
+  if (expectedKind && policy.kind !== expectedKind) {
+    throw inspectionError(`Expected ${expectedKind} content but the upload is ${mimeType}`, 415, 'MEDIA_KIND_MISMATCH');
+  }
+
+  const declared = normalizeMimeType(contentType);
+  if (declared && !UNSPECIFIED_MIME_TYPES.has(declared) && declared !== mimeType) {
+    throw inspectionError(
+      `Content type ${contentType} does not match the uploaded ${mimeType} content`,
+      415,
+      'MEDIA_TYPE_MISMATCH'
+    );
+  }
+
+  const extension = typeof filename === 'string' && filename.includes('.')
+    ? filename.slice(filename.lastIndexOf('.') + 1).toLowerCase()
+    : '';
+  if (KNOWN_EXTENSIONS.has(extension) && !policy.extensions.includes(extension)) {
+    throw inspectionError(
+      `Filename ${filename} does not match the uploaded ${mimeType} content`,
+      415,
+      'MEDIA_TYPE_MISMATCH'
+    );
+  }
+
+  const result = {
+    mimeType,
+    kind: policy.kind,
+    extension: policy.extensions[0],
+    strippedMetadata: []
+  };
+
+  if (policy.kind === 'image') {
+    let buffer = body;
+    if (streamed) {
+      const chunks = [];
+      for await (const chunk of limitChunks(rest, policy.maxBytes, mimeType)) {
+        chunks.push(chunk);
+      }
+      buffer = Buffer.concat(chunks);
+    }
+    if (buffer.length > policy.maxBytes) {
+      throw tooLarge(mimeType, policy.maxBytes);
+    }
+    const stripped = stripImageMetadata(buffer, mimeType);
+    return { ...result, body: stripped.body, size: stripped.body.length, strippedMetadata: stripped.removed };
+  }
+
+  if (!streamed) {
+    if (body.length > policy.maxBytes) {
+      throw tooLarge(mimeType, policy.maxBytes);
+    }
+    return { ...result, body, size: body.length };
+  }
+
+  return {
+    ...result,
+    body: Readable.from(limitChunks(rest, policy.maxBytes, mimeType), { objectMode: false }),
+    size: null
+  };
+}
@@ -0,0 +1,188 @@
+import { createHash, randomBytes } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { logger } from './logger.js';
+
+/**
+ * `{ content: Buffer, contentType }` from whatever the media fetch returned: a `{ content,
+ * contentType }` object or the raw body.
+ */
+export function toMediaBody(media) {
+  const content = media?.content ?? media;
+  return {
+    content: Buffer.isBuffer(content) ? content : Buffer.from(content),
+    contentType: media?.contentType || 'application/octet-stream'
+  };
+}
+
+function mediaHeaders({ hash, contentType }, cacheControl) {
+  return {
+    'Content-Type': contentType || 'application/octet-stream',
+    'Cache-Control': cacheControl,
+    // Content-addressed, so the hash doubles as a strong validator
+    ETag: `"${hash}"`,
+    'Accept-Ranges': 'bytes',
+    'X-Content-Type-Options': 'nosniff'
+  };
+}
+
+/**
+ * Byte ranges to serve for `req` from a representation of `size` bytes: null for the whole body
+ * (no Range, a malformed one, or an If-Range that no longer matches `etag`), `unsatisfiable`, or
+ * `[{ start, end }]` with overlapping ranges combined. No Last-Modified is sent, so an If-Range
+ * date never matches.
+ */
+export function resolveRanges(req, size, etag) {
+  if (!req.headers.range) {
+    return null;
+  }
+  const ifRange = req.headers['if-range'];
+  if (ifRange && ifRange !== etag) {
+    return null;
+  }
+
+  const ranges = req.range(size, { combine: true });
+  if (ranges === -1) {
+    return 'unsatisfiable';
+  }
+  if (!Array.isArray(ranges) || ranges.type !== 'bytes') {
+    return null;
+  }
+  return ranges.map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Send a media representation, honouring If-None-Match, Range and If-Range: 304, 200 with the whole
+ * body, 206 with one range, 206 `multipart/byteranges` with several, or 416. `read(start, end)`
+ * returns the inclusive byte range as a Buffer or a readable stream.
+ */
+export async function sendMediaRepresentation(req, res, { hash, size, contentType, read }, { cacheControl }) {
+  const headers = mediaHeaders({ hash, contentType }, cacheControl);
+  res.set(headers);
+  if (req.headers['if-none-match'] === headers.ETag) {
+    return res.status(304).end();
+  }
+
+  const ranges = resolveRanges(req, size, headers.ETag);
+  if (ranges === 'unsatisfiable') {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  if (!ranges) {
+    res.status(200).set('Content-Length', String(size));
+    return size > 0 ? writeBody(req, res, read(0, size - 1), { end: true }) : res.end();
+  }
+
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+    res.status(206).set({
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1)
+    });
+    return writeBody(req, res, read(start, end), { end: true });
+  }
+
+  const boundary = randomBytes(12).toString('hex');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    head: `--${boundary}\r\nContent-Type: ${headers['Content-Type']}\r\nContent-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  }));
+  const tail = `\r\n--${boundary}--\r\n`;
+  const length = parts.reduce((total, part, index) => (
+    total + (index > 0 ? 2 : 0) + Buffer.byteLength(part.head) + (part.end - part.start + 1)
+  ), Buffer.byteLength(tail));
+
+  res.status(206).set({
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': String(length)
+  });
+  for (const [index, part] of parts.entries()) {
+    res.write(`${index > 0 ? '\r\n' : ''}${part.head}`);
+    if (!(await writeBody(req, res, read(part.start, part.end), { end: false }))) {
+      return undefined;
+    }
+  }
+  return res.end(tail);
+}
+
+// Resolves to false when streaming stopped early (usually the client went away)
+async function writeBody(req, res, body, { end }) {
+  if (Buffer.isBuffer(body)) {
+    if (end) {
+      res.end(body);
+    } else {
+      res.write(body);
+    }
+    return true;
+  }
+
+  try {
+    await pipeline(body, res, { end });
+    return true;
+  } catch (error) {
+    logger.warn('Media stream interrupted', {
+      error: error.message,
+      correlationId: req.correlationId
+    });
+    res.destroy();
+    return false;
+  }
+}
+
+/**
+ * Serve a media cache hit from disk. The blob is opened once up front, so eviction cannot cut the
+ * response short. Returns false when the blob has been evicted since the lookup so the caller can
+ * refetch.
+ */
+export async function sendCachedMedia(req, res, mediaCache, metadata, { cacheControl }) {
+  const handle = await mediaCache.openBlob(metadata);
+  if (!handle) {
+    return false;
+  }
+
+  try {
+    await sendMediaRepresentation(req, res, {
+      ...metadata,
+      read: (start, end) => handle.createReadStream({ start, end, autoClose: false })
+    }, { cacheControl });
+  } finally {
+    await handle.close();
+  }
+  return true;
+}
+
+/**
+ * Send media fetched in full from Foundry, with the validators a later cache hit will carry.
+ */
+export function sendMediaBody(req, res, { content, contentType }, { cacheControl }) {
+  return sendMediaRepresentation(req, res, {
+    hash: createHash('sha256').update(content).digest('hex'),
+    size: content.length,
+    contentType,
+    read: (start, end) => content.subarray(start, end + 1)
+  }, { cacheControl });
+}
+
+/**
+ * Relay a ranged read answered by Foundry (206 or 416). Its hash is unknown until the whole item
+ * has been fetched, so no ETag is sent.
+ */
+export function sendUpstreamRange(res, { status, content, contentType, contentRange }, { cacheControl }) {
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': cacheControl,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (contentRange) {
+    res.set('Content-Range', contentRange);
+  }
+  if (status === 416) {
+    return res.status(416).end();
+  }
+  res.status(206).set({
+    'Content-Type': contentType || 'application/octet-stream',
+    'Content-Length': String(content.length)
+  });
+  return res.end(content);
+}
@@ -0,0 +1,151 @@
+import { Transform } from 'stream';
+import { logger } from './logger.js';
+import { getMultipartBoundary, parseMultipart } from './multipart.js';
+
+export const DEFAULT_MEDIA_UPLOAD_MAX_BYTES = 100 * 1024 * 1024;
+const RAW_MEDIA_TYPE_PATTERN = /^(?:image|audio|video)\/|^application\/octet-stream\b/i;
+
+function uploadError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.expose = true;
+  return error;
+}
+
+// Pass `source` through, failing with a 413 once more than `maxBytes` have gone by
+function limitBytes(source, maxBytes) {
+  let received = 0;
+  const limited = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(uploadError(`Upload exceeds ${maxBytes} bytes`, 413, 'UPLOAD_TOO_LARGE'));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+  source.on('error', (error) => limited.destroy(error));
+  limited.on('close', () => {
+    source.unpipe(limited);
+    // A consumer that gave up early leaves the rest of the request to be drained; an
+    // oversized one is left unread
+    if (!limited.errored) {
+      source.resume();
+    }
+  });
+  return source.pipe(limited);
+}
+
+/**
+ * The media file of an upload request, in whichever of three shapes the client sent:
+ *
+ * - `application/json` (original contract): base64 in `body[base64Field]`, other fields in the body
+ * - `multipart/form-data`: the `fileField` part is streamed; text fields must precede it, and
+ *   parts after it are read but ignored
+ * - raw `image/*`, `audio/*`, `video/*` or `application/octet-stream`: the request body is the
+ *   file, and other fields come from the query string
+ *
+ * Resolves to `{ mode, fields, file }` as soon as the file can be read. `file.body` is a Buffer
+ * for JSON uploads and a readable stream otherwise; `file` is null when the request has none.
+ * Streamed bodies fail with a 413 past `maxBytes`.
+ */
+export async function readMediaUpload(req, {
+  base64Field = 'data',
+  fileField = 'file',
+  maxBytes = Number.parseInt(process.env.MEDIA_UPLOAD_MAX_BYTES, 10) || DEFAULT_MEDIA_UPLOAD_MAX_BYTES
+} = {}) {
+  const contentType = req.headers['content-type'] || '';
+
+  if (req.is('application/json') || (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0)) {
+    const { [base64Field]: base64, ...fields } = req.body || {};
+    return {
+      mode: 'json',
+      fields,
+      file: typeof base64 === 'string' && base64
+        ? {
+          body: Buffer.from(base64, 'base64'),
+          filename: fields.filename || null,
+          contentType: fields.contentType || fields.mimeType || null
+        }
+        : null
+    };
+  }
+
+  const declaredLength = Number.parseInt(req.headers['content-length'], 10);
+  if (declaredLength > maxBytes) {
+    throw uploadError(`Upload exceeds ${maxBytes} bytes`, 413, 'UPLOAD_TOO_LARGE');
+  }
+
+  if (req.is('multipart/form-data')) {
+    const boundary = getMultipartBoundary(contentType);
+    if (!boundary) {
+      throw uploadError('multipart/form-data requires a boundary', 400, 'INVALID_MULTIPART');
+    }
+    return readMultipartUpload(req, boundary, { fileField, maxBytes });
+  }
+
+  if (RAW_MEDIA_TYPE_PATTERN.test(contentType)) {
+    return {
+      mode: 'raw',
+      fields: { ...req.query },
+      file: {
+        body: limitBytes(req, maxBytes),
+        filename: typeof req.query.filename === 'string' ? req.query.filename : null,
+        contentType: contentType.split(';')[0].trim(),
+        size: Number.isFinite(declaredLength) ? declaredLength : null
+      }
+    };
+  }
+
+  throw uploadError(
+    'Send media as application/json with base64 data, multipart/form-data, or a raw image/audio body',
+    415,
+    'UNSUPPORTED_MEDIA_TYPE'
+  );
+}
+
+function readMultipartUpload(req, boundary, { fileField, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    let settled = false;
+
+    parseMultipart(limitBytes(req, maxBytes), boundary, {
+      onField: (name, value) => {
+        if (!settled) {
+          fields[name] = value;
+        }
+      },
+      onFile: ({ name, filename, contentType, stream }) => {
+        if (settled || name !== fileField) {
+          // Only one file is taken; anything else is drained
+          stream.resume();
+          return;
+        }
+        settled = true;
+        resolve({
+          mode: 'multipart',
+          fields,
+          file: { body: stream, filename, contentType, size: null }
+        });
+      }
+    }).then(() => {
+      if (!settled) {
+        settled = true;
+        resolve({ mode: 'multipart', fields, file: null });
+      }
+    }, (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+        return;
+      }
+      // The file stream has been failed with this error, which fails its upload
+      logger.warn('Multipart upload aborted', {
+        error: error.message,
+        correlationId: req.correlationId
+      });
+    });
+  });
+}
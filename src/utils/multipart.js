@@ -0,0 +1,166 @@
+import { Readable } from 'stream';
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_BYTES = 16 * 1024;
+export const MAX_FIELD_BYTES = 1024 * 1024;
+
+function multipartError(message, status = 400, code = 'INVALID_MULTIPART') {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.expose = true;
+  return error;
+}
+
+/**
+ * The boundary of a `multipart/form-data` Content-Type header, or null.
+ */
+export function getMultipartBoundary(contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType || '');
+  return match ? (match[1] || match[2]) : null;
+}
+
+function parsePartHeaders(raw) {
+  const headers = {};
+  for (const line of raw.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+  return {
+    name: /\bname="([^"]*)"/i.exec(disposition)?.[1] ?? null,
+    filename: filename ? filename[1] : null,
+    contentType: headers['content-type'] || null
+  };
+}
+
+/**
+ * Read a `multipart/form-data` body from `source` without buffering file parts. Text fields go to
+ * `onField(name, value)`; each file part goes to `onFile({ name, filename, contentType, stream })`
+ * as a readable stream that must be consumed (or resumed) for parsing to continue. Resolves once
+ * the closing boundary has been read; a malformed body rejects and errors any open file stream.
+ */
+export async function parseMultipart(source, boundary, { onField = () => {}, onFile = () => {}, maxFieldBytes = MAX_FIELD_BYTES } = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // Starting with CRLF lets the opening boundary match the same delimiter as the others
+  let buffer = Buffer.from('\r\n');
+  let state = 'preamble';
+  let part = null;
+
+  const emit = async (data) => {
+    if (data.length === 0) {
+      return;
+    }
+    if (!part.stream) {
+      part.size += data.length;
+      if (part.size > maxFieldBytes) {
+        throw multipartError(`Field "${part.name}" exceeds ${maxFieldBytes} bytes`, 413, 'FIELD_TOO_LARGE');
+      }
+      part.chunks.push(data);
+      return;
+    }
+    if (!part.stream.destroyed && !part.stream.push(data)) {
+      // Wait for the consumer (or for it to give up on the stream)
+      await new Promise((resolve) => {
+        part.resume = resolve;
+        part.stream.once('close', resolve);
+      });
+      part.stream.off('close', part.resume);
+      part.resume = null;
+    }
+  };
+
+  const startPart = (raw) => {
+    const headers = parsePartHeaders(raw);
+    part = { ...headers, chunks: [], size: 0, stream: null, resume: null };
+    if (headers.filename === null) {
+      return;
+    }
+
+    const current = part;
+    current.stream = new Readable({
+      read() {
+        current.resume?.();
+      }
+    });
+    onFile({ name: headers.name, filename: headers.filename, contentType: headers.contentType, stream: current.stream });
+  };
+
+  const endPart = () => {
+    if (part.stream) {
+      part.stream.push(null);
+    } else {
+      onField(part.name, Buffer.concat(part.chunks).toString('utf8'));
+    }
+    part = null;
+  };
+
+  const consume = async () => {
+    for (;;) {
+      if (state === 'preamble' || state === 'body') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          // Hold back what could be the start of a delimiter split across chunks
+          const safe = Math.max(0, buffer.length - (delimiter.length - 1));
+          if (state === 'body') {
+            await emit(buffer.subarray(0, safe));
+          }
+          buffer = buffer.subarray(safe);
+          return;
+        }
+        if (state === 'body') {
+          await emit(buffer.subarray(0, index));
+          endPart();
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = 'delimiter';
+      } else if (state === 'delimiter') {
+        if (buffer.length < 2) {
+          return;
+        }
+        const marker = buffer.subarray(0, 2).toString('latin1');
+        if (marker === '--') {
+          state = 'done';
+          return;
+        }
+        if (marker !== '\r\n') {
+          throw multipartError('Malformed multipart boundary');
+        }
+        buffer = buffer.subarray(2);
+        state = 'headers';
+      } else if (state === 'headers') {
+        const index = buffer.indexOf(HEADER_END);
+        if (index === -1) {
+          if (buffer.length > MAX_HEADER_BYTES) {
+            throw multipartError('Multipart part headers are too large');
+          }
+          return;
+        }
+        startPart(buffer.subarray(0, index).toString('utf8'));
+        buffer = buffer.subarray(index + HEADER_END.length);
+        state = 'body';
+      } else {
+        // Epilogue after the closing boundary is ignored
+        buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  };
+
+  try {
+    for await (const chunk of source) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      await consume();
+    }
+    if (state !== 'done') {
+      throw multipartError('Multipart body ended before its closing boundary');
+    }
+  } catch (error) {
+    part?.stream?.destroy(error);
+    throw error;
+  }
+}
@@ -0,0 +1,161 @@
+import { logger } from './logger.js';
+
+// Patient identity resolution shared by the Foundry-backed clinical routes. The resolved context is
+// memoized on req.context so routers mounted on the same request only hit Foundry once; a context
+// resolved with the ?patientId override is not reused by a caller that disallows it.
+
+export function collectIdentityCandidates(req, allowQueryOverride = true) {
+  const candidates = [];
+
+  // Primary: Always prioritize Auth0 user ID (auth0|xxx format)
+  const auth0Sub = typeof req.user?.sub === 'string' ? req.user.sub.trim() : '';
+  if (auth0Sub) {
+    candidates.push(auth0Sub);
+  }
+
+  // Secondary: Allow query override only if no Auth0 user ID or explicitly allowed
+  if (allowQueryOverride) {
+    const queryValue = typeof req.query.patientId === 'string' ? req.query.patientId.trim() : '';
+    if (queryValue) {
+      candidates.push(queryValue);
+    }
+  }
+
+  // Fallback: Username-like candidates (only if Auth0 user ID not available)
+  if (!auth0Sub) {
+    const usernameLikeCandidates = [
+      typeof req.context?.username === 'string' ? req.context.username.trim() : '',
+      typeof req.user?.preferred_username === 'string' ? req.user.preferred_username.trim() : '',
+      typeof req.user?.nickname === 'string' ? req.user.nickname.trim() : '',
+      typeof req.user?.email === 'string' ? req.user.email.trim() : ''
+    ];
+
+    for (const candidate of usernameLikeCandidates) {
+      if (candidate) {
+        candidates.push(candidate);
+      }
+    }
+  }
+
+  const unique = Array.from(new Set(candidates.filter(Boolean)));
+  return unique;
+}
+
+/**
+ * Resolve the Foundry patient id for the authenticated caller.
+ * Requires the router's FoundryService instance for the patient profile lookup.
+ */
+export async function resolvePatientContext(
+  req,
+  { foundryService, routeName, allowQueryOverride = true } = {}
+) {
+  req.context = req.context || {};
+
+  const memoized = req.context.foundryPatientContext;
+  if (memoized && (allowQueryOverride || memoized.queryOverrideAllowed === false)) {
+    return memoized;
+  }
+
+  const identityCandidates = collectIdentityCandidates(req, allowQueryOverride);
+  const queryOverride = allowQueryOverride && typeof req.query.patientId === 'string'
+    ? req.query.patientId.trim()
+    : '';
+  const auth0Sub = typeof req.user?.sub === 'string' ? req.user.sub.trim() : '';
+
+  let resolvedPatientId = '';
+  let matchedIdentifier = '';
+  let source = '';
+  let lookedUpViaFoundry = false;
+
+  for (const identifier of identityCandidates) {
+    try {
+      const profile = await foundryService.getPatientProfile(identifier);
+      if (profile) {
+        const properties = profile.properties && typeof profile.properties === 'object'
+          ? profile.properties
+          : profile;
+        const candidatePatientId = properties.user_id
+          || properties.userId
+          || properties.patientId
+          || properties.patient_id
+          || properties.atlasId
+          || properties.$primaryKey
+          || properties.$rid
+          || identifier;
+
+        if (candidatePatientId) {
+          resolvedPatientId = String(candidatePatientId).trim();
+          matchedIdentifier = identifier;
+          source = 'foundry-profile';
+          lookedUpViaFoundry = true;
+          break;
+        }
+      }
+    } catch (error) {
+      logger.warn('Foundry patient profile lookup failed', {
+        routeName,
+        identifier,
+        error: error.message,
+        correlationId: req.correlationId
+      });
+    }
+  }
+
+  if (!resolvedPatientId && auth0Sub) {
+    resolvedPatientId = auth0Sub;
+    matchedIdentifier = auth0Sub;
+    source = 'auth0-sub';
+  }
+
+  if (!resolvedPatientId && queryOverride) {
+    resolvedPatientId = queryOverride;
+    matchedIdentifier = queryOverride;
+    source = 'query-param';
+  }
+
+  if (!resolvedPatientId) {
+    const fallbackCandidate = identityCandidates.find(Boolean);
+    if (fallbackCandidate) {
+      resolvedPatientId = fallbackCandidate;
+      matchedIdentifier = fallbackCandidate;
+      source = fallbackCandidate === queryOverride ? 'query-param' : 'username-claim';
+    }
+  }
+
+  const context = {
+    patientId: resolvedPatientId,
+    matchedIdentifier: matchedIdentifier || null,
+    source: source || null,
+    queryOverride: queryOverride && queryOverride !== resolvedPatientId ? queryOverride : undefined,
+    lookedUpViaFoundry,
+    identityCandidates,
+    queryOverrideAllowed: allowQueryOverride
+  };
+
+  req.context.foundryPatientContext = context;
+
+  if (resolvedPatientId) {
+    logger.debug('Resolved patient context for Foundry route', {
+      routeName,
+      patientId: resolvedPatientId,
+      source: context.source,
+      matchedIdentifier: context.matchedIdentifier,
+      queryOverride: context.queryOverride,
+      correlationId: req.correlationId
+    });
+  }
+
+  return context;
+}
+
+export function respondMissingPatientId(req, res, routeName) {
+  return res.status(400).json({
+    error: {
+      code: 'MISSING_PATIENT_ID',
+      message: 'Unable to resolve patient identity for this account',
+      route: routeName,
+      correlationId: req.correlationId,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+
+// PHI redaction rules applied to every log entry before it reaches a transport.
+//
+// Levels:
+// - standard: sensitive keys and value patterns are masked or hashed
+// - strict: additionally redacts identifier keys (patientId, userId, ...) whatever their format and
+//   replaces request payloads and free text with a type summary
+// - off: no redaction; only honoured outside production for local debugging
+//
+// Strategies: `hash` replaces values with a salted SHA-256 prefix so entries about the same
+// patient can still be correlated; `mask` replaces them with a fixed marker. Secrets are always masked.
+
+export const REDACTION_LEVELS = ['standard', 'strict', 'off'];
+export const REDACTION_STRATEGIES = ['hash', 'mask'];
+
+// Keys are compared lowercase with `_` and `-` removed
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[_-]/g, '');
+
+export const DEFAULT_REDACTION_RULES = {
+  secretKeys: [
+    'password', 'secret', 'clientsecret', 'token', 'accesstoken', 'refreshtoken', 'idtoken',
+    'authorization', 'cookie', 'apikey'
+  ],
+  sensitiveKeys: [
+    'email', 'useremail', 'phone', 'phonenumber', 'mobile', 'dob', 'dateofbirth', 'birthdate',
+    'ssn', 'mrn', 'givenname', 'familyname', 'firstname', 'lastname', 'fullname', 'address',
+    'addressline', 'postalcode', 'zip', 'userinput', 'transcript', 'transcription', 'cleantext',
+    'rawcontent', 'notetext', 'photobase64', 'content'
+  ],
+  // Redacted only in strict mode
+  strictKeys: [
+    'patientid', 'userid', 'auth0id', 'sub', 'username', 'preferredusername', 'nickname',
+    'identifiers', 'payload', 'query', 'where', 'parameters', 'body', 'records', 'user', 'context',
+    'sql', 'properties'
+  ],
+  valuePatterns: [
+    { name: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+    { name: 'auth0-id', pattern: /\b(?:auth0|google-oauth2|apple|facebook|windowslive|samlp|waad|oidc|sms|email)\|[A-Za-z0-9._@+-]+/g },
+    { name: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    // Signed media URL tokens are bearer credentials and carry the user they were signed for
+    { name: 'signed-media-token', pattern: /\/m\/[A-Za-z0-9_-]+\.[A-Za-z0-9_-]{43}/g },
+    { name: 'phone', pattern: /(?<![\d-])(?:\+?1[-.\s]?)?\(?\d{3}\)?[-.\s]\d{3}[-.\s]\d{4}(?![\d-])/g },
+    {
+      name: 'dob',
+      pattern: /\b(?:dob|date of birth|birth ?date|date_of_birth|dateOfBirth)\b["']?\s*[:=]?\s*["']?\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/gi
+    }
+  ]
+};
+
+const MAX_DEPTH = 8;
+
+function summarize(value) {
+  if (Array.isArray(value)) {
+    return `[REDACTED array(${value.length})]`;
+  }
+  if (value && typeof value === 'object') {
+    return '[REDACTED object]';
+  }
+  if (typeof value === 'string') {
+    return `[REDACTED string(${value.length})]`;
+  }
+  return '[REDACTED]';
+}
+
+/**
+ * Build a redactor for log metadata.
+ * @param {Object} [options]
+ * @param {string} [options.level] standard | strict | off
+ * @param {string} [options.strategy] hash | mask
+ * @param {string} [options.salt] hash salt; a per-process random salt is used when omitted
+ * @param {string[]} [options.extraKeys] additional sensitive key names
+ * @param {Object} [options.rules] replaces DEFAULT_REDACTION_RULES
+ */
+export function createRedactor({
+  level = 'standard',
+  strategy = 'hash',
+  salt = crypto.randomBytes(16).toString('hex'),
+  extraKeys = [],
+  rules = DEFAULT_REDACTION_RULES
+} = {}) {
+  const strict = level === 'strict';
+  const secretKeys = new Set(rules.secretKeys.map(normalizeKey));
+  const sensitiveKeys = new Set([...rules.sensitiveKeys, ...extraKeys].map(normalizeKey));
+  const strictKeys = new Set(rules.strictKeys.map(normalizeKey));
+
+  const replaceScalar = (value, label) => {
+    if (strategy === 'mask') {
+      return `[REDACTED:${label}]`;
+    }
+    const digest = crypto.createHash('sha256').update(`${salt}:${value}`).digest('hex').slice(0, 12);
+    return `[${label}:${digest}]`;
+  };
+
+  const redactString = (value) => {
+    let result = value;
+    for (const { name, pattern } of rules.valuePatterns) {
+      result = result.replace(pattern, (match) => replaceScalar(match, name));
+    }
+    return result;
+  };
+
+  const redactKeyed = (key, value) => {
+    if (value === undefined || value === null || value === '') {
+      return value;
+    }
+    if (secretKeys.has(key)) {
+      return '[REDACTED]';
+    }
+    if (typeof value === 'object') {
+      return strict ? summarize(value) : null;
+    }
+    if (typeof value === 'string' && value.length > 256) {
+      // Free text is summarized rather than hashed
+      return summarize(value);
+    }
+    return replaceScalar(value, key);
+  };
+
+  const redactValue = (value, depth, seen) => {
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+      return summarize(value);
+    }
+
+    seen.add(value);
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map((item) => redactValue(item, depth + 1, seen));
+    } else if (value instanceof Date) {
+      result = value;
+    } else {
+      result = {};
+      const entries = value instanceof Error
+        ? [['name', value.name], ['message', value.message], ['stack', value.stack], ...Object.entries(value)]
+        : Object.entries(value);
+      for (const [key, child] of entries) {
+        result[key] = redactEntry(key, child, depth + 1, seen);
+      }
+    }
+    seen.delete(value);
+    return result;
+  };
+
+  const redactEntry = (key, value, depth, seen) => {
+    const normalized = normalizeKey(key);
+    if (secretKeys.has(normalized) || sensitiveKeys.has(normalized) || (strict && strictKeys.has(normalized))) {
+      const keyed = redactKeyed(normalized, value);
+      // Non-strict objects under a sensitive key are walked rather than dropped
+      return keyed === null ? redactValue(value, depth, seen) : keyed;
+    }
+    return redactValue(value, depth, seen);
+  };
+
+  return {
+    level,
+    strategy,
+    redactValue: (value) => redactValue(value, 0, new WeakSet()),
+    redactEntry: (key, value) => redactEntry(key, value, 0, new WeakSet())
+  };
+}
+
+/**
+ * Resolve the redaction level from LOG_REDACTION. Production defaults to strict and refuses `off`.
+ */
+export function resolveRedactionLevel(env = process.env) {
+  const isProduction = env.NODE_ENV === 'production';
+  const requested = typeof env.LOG_REDACTION === 'string' ? env.LOG_REDACTION.trim().toLowerCase() : '';
+
+  if (!REDACTION_LEVELS.includes(requested)) {
+    return isProduction ? 'strict' : 'standard';
+  }
+  if (requested === 'off' && isProduction) {
+    return 'strict';
+  }
+  return requested;
+}
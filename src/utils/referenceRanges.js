@@ -0,0 +1,206 @@
+import { coerceNumericValue, convertValue, normalizeUnit } from './unitConversion.js';
+
+// Adult reference intervals keyed by LOINC code, used when an observation carries no referenceRange
+// of its own. Ranges may be restricted by `sex` and by age (`minAge` inclusive, `maxAge` exclusive);
+// `critical` holds the panic limits reported as `critical` regardless of where the range came from.
+// Values follow common US laboratory intervals and are meant for flagging, not diagnosis.
+const ADULT_REFERENCE_RANGES = {
+  // Chemistry
+  '2345-7': { display: 'Glucose', unit: 'mg/dL', ranges: [{ low: 70, high: 99 }], critical: { low: 40, high: 500 } },
+  '2339-0': { display: 'Glucose', unit: 'mg/dL', ranges: [{ low: 70, high: 99 }], critical: { low: 40, high: 500 } },
+  '2951-2': { display: 'Sodium', unit: 'mmol/L', ranges: [{ low: 136, high: 145 }], critical: { low: 120, high: 160 } },
+  '2823-3': { display: 'Potassium', unit: 'mmol/L', ranges: [{ low: 3.5, high: 5.1 }], critical: { low: 2.5, high: 6.5 } },
+  '2075-0': { display: 'Chloride', unit: 'mmol/L', ranges: [{ low: 98, high: 107 }] },
+  '2028-9': { display: 'Carbon dioxide', unit: 'mmol/L', ranges: [{ low: 22, high: 29 }], critical: { low: 10, high: 40 } },
+  '3094-0': {
+    display: 'Urea nitrogen',
+    unit: 'mg/dL',
+    ranges: [{ maxAge: 60, low: 7, high: 20 }, { minAge: 60, low: 8, high: 23 }]
+  },
+  '2160-0': {
+    display: 'Creatinine',
+    unit: 'mg/dL',
+    ranges: [{ sex: 'male', low: 0.74, high: 1.35 }, { sex: 'female', low: 0.59, high: 1.04 }]
+  },
+  '17861-6': { display: 'Calcium', unit: 'mg/dL', ranges: [{ low: 8.6, high: 10.3 }], critical: { low: 6, high: 13 } },
+  '1742-6': {
+    display: 'ALT',
+    unit: 'U/L',
+    ranges: [{ sex: 'male', low: 7, high: 55 }, { sex: 'female', low: 7, high: 45 }]
+  },
+  '1920-8': { display: 'AST', unit: 'U/L', ranges: [{ low: 8, high: 48 }] },
+  '4548-4': { display: 'Hemoglobin A1c', unit: '%', ranges: [{ low: 4, high: 5.6 }] },
+  '3016-3': { display: 'TSH', unit: 'm[IU]/L', ranges: [{ low: 0.4, high: 4 }] },
+  // Lipids
+  '2093-3': { display: 'Cholesterol', unit: 'mg/dL', ranges: [{ high: 199 }] },
+  '2085-9': {
+    display: 'HDL cholesterol',
+    unit: 'mg/dL',
+    ranges: [{ sex: 'male', low: 40 }, { sex: 'female', low: 50 }]
+  },
+  '13457-7': { display: 'LDL cholesterol', unit: 'mg/dL', ranges: [{ high: 99 }] },
+  '18262-6': { display: 'LDL cholesterol', unit: 'mg/dL', ranges: [{ high: 99 }] },
+  '2571-8': { display: 'Triglycerides', unit: 'mg/dL', ranges: [{ high: 149 }] },
+  // Hematology
+  '718-7': {
+    display: 'Hemoglobin',
+    unit: 'g/dL',
+    ranges: [{ sex: 'male', low: 13.5, high: 17.5 }, { sex: 'female', low: 12, high: 15.5 }],
+    critical: { low: 7, high: 20 }
+  },
+  '4544-3': {
+    display: 'Hematocrit',
+    unit: '%',
+    ranges: [{ sex: 'male', low: 41, high: 50 }, { sex: 'female', low: 36, high: 44 }],
+    critical: { low: 20, high: 60 }
+  },
+  '6690-2': { display: 'Leukocytes', unit: '10*3/uL', ranges: [{ low: 4.5, high: 11 }], critical: { low: 2, high: 30 } },
+  '777-3': { display: 'Platelets', unit: '10*3/uL', ranges: [{ low: 150, high: 400 }], critical: { low: 50, high: 1000 } },
+  '4537-7': {
+    display: 'Erythrocyte sedimentation rate',
+    unit: 'mm/h',
+    ranges: [
+      { sex: 'male', maxAge: 50, high: 15 },
+      { sex: 'male', minAge: 50, high: 20 },
+      { sex: 'female', maxAge: 50, high: 20 },
+      { sex: 'female', minAge: 50, high: 30 }
+    ]
+  },
+  // Vital signs
+  '8867-4': { display: 'Heart rate', unit: '/min', ranges: [{ low: 60, high: 100 }], critical: { low: 40, high: 130 } },
+  '9279-1': { display: 'Respiratory rate', unit: '/min', ranges: [{ low: 12, high: 20 }], critical: { low: 8, high: 30 } },
+  '8310-5': { display: 'Body temperature', unit: 'Cel', ranges: [{ low: 36.1, high: 37.2 }], critical: { low: 35, high: 40 } },
+  '59408-5': { display: 'Oxygen saturation', unit: '%', ranges: [{ low: 95, high: 100 }], critical: { low: 88 } },
+  '2708-6': { display: 'Oxygen saturation', unit: '%', ranges: [{ low: 95, high: 100 }], critical: { low: 88 } },
+  '8480-6': { display: 'Systolic blood pressure', unit: 'mm[Hg]', ranges: [{ low: 90, high: 120 }], critical: { low: 70, high: 180 } },
+  '8462-4': { display: 'Diastolic blood pressure', unit: 'mm[Hg]', ranges: [{ low: 60, high: 80 }], critical: { high: 120 } }
+};
+
+const ADULT_AGE_YEARS = 18;
+
+export const INTERPRETATIONS = ['low', 'normal', 'high', 'critical'];
+
+/**
+ * Normalize profile or FastenPatients demographics into `{ sex, ageYears }`.
+ * @param {Object} source
+ * @param {string} [source.birthDate] ISO date of birth
+ * @param {string} [source.sex] birth sex or administrative gender
+ * @param {Date} [now]
+ */
+export function resolveDemographics({ birthDate, sex } = {}, now = new Date()) {
+  const normalizedSex = typeof sex === 'string' ? sex.trim().toLowerCase() : '';
+  let resolvedSex = null;
+  if (normalizedSex === 'male' || normalizedSex === 'm') {
+    resolvedSex = 'male';
+  } else if (normalizedSex === 'female' || normalizedSex === 'f') {
+    resolvedSex = 'female';
+  }
+
+  let ageYears = null;
+  const birth = birthDate ? new Date(birthDate) : null;
+  if (birth && !Number.isNaN(birth.getTime()) && birth <= now) {
+    ageYears = now.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = now.getUTCMonth() < birth.getUTCMonth()
+      || (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() < birth.getUTCDate());
+    if (beforeBirthday) {
+      ageYears -= 1;
+    }
+  }
+
+  return { sex: resolvedSex, ageYears };
+}
+
+/**
+ * Bundled adult range for a LOINC code and patient, in the table's unit. When sex or age is unknown
+ * the widest matching interval is used so unknown demographics never produce extra flags.
+ * Returns null for unknown codes and for patients younger than 18.
+ */
+export function lookupReferenceRange(code, { sex, ageYears } = {}) {
+  const entry = code ? ADULT_REFERENCE_RANGES[code] : null;
+  if (!entry || (typeof ageYears === 'number' && ageYears < ADULT_AGE_YEARS)) {
+    return null;
+  }
+
+  const matching = entry.ranges.filter((range) => (
+    (!range.sex || !sex || range.sex === sex)
+    && (typeof ageYears !== 'number'
+      || ((range.minAge === undefined || ageYears >= range.minAge)
+        && (range.maxAge === undefined || ageYears < range.maxAge)))
+  ));
+  if (matching.length === 0) {
+    return null;
+  }
+
+  const lows = matching.map((range) => range.low);
+  const highs = matching.map((range) => range.high);
+  return {
+    low: lows.some((value) => value === undefined) ? null : Math.min(...lows),
+    high: highs.some((value) => value === undefined) ? null : Math.max(...highs),
+    unit: entry.unit,
+    critical: entry.critical || null
+  };
+}
+
+function toObservationUnit(value, tableUnit, observationUnit, code) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return convertValue(value, tableUnit, observationUnit, { code });
+}
+
+/**
+ * Interpret a normalized observation (see normalizeObservationEntry) against its own reference range
+ * (referenceRangeLow/referenceRangeHigh) or, failing that, the bundled adult table.
+ * Returns `{ interpretation, referenceRange }` or null when the value cannot be interpreted.
+ */
+export function interpretObservation(observation, demographics = {}) {
+  const value = coerceNumericValue(observation?.valueNumeric ?? observation?.valueQuantity ?? observation?.valueString);
+  if (value === null) {
+    return null;
+  }
+
+  const code = typeof observation.code === 'string' ? observation.code.trim() : observation.code;
+  const unit = normalizeUnit(observation.valueUnit || observation.unit);
+  const tableRange = lookupReferenceRange(code, demographics);
+
+  let low = coerceNumericValue(observation.referenceRangeLow);
+  let high = coerceNumericValue(observation.referenceRangeHigh);
+  let source = 'observation';
+
+  if (low === null && high === null) {
+    // Table ranges need a unit to compare against; unitless values are left uninterpreted
+    if (!tableRange || !unit) {
+      return null;
+    }
+    low = toObservationUnit(tableRange.low, tableRange.unit, unit, code);
+    high = toObservationUnit(tableRange.high, tableRange.unit, unit, code);
+    if ((tableRange.low !== null && low === null) || (tableRange.high !== null && high === null)) {
+      return null;
+    }
+    source = 'reference-table';
+  }
+
+  let interpretation = 'normal';
+  if (low !== null && value < low) {
+    interpretation = 'low';
+  } else if (high !== null && value > high) {
+    interpretation = 'high';
+  }
+
+  if (tableRange?.critical && unit) {
+    const criticalLow = toObservationUnit(tableRange.critical.low, tableRange.unit, unit, code);
+    const criticalHigh = toObservationUnit(tableRange.critical.high, tableRange.unit, unit, code);
+    if ((criticalLow !== null && value < criticalLow) || (criticalHigh !== null && value > criticalHigh)) {
+      interpretation = 'critical';
+    }
+  }
+
+  return {
+    interpretation,
+    referenceRange: { low, high, unit, source }
+  };
+}
+
+export function isAbnormalInterpretation(interpretation) {
+  return interpretation === 'low' || interpretation === 'high' || interpretation === 'critical';
+}
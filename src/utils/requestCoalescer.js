@@ -1,21 +1,170 @@
+import { randomUUID } from 'crypto';
 import { logger } from './logger.js';
 
+// How long one instance may hold the fetch lease before another takes over
+export const DEFAULT_LEASE_MS = Number.parseInt(process.env.COALESCE_LEASE_MS, 10) || 10 * 1000;
+// How long a waiting instance keeps waiting (across lease takeovers) before fetching itself
+export const DEFAULT_WAIT_TIMEOUT_MS = Number.parseInt(process.env.COALESCE_WAIT_TIMEOUT_MS, 10) || 15 * 1000;
+// Results only need to outlive the wake-up of waiting instances; the caches hold them longer
+export const DEFAULT_RESULT_TTL_MS = Number.parseInt(process.env.COALESCE_RESULT_TTL_MS, 10) || 30 * 1000;
+
+// Deletes the lease only while it still holds our token, so an expired lease taken over by
+// another instance is left alone
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+const emptyStats = () => ({
+  requests: 0,
+  coalesced: 0,
+  errors: 0,
+  leases: 0,
+  remote: 0,
+  fallbacks: 0
+});
+
+/**
+ * Pub/sub channel on which lease holders announce that a result is ready (`done`) or that the
+ * fetch failed (`failed`). One subscriber connection serves every coalescer in the process.
+ */
+export class CoalescingNotifier {
+  constructor({ redisClient, channel }) {
+    if (!redisClient) {
+      throw new Error('CoalescingNotifier requires a Redis client instance');
+    }
+
+    this.redis = redisClient;
+    this.channel = channel;
+    this.subscriber = null;
+    this.waiters = new Map();
+  }
+
+  async start() {
+    const subscriber = this.redis.duplicate();
+    await subscriber.connect();
+    await subscriber.subscribe(this.channel, (message) => this.dispatch(message));
+    this.subscriber = subscriber;
+  }
+
+  async stop() {
+    const subscriber = this.subscriber;
+    this.subscriber = null;
+    for (const id of Array.from(this.waiters.keys())) {
+      this.resolveWaiters(id, null);
+    }
+    await subscriber?.quit();
+  }
+
+  get ready() {
+    return Boolean(this.subscriber);
+  }
+
+  /**
+   * Wait for the status published for `id`. Registers immediately, so a result stored after the
+   * call is not missed. Resolves to null on timeout or cancel.
+   * @returns {{ promise: Promise<string|null>, cancel: Function }}
+   */
+  wait(id, timeoutMs) {
+    let settle;
+    const promise = new Promise((resolve) => {
+      settle = resolve;
+    });
+
+    const timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+    timer.unref?.();
+    const waiter = {
+      resolve: (status) => {
+        clearTimeout(timer);
+        this.waiters.get(id)?.delete(waiter);
+        if (this.waiters.get(id)?.size === 0) {
+          this.waiters.delete(id);
+        }
+        settle(status);
+      }
+    };
+
+    if (!this.waiters.has(id)) {
+      this.waiters.set(id, new Set());
+    }
+    this.waiters.get(id).add(waiter);
+
+    return { promise, cancel: () => waiter.resolve(null) };
+  }
+
+  async notify(id, status) {
+    await this.redis.publish(this.channel, JSON.stringify({ id, status }));
+  }
+
+  dispatch(message) {
+    try {
+      const { id, status } = JSON.parse(message);
+      this.resolveWaiters(id, status);
+    } catch (error) {
+      logger.warn('Ignoring malformed coalescing notification', { error: error.message });
+    }
+  }
+
+  resolveWaiters(id, status) {
+    for (const waiter of Array.from(this.waiters.get(id) || [])) {
+      waiter.resolve(status);
+    }
+  }
+}
+
 /**
  * RequestCoalescer - Prevents duplicate concurrent requests for the same resource
  * 
  * When multiple clients request the same resource simultaneously,
  * only one request is made to the upstream service, and all clients
  * receive the same response.
+ *
+ * With Redis attached (see enableDistributed) this extends across instances: the instance that
+ * takes a short lease lock fetches and stores the result in Redis, and the others wait for its
+ * notification and read that result. Should the lease expire first, the next waiter takes it
+ * over. Without Redis, or when Redis fails, requests are coalesced within the process only.
  */
 export class RequestCoalescer {
-  constructor(name = 'default') {
+  constructor(name = 'default', {
+    leaseMs = DEFAULT_LEASE_MS,
+    waitTimeoutMs = DEFAULT_WAIT_TIMEOUT_MS,
+    resultTtlMs = DEFAULT_RESULT_TTL_MS,
+    serialize = (value) => value,
+    deserialize = (value) => value
+  } = {}) {
     this.name = name;
     this.pending = new Map();
-    this.stats = {
-      requests: 0,
-      coalesced: 0,
-      errors: 0
-    };
+    this.stats = emptyStats();
+    this.leaseMs = leaseMs;
+    this.waitTimeoutMs = waitTimeoutMs;
+    this.resultTtlMs = resultTtlMs;
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    this.redis = null;
+    this.notifier = null;
+    this.prefix = '';
+  }
+
+  /**
+   * Coalesce across instances through `redisClient`, with `notifier` announcing finished fetches.
+   * Results must survive JSON after `serialize`.
+   */
+  enableDistributed({ redisClient, notifier, prefix = process.env.CACHE_KEY_PREFIX || 'atlas:v1:' }) {
+    this.redis = redisClient;
+    this.notifier = notifier;
+    this.prefix = prefix;
+  }
+
+  disableDistributed() {
+    this.redis = null;
+    this.notifier = null;
+  }
+
+  get distributed() {
+    // node-redis queues commands while reconnecting; coalesce locally rather than wait on it
+    return Boolean(this.redis && this.notifier?.ready && this.redis.isReady !== false);
   }
 
   /**
@@ -39,7 +188,7 @@ export class RequestCoalescer {
     }
 
     // Create new request
-    const promise = fetchFn()
+    const promise = (this.distributed ? this.coalesceAcrossInstances(key, fetchFn) : fetchFn())
       .then(result => {
         logger.debug('Request completed', {
           coalescer: this.name,
@@ -66,6 +215,120 @@ export class RequestCoalescer {
     return promise;
   }
 
+  /**
+   * Fetch under the shared lease, or wait for the instance holding it and use its result. Falls
+   * back to fetching here when Redis errors, when the holder fails, or after waitTimeoutMs.
+   */
+  async coalesceAcrossInstances(key, fetchFn) {
+    const id = `${this.name}:${key}`;
+    const leaseKey = `${this.prefix}coalesce:lease:${id}`;
+    const resultKey = `${this.prefix}coalesce:result:${id}`;
+
+    let outcome = {};
+    try {
+      outcome = await this.acquireLeaseOrResult({ id, leaseKey, resultKey });
+    } catch (error) {
+      logger.warn('Distributed coalescing unavailable, fetching locally', {
+        coalescer: this.name,
+        key,
+        error: error.message
+      });
+    }
+
+    if (outcome.token) {
+      this.stats.leases++;
+      return this.fetchUnderLease({ id, key, leaseKey, resultKey, token: outcome.token }, fetchFn);
+    }
+    if (outcome.result) {
+      this.stats.remote++;
+      return outcome.result.value;
+    }
+
+    this.stats.fallbacks++;
+    return fetchFn();
+  }
+
+  /**
+   * `{ token }` once this instance holds the lease, `{ result }` once another instance has stored
+   * one, or `{}` when the holder failed or waitTimeoutMs ran out. Redis errors propagate.
+   */
+  async acquireLeaseOrResult({ id, leaseKey, resultKey }) {
+    const deadline = Date.now() + this.waitTimeoutMs;
+
+    while (Date.now() < deadline) {
+      const token = randomUUID();
+      if (await this.redis.set(leaseKey, token, { NX: true, PX: this.leaseMs })) {
+        return { token };
+      }
+
+      // Wait no longer than the current lease has left; register before reading so a result
+      // published in between still wakes us
+      const leaseLeftMs = await this.redis.pTTL(leaseKey);
+      const notification = this.notifier.wait(
+        id,
+        Math.min(leaseLeftMs > 0 ? leaseLeftMs : this.leaseMs, deadline - Date.now())
+      );
+      const ready = await this.readResult(resultKey);
+      if (ready) {
+        notification.cancel();
+        return { result: ready };
+      }
+
+      const status = await notification.promise;
+      if (status === 'failed') {
+        return {};
+      }
+      if (status === 'done') {
+        const result = await this.readResult(resultKey);
+        if (result) {
+          return { result };
+        }
+      }
+      // Timed out or the result is gone: the lease has expired or is about to, so try to take it
+    }
+
+    return {};
+  }
+
+  async fetchUnderLease({ id, key, leaseKey, resultKey, token }, fetchFn) {
+    let value;
+    try {
+      value = await fetchFn();
+    } catch (error) {
+      await this.settleLease({ id, key, leaseKey, token, status: 'failed' });
+      throw error;
+    }
+
+    await this.settleLease({ id, key, leaseKey, token, status: 'done', resultKey, value });
+    return value;
+  }
+
+  // Publish the outcome and release the lease; failures only cost waiters their wake-up
+  async settleLease({ id, key, leaseKey, token, status, resultKey, value }) {
+    try {
+      if (status === 'done') {
+        await this.redis.set(resultKey, JSON.stringify({ value: this.serialize(value) }), { PX: this.resultTtlMs });
+      }
+      await this.notifier.notify(id, status);
+      await this.redis.eval(RELEASE_LEASE_SCRIPT, { keys: [leaseKey], arguments: [token] });
+    } catch (error) {
+      logger.warn('Failed to publish coalesced result', {
+        coalescer: this.name,
+        key,
+        status,
+        error: error.message
+      });
+    }
+  }
+
+  async readResult(resultKey) {
+    const raw = await this.redis.get(resultKey);
+    if (!raw) {
+      return null;
+    }
+    return { value: this.deserialize(JSON.parse(raw).value) };
+  }
+
   /**
    * Get coalescer statistics
    */
@@ -73,6 +336,7 @@ export class RequestCoalescer {
     return {
       name: this.name,
       ...this.stats,
+      distributed: this.distributed,
       pending: this.pending.size,
       savingsPercentage: this.stats.requests > 0
         ? Math.round((this.stats.coalesced / this.stats.requests) * 100)
@@ -94,16 +358,16 @@ export class RequestCoalescer {
    * Reset statistics
    */
   resetStats() {
-    this.stats = {
-      requests: 0,
-      coalesced: 0,
-      errors: 0
-    };
+    this.stats = emptyStats();
   }
 }
 
 // Create singleton instances for common use cases
-export const mediaCoalescer = new RequestCoalescer('media');
+// Media content is a Buffer, which does not survive JSON
+export const mediaCoalescer = new RequestCoalescer('media', {
+  serialize: (media) => (media?.content ? { ...media, content: Buffer.from(media.content).toString('base64') } : media),
+  deserialize: (media) => (typeof media?.content === 'string' ? { ...media, content: Buffer.from(media.content, 'base64') } : media)
+});
 export const dashboardCoalescer = new RequestCoalescer('dashboard');
 export const profileCoalescer = new RequestCoalescer('profile');
 export const clinicalDataCoalescer = new RequestCoalescer('clinical-data');
@@ -118,4 +382,44 @@ export function getAllCoalescerStats() {
   };
 }
 
+let coalescingNotifier = null;
 
+/**
+ * Switch the shared coalescers to Redis-backed coalescing when REQUEST_COALESCING_MODE is
+ * `distributed` (default `local`). Failing to subscribe leaves them coalescing locally.
+ */
+export async function initializeDistributedCoalescing({
+  redisClient,
+  mode = process.env.REQUEST_COALESCING_MODE || 'local'
+} = {}) {
+  const coalescers = [mediaCoalescer, dashboardCoalescer, profileCoalescer, clinicalDataCoalescer];
+  if (mode !== 'distributed' || !redisClient) {
+    logger.info('Request coalescing is local to this instance', { mode, hasRedis: !!redisClient });
+    return false;
+  }
+
+  const prefix = process.env.CACHE_KEY_PREFIX || 'atlas:v1:';
+  try {
+    await coalescingNotifier?.stop();
+    coalescingNotifier = new CoalescingNotifier({ redisClient, channel: `${prefix}coalesce` });
+    await coalescingNotifier.start();
+  } catch (error) {
+    logger.error('Distributed request coalescing unavailable, coalescing locally', { error: error.message });
+    coalescingNotifier = null;
+    return false;
+  }
+
+  for (const coalescer of coalescers) {
+    coalescer.enableDistributed({ redisClient, notifier: coalescingNotifier, prefix });
+  }
+  logger.info('Distributed request coalescing enabled', { channel: coalescingNotifier.channel });
+  return true;
+}
+
+export async function stopDistributedCoalescing() {
+  for (const coalescer of [mediaCoalescer, dashboardCoalescer, profileCoalescer, clinicalDataCoalescer]) {
+    coalescer.disableDistributed();
+  }
+  await coalescingNotifier?.stop();
+  coalescingNotifier = null;
+}
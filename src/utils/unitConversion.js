@@ -0,0 +1,216 @@
+// Unit normalization and conversion for numeric clinical values. Units are normalized to their UCUM
+// spelling; analyte-specific conversions (mg/dL <-> mmol/L) are keyed by LOINC code.
+
+const UNIT_ALIASES = {
+  'kg': 'kg',
+  'kgs': 'kg',
+  'kilogram': 'kg',
+  'kilograms': 'kg',
+  'g': 'g',
+  'gram': 'g',
+  'lb': '[lb_av]',
+  'lbs': '[lb_av]',
+  'pound': '[lb_av]',
+  'pounds': '[lb_av]',
+  '[lb_av]': '[lb_av]',
+  'oz': '[oz_av]',
+  '[oz_av]': '[oz_av]',
+  'cm': 'cm',
+  'm': 'm',
+  'mm': 'mm',
+  'in': '[in_i]',
+  'inch': '[in_i]',
+  'inches': '[in_i]',
+  '[in_i]': '[in_i]',
+  'ft': '[ft_i]',
+  '[ft_i]': '[ft_i]',
+  'cel': 'Cel',
+  'c': 'Cel',
+  '°c': 'Cel',
+  'degc': 'Cel',
+  '[degf]': '[degF]',
+  'f': '[degF]',
+  '°f': '[degF]',
+  'degf': '[degF]',
+  'mmhg': 'mm[Hg]',
+  'mm[hg]': 'mm[Hg]',
+  'kpa': 'kPa',
+  'bpm': '/min',
+  '/min': '/min',
+  'beats/min': '/min',
+  '{beats}/min': '/min',
+  'breaths/min': '/min',
+  '{breaths}/min': '/min',
+  'count/min': '/min',
+  '%': '%',
+  'percent': '%',
+  'mg/dl': 'mg/dL',
+  'mg/l': 'mg/L',
+  'g/dl': 'g/dL',
+  'g/l': 'g/L',
+  'mmol/l': 'mmol/L',
+  'umol/l': 'umol/L',
+  'µmol/l': 'umol/L',
+  'μmol/l': 'umol/L',
+  'meq/l': 'meq/L',
+  'kg/m2': 'kg/m2',
+  'kg/m^2': 'kg/m2',
+  'ms': 'ms',
+  's': 's',
+  'min': 'min',
+  'h': 'h',
+  'hr': 'h',
+  'kcal': 'kcal',
+  'kj': 'kJ',
+  'u/l': 'U/L',
+  'iu/l': 'U/L',
+  'm[iu]/l': 'm[IU]/L',
+  'miu/l': 'm[IU]/L',
+  'uiu/ml': 'm[IU]/L',
+  'u[iu]/ml': 'm[IU]/L',
+  '10*3/ul': '10*3/uL',
+  '10^3/ul': '10*3/uL',
+  'x10e3/ul': '10*3/uL',
+  'k/ul': '10*3/uL',
+  'mm/h': 'mm/h',
+  'mm/hr': 'mm/h',
+  'beats/minute': '/min'
+};
+
+// Linear conversions: value_in_to = value_in_from * factor
+const LINEAR_CONVERSIONS = {
+  'kg>[lb_av]': 2.2046226218,
+  '[lb_av]>kg': 1 / 2.2046226218,
+  'g>kg': 0.001,
+  'kg>g': 1000,
+  '[oz_av]>g': 28.349523125,
+  'g>[oz_av]': 1 / 28.349523125,
+  'cm>[in_i]': 1 / 2.54,
+  '[in_i]>cm': 2.54,
+  'm>cm': 100,
+  'cm>m': 0.01,
+  'mm>cm': 0.1,
+  'cm>mm': 10,
+  '[ft_i]>cm': 30.48,
+  'cm>[ft_i]': 1 / 30.48,
+  'kJ>kcal': 1 / 4.184,
+  'kcal>kJ': 4.184,
+  'mm[Hg]>kPa': 0.133322368,
+  'kPa>mm[Hg]': 1 / 0.133322368,
+  'g/dL>g/L': 10,
+  'g/L>g/dL': 0.1,
+  'mg/dL>mg/L': 10,
+  'mg/L>mg/dL': 0.1,
+  's>ms': 1000,
+  'ms>s': 0.001,
+  'min>s': 60,
+  's>min': 1 / 60,
+  'h>min': 60,
+  'min>h': 1 / 60
+};
+
+// Molar conversions (mg/dL -> mmol/L divide by factor) for common chemistry analytes
+const MOLAR_FACTORS_BY_LOINC = {
+  // Glucose
+  '2339-0': { from: 'mg/dL', to: 'mmol/L', divisor: 18.016 },
+  '2345-7': { from: 'mg/dL', to: 'mmol/L', divisor: 18.016 },
+  '41653-7': { from: 'mg/dL', to: 'mmol/L', divisor: 18.016 },
+  // Cholesterol (total, HDL, LDL)
+  '2093-3': { from: 'mg/dL', to: 'mmol/L', divisor: 38.67 },
+  '2085-9': { from: 'mg/dL', to: 'mmol/L', divisor: 38.67 },
+  '2089-1': { from: 'mg/dL', to: 'mmol/L', divisor: 38.67 },
+  '13457-7': { from: 'mg/dL', to: 'mmol/L', divisor: 38.67 },
+  // Triglycerides
+  '2571-8': { from: 'mg/dL', to: 'mmol/L', divisor: 88.57 },
+  // Creatinine
+  '2160-0': { from: 'mg/dL', to: 'umol/L', divisor: 1 / 88.42 },
+  // Urea nitrogen
+  '3094-0': { from: 'mg/dL', to: 'mmol/L', divisor: 2.801 },
+  // Calcium
+  '17861-6': { from: 'mg/dL', to: 'mmol/L', divisor: 4.008 }
+};
+
+export function normalizeUnit(unit) {
+  if (typeof unit !== 'string') {
+    return null;
+  }
+
+  const trimmed = unit.trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  return UNIT_ALIASES[trimmed.toLowerCase()] || trimmed;
+}
+
+/**
+ * Convert a numeric value between units. Returns null when no conversion is known.
+ * @param {number} value
+ * @param {string} fromUnit
+ * @param {string} toUnit
+ * @param {Object} [options]
+ * @param {string} [options.code] LOINC code enabling analyte-specific molar conversions
+ */
+export function convertValue(value, fromUnit, toUnit, { code } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return null;
+  }
+
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+
+  if (from === to) {
+    return value;
+  }
+
+  if (!from || !to) {
+    return null;
+  }
+
+  if (from === 'Cel' && to === '[degF]') {
+    return value * 9 / 5 + 32;
+  }
+
+  if (from === '[degF]' && to === 'Cel') {
+    return (value - 32) * 5 / 9;
+  }
+
+  const linear = LINEAR_CONVERSIONS[`${from}>${to}`];
+  if (linear !== undefined) {
+    return value * linear;
+  }
+
+  const molar = code ? MOLAR_FACTORS_BY_LOINC[code] : null;
+  if (molar) {
+    if (from === molar.from && to === molar.to) {
+      return value / molar.divisor;
+    }
+    if (from === molar.to && to === molar.from) {
+      return value * molar.divisor;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Coerce observation values such as 5.4, "5.4", "1,200", "<0.5" or "> 90" to a number.
+ * Returns null for non-numeric values.
+ */
+export function coerceNumericValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = /^\s*(?:[<>≤≥]=?|=|~)?\s*([-+]?\d[\d,]*(?:\.\d+)?|[-+]?\.\d+)/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const parsed = Number(match[1].replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
@@ -0,0 +1,169 @@
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+// Minimal ZIP writer (PKWARE APPNOTE 6.3) built on zlib so exports need no archive dependency.
+// Entries are deflated unless that does not make them smaller. No ZIP64: archives and entries must
+// stay below 4 GiB, which patient exports are far from.
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+const CRC_TABLE = zlib.crc32 ? null : (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// zlib's native CRC-32 where available (Node 20.15+), a table-driven one before that
+export function crc32(buffer) {
+  if (zlib.crc32) {
+    return zlib.crc32(buffer);
+  }
+  let crc = 0xffffffff;
+  for (let index = 0; index < buffer.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write a ZIP archive to `filePath` one entry at a time, so only the entry being written is held
+ * in memory alongside its deflated copy. The archive is written aside and renamed into place, so
+ * `filePath` never holds a partial archive.
+ * @param {string} filePath
+ * @param {Iterable<{ name: string, data: Buffer|string }>|AsyncIterable<{ name: string, data: Buffer|string }>} entries
+ * @param {Object} [options]
+ * @param {Date} [options.modifiedAt]
+ * @param {number} [options.mode] file mode of the archive
+ * @returns {Promise<number>} archive size in bytes
+ */
+export async function writeZipArchive(filePath, entries, { modifiedAt = new Date(), mode = 0o600 } = {}) {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const tempPath = `${filePath}.${randomUUID()}.tmp`;
+  const file = await fs.open(tempPath, 'w', mode);
+  const centralParts = [];
+  let count = 0;
+  let offset = 0;
+
+  try {
+    for await (const entry of entries) {
+      const name = Buffer.from(entry.name.replace(/^\/+/, ''), 'utf8');
+      const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data ?? ''), 'utf8');
+      const deflated = await deflateRaw(data);
+      const useDeflate = deflated.length < data.length;
+      const body = useDeflate ? deflated : data;
+      const checksum = crc32(data);
+      const method = useDeflate ? 8 : 0;
+      // Bit 11: file names are UTF-8
+      const flags = 0x0800;
+
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(flags, 6);
+      local.writeUInt16LE(method, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(checksum, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(data.length, 22);
+      local.writeUInt16LE(name.length, 26);
+      local.writeUInt16LE(0, 28);
+
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);
+      central.writeUInt16LE(20, 6);
+      central.writeUInt16LE(flags, 8);
+      central.writeUInt16LE(method, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(checksum, 16);
+      central.writeUInt32LE(body.length, 20);
+      central.writeUInt32LE(data.length, 24);
+      central.writeUInt16LE(name.length, 28);
+      central.writeUInt16LE(0, 30);
+      central.writeUInt16LE(0, 32);
+      central.writeUInt16LE(0, 34);
+      central.writeUInt16LE(0, 36);
+      central.writeUInt32LE(0, 38);
+      central.writeUInt32LE(offset, 42);
+
+      await file.writev([local, name, body]);
+      centralParts.push(central, name);
+      offset += local.length + name.length + body.length;
+      count += 1;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(count, 8);
+    end.writeUInt16LE(count, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(0, 20);
+
+    await file.writev([centralDirectory, end]);
+    await file.close();
+    await fs.rename(tempPath, filePath);
+    return offset + centralDirectory.length + end.length;
+  } catch (error) {
+    await file.close().catch(() => {});
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Read back the entries of an archive produced by writeZipArchive (used by tests and tooling).
+ * @param {Buffer} archive
+ * @returns {Map<string, Buffer>}
+ */
+export function readZipArchive(archive) {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = archive.readUInt16LE(endOffset + 10);
+  let cursor = archive.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let index = 0; index < count; index += 1) {
+    const method = archive.readUInt16LE(cursor + 10);
+    const compressedSize = archive.readUInt32LE(cursor + 20);
+    const nameLength = archive.readUInt16LE(cursor + 28);
+    const extraLength = archive.readUInt16LE(cursor + 30);
+    const commentLength = archive.readUInt16LE(cursor + 32);
+    const localOffset = archive.readUInt32LE(cursor + 42);
+    const name = archive.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+
+    const localNameLength = archive.readUInt16LE(localOffset + 26);
+    const localExtraLength = archive.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const body = archive.subarray(dataStart, dataStart + compressedSize);
+    entries.set(name, method === 8 ? zlib.inflateRawSync(body) : Buffer.from(body));
+
+    cursor += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}